@@ -1,6 +1,24 @@
 const CallLog = require("../models/CallLog");
+const { CALL_OUTCOMES } = require("../models/CallLog");
 const Lead = require("../models/Lead");
 const Activity = require("../models/Activity");
+const TwilioCallLog = require("../models/TwilioCallLog");
+const { CallTimelineService } = require("../services/CallTimelineService");
+
+/**
+ * Find the user's Twilio call to attach to an outcome for the lead.
+ * Returns { call } or { status, message } when it cannot be used.
+ */
+async function resolveCall(callSid, leadId, userId) {
+  const call = await TwilioCallLog.findByCallSid(callSid);
+  if (!call || call.user_id !== userId) {
+    return { status: 404, message: 'Call not found' };
+  }
+  if (call.lead_id && Number(call.lead_id) !== Number(leadId)) {
+    return { status: 409, message: 'This call is already linked to another lead' };
+  }
+  return { call };
+}
 
 class CallLogController {
   /**
@@ -8,7 +26,7 @@ class CallLogController {
    */
   async create(req, res) {
     try {
-      const { lead_id, outcome, notes, next_follow_up, duration } = req.body;
+      const { lead_id, outcome, notes, next_follow_up, duration, call_sid } = req.body;
 
       // Validate required fields
       if (!lead_id || !outcome || !notes) {
@@ -18,6 +36,13 @@ class CallLogController {
         });
       }
 
+      if (!CALL_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: `outcome must be one of: ${CALL_OUTCOMES.join(', ')}`
+        });
+      }
+
       // Check if lead exists
       const lead = await Lead.findById(lead_id, req.user.id);
       if (!lead) {
@@ -27,16 +52,35 @@ class CallLogController {
         });
       }
 
+      // Optionally tie the outcome to the Twilio call it records
+      let call = null;
+      if (call_sid) {
+        const resolved = await resolveCall(call_sid, lead_id, req.user.id);
+        if (!resolved.call) {
+          return res.status(resolved.status).json({
+            success: false,
+            message: resolved.message
+          });
+        }
+        call = resolved.call;
+      }
+
       // Create call log (associate with current user)
       const callLog = await CallLog.create({
         user_id: req.user.id,
         lead_id,
+        call_sid: call ? call.call_sid : null,
         outcome,
         notes,
         next_follow_up,
-        duration: duration || 0
+        duration: duration || (call ? call.duration : 0)
       });
 
+      // Link the call to the lead so it shows up on the lead's timeline
+      if (call && !call.lead_id) {
+        await TwilioCallLog.update(call.call_sid, { lead_id: lead.id });
+      }
+
       // Log activity
       await Activity.logActivity(
         'call_log_created',
@@ -65,24 +109,50 @@ class CallLogController {
   async update(req, res) {
     try {
       const { id } = req.params;
-      const { outcome, notes, next_follow_up, duration } = req.body;
+      const { outcome, notes, next_follow_up, duration, call_sid } = req.body;
 
       const callLog = await CallLog.findById(id);
-      if (!callLog) {
+      const lead = callLog ? await Lead.findById(callLog.lead_id, req.user.id) : null;
+      if (!callLog || !lead) {
         return res.status(404).json({
           success: false,
           message: 'Call log not found'
         });
       }
 
+      if (outcome && !CALL_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: `outcome must be one of: ${CALL_OUTCOMES.join(', ')}`
+        });
+      }
+
+      // call_sid: a SID links the outcome to that call, null unlinks it
+      let call = null;
+      if (call_sid) {
+        const resolved = await resolveCall(call_sid, callLog.lead_id, req.user.id);
+        if (!resolved.call) {
+          return res.status(resolved.status).json({
+            success: false,
+            message: resolved.message
+          });
+        }
+        call = resolved.call;
+      }
+
       // Update call log
       const updatedCallLog = await callLog.update({
         outcome,
         notes,
         next_follow_up,
-        duration
+        duration,
+        call_sid: call_sid === undefined ? undefined : (call ? call.call_sid : null)
       });
 
+      if (call && !call.lead_id) {
+        await TwilioCallLog.update(call.call_sid, { lead_id: lead.id });
+      }
+
       // Log activity
       await Activity.logActivity(
         'call_log_updated',
@@ -145,7 +215,7 @@ class CallLogController {
   }
 
   /**
-   * Get call logs for a specific lead
+   * Get a lead's calls and logged outcomes as one timeline, with recordings and durations
    */
   async getByLead(req, res) {
     try {
@@ -160,11 +230,12 @@ class CallLogController {
         });
       }
 
-      const callLogs = await CallLog.findByLeadId(lead_id);
+      const { timeline, summary } = await CallTimelineService.forLead(lead.id, req.user.id);
 
       res.json({
         success: true,
-        data: callLogs
+        data: timeline,
+        summary
       });
     } catch (error) {
       console.error('Error fetching call logs:', error);
@@ -181,7 +252,7 @@ class CallLogController {
   async getUpcomingFollowUps(req, res) {
     try {
       const limit = parseInt(req.query.limit) || 10;
-      const followUps = await CallLog.getUpcomingFollowUps(limit);
+      const followUps = await CallTimelineService.upcomingFollowUps(req.user.id, limit);
 
       res.json({
         success: true,
@@ -0,0 +1,107 @@
+const Client = require("../models/Client");
+const ClientBillingRule = require("../models/ClientBillingRule");
+const UserPhoneNumber = require("../models/UserPhoneNumber");
+const { ClientReportService } = require("../services/ClientReportService");
+
+class ClientReportController {
+  /**
+   * Display the client's qualified-call rules, rate and assigned numbers.
+   */
+  async showBillingRules(req, res) {
+    try {
+      const client = await Client.findById(req.params.id, req.user.id);
+
+      if (!client) {
+        return res.status(404).json({ error: "Client not found" });
+      }
+
+      const rules = await ClientBillingRule.findByClientId(client.id, req.user.id);
+      const numbers = await UserPhoneNumber.findByClientId(client.id, req.user.id);
+
+      res.json({
+        rules,
+        numbers: numbers.map((n) => ({ id: n.id, phone_number: n.phone_number, friendly_name: n.friendly_name, website_id: n.website_id })),
+      });
+    } catch (error) {
+      console.error("Error fetching client billing rules:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+
+  /**
+   * Create or update the client's qualified-call rules and rate.
+   */
+  async updateBillingRules(req, res) {
+    try {
+      const client = await Client.findById(req.params.id, req.user.id);
+
+      if (!client) {
+        return res.status(404).json({ error: "Client not found" });
+      }
+
+      const validationError = ClientReportService.validateRule(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const current = await ClientBillingRule.findByClientId(client.id, req.user.id);
+      const fields = ["rate_type", "per_lead_rate", "flat_rate", "min_duration_seconds", "first_time_callers_only", "blocked_numbers"];
+      const merged = { ...current };
+      fields.forEach((field) => {
+        if (req.body[field] !== undefined) merged[field] = req.body[field];
+      });
+
+      const rules = await ClientBillingRule.upsert(client.id, req.user.id, merged);
+
+      res.json(rules);
+    } catch (error) {
+      console.error("Error updating client billing rules:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+
+  /**
+   * Monthly lead report for a client as JSON, CSV or PDF (?format=csv|pdf, ?month=YYYY-MM).
+   */
+  async monthlyReport(req, res) {
+    try {
+      const { month, format = "json" } = req.query;
+
+      if (month && !ClientReportService.parseMonth(month)) {
+        return res.status(400).json({ error: "month must be in YYYY-MM format" });
+      }
+      if (!["json", "csv", "pdf"].includes(format)) {
+        return res.status(400).json({ error: "format must be one of: json, csv, pdf" });
+      }
+
+      const client = await Client.findById(req.params.id, req.user.id);
+
+      if (!client) {
+        return res.status(404).json({ error: "Client not found" });
+      }
+
+      const report = await ClientReportService.buildMonthlyReport(client, req.user.id, month);
+      const filename = `lead-report-client-${client.id}-${report.month}`;
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+        return res.send(ClientReportService.toCsv(report));
+      }
+
+      if (format === "pdf") {
+        const pdf = await ClientReportService.toPdf(report);
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+        return res.send(pdf);
+      }
+
+      res.json(report);
+    } catch (error) {
+      console.error("Error building client report:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+}
+
+module.exports = new ClientReportController();
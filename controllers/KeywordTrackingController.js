@@ -1,6 +1,5 @@
 const KeywordTracking = require('../models/KeywordTracking');
-const axios = require('axios');
-const seoApiKeyService = require('../services/seoApiKeyService');
+const { RankCheckService } = require('../services/RankCheckService');
 
 class KeywordTrackingController {
   constructor() {
@@ -17,6 +16,8 @@ class KeywordTrackingController {
     this.checkRanking = this.checkRanking.bind(this);
     this.getRankHistory = this.getRankHistory.bind(this);
     this.bulkCheckRankings = this.bulkCheckRankings.bind(this);
+    this.getRankCheckStatus = this.getRankCheckStatus.bind(this);
+    this.runRankChecks = this.runRankChecks.bind(this);
   }
 
   /**
@@ -293,13 +294,8 @@ class KeywordTrackingController {
       );
 
       // Update the tracking entry with new ranking data
-      const updated = await KeywordTracking.updateRanking(id, userId, {
-        current_rank: rankingData.rank,
-        search_volume: rankingData.search_volume,
-        competition_level: rankingData.competition_level,
-        cpc: rankingData.cpc,
-        notes: `Manual check on ${new Date().toISOString()}. ${rankingData.rank ? `Found at position ${rankingData.rank}` : 'Not found in top 100 results'}`
-      });
+      const updated = await RankCheckService.recordRanking(keywordTracking, rankingData,
+        `Manual check on ${new Date().toISOString()}. ${rankingData.rank ? `Found at position ${rankingData.rank}` : 'Not found in top 100 results'}`);
 
       if (updated) {
         const updatedTracking = await KeywordTracking.findById(id, userId);
@@ -403,13 +399,8 @@ class KeywordTrackingController {
             keywordTracking.country
           );
 
-          const updated = await KeywordTracking.updateRanking(id, userId, {
-            current_rank: rankingData.rank,
-            search_volume: rankingData.search_volume,
-            competition_level: rankingData.competition_level,
-            cpc: rankingData.cpc,
-            notes: `Bulk check on ${new Date().toISOString()}`
-          });
+          const updated = await RankCheckService.recordRanking(keywordTracking, rankingData,
+            `Bulk check on ${new Date().toISOString()}`);
 
           if (updated) {
             results.push({ id, success: true, ranking_data: rankingData });
@@ -445,85 +436,59 @@ class KeywordTrackingController {
   }
 
   /**
-   * Get ranking data from SerpAPI
+   * Status of the scheduled rank-check worker, with due/failing counts for the user's keywords
    */
-  async getRankingFromAPI(keyword, url, country = 'us') {
+  async getRankCheckStatus(req, res) {
     try {
-      // Use the same API key service as SeoControllerMap
-      let serpapiKey = await seoApiKeyService.getAvailableApiKey();
-      
-      if (!serpapiKey) {
-        throw new Error('No available SerpAPI key found');
-      }
-
-      const params = new URLSearchParams({
-        engine: "google",
-        q: keyword,
-        google_domain: country === 'us' ? 'google.com' : `google.${country}`,
-        hl: "en",
-        num: "100", // fetch top 100 results
-        api_key: serpapiKey
+      const status = await RankCheckService.getStatus(req.user.id);
+      res.json({
+        message: 'Rank check status retrieved successfully',
+        data: status
       });
+    } catch (error) {
+      console.error('Error getting rank check status:', error);
+      res.status(500).json({
+        error: 'Failed to get rank check status',
+        message: error.message
+      });
+    }
+  }
 
-      const apiUrl = `https://serpapi.com/search.json?${params.toString()}`;
-      const response = await axios.get(apiUrl);
-      const data = response.data;
-
-      // Track API key usage (same as SeoControllerMap)
-      await seoApiKeyService.incrementApiKeyUsage(serpapiKey, 1);
-
-      if (!data.organic_results) {
-        throw new Error("No organic results found.");
+  /**
+   * Run the rank-check worker now for the user's due keywords. Returns at once; poll the status endpoint.
+   */
+  async runRankChecks(req, res) {
+    try {
+      const status = await RankCheckService.getStatus(req.user.id);
+      if (RankCheckService.isRunning(req.user.id)) {
+        return res.status(409).json({
+          error: 'Rank check already running',
+          message: 'Your rank check run is in progress. Try again when it finishes.'
+        });
       }
 
-      // Find the rank where your URL appears
-      const match = data.organic_results.find(
-        (result) =>
-          result.link &&
-          result.link.toLowerCase().includes(url.toLowerCase())
-      );
-
-      if (match) {
-        return {
-          rank: match.position,
-          title: match.title,
-          snippet: match.snippet,
-          url: match.link,
-          search_volume: null, // SerpAPI doesn't provide this
-          competition_level: null, // SerpAPI doesn't provide this
-          cpc: null, // SerpAPI doesn't provide this
-          raw_data: {
-            keyword,
-            target_url: url,
-            position: match.position,
-            title: match.title,
-            snippet: match.snippet,
-            link: match.link
-          }
-        };
-      } else {
-        return {
-          rank: null,
-          title: null,
-          snippet: null,
-          url: null,
-          search_volume: null,
-          competition_level: null,
-          cpc: null,
-          raw_data: {
-            keyword,
-            target_url: url,
-            position: null,
-            message: "URL not found in top 100 results."
-          }
-        };
-      }
+      RankCheckService.runDueChecks({ userId: req.user.id, trigger: 'manual' })
+        .catch(error => console.error('Error in manual rank check run:', error));
 
+      res.status(202).json({
+        message: 'Rank check started',
+        data: { due: status.keywords.due }
+      });
     } catch (error) {
-      console.error('Error getting ranking from SerpAPI:', error);
-      throw new Error(`Failed to get ranking data: ${error.message}`);
+      console.error('Error starting rank check run:', error);
+      res.status(500).json({
+        error: 'Failed to start rank check',
+        message: error.message
+      });
     }
   }
+
+  /**
+   * Get ranking data from SerpAPI
+   */
+  async getRankingFromAPI(keyword, url, country = 'us') {
+    return RankCheckService.getRankingFromAPI(keyword, url, country);
+  }
 }
 
 module.exports = new KeywordTrackingController();
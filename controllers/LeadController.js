@@ -1,5 +1,6 @@
 const Lead = require("../models/Lead");
 const Activity = require("../models/Activity");
+const TwilioCallLog = require("../models/TwilioCallLog");
 
 class LeadController {
   /**
@@ -26,7 +27,7 @@ class LeadController {
   }
 
   /**
-   * Display the specified lead.
+   * Display the specified lead along with its call history.
    */
   async show(req, res) {
     try {
@@ -37,7 +38,19 @@ class LeadController {
         return res.status(404).json({ error: "Lead not found" });
       }
 
-      res.json(lead);
+      const calls = await TwilioCallLog.findByLeadId(lead.id, req.user.id);
+
+      res.json({
+        ...lead,
+        calls,
+        call_summary: {
+          total_calls: calls.length,
+          total_duration: calls.reduce((sum, call) => sum + (parseInt(call.duration, 10) || 0), 0),
+          recorded_calls: calls.filter((call) => call.recording_sid).length,
+          first_call_at: calls.length ? calls[calls.length - 1].created_at : null,
+          last_call_at: calls.length ? calls[0].created_at : null,
+        },
+      });
     } catch (error) {
       console.error("Error fetching lead:", error);
       res.status(500).json({ error: "Internal server error" });
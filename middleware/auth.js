@@ -8,6 +8,13 @@ const generateToken = (userId) => {
   return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '24h' });
 };
 
+// Stream tokens go in URLs (EventSource can't send headers), so they are short-lived and only open one kind of stream
+const STREAM_TOKEN_TTL_SECONDS = 5 * 60;
+
+const generateStreamToken = (userId, scope) => {
+  return jwt.sign({ userId, purpose: 'stream', scope }, JWT_SECRET, { expiresIn: STREAM_TOKEN_TTL_SECONDS });
+};
+
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
@@ -30,7 +37,8 @@ const authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    // Stream tokens only open their stream; they never stand in for a login
+    const user = decoded.purpose ? null : await User.findById(decoded.userId);
     
     if (!user) {
       return res.status(401).json({ 
@@ -50,7 +58,41 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authentication for EventSource streams, which cannot send headers. Without an Authorization header
+// the request needs ?token= holding a stream token for this scope (a string, or a function of the request).
+const authenticateStream = (scope) => async (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const expectedScope = typeof scope === 'function' ? scope(req) : scope;
+    const decoded = req.query.token ? jwt.verify(String(req.query.token), JWT_SECRET) : null;
+    const user = decoded && decoded.purpose === 'stream' && decoded.scope === expectedScope
+      ? await User.findById(decoded.userId)
+      : null;
+
+    if (!user) {
+      return res.status(401).json({ 
+        error: 'Access denied',
+        message: 'Invalid stream token' 
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ 
+      error: 'Access denied',
+      message: 'Invalid stream token' 
+    });
+  }
+};
+
 module.exports = {
   authenticate,
-  generateToken
+  authenticateStream,
+  generateToken,
+  generateStreamToken,
+  STREAM_TOKEN_TTL_SECONDS
 };
\ No newline at end of file
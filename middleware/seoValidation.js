@@ -55,6 +55,48 @@ const analysisSchema = Joi.object({
     })
 });
 
+/**
+ * Validation schema for saved grid scans. The center is geocoded from
+ * business_address unless center_lat and center_lng are both given.
+ */
+const gridScanSchema = Joi.object({
+  name: Joi.string().max(255).allow('', null),
+  client_id: Joi.number().integer().positive().allow(null),
+  business_name: Joi.string()
+    .min(2)
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Business name is required',
+      'any.required': 'Business name is required'
+    }),
+  business_address: Joi.string().min(5).max(500),
+  keyword: Joi.string()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Keyword is required',
+      'any.required': 'Keyword is required'
+    }),
+  center_lat: Joi.number().min(-90).max(90),
+  center_lng: Joi.number().min(-180).max(180),
+  grid_size: Joi.string()
+    .valid(...SUPPORTED_GRID_SIZES)
+    .required()
+    .messages({
+      'any.only': `Grid size must be one of: ${SUPPORTED_GRID_SIZES.join(', ')}`,
+      'any.required': 'Grid size is required'
+    }),
+  schedule: Joi.string().valid('manual', 'daily', 'weekly', 'monthly')
+})
+  .and('center_lat', 'center_lng')
+  .or('business_address', 'center_lat')
+  .messages({
+    'object.and': 'center_lat and center_lng must be given together',
+    'object.missing': 'Either business_address or center_lat/center_lng is required'
+  });
+
 // Removed individual validation middleware - only need the main analysis validation
 
 /**
@@ -83,6 +125,32 @@ const validateAnalysis = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to validate a new saved grid scan
+ */
+const validateGridScan = (req, res, next) => {
+  const { error, value } = gridScanSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
 /**
  * Middleware to validate coordinates
  */
@@ -115,6 +183,7 @@ const validateCoordinates = (req, res, next) => {
 
 module.exports = {
   validateAnalysis,
+  validateGridScan,
   validateCoordinates,
   SUPPORTED_GRID_SIZES
 };
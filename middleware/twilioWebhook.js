@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const TwilioWebhookRequest = require('../models/TwilioWebhookRequest');
+
+// TWILIO_WEBHOOK_VALIDATION: 'enforce' rejects bad requests, 'log' only reports them (for rollout), 'off' skips checks
+const MODES = ['enforce', 'log', 'off'];
+// Seen requests are remembered this long; older rows are purged
+const REPLAY_WINDOW_HOURS = 24;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPurgeAt = 0;
+
+const getMode = () => {
+  const mode = (process.env.TWILIO_WEBHOOK_VALIDATION || 'enforce').trim().toLowerCase();
+  return MODES.includes(mode) ? mode : 'enforce';
+};
+
+const firstHeaderValue = (value) => (value ? String(value).split(',')[0].trim() : '');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * URLs Twilio may have signed for this request: the public URL we give Twilio
+ * (TWILIO_WEBHOOK_BASE_URL or SERVER_URL), then the URL as seen through any proxy
+ */
+const candidateUrls = (req) => {
+  const urls = [];
+  const base = process.env.TWILIO_WEBHOOK_BASE_URL || process.env.SERVER_URL;
+  if (base) urls.push(`${base.replace(/\/+$/, '')}${req.originalUrl}`);
+
+  const proto = firstHeaderValue(req.headers['x-forwarded-proto']) || req.protocol;
+  const host = firstHeaderValue(req.headers['x-forwarded-host']) || req.headers.host;
+  if (host) urls.push(`${proto}://${host}${req.originalUrl}`);
+
+  return [...new Set(urls)];
+};
+
+/**
+ * Check X-Twilio-Signature. POST form parameters are signed along with the URL; for GET the query string is part of the URL.
+ */
+const verifySignature = (req, authToken) => {
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) return { valid: false, reason: 'has no X-Twilio-Signature header' };
+
+  const params = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+  const url = candidateUrls(req).find(candidate => twilio.validateRequest(authToken, signature, candidate, params));
+  return url ? { valid: true, url } : { valid: false, reason: 'has an invalid signature' };
+};
+
+/**
+ * Key identifying one delivery. Twilio's idempotency token stays the same across its own retries;
+ * without it, the signature identifies call/message events (GETs like /whisper repeat legitimately).
+ */
+const replayKey = (req) => {
+  const token = req.headers['i-twilio-idempotency-token'];
+  if (token) return sha256(`token:${token}`);
+
+  const params = req.body || {};
+  if (params.CallSid || params.MessageSid) return sha256(`signature:${req.headers['x-twilio-signature']}`);
+  return null;
+};
+
+/**
+ * Build the webhook guard. Options exist for tests; routes use validateTwilioWebhook.
+ */
+const createTwilioWebhookValidator = ({ mode = null, authToken = null, replayStore = TwilioWebhookRequest } = {}) => {
+  return async (req, res, next) => {
+    const activeMode = mode || getMode();
+    if (activeMode === 'off') return next();
+
+    const reject = (status, error, reason) => {
+      if (activeMode === 'log') {
+        console.warn(`⚠️ Twilio webhook ${req.method} ${req.originalUrl} ${reason} (log-only mode, allowing)`);
+        return next();
+      }
+      console.warn(`🚫 Rejected Twilio webhook ${req.method} ${req.originalUrl}: ${reason}`);
+      return res.status(status).json({ error });
+    };
+
+    const token = authToken || process.env.TWILIO_AUTH_TOKEN;
+    if (!token) {
+      return reject(500, 'Twilio webhook validation is not configured', 'cannot be verified without TWILIO_AUTH_TOKEN');
+    }
+
+    const check = verifySignature(req, token);
+    if (!check.valid) {
+      return reject(403, 'Invalid Twilio signature', check.reason);
+    }
+
+    const key = replayKey(req);
+    if (key) {
+      let isNew = true;
+      try {
+        if (Date.now() - lastPurgeAt > PURGE_INTERVAL_MS) {
+          lastPurgeAt = Date.now();
+          replayStore.purgeOlderThan(REPLAY_WINDOW_HOURS).catch(() => {});
+        }
+        isNew = await replayStore.claim(key, req.originalUrl);
+      } catch (error) {
+        // A signed request is still handled when the replay store is unavailable
+        console.error('❌ Twilio webhook replay check failed:', error.message);
+      }
+
+      if (!isNew) {
+        return reject(409, 'Duplicate webhook request', 'is a replay of an earlier request');
+      }
+
+      // Let Twilio's retry through if we failed to handle this delivery
+      res.on('finish', () => {
+        if (res.statusCode >= 500) replayStore.release(key).catch(() => {});
+      });
+    }
+
+    next();
+  };
+};
+
+const validateTwilioWebhook = createTwilioWebhookValidator();
+
+module.exports = {
+  validateTwilioWebhook,
+  createTwilioWebhookValidator,
+  candidateUrls,
+  REPLAY_WINDOW_HOURS
+};
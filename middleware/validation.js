@@ -148,6 +148,7 @@ const leadValidationSchema = {
     website: Joi.string().uri().max(255).allow(null, ""),
     contacted: Joi.boolean().default(false),
     city: Joi.string().max(255).allow(null, ""),
+    timezone: Joi.string().max(64).allow(null, ""),
   }),
 
   update: Joi.object({
@@ -161,6 +162,7 @@ const leadValidationSchema = {
     website: Joi.string().uri().max(255).allow(null, ""),
     contacted: Joi.boolean(),
     city: Joi.string().max(255).allow(null, ""),
+    timezone: Joi.string().max(64).allow(null, ""),
   }),
 };
 
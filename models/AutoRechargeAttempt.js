@@ -0,0 +1,88 @@
+const db = require('../config/database');
+
+class AutoRechargeAttempt {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.amount = parseFloat(data.amount);
+        this.balance_at_trigger = data.balance_at_trigger !== null && data.balance_at_trigger !== undefined
+            ? parseFloat(data.balance_at_trigger) : null;
+        this.status = data.status; // 'pending', 'succeeded', 'failed', 'requires_action'
+        this.stripe_payment_intent_id = data.stripe_payment_intent_id;
+        this.error_code = data.error_code;
+        this.error_message = data.error_message;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query('SELECT * FROM auto_recharge_attempts WHERE id = ?', [id]);
+            return rows.length > 0 ? new AutoRechargeAttempt(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding auto-recharge attempt:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, limit = 20) {
+        try {
+            const limitInt = parseInt(limit) || 20;
+            const rows = await db.query(
+                `SELECT * FROM auto_recharge_attempts WHERE user_id = ?
+                ORDER BY created_at DESC, id DESC LIMIT ${limitInt}`,
+                [userId]
+            );
+            return rows.map(row => new AutoRechargeAttempt(row));
+        } catch (error) {
+            console.error('Error finding auto-recharge attempts:', error);
+            throw error;
+        }
+    }
+
+    static async update(id, updateData) {
+        try {
+            const fields = [];
+            const values = [];
+
+            Object.keys(updateData).forEach(key => {
+                fields.push(`${key} = ?`);
+                values.push(this._sanitizeValue(updateData[key]));
+            });
+
+            values.push(id);
+            const result = await db.query(
+                `UPDATE auto_recharge_attempts SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                values
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating auto-recharge attempt:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Amount charged or in flight this calendar month (UTC), for the monthly cap
+     */
+    static async sumForMonth(userId, monthStart) {
+        try {
+            const rows = await db.query(
+                `SELECT COALESCE(SUM(amount), 0) as total FROM auto_recharge_attempts
+                WHERE user_id = ? AND status IN ('pending', 'succeeded') AND created_at >= ?`,
+                [userId, monthStart]
+            );
+            return parseFloat(rows[0].total || 0);
+        } catch (error) {
+            console.error('Error summing auto-recharge attempts:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AutoRechargeAttempt;
@@ -0,0 +1,117 @@
+const db = require('../config/database');
+
+const DEFAULT_SETTINGS = {
+    is_enabled: false,
+    threshold: 10.0,
+    recharge_amount: 25.0,
+    monthly_cap: 200.0
+};
+
+class AutoRechargeSetting {
+    constructor(data) {
+        this.id = data.id || null;
+        this.user_id = data.user_id;
+        this.is_enabled = !!data.is_enabled;
+        this.threshold = parseFloat(data.threshold);
+        this.recharge_amount = parseFloat(data.recharge_amount);
+        this.monthly_cap = parseFloat(data.monthly_cap);
+        this.stripe_payment_method_id = data.stripe_payment_method_id || null;
+        this.card_brand = data.card_brand || null;
+        this.card_last4 = data.card_last4 || null;
+        this.consecutive_failures = parseInt(data.consecutive_failures || 0, 10);
+        this.last_failure_message = data.last_failure_message || null;
+        this.disabled_reason = data.disabled_reason || null;
+        this.cap_notified_month = data.cap_notified_month || null;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * A user's settings; defaults (disabled) until they save their own
+     */
+    static async findByUserId(userId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM auto_recharge_settings WHERE user_id = ?',
+                [userId]
+            );
+            return new AutoRechargeSetting(rows.length > 0 ? rows[0] : { user_id: userId, ...DEFAULT_SETTINGS });
+        } catch (error) {
+            console.error('Error finding auto-recharge settings:', error);
+            throw error;
+        }
+    }
+
+    static async upsert(userId, data) {
+        try {
+            const current = await this.findByUserId(userId);
+            const merged = { ...current, ...data };
+            await db.query(
+                `INSERT INTO auto_recharge_settings
+                (user_id, is_enabled, threshold, recharge_amount, monthly_cap,
+                 stripe_payment_method_id, card_brand, card_last4, consecutive_failures, last_failure_message, disabled_reason)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    is_enabled = VALUES(is_enabled),
+                    threshold = VALUES(threshold),
+                    recharge_amount = VALUES(recharge_amount),
+                    monthly_cap = VALUES(monthly_cap),
+                    stripe_payment_method_id = VALUES(stripe_payment_method_id),
+                    card_brand = VALUES(card_brand),
+                    card_last4 = VALUES(card_last4),
+                    consecutive_failures = VALUES(consecutive_failures),
+                    last_failure_message = VALUES(last_failure_message),
+                    disabled_reason = VALUES(disabled_reason),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    userId,
+                    !!merged.is_enabled,
+                    merged.threshold,
+                    merged.recharge_amount,
+                    merged.monthly_cap,
+                    this._sanitizeValue(merged.stripe_payment_method_id),
+                    this._sanitizeValue(merged.card_brand),
+                    this._sanitizeValue(merged.card_last4),
+                    merged.consecutive_failures || 0,
+                    this._sanitizeValue(merged.last_failure_message),
+                    this._sanitizeValue(merged.disabled_reason)
+                ]
+            );
+            return this.findByUserId(userId);
+        } catch (error) {
+            console.error('Error saving auto-recharge settings:', error);
+            throw error;
+        }
+    }
+
+    static async update(userId, updateData) {
+        try {
+            const fields = [];
+            const values = [];
+
+            Object.keys(updateData).forEach(key => {
+                fields.push(`${key} = ?`);
+                values.push(this._sanitizeValue(updateData[key]));
+            });
+            if (fields.length === 0) return false;
+
+            values.push(userId);
+            const result = await db.query(
+                `UPDATE auto_recharge_settings SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?`,
+                values
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating auto-recharge settings:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AutoRechargeSetting;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
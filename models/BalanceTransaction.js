@@ -0,0 +1,241 @@
+const db = require('../config/database');
+
+const TRANSACTION_TYPES = [
+    'opening_balance', 'top_up', 'call_charge', 'sms_charge', 'number_fee', 'refund',
+    'free_minutes_used', 'free_minutes_grant', 'adjustment'
+];
+
+const toNumber = (value) => (value === undefined || value === null ? null : parseFloat(value));
+
+class BalanceTransaction {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.type = data.type;
+        this.counter_account = data.counter_account;
+        this.amount = toNumber(data.amount);
+        this.balance_before = toNumber(data.balance_before);
+        this.balance_after = toNumber(data.balance_after);
+        this.free_minutes_delta = parseInt(data.free_minutes_delta || 0, 10);
+        this.free_minutes_before = data.free_minutes_before;
+        this.free_minutes_after = data.free_minutes_after;
+        this.reference_type = data.reference_type;
+        this.reference_id = data.reference_id;
+        this.description = data.description;
+        this.created_at = data.created_at;
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Insert a ledger row. Must run on the connection holding the user's row lock
+     * (see BillingService.postTransaction) so before/after amounts stay consistent.
+     */
+    static async create(connection, entry) {
+        try {
+            const [result] = await connection.execute(
+                `INSERT INTO balance_transactions
+                (user_id, type, counter_account, amount, balance_before, balance_after,
+                 free_minutes_delta, free_minutes_before, free_minutes_after, reference_type, reference_id, description)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    entry.user_id,
+                    entry.type,
+                    entry.counter_account,
+                    entry.amount || 0,
+                    entry.balance_before,
+                    entry.balance_after,
+                    entry.free_minutes_delta || 0,
+                    this._sanitizeValue(entry.free_minutes_before),
+                    this._sanitizeValue(entry.free_minutes_after),
+                    this._sanitizeValue(entry.reference_type),
+                    entry.reference_id !== undefined && entry.reference_id !== null ? String(entry.reference_id) : null,
+                    this._sanitizeValue(entry.description)
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating balance transaction:', error);
+            throw error;
+        }
+    }
+
+    static _buildFilters(userId, { type = null, startDate = null, endDate = null } = {}) {
+        let where = 'WHERE user_id = ?';
+        const params = [userId];
+
+        if (type) {
+            where += ' AND type = ?';
+            params.push(type);
+        }
+        if (startDate) {
+            where += ' AND created_at >= ?';
+            params.push(startDate);
+        }
+        if (endDate) {
+            where += ' AND created_at < ?';
+            params.push(endDate);
+        }
+
+        return { where, params };
+    }
+
+    /**
+     * A user's ledger, newest first
+     */
+    static async findByUserId(userId, { page = 1, limit = 50, ...filters } = {}) {
+        try {
+            const { where, params } = this._buildFilters(userId, filters);
+
+            const limitInt = parseInt(limit);
+            const offset = (parseInt(page) - 1) * limitInt;
+
+            const rows = await db.query(
+                `SELECT * FROM balance_transactions ${where}
+                ORDER BY id DESC LIMIT ${limitInt} OFFSET ${offset}`,
+                params
+            );
+            const countRows = await db.query(
+                `SELECT COUNT(*) as total FROM balance_transactions ${where}`,
+                params
+            );
+
+            return {
+                transactions: rows.map(row => new BalanceTransaction(row)),
+                total: Number(countRows[0].total)
+            };
+        } catch (error) {
+            console.error('Error finding balance transactions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every matching ledger row, oldest first (CSV export and reconciliation)
+     */
+    static async findAllByUserId(userId, filters = {}) {
+        try {
+            const { where, params } = this._buildFilters(userId, filters);
+            const rows = await db.query(
+                `SELECT * FROM balance_transactions ${where} ORDER BY id ASC`,
+                params
+            );
+            return rows.map(row => new BalanceTransaction(row));
+        } catch (error) {
+            console.error('Error finding balance transactions for export:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ledger totals per user next to the stored balance; pass a userId for one user
+     */
+    static async summarizeByUser(userId = null) {
+        try {
+            const rows = await db.query(
+                `SELECT u.id as user_id, u.balance, u.free_minutes_remaining,
+                    COALESCE(SUM(bt.amount), 0) as ledger_balance,
+                    COALESCE(SUM(bt.free_minutes_delta), 0) as ledger_free_minutes,
+                    COUNT(bt.id) as entries
+                FROM users u
+                LEFT JOIN balance_transactions bt ON bt.user_id = u.id
+                ${userId ? 'WHERE u.id = ?' : ''}
+                GROUP BY u.id, u.balance, u.free_minutes_remaining
+                ORDER BY u.id ASC`,
+                userId ? [userId] : []
+            );
+            return rows.map(row => ({
+                user_id: row.user_id,
+                balance: toNumber(row.balance) || 0,
+                free_minutes_remaining: parseInt(row.free_minutes_remaining || 0, 10),
+                ledger_balance: toNumber(row.ledger_balance) || 0,
+                ledger_free_minutes: parseInt(row.ledger_free_minutes || 0, 10),
+                entries: Number(row.entries)
+            }));
+        } catch (error) {
+            console.error('Error summarizing balance transactions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Amount, free-minute and row totals per entry type for [start, end)
+     */
+    static async totalsByType(userId, start, end) {
+        try {
+            const rows = await db.query(
+                `SELECT type, COALESCE(SUM(amount), 0) as amount,
+                    COALESCE(SUM(free_minutes_delta), 0) as free_minutes_delta, COUNT(*) as entries
+                FROM balance_transactions
+                WHERE user_id = ? AND created_at >= ? AND created_at < ?
+                GROUP BY type`,
+                [userId, start, end]
+            );
+            const totals = {};
+            rows.forEach(row => {
+                totals[row.type] = {
+                    amount: toNumber(row.amount) || 0,
+                    free_minutes_delta: parseInt(row.free_minutes_delta || 0, 10),
+                    entries: Number(row.entries)
+                };
+            });
+            return totals;
+        } catch (error) {
+            console.error('Error totalling balance transactions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * What the user has been charged (calls, texts, number fees) since a point in time, as a positive amount
+     */
+    static async sumChargesSince(userId, since) {
+        try {
+            const rows = await db.query(
+                `SELECT COALESCE(SUM(-amount), 0) as total FROM balance_transactions
+                WHERE user_id = ? AND type IN ('call_charge', 'sms_charge', 'number_fee') AND created_at >= ?`,
+                [userId, since]
+            );
+            return toNumber(rows[0].total) || 0;
+        } catch (error) {
+            console.error('Error summing charges:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The user's balance just before a point in time (0 before their first entry)
+     */
+    static async balanceAt(userId, date) {
+        try {
+            const rows = await db.query(
+                `SELECT balance_after FROM balance_transactions
+                WHERE user_id = ? AND created_at < ? ORDER BY id DESC LIMIT 1`,
+                [userId, date]
+            );
+            return rows.length > 0 ? toNumber(rows[0].balance_after) : 0;
+        } catch (error) {
+            console.error('Error finding balance at date:', error);
+            throw error;
+        }
+    }
+
+    static async findByReference(referenceType, referenceId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM balance_transactions WHERE reference_type = ? AND reference_id = ? ORDER BY id ASC',
+                [referenceType, String(referenceId)]
+            );
+            return rows.map(row => new BalanceTransaction(row));
+        } catch (error) {
+            console.error('Error finding balance transactions by reference:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = BalanceTransaction;
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
@@ -0,0 +1,153 @@
+const db = require('../config/database');
+
+const DEFAULT_CALLING_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+
+class CallCampaign {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.name = data.name;
+        this.status = data.status; // 'active', 'paused', 'completed'
+        this.lead_filter = CallCampaign._parseJson(data.lead_filter) || {};
+        this.phone_number_id = data.phone_number_id;
+        this.timezone = data.timezone;
+        this.calling_window_start = data.calling_window_start;
+        this.calling_window_end = data.calling_window_end;
+        this.calling_days = CallCampaign._parseJson(data.calling_days) || DEFAULT_CALLING_DAYS;
+        this.max_attempts = data.max_attempts;
+        this.retry_delay_minutes = data.retry_delay_minutes;
+        this.completed_at = data.completed_at;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    static async create(data) {
+        try {
+            const result = await db.query(
+                `INSERT INTO call_campaigns
+                (user_id, name, lead_filter, phone_number_id, timezone, calling_window_start, calling_window_end,
+                 calling_days, max_attempts, retry_delay_minutes)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    data.user_id,
+                    data.name,
+                    JSON.stringify(data.lead_filter || {}),
+                    this._sanitizeValue(data.phone_number_id),
+                    data.timezone,
+                    data.calling_window_start,
+                    data.calling_window_end,
+                    JSON.stringify(data.calling_days || DEFAULT_CALLING_DAYS),
+                    data.max_attempts,
+                    data.retry_delay_minutes
+                ]
+            );
+            return this.findById(result.insertId, data.user_id);
+        } catch (error) {
+            console.error('Error creating call campaign:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id, userId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM call_campaigns WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return rows.length > 0 ? new CallCampaign(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding call campaign:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, status = null) {
+        try {
+            let sql = 'SELECT * FROM call_campaigns WHERE user_id = ?';
+            const params = [userId];
+            if (status) {
+                sql += ' AND status = ?';
+                params.push(status);
+            }
+            sql += ' ORDER BY created_at DESC';
+            const rows = await db.query(sql, params);
+            return rows.map(row => new CallCampaign(row));
+        } catch (error) {
+            console.error('Error finding call campaigns:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update settings; only name, caller ID and calling-window fields can change after creation
+     */
+    static async update(id, userId, data) {
+        try {
+            const allowed = ['name', 'phone_number_id', 'timezone', 'calling_window_start', 'calling_window_end',
+                'calling_days', 'max_attempts', 'retry_delay_minutes'];
+            const fields = [];
+            const values = [];
+            allowed.forEach(key => {
+                if (data[key] !== undefined) {
+                    fields.push(`${key} = ?`);
+                    values.push(key === 'calling_days' ? JSON.stringify(data[key]) : data[key]);
+                }
+            });
+            if (fields.length === 0) return this.findById(id, userId);
+
+            values.push(id, userId);
+            await db.query(
+                `UPDATE call_campaigns SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
+                values
+            );
+            return this.findById(id, userId);
+        } catch (error) {
+            console.error('Error updating call campaign:', error);
+            throw error;
+        }
+    }
+
+    static async setStatus(id, status) {
+        try {
+            await db.query(
+                `UPDATE call_campaigns
+                SET status = ?, completed_at = ${status === 'completed' ? 'CURRENT_TIMESTAMP' : 'NULL'}
+                WHERE id = ?`,
+                [status, id]
+            );
+        } catch (error) {
+            console.error('Error updating call campaign status:', error);
+            throw error;
+        }
+    }
+
+    static async delete(id, userId) {
+        try {
+            const result = await db.query(
+                'DELETE FROM call_campaigns WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting call campaign:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CallCampaign;
+module.exports.DEFAULT_CALLING_DAYS = DEFAULT_CALLING_DAYS;
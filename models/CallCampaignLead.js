@@ -0,0 +1,299 @@
+const db = require('../config/database');
+
+const LEAD_COLUMNS = `l.name AS lead_name, l.phone AS lead_phone, l.email AS lead_email, l.company AS lead_company,
+    l.city AS lead_city, l.timezone AS lead_timezone, l.status AS lead_status`;
+
+class CallCampaignLead {
+    constructor(data) {
+        this.id = data.id;
+        this.campaign_id = data.campaign_id;
+        this.lead_id = data.lead_id;
+        this.status = data.status; // 'pending', 'dialing', 'completed', 'skipped'
+        this.attempts = data.attempts;
+        this.last_attempt_at = data.last_attempt_at;
+        this.next_attempt_at = data.next_attempt_at;
+        this.disposition = data.disposition;
+        this.skip_reason = data.skip_reason;
+        this.call_sid = data.call_sid;
+        this.call_log_id = data.call_log_id;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+
+        if (data.lead_phone !== undefined) {
+            this.lead = {
+                id: data.lead_id,
+                name: data.lead_name,
+                phone: data.lead_phone,
+                email: data.lead_email,
+                company: data.lead_company,
+                city: data.lead_city,
+                timezone: data.lead_timezone,
+                status: data.lead_status
+            };
+        }
+    }
+
+    /**
+     * Queue every lead matching the campaign's filter. Leads already queued are left alone.
+     * Returns how many were added.
+     */
+    static async enqueueMatchingLeads(campaignId, userId, filter = {}) {
+        try {
+            let sql = `INSERT IGNORE INTO call_campaign_leads (campaign_id, lead_id)
+                SELECT ?, id FROM leads
+                WHERE user_id = ? AND phone IS NOT NULL AND phone <> ''`;
+            const params = [campaignId, userId];
+
+            if (filter.status) {
+                sql += ' AND status = ?';
+                params.push(filter.status);
+            }
+            if (filter.city) {
+                sql += ' AND city = ?';
+                params.push(filter.city);
+            }
+            if (filter.not_contacted) {
+                sql += ' AND (contacted = 0 OR contacted IS NULL)';
+            }
+            sql += ' ORDER BY created_at ASC';
+
+            const result = await db.query(sql, params);
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error queueing campaign leads:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query(
+                `SELECT ccl.*, ${LEAD_COLUMNS}
+                FROM call_campaign_leads ccl
+                JOIN leads l ON l.id = ccl.lead_id
+                WHERE ccl.id = ?`,
+                [id]
+            );
+            return rows.length > 0 ? new CallCampaignLead(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding campaign lead:', error);
+            throw error;
+        }
+    }
+
+    static async findByCampaignAndLead(campaignId, leadId) {
+        try {
+            const rows = await db.query(
+                `SELECT ccl.*, ${LEAD_COLUMNS}
+                FROM call_campaign_leads ccl
+                JOIN leads l ON l.id = ccl.lead_id
+                WHERE ccl.campaign_id = ? AND ccl.lead_id = ?`,
+                [campaignId, leadId]
+            );
+            return rows.length > 0 ? new CallCampaignLead(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding campaign lead:', error);
+            throw error;
+        }
+    }
+
+    static async findByCampaignId(campaignId, { status = null, page = 1, limit = 50 } = {}) {
+        try {
+            const limitInt = parseInt(limit) || 50;
+            const offsetInt = ((parseInt(page) || 1) - 1) * limitInt;
+            let where = 'WHERE ccl.campaign_id = ?';
+            const params = [campaignId];
+            if (status) {
+                where += ' AND ccl.status = ?';
+                params.push(status);
+            }
+
+            const rows = await db.query(
+                `SELECT ccl.*, ${LEAD_COLUMNS}
+                FROM call_campaign_leads ccl
+                JOIN leads l ON l.id = ccl.lead_id
+                ${where}
+                ORDER BY ccl.id ASC LIMIT ${limitInt} OFFSET ${offsetInt}`,
+                params
+            );
+            const [{ total }] = await db.query(
+                `SELECT COUNT(*) as total FROM call_campaign_leads ccl ${where}`,
+                params
+            );
+            return { entries: rows.map(row => new CallCampaignLead(row)), total };
+        } catch (error) {
+            console.error('Error finding campaign leads:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pending leads that are due to be called, retries first, a page at a time
+     */
+    static async findDue(campaignId, limit = 100, offset = 0) {
+        try {
+            const limitInt = parseInt(limit) || 100;
+            const offsetInt = parseInt(offset) || 0;
+            const rows = await db.query(
+                `SELECT ccl.*, ${LEAD_COLUMNS}
+                FROM call_campaign_leads ccl
+                JOIN leads l ON l.id = ccl.lead_id
+                WHERE ccl.campaign_id = ? AND ccl.status = 'pending'
+                  AND (ccl.next_attempt_at IS NULL OR ccl.next_attempt_at <= NOW())
+                ORDER BY COALESCE(ccl.next_attempt_at, ccl.created_at) ASC, ccl.id ASC
+                LIMIT ${limitInt} OFFSET ${offsetInt}`,
+                [campaignId]
+            );
+            return rows.map(row => new CallCampaignLead(row));
+        } catch (error) {
+            console.error('Error finding due campaign leads:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Earliest retry time among pending leads that are not yet due
+     */
+    static async nextRetryAt(campaignId) {
+        try {
+            const rows = await db.query(
+                `SELECT MIN(next_attempt_at) as next_attempt_at FROM call_campaign_leads
+                WHERE campaign_id = ? AND status = 'pending' AND next_attempt_at > NOW()`,
+                [campaignId]
+            );
+            return rows[0].next_attempt_at || null;
+        } catch (error) {
+            console.error('Error finding next campaign retry:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put leads left 'dialing' longer than the timeout (closed tab, lost disposition) back in the queue
+     */
+    static async releaseStale(campaignId, minutes) {
+        try {
+            const minutesInt = parseInt(minutes) || 30;
+            const result = await db.query(
+                `UPDATE call_campaign_leads SET status = 'pending'
+                WHERE campaign_id = ? AND status = 'dialing'
+                  AND last_attempt_at < NOW() - INTERVAL ${minutesInt} MINUTE`,
+                [campaignId]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error releasing stale campaign leads:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Atomically hand a pending lead to the dialer; false if another request took it first
+     */
+    static async claim(id) {
+        try {
+            const result = await db.query(
+                `UPDATE call_campaign_leads
+                SET status = 'dialing', attempts = attempts + 1, last_attempt_at = NOW(), call_sid = NULL
+                WHERE id = ? AND status = 'pending'`,
+                [id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error claiming campaign lead:', error);
+            throw error;
+        }
+    }
+
+    static async markSkipped(id, reason) {
+        try {
+            await db.query(
+                `UPDATE call_campaign_leads SET status = 'skipped', skip_reason = ? WHERE id = ?`,
+                [reason, id]
+            );
+        } catch (error) {
+            console.error('Error skipping campaign lead:', error);
+            throw error;
+        }
+    }
+
+    static async setCallSid(id, callSid) {
+        try {
+            await db.query('UPDATE call_campaign_leads SET call_sid = ? WHERE id = ?', [callSid, id]);
+        } catch (error) {
+            console.error('Error linking call to campaign lead:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the outcome of an attempt: 'pending' with a retry time, or 'completed'
+     */
+    static async recordDisposition(id, { status, disposition, nextAttemptAt = null, callSid = null, callLogId = null }) {
+        try {
+            await db.query(
+                `UPDATE call_campaign_leads
+                SET status = ?, disposition = ?, next_attempt_at = ?, call_sid = COALESCE(?, call_sid), call_log_id = ?
+                WHERE id = ?`,
+                [status, disposition, nextAttemptAt, callSid, callLogId, id]
+            );
+        } catch (error) {
+            console.error('Error recording campaign disposition:', error);
+            throw error;
+        }
+    }
+
+    static async countOpen(campaignId) {
+        try {
+            const rows = await db.query(
+                `SELECT COUNT(*) as open_count FROM call_campaign_leads
+                WHERE campaign_id = ? AND status IN ('pending', 'dialing')`,
+                [campaignId]
+            );
+            return rows[0].open_count;
+        } catch (error) {
+            console.error('Error counting open campaign leads:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Queue counts by status and disposition, plus total dial attempts
+     */
+    static async getStats(campaignId) {
+        try {
+            const [byStatus, byDisposition, totals] = await Promise.all([
+                db.query(
+                    `SELECT status, COUNT(*) as count FROM call_campaign_leads
+                    WHERE campaign_id = ? GROUP BY status`,
+                    [campaignId]
+                ),
+                db.query(
+                    `SELECT disposition, COUNT(*) as count FROM call_campaign_leads
+                    WHERE campaign_id = ? AND disposition IS NOT NULL GROUP BY disposition`,
+                    [campaignId]
+                ),
+                db.query(
+                    `SELECT COUNT(*) as total, COALESCE(SUM(attempts), 0) as attempts,
+                        SUM(attempts > 0) as dialed
+                    FROM call_campaign_leads WHERE campaign_id = ?`,
+                    [campaignId]
+                )
+            ]);
+
+            const toCounts = (rows, key) => rows.reduce((acc, row) => ({ ...acc, [row[key]]: Number(row.count) }), {});
+            return {
+                total: Number(totals[0].total),
+                dialed: Number(totals[0].dialed || 0),
+                attempts: Number(totals[0].attempts),
+                byStatus: toCounts(byStatus, 'status'),
+                byDisposition: toCounts(byDisposition, 'disposition')
+            };
+        } catch (error) {
+            console.error('Error getting campaign stats:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CallCampaignLead;
@@ -9,23 +9,54 @@ class CallForwarding {
         this.is_active = data.is_active;
         this.forwarding_type = data.forwarding_type; // 'always', 'busy', 'no_answer', 'unavailable'
         this.ring_timeout = data.ring_timeout; // seconds before forwarding
+        this.priority = data.priority !== undefined ? data.priority : 1000; // position among routing rules
         this.created_at = data.created_at;
         this.updated_at = data.updated_at;
     }
 
+    // Dial outcomes that fall through to the next routing rule, per forwarding type
+    static get CONTINUE_ON_BY_TYPE() {
+        return {
+            always: ['busy', 'no-answer', 'failed'],
+            busy: ['busy'],
+            no_answer: ['no-answer'],
+            unavailable: ['failed']
+        };
+    }
+
+    // Express this forwarding setting as a 'forward' rule for CallRoutingService
+    toRoutingRule() {
+        return {
+            id: `forwarding-${this.id}`,
+            user_id: this.user_id,
+            phone_number_id: this.phone_number_id,
+            name: 'Call forwarding',
+            priority: this.priority,
+            is_active: !!this.is_active,
+            conditions: {},
+            action_type: 'forward',
+            action_config: {
+                targets: [this.forward_to_number],
+                ring_timeout: this.ring_timeout,
+                continue_on: CallForwarding.CONTINUE_ON_BY_TYPE[this.forwarding_type] || CallForwarding.CONTINUE_ON_BY_TYPE.always
+            }
+        };
+    }
+
     static async create(forwardingData) {
         try {
             const result = await db.query(
                 `INSERT INTO call_forwarding 
-                (user_id, phone_number_id, forward_to_number, is_active, forwarding_type, ring_timeout) 
-                VALUES (?, ?, ?, ?, ?, ?)`,
+                (user_id, phone_number_id, forward_to_number, is_active, forwarding_type, ring_timeout, priority) 
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
                 [
                     forwardingData.user_id,
                     forwardingData.phone_number_id,
                     forwardingData.forward_to_number,
                     forwardingData.is_active !== undefined ? forwardingData.is_active : true,
                     forwardingData.forwarding_type || 'always',
-                    forwardingData.ring_timeout || 20
+                    forwardingData.ring_timeout || 20,
+                    forwardingData.priority !== undefined ? forwardingData.priority : 1000
                 ]
             );
             return result.insertId;
@@ -1,17 +1,50 @@
 const db = require("../config/database");
 
+// Follow-up outcomes and how far out each schedules the next call
+const FOLLOW_UP_DELAYS = {
+  follow_up_1_day: { days: 1 },
+  follow_up_72_hours: { days: 3 },
+  follow_up_next_week: { days: 7 },
+  follow_up_next_month: { months: 1 },
+  follow_up_3_months: { months: 3 },
+};
+
+const CALL_OUTCOMES = [
+  ...Object.keys(FOLLOW_UP_DELAYS),
+  "no_answer",
+  "left_voicemail",
+  "interested",
+  "not_interested",
+  "wrong_number",
+  "do_not_call",
+];
+
 class CallLog {
   constructor(data = {}) {
     this.id = data.id;
     this.user_id = data.user_id;
     this.lead_id = data.lead_id;
-    this.outcome = data.outcome; // 'follow_up_1_day', 'follow_up_72_hours', 'follow_up_next_week', 'follow_up_next_month', 'follow_up_3_months'
+    this.call_sid = data.call_sid; // Twilio call this outcome records, if any
+    this.outcome = data.outcome; // see CALL_OUTCOMES
     this.notes = data.notes;
     this.next_follow_up = data.next_follow_up;
+    this.duration = data.duration;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
 
+  /**
+   * Default next_follow_up for a follow-up outcome, or null for other outcomes
+   */
+  static followUpFor(outcome, from = new Date()) {
+    const delay = FOLLOW_UP_DELAYS[outcome];
+    if (!delay) return null;
+    const date = new Date(from);
+    if (delay.days) date.setDate(date.getDate() + delay.days);
+    if (delay.months) date.setMonth(date.getMonth() + delay.months);
+    return date;
+  }
+
   static async findByUserId(userId, options = {}) {
     const { page = 1, limit = 20, status } = options;
     const offset = (page - 1) * limit;
@@ -71,16 +104,18 @@ class CallLog {
     
     const sql = `
       INSERT INTO call_logs (
-        lead_id, outcome, notes, next_follow_up, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?)
+        lead_id, call_sid, outcome, notes, next_follow_up, duration, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const toNull = (v) => (v === undefined ? null : v);
     const params = [
       toNull(data.lead_id),
+      data.call_sid || null,
       toNull(data.outcome),
       toNull(data.notes),
       toNull(nextFollowUp),
+      parseInt(data.duration, 10) || 0,
       now,
       now
     ];
@@ -106,7 +141,7 @@ class CallLog {
     
     const sql = `
       UPDATE call_logs SET 
-        outcome = ?, notes = ?, next_follow_up = ?, updated_at = ?
+        outcome = ?, notes = ?, next_follow_up = ?, call_sid = ?, duration = ?, updated_at = ?
       WHERE id = ?
     `;
     
@@ -114,6 +149,8 @@ class CallLog {
       data.outcome || this.outcome,
       data.notes || this.notes,
       nextFollowUp,
+      data.call_sid !== undefined ? data.call_sid || null : this.call_sid || null,
+      data.duration !== undefined && data.duration !== null ? parseInt(data.duration, 10) || 0 : this.duration || 0,
       now,
       this.id
     ];
@@ -127,18 +164,27 @@ class CallLog {
     await db.query(sql, [this.id]);
   }
 
-  static async getUpcomingFollowUps(limit = 10) {
+  /**
+   * The user's upcoming follow-ups, soonest first, with the lead's contact details
+   */
+  static async getUpcomingFollowUps(userId, limit = 10) {
+    const limitInt = parseInt(limit) || 10;
     const sql = `
-      SELECT cl.*, l.name as lead_name, l.email as lead_email
+      SELECT cl.*, l.name as lead_name, l.email as lead_email, l.phone as lead_phone
       FROM call_logs cl
-      LEFT JOIN leads l ON cl.lead_id = l.id
-      WHERE cl.next_follow_up IS NOT NULL 
+      JOIN leads l ON cl.lead_id = l.id
+      WHERE l.user_id = ?
+        AND cl.next_follow_up IS NOT NULL 
         AND cl.next_follow_up >= NOW()
       ORDER BY cl.next_follow_up ASC
-      LIMIT ?
+      LIMIT ${limitInt}
     `;
-    const results = await db.query(sql, [limit]);
-    return results.map(row => new CallLog(row));
+    const results = await db.query(sql, [userId]);
+    return results.map(row => {
+      const callLog = new CallLog(row);
+      callLog.lead = { id: row.lead_id, name: row.lead_name, email: row.lead_email, phone: row.lead_phone };
+      return callLog;
+    });
   }
 
   static async getCallStats(userId) {
@@ -153,4 +199,5 @@ class CallLog {
   }
 }
 
-module.exports = CallLog; 
\ No newline at end of file
+module.exports = CallLog;
+module.exports.CALL_OUTCOMES = CALL_OUTCOMES;
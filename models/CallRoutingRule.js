@@ -0,0 +1,161 @@
+const db = require('../config/database');
+
+class CallRoutingRule {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.phone_number_id = data.phone_number_id;
+        this.name = data.name;
+        this.priority = data.priority;
+        this.is_active = data.is_active !== undefined ? !!data.is_active : true;
+        this.conditions = CallRoutingRule._parseJson(data.conditions);
+        this.action_type = data.action_type; // 'forward', 'simultaneous', 'sequential', 'voicemail', 'hangup'
+        this.action_config = CallRoutingRule._parseJson(data.action_config);
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    // mysql2 returns JSON columns already parsed, but older rows may hold strings
+    static _parseJson(value) {
+        if (!value) return {};
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    static async create(ruleData) {
+        try {
+            const result = await db.query(
+                `INSERT INTO call_routing_rules
+                (user_id, phone_number_id, name, priority, is_active, conditions, action_type, action_config)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    ruleData.user_id,
+                    ruleData.phone_number_id,
+                    this._sanitizeValue(ruleData.name),
+                    ruleData.priority !== undefined ? ruleData.priority : 100,
+                    ruleData.is_active !== undefined ? ruleData.is_active : true,
+                    JSON.stringify(ruleData.conditions || {}),
+                    ruleData.action_type,
+                    JSON.stringify(ruleData.action_config || {})
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating call routing rule:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM call_routing_rules WHERE id = ?',
+                [id]
+            );
+            return rows.length > 0 ? new CallRoutingRule(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding call routing rule by ID:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, phoneNumberId = null) {
+        try {
+            let query = `SELECT crr.*, upn.phone_number as source_number, upn.friendly_name
+                FROM call_routing_rules crr
+                JOIN user_phone_numbers upn ON crr.phone_number_id = upn.id
+                WHERE crr.user_id = ?`;
+            const params = [userId];
+
+            if (phoneNumberId) {
+                query += ' AND crr.phone_number_id = ?';
+                params.push(phoneNumberId);
+            }
+
+            query += ' ORDER BY crr.phone_number_id, crr.priority ASC, crr.id ASC';
+
+            const rows = await db.query(query, params);
+            return rows.map(row => {
+                const rule = new CallRoutingRule(row);
+                rule.source_number = row.source_number;
+                rule.friendly_name = row.friendly_name;
+                return rule;
+            });
+        } catch (error) {
+            console.error('Error finding call routing rules by user ID:', error);
+            throw error;
+        }
+    }
+
+    static async findActiveByPhoneNumberId(phoneNumberId) {
+        try {
+            if (!phoneNumberId) {
+                console.log('⚠️ findActiveByPhoneNumberId called with null/undefined phoneNumberId');
+                return [];
+            }
+
+            const rows = await db.query(
+                `SELECT * FROM call_routing_rules
+                WHERE phone_number_id = ? AND is_active = true
+                ORDER BY priority ASC, id ASC`,
+                [phoneNumberId]
+            );
+            return rows.map(row => new CallRoutingRule(row));
+        } catch (error) {
+            console.error('Error finding active call routing rules:', error);
+            throw error;
+        }
+    }
+
+    static async update(id, updateData) {
+        try {
+            const fields = [];
+            const values = [];
+
+            Object.keys(updateData).forEach(key => {
+                fields.push(`${key} = ?`);
+                if (key === 'conditions' || key === 'action_config') {
+                    values.push(JSON.stringify(updateData[key] || {}));
+                } else {
+                    values.push(this._sanitizeValue(updateData[key]));
+                }
+            });
+
+            fields.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(id);
+
+            const result = await db.query(
+                `UPDATE call_routing_rules SET ${fields.join(', ')} WHERE id = ?`,
+                values
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating call routing rule:', error);
+            throw error;
+        }
+    }
+
+    static async delete(id) {
+        try {
+            const result = await db.query(
+                'DELETE FROM call_routing_rules WHERE id = ?',
+                [id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting call routing rule:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CallRoutingRule;
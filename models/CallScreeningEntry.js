@@ -0,0 +1,117 @@
+const db = require('../config/database');
+
+class CallScreeningEntry {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.phone_number_id = data.phone_number_id; // null = all of the user's numbers
+        this.number = data.number;
+        this.list_type = data.list_type; // 'block' or 'allow'
+        this.source = data.source || 'manual'; // 'manual' or 'auto'
+        this.reason = data.reason;
+        this.created_at = data.created_at;
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    static async create(entryData) {
+        try {
+            const result = await db.query(
+                `INSERT INTO call_screening_entries (user_id, phone_number_id, number, list_type, source, reason)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    entryData.user_id,
+                    this._sanitizeValue(entryData.phone_number_id),
+                    entryData.number,
+                    entryData.list_type,
+                    entryData.source || 'manual',
+                    this._sanitizeValue(entryData.reason)
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating call screening entry:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM call_screening_entries WHERE id = ?',
+                [id]
+            );
+            return rows.length > 0 ? new CallScreeningEntry(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding call screening entry by ID:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, { phoneNumberId = null, listType = null } = {}) {
+        try {
+            let query = `SELECT cse.*, upn.phone_number as tracking_number, upn.friendly_name
+                FROM call_screening_entries cse
+                LEFT JOIN user_phone_numbers upn ON cse.phone_number_id = upn.id
+                WHERE cse.user_id = ?`;
+            const params = [userId];
+
+            if (phoneNumberId) {
+                query += ' AND cse.phone_number_id = ?';
+                params.push(phoneNumberId);
+            }
+            if (listType) {
+                query += ' AND cse.list_type = ?';
+                params.push(listType);
+            }
+
+            query += ' ORDER BY cse.created_at DESC';
+
+            const rows = await db.query(query, params);
+            return rows.map(row => {
+                const entry = new CallScreeningEntry(row);
+                entry.tracking_number = row.tracking_number;
+                entry.friendly_name = row.friendly_name;
+                return entry;
+            });
+        } catch (error) {
+            console.error('Error finding call screening entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Entries that apply to a caller on a number: the number's own plus user-wide ones
+     */
+    static async findMatching(userId, phoneNumberId, number) {
+        try {
+            const rows = await db.query(
+                `SELECT * FROM call_screening_entries
+                WHERE user_id = ? AND number = ? AND (phone_number_id = ? OR phone_number_id IS NULL)`,
+                [userId, number, phoneNumberId]
+            );
+            return rows.map(row => new CallScreeningEntry(row));
+        } catch (error) {
+            console.error('Error finding matching call screening entries:', error);
+            throw error;
+        }
+    }
+
+    static async delete(id) {
+        try {
+            const result = await db.query(
+                'DELETE FROM call_screening_entries WHERE id = ?',
+                [id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting call screening entry:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CallScreeningEntry;
@@ -0,0 +1,160 @@
+const db = require('../config/database');
+
+class CallTranscript {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.call_log_id = data.call_log_id;
+        this.call_sid = data.call_sid;
+        this.recording_sid = data.recording_sid;
+        this.provider = data.provider;
+        this.status = data.status; // 'pending', 'processing', 'completed', 'failed'
+        this.caller_transcript = data.caller_transcript;
+        this.agent_transcript = data.agent_transcript;
+        this.full_text = data.full_text;
+        this.matched_keywords = CallTranscript._parseJson(data.matched_keywords);
+        this.keyword_hits = CallTranscript._parseJson(data.keyword_hits);
+        this.error_message = data.error_message;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return [];
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Start (or restart) a transcript for a call; clears any previous result
+     */
+    static async start({ user_id, call_log_id, call_sid, recording_sid, provider }) {
+        try {
+            await db.query(
+                `INSERT INTO call_transcripts (user_id, call_log_id, call_sid, recording_sid, provider, status)
+                VALUES (?, ?, ?, ?, ?, 'processing')
+                ON DUPLICATE KEY UPDATE
+                    recording_sid = VALUES(recording_sid),
+                    provider = VALUES(provider),
+                    status = 'processing',
+                    caller_transcript = NULL,
+                    agent_transcript = NULL,
+                    full_text = NULL,
+                    matched_keywords = NULL,
+                    keyword_hits = NULL,
+                    error_message = NULL,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [user_id, this._sanitizeValue(call_log_id), call_sid, recording_sid, provider]
+            );
+            return this.findByCallSid(call_sid);
+        } catch (error) {
+            console.error('Error starting call transcript:', error);
+            throw error;
+        }
+    }
+
+    static async complete(callSid, { caller_transcript, agent_transcript, full_text, matched_keywords, keyword_hits }) {
+        try {
+            const result = await db.query(
+                `UPDATE call_transcripts
+                SET status = 'completed', caller_transcript = ?, agent_transcript = ?, full_text = ?,
+                    matched_keywords = ?, keyword_hits = ?, error_message = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE call_sid = ?`,
+                [
+                    this._sanitizeValue(caller_transcript),
+                    this._sanitizeValue(agent_transcript),
+                    this._sanitizeValue(full_text),
+                    JSON.stringify(matched_keywords || []),
+                    JSON.stringify(keyword_hits || []),
+                    callSid
+                ]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error completing call transcript:', error);
+            throw error;
+        }
+    }
+
+    static async fail(callSid, errorMessage) {
+        try {
+            const result = await db.query(
+                `UPDATE call_transcripts SET status = 'failed', error_message = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE call_sid = ?`,
+                [String(errorMessage || 'Unknown error').slice(0, 500), callSid]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error marking call transcript failed:', error);
+            throw error;
+        }
+    }
+
+    static async findByCallSid(callSid) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM call_transcripts WHERE call_sid = ?',
+                [callSid]
+            );
+            return rows.length > 0 ? new CallTranscript(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding call transcript by call SID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Search a user's completed transcripts by free text and/or flagged keyword
+     */
+    static async search(userId, { q = null, keyword = null, page = 1, limit = 20 } = {}) {
+        try {
+            let query = `SELECT ct.*, tcl.from_number, tcl.to_number, tcl.duration, tcl.direction,
+                    tcl.recording_duration, tcl.created_at as call_created_at
+                FROM call_transcripts ct
+                LEFT JOIN twilio_call_logs tcl ON ct.call_log_id = tcl.id
+                WHERE ct.user_id = ? AND ct.status = 'completed'`;
+            const params = [userId];
+
+            if (q) {
+                query += ' AND ct.full_text LIKE ?';
+                params.push(`%${q}%`);
+            }
+            if (keyword) {
+                query += ' AND JSON_CONTAINS(ct.matched_keywords, ?)';
+                params.push(JSON.stringify(String(keyword).toLowerCase()));
+            }
+
+            const limitInt = parseInt(limit);
+            const offset = (parseInt(page) - 1) * limitInt;
+            query += ` ORDER BY ct.created_at DESC LIMIT ${limitInt} OFFSET ${offset}`;
+
+            const rows = await db.query(query, params);
+            return rows.map(row => {
+                const transcript = new CallTranscript(row);
+                transcript.call = {
+                    from_number: row.from_number,
+                    to_number: row.to_number,
+                    direction: row.direction,
+                    duration: row.duration,
+                    recording_duration: row.recording_duration,
+                    created_at: row.call_created_at
+                };
+                return transcript;
+            });
+        } catch (error) {
+            console.error('Error searching call transcripts:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CallTranscript;
@@ -0,0 +1,83 @@
+const db = require('../config/database');
+
+class ClientBillingRule {
+    constructor(data = {}) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.client_id = data.client_id;
+        this.rate_type = data.rate_type || 'per_lead'; // 'per_lead' or 'flat'
+        this.per_lead_rate = parseFloat(data.per_lead_rate || 0);
+        this.flat_rate = parseFloat(data.flat_rate || 0);
+        this.min_duration_seconds = data.min_duration_seconds !== undefined && data.min_duration_seconds !== null
+            ? parseInt(data.min_duration_seconds, 10)
+            : 30;
+        this.first_time_callers_only = !!data.first_time_callers_only;
+        this.blocked_numbers = ClientBillingRule._parseJson(data.blocked_numbers);
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return [];
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Rules for a client; falls back to defaults when none have been saved yet
+     */
+    static async findByClientId(clientId, userId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM client_billing_rules WHERE client_id = ? AND user_id = ?',
+                [clientId, userId]
+            );
+            return rows.length > 0
+                ? new ClientBillingRule(rows[0])
+                : new ClientBillingRule({ client_id: Number(clientId), user_id: userId });
+        } catch (error) {
+            console.error('Error finding client billing rules:', error);
+            throw error;
+        }
+    }
+
+    static async upsert(clientId, userId, ruleData) {
+        try {
+            const rule = new ClientBillingRule({ ...ruleData, client_id: clientId, user_id: userId });
+            await db.query(
+                `INSERT INTO client_billing_rules
+                (user_id, client_id, rate_type, per_lead_rate, flat_rate, min_duration_seconds,
+                first_time_callers_only, blocked_numbers)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    rate_type = VALUES(rate_type),
+                    per_lead_rate = VALUES(per_lead_rate),
+                    flat_rate = VALUES(flat_rate),
+                    min_duration_seconds = VALUES(min_duration_seconds),
+                    first_time_callers_only = VALUES(first_time_callers_only),
+                    blocked_numbers = VALUES(blocked_numbers),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    userId,
+                    clientId,
+                    rule.rate_type,
+                    rule.per_lead_rate,
+                    rule.flat_rate,
+                    rule.min_duration_seconds,
+                    rule.first_time_callers_only ? 1 : 0,
+                    JSON.stringify(rule.blocked_numbers)
+                ]
+            );
+            return this.findByClientId(clientId, userId);
+        } catch (error) {
+            console.error('Error saving client billing rules:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ClientBillingRule;
@@ -0,0 +1,94 @@
+const db = require('../config/database');
+
+class DoNotCallNumber {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.phone_number = data.phone_number;
+        this.phone_digits = data.phone_digits;
+        this.reason = data.reason;
+        this.lead_id = data.lead_id;
+        this.created_at = data.created_at;
+    }
+
+    /**
+     * Last 10 digits of a phone number, the form numbers are matched on regardless of formatting
+     */
+    static toDigits(phone) {
+        const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+        return digits.length >= 7 ? digits : null;
+    }
+
+    /**
+     * Add a number to the user's list; adding it again keeps the original entry
+     */
+    static async add(userId, phone, { reason = null, leadId = null } = {}) {
+        try {
+            const digits = this.toDigits(phone);
+            if (!digits) throw new Error(`Invalid phone number: ${phone}`);
+
+            await db.query(
+                `INSERT IGNORE INTO do_not_call_numbers (user_id, phone_number, phone_digits, reason, lead_id)
+                VALUES (?, ?, ?, ?, ?)`,
+                [userId, String(phone).slice(0, 20), digits, reason, leadId]
+            );
+            return this.findByDigits(userId, digits);
+        } catch (error) {
+            console.error('Error adding do-not-call number:', error);
+            throw error;
+        }
+    }
+
+    static async findByDigits(userId, digits) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM do_not_call_numbers WHERE user_id = ? AND phone_digits = ?',
+                [userId, digits]
+            );
+            return rows.length > 0 ? new DoNotCallNumber(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding do-not-call number:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, page = 1, limit = 50) {
+        try {
+            const limitInt = parseInt(limit) || 50;
+            const offsetInt = ((parseInt(page) || 1) - 1) * limitInt;
+            const rows = await db.query(
+                `SELECT * FROM do_not_call_numbers WHERE user_id = ?
+                ORDER BY created_at DESC LIMIT ${limitInt} OFFSET ${offsetInt}`,
+                [userId]
+            );
+            const [{ total }] = await db.query(
+                'SELECT COUNT(*) as total FROM do_not_call_numbers WHERE user_id = ?',
+                [userId]
+            );
+            return { entries: rows.map(row => new DoNotCallNumber(row)), total };
+        } catch (error) {
+            console.error('Error finding do-not-call numbers:', error);
+            throw error;
+        }
+    }
+
+    static async isBlocked(userId, phone) {
+        const digits = this.toDigits(phone);
+        return digits ? !!(await this.findByDigits(userId, digits)) : false;
+    }
+
+    static async remove(id, userId) {
+        try {
+            const result = await db.query(
+                'DELETE FROM do_not_call_numbers WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error removing do-not-call number:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = DoNotCallNumber;
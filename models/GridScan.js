@@ -0,0 +1,171 @@
+const db = require('../config/database');
+
+const SCHEDULES = ['manual', 'daily', 'weekly', 'monthly'];
+
+const toCoordinate = (value) => (value === undefined || value === null ? null : parseFloat(value));
+
+class GridScan {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.client_id = data.client_id;
+        this.name = data.name;
+        this.business_name = data.business_name;
+        this.business_address = data.business_address;
+        this.keyword = data.keyword;
+        this.center_lat = toCoordinate(data.center_lat);
+        this.center_lng = toCoordinate(data.center_lng);
+        this.grid_size = data.grid_size;
+        this.schedule = data.schedule;
+        this.is_active = !!data.is_active;
+        this.last_run_at = data.last_run_at;
+        this.next_run_at = data.next_run_at;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static async create(data) {
+        try {
+            const result = await db.query(
+                `INSERT INTO grid_scans
+                (user_id, client_id, name, business_name, business_address, keyword, center_lat, center_lng, grid_size, schedule, next_run_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    data.user_id,
+                    data.client_id || null,
+                    data.name,
+                    data.business_name,
+                    data.business_address || null,
+                    data.keyword,
+                    data.center_lat,
+                    data.center_lng,
+                    data.grid_size,
+                    data.schedule || 'manual',
+                    data.next_run_at || null
+                ]
+            );
+            return this.findById(result.insertId, data.user_id);
+        } catch (error) {
+            console.error('Error creating grid scan:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id, userId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM grid_scans WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return rows.length > 0 ? new GridScan(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding grid scan:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, { clientId = null } = {}) {
+        try {
+            let sql = 'SELECT * FROM grid_scans WHERE user_id = ?';
+            const params = [userId];
+            if (clientId) {
+                sql += ' AND client_id = ?';
+                params.push(clientId);
+            }
+            sql += ' ORDER BY created_at DESC';
+            const rows = await db.query(sql, params);
+            return rows.map(row => new GridScan(row));
+        } catch (error) {
+            console.error('Error finding grid scans:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Scheduled scans whose next run time has passed, oldest first
+     */
+    static async findDue(limit = 5) {
+        try {
+            const safeLimit = Math.max(1, Math.trunc(limit) || 5);
+            const rows = await db.query(
+                `SELECT * FROM grid_scans
+                WHERE is_active = 1 AND schedule <> 'manual' AND next_run_at IS NOT NULL AND next_run_at <= NOW()
+                ORDER BY next_run_at ASC
+                LIMIT ${safeLimit}`
+            );
+            return rows.map(row => new GridScan(row));
+        } catch (error) {
+            console.error('Error finding due grid scans:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a due scan's next run to nextRunAt. False when another worker already took it.
+     */
+    static async claimDue(id, nextRunAt) {
+        try {
+            const result = await db.query(
+                'UPDATE grid_scans SET next_run_at = ? WHERE id = ? AND next_run_at <= NOW()',
+                [nextRunAt, id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error claiming grid scan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update name, client, schedule or active flag; the search itself is fixed once created
+     */
+    static async update(id, userId, data) {
+        try {
+            const allowed = ['name', 'client_id', 'schedule', 'is_active', 'next_run_at'];
+            const fields = [];
+            const values = [];
+            allowed.forEach(key => {
+                if (data[key] !== undefined) {
+                    fields.push(`${key} = ?`);
+                    values.push(key === 'is_active' ? !!data[key] : data[key]);
+                }
+            });
+            if (fields.length === 0) return this.findById(id, userId);
+
+            values.push(id, userId);
+            await db.query(
+                `UPDATE grid_scans SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
+                values
+            );
+            return this.findById(id, userId);
+        } catch (error) {
+            console.error('Error updating grid scan:', error);
+            throw error;
+        }
+    }
+
+    static async recordRun(id, lastRunAt) {
+        try {
+            await db.query('UPDATE grid_scans SET last_run_at = ? WHERE id = ?', [lastRunAt, id]);
+        } catch (error) {
+            console.error('Error recording grid scan run:', error);
+            throw error;
+        }
+    }
+
+    static async delete(id, userId) {
+        try {
+            const result = await db.query(
+                'DELETE FROM grid_scans WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting grid scan:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = GridScan;
+module.exports.SCHEDULES = SCHEDULES;
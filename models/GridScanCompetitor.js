@@ -0,0 +1,69 @@
+const db = require('../config/database');
+
+const toNumber = (value) => (value === undefined || value === null ? null : parseFloat(value));
+
+class GridScanCompetitor {
+    constructor(data) {
+        this.id = data.id;
+        this.run_id = data.run_id;
+        this.point_index = data.point_index;
+        this.position = data.position;
+        this.competitor_key = data.competitor_key;
+        this.place_id = data.place_id;
+        this.name = data.name;
+        this.address = data.address;
+        this.category = data.category;
+        this.rating = toNumber(data.rating);
+        this.reviews = data.reviews === undefined ? null : data.reviews;
+        this.is_target = !!data.is_target;
+    }
+
+    /**
+     * Store the businesses listed at one grid point, replacing any stored for it before
+     */
+    static async replaceForPoint(runId, pointIndex, competitors) {
+        try {
+            await db.query('DELETE FROM grid_scan_competitors WHERE run_id = ? AND point_index = ?', [runId, pointIndex]);
+            if (competitors.length === 0) return;
+
+            const placeholders = competitors.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+            const params = competitors.flatMap(c => [
+                runId,
+                pointIndex,
+                c.position,
+                c.competitor_key,
+                c.place_id || null,
+                c.name,
+                c.address || null,
+                c.category || null,
+                c.rating === undefined ? null : c.rating,
+                c.reviews === undefined ? null : c.reviews,
+                !!c.is_target
+            ]);
+            await db.query(
+                `INSERT INTO grid_scan_competitors
+                (run_id, point_index, position, competitor_key, place_id, name, address, category, rating, reviews, is_target)
+                VALUES ${placeholders}`,
+                params
+            );
+        } catch (error) {
+            console.error('Error saving grid scan competitors:', error);
+            throw error;
+        }
+    }
+
+    static async findByRunId(runId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM grid_scan_competitors WHERE run_id = ? ORDER BY point_index ASC, position ASC',
+                [runId]
+            );
+            return rows.map(row => new GridScanCompetitor(row));
+        } catch (error) {
+            console.error('Error finding grid scan competitors:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = GridScanCompetitor;
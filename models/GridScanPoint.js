@@ -0,0 +1,74 @@
+const db = require('../config/database');
+
+class GridScanPoint {
+    constructor(data) {
+        this.id = data.id;
+        this.run_id = data.run_id;
+        this.point_index = data.point_index;
+        this.row_index = data.row_index;
+        this.col_index = data.col_index;
+        this.lat = parseFloat(data.lat);
+        this.lng = parseFloat(data.lng);
+        this.rank_position = data.rank_position === undefined ? null : data.rank_position;
+        this.search_failed = !!data.search_failed;
+    }
+
+    /**
+     * Store a searched point; returns its row id (the polling cursor)
+     */
+    static async create(runId, point) {
+        try {
+            const result = await db.query(
+                `INSERT INTO grid_scan_points (run_id, point_index, row_index, col_index, lat, lng, rank_position, search_failed)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), rank_position = VALUES(rank_position), search_failed = VALUES(search_failed)`,
+                [
+                    runId,
+                    point.point_index,
+                    point.row_index,
+                    point.col_index,
+                    point.lat,
+                    point.lng,
+                    point.rank_position === undefined ? null : point.rank_position,
+                    !!point.search_failed
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error saving grid scan point:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A run's points in grid order; afterId returns only the points stored after that row (for polling).
+     * Row ids only grow, so points a resumed run searches again at a lower grid index are still returned.
+     */
+    static async findByRunId(runId, { afterId = 0 } = {}) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM grid_scan_points WHERE run_id = ? AND id > ? ORDER BY point_index ASC',
+                [runId, afterId]
+            );
+            return rows.map(row => new GridScanPoint(row));
+        } catch (error) {
+            console.error('Error finding grid scan points:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Drop the points whose search failed so a resumed run searches them again
+     */
+    static async deleteFailed(runId) {
+        try {
+            const result = await db.query('DELETE FROM grid_scan_points WHERE run_id = ? AND search_failed = 1', [runId]);
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error deleting failed grid scan points:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = GridScanPoint;
@@ -0,0 +1,315 @@
+const db = require('../config/database');
+
+const toNumber = (value) => (value === undefined || value === null ? null : parseFloat(value));
+
+/**
+ * A grid run is also a job: queued, picked up by the worker, then completed, failed or cancelled.
+ * Failed and cancelled runs can be queued again and resume from the points not yet searched.
+ * A saved scan has at most one queued or running run: active_scan_id is unique and set only while active.
+ */
+class GridScanRun {
+    constructor(data) {
+        this.id = data.id;
+        this.scan_id = data.scan_id;
+        this.user_id = data.user_id;
+        this.status = data.status; // 'queued', 'running', 'completed', 'failed', 'cancelled'
+        this.trigger_type = data.trigger_type; // 'manual', 'schedule', 'analysis'
+        this.keyword = data.keyword;
+        this.business_name = data.business_name;
+        this.business_address = data.business_address;
+        this.center_lat = toNumber(data.center_lat);
+        this.center_lng = toNumber(data.center_lng);
+        this.grid_size = data.grid_size;
+        this.total_points = data.total_points;
+        this.completed_points = data.completed_points || 0;
+        this.searched_points = data.searched_points;
+        this.ranked_points = data.ranked_points;
+        this.top3_points = data.top3_points;
+        this.average_rank = toNumber(data.average_rank);
+        this.share_top3 = toNumber(data.share_top3);
+        this.cancel_requested = !!data.cancel_requested;
+        this.locked_until = data.locked_until;
+        this.error = data.error;
+        this.started_at = data.started_at;
+        this.completed_at = data.completed_at;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    /**
+     * Queue a run. Throws RUN_IN_PROGRESS if its scan already has a queued or running run.
+     */
+    static async create(data) {
+        try {
+            const result = await db.query(
+                `INSERT INTO grid_scan_runs
+                (scan_id, active_scan_id, user_id, trigger_type, keyword, business_name, business_address, center_lat, center_lng, grid_size, total_points)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    data.scan_id || null,
+                    data.scan_id || null,
+                    data.user_id,
+                    data.trigger_type,
+                    data.keyword,
+                    data.business_name,
+                    data.business_address || null,
+                    data.center_lat === undefined ? null : data.center_lat,
+                    data.center_lng === undefined ? null : data.center_lng,
+                    data.grid_size,
+                    data.total_points || 0
+                ]
+            );
+            return this.findById(result.insertId, data.user_id);
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw this._runInProgress();
+            console.error('Error creating grid scan run:', error);
+            throw error;
+        }
+    }
+
+    static _runInProgress() {
+        const err = new Error('This scan is already queued or running');
+        err.code = 'RUN_IN_PROGRESS';
+        return err;
+    }
+
+    static async findById(id, userId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM grid_scan_runs WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return rows.length > 0 ? new GridScanRun(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding grid scan run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A user's runs of every kind, newest first
+     */
+    static async findByUserId(userId, { status = null, page = 1, limit = 20 } = {}) {
+        try {
+            const safeLimit = Math.max(1, Math.trunc(limit) || 20);
+            const offset = (Math.max(1, Math.trunc(page) || 1) - 1) * safeLimit;
+            let where = 'user_id = ?';
+            const params = [userId];
+            if (status) {
+                where += ' AND status = ?';
+                params.push(status);
+            }
+            const rows = await db.query(
+                `SELECT * FROM grid_scan_runs WHERE ${where} ORDER BY id DESC LIMIT ${safeLimit} OFFSET ${offset}`,
+                params
+            );
+            const countRows = await db.query(`SELECT COUNT(*) as total FROM grid_scan_runs WHERE ${where}`, params);
+            return { runs: rows.map(row => new GridScanRun(row)), total: countRows[0].total };
+        } catch (error) {
+            console.error('Error finding grid scan runs for user:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A scan's runs, newest first (or oldest first with ascending)
+     */
+    static async findByScanId(scanId, { status = null, limit = 50, ascending = false } = {}) {
+        try {
+            const safeLimit = Math.max(1, Math.trunc(limit) || 50);
+            let sql = 'SELECT * FROM grid_scan_runs WHERE scan_id = ?';
+            const params = [scanId];
+            if (status) {
+                sql += ' AND status = ?';
+                params.push(status);
+            }
+            // Take the newest runs, then order them as asked
+            sql = `SELECT * FROM (${sql} ORDER BY id DESC LIMIT ${safeLimit}) recent
+                ORDER BY id ${ascending ? 'ASC' : 'DESC'}`;
+            const rows = await db.query(sql, params);
+            return rows.map(row => new GridScanRun(row));
+        } catch (error) {
+            console.error('Error finding grid scan runs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Take the oldest queued run for this worker, leased for leaseMinutes. Null when the queue is empty.
+     */
+    static async claimNext(leaseMinutes) {
+        const minutes = Math.max(1, Math.trunc(Number(leaseMinutes)) || 10);
+        try {
+            const rows = await db.query("SELECT id, user_id FROM grid_scan_runs WHERE status = 'queued' ORDER BY id ASC LIMIT 5");
+            for (const row of rows) {
+                const result = await db.query(
+                    `UPDATE grid_scan_runs
+                    SET status = 'running', started_at = COALESCE(started_at, NOW()),
+                        locked_until = DATE_ADD(NOW(), INTERVAL ${minutes} MINUTE)
+                    WHERE id = ? AND status = 'queued'`,
+                    [row.id]
+                );
+                if (result.affectedRows > 0) return this.findById(row.id, row.user_id);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error claiming grid scan run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the geocoded center and grid size once a run knows them
+     */
+    static async setGrid(id, { center_lat, center_lng, total_points }) {
+        try {
+            await db.query(
+                'UPDATE grid_scan_runs SET center_lat = ?, center_lng = ?, total_points = ? WHERE id = ?',
+                [center_lat, center_lng, total_points, id]
+            );
+        } catch (error) {
+            console.error('Error saving grid scan run grid:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store how many points are done and renew the worker's lease on the run
+     */
+    static async recordProgress(id, completedPoints, leaseMinutes) {
+        const minutes = Math.max(1, Math.trunc(Number(leaseMinutes)) || 10);
+        try {
+            await db.query(
+                `UPDATE grid_scan_runs
+                SET completed_points = ?, locked_until = DATE_ADD(NOW(), INTERVAL ${minutes} MINUTE)
+                WHERE id = ?`,
+                [completedPoints, id]
+            );
+        } catch (error) {
+            console.error('Error recording grid scan run progress:', error);
+            throw error;
+        }
+    }
+
+    static async isCancelRequested(id) {
+        try {
+            const rows = await db.query('SELECT cancel_requested FROM grid_scan_runs WHERE id = ?', [id]);
+            return rows.length === 0 || !!rows[0].cancel_requested;
+        } catch (error) {
+            console.error('Error checking grid scan run cancellation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a queued run at once, or ask the worker to stop a running one after its current point.
+     * Returns the run's status afterwards, or null if it had already finished.
+     */
+    static async requestCancel(id, userId) {
+        try {
+            const queued = await db.query(
+                "UPDATE grid_scan_runs SET status = 'cancelled', active_scan_id = NULL, completed_at = NOW() WHERE id = ? AND user_id = ? AND status = 'queued'",
+                [id, userId]
+            );
+            if (queued.affectedRows > 0) return 'cancelled';
+
+            const running = await db.query(
+                "UPDATE grid_scan_runs SET cancel_requested = 1 WHERE id = ? AND user_id = ? AND status = 'running'",
+                [id, userId]
+            );
+            return running.affectedRows > 0 ? 'running' : null;
+        } catch (error) {
+            console.error('Error cancelling grid scan run:', error);
+            throw error;
+        }
+    }
+
+    static async markCancelled(id) {
+        try {
+            await db.query(
+                "UPDATE grid_scan_runs SET status = 'cancelled', active_scan_id = NULL, cancel_requested = 0, completed_at = NOW() WHERE id = ?",
+                [id]
+            );
+        } catch (error) {
+            console.error('Error marking grid scan run cancelled:', error);
+            throw error;
+        }
+    }
+
+    static async complete(id, metrics) {
+        try {
+            await db.query(
+                `UPDATE grid_scan_runs
+                SET status = 'completed', active_scan_id = NULL, searched_points = ?, ranked_points = ?, top3_points = ?,
+                    average_rank = ?, share_top3 = ?, error = NULL, completed_at = NOW()
+                WHERE id = ?`,
+                [
+                    metrics.searched_points,
+                    metrics.ranked_points,
+                    metrics.top3_points,
+                    metrics.average_rank,
+                    metrics.share_top3,
+                    id
+                ]
+            );
+        } catch (error) {
+            console.error('Error completing grid scan run:', error);
+            throw error;
+        }
+    }
+
+    static async fail(id, message) {
+        try {
+            await db.query(
+                "UPDATE grid_scan_runs SET status = 'failed', active_scan_id = NULL, cancel_requested = 0, error = ?, completed_at = NOW() WHERE id = ?",
+                [String(message || 'Unknown error').slice(0, 500), id]
+            );
+        } catch (error) {
+            console.error('Error failing grid scan run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Queue a failed or cancelled run again so it picks up where it stopped. False if it cannot resume;
+     * throws RUN_IN_PROGRESS if its scan already has another queued or running run.
+     */
+    static async requeue(id, userId) {
+        try {
+            const result = await db.query(
+                `UPDATE grid_scan_runs
+                SET status = 'queued', active_scan_id = scan_id, error = NULL, cancel_requested = 0, completed_at = NULL
+                WHERE id = ? AND user_id = ? AND status IN ('failed', 'cancelled')`,
+                [id, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw this._runInProgress();
+            console.error('Error resuming grid scan run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put runs a stopped process left 'running' back in the queue (or cancel them, if that was asked);
+     * they resume from their stored points. Runs whose lease is still live belong to a running worker.
+     */
+    static async requeueInterrupted() {
+        try {
+            const result = await db.query(
+                `UPDATE grid_scan_runs
+                SET status = CASE WHEN cancel_requested = 1 THEN 'cancelled' ELSE 'queued' END,
+                    active_scan_id = CASE WHEN cancel_requested = 1 THEN NULL ELSE scan_id END,
+                    completed_at = CASE WHEN cancel_requested = 1 THEN NOW() ELSE completed_at END,
+                    cancel_requested = 0, locked_until = NULL
+                WHERE status = 'running' AND (locked_until IS NULL OR locked_until <= NOW())`
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error requeueing interrupted grid scan runs:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = GridScanRun;
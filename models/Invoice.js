@@ -0,0 +1,151 @@
+const db = require('../config/database');
+
+const AMOUNT_FIELDS = [
+    'call_charges', 'sms_charges', 'number_fees', 'top_ups', 'refunds', 'adjustments',
+    'total_charges', 'opening_balance', 'closing_balance'
+];
+
+class Invoice {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.invoice_number = data.invoice_number;
+        this.period_month = data.period_month;
+        this.period_start = data.period_start;
+        this.period_end = data.period_end;
+        this.plan_name = data.plan_name;
+        this.call_count = parseInt(data.call_count || 0, 10);
+        this.free_minutes_used = parseInt(data.free_minutes_used || 0, 10);
+        this.billable_minutes = parseInt(data.billable_minutes || 0, 10);
+        AMOUNT_FIELDS.forEach(field => {
+            this[field] = parseFloat(data[field] || 0);
+        });
+        this.line_items = Invoice._parseJson(data.line_items) || [];
+        this.issued_at = data.issued_at;
+        this.created_at = data.created_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a statement and give it its number. Returns the existing statement if the
+     * user already has one for the month (concurrent generators race on the unique key).
+     */
+    static async create(data) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [result] = await connection.execute(
+                `INSERT IGNORE INTO invoices
+                (user_id, period_month, period_start, period_end, plan_name, call_count, free_minutes_used,
+                 billable_minutes, call_charges, sms_charges, number_fees, top_ups, refunds, adjustments,
+                 total_charges, opening_balance, closing_balance, line_items)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    data.user_id,
+                    data.period_month,
+                    data.period_start,
+                    data.period_end,
+                    data.plan_name || null,
+                    data.call_count || 0,
+                    data.free_minutes_used || 0,
+                    data.billable_minutes || 0,
+                    ...AMOUNT_FIELDS.map(field => data[field] || 0),
+                    JSON.stringify(data.line_items || [])
+                ]
+            );
+
+            if (result.affectedRows > 0) {
+                const invoiceNumber = `INV-${data.period_month.replace('-', '')}-${String(result.insertId).padStart(6, '0')}`;
+                await connection.execute('UPDATE invoices SET invoice_number = ? WHERE id = ?', [invoiceNumber, result.insertId]);
+            }
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch (_) {}
+            console.error('Error creating invoice:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        return this.findByUserAndMonth(data.user_id, data.period_month);
+    }
+
+    static async findById(id, userId) {
+        try {
+            const rows = await db.query('SELECT * FROM invoices WHERE id = ? AND user_id = ?', [id, userId]);
+            return rows.length > 0 ? new Invoice(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding invoice by ID:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserAndMonth(userId, month) {
+        try {
+            const rows = await db.query('SELECT * FROM invoices WHERE user_id = ? AND period_month = ?', [userId, month]);
+            return rows.length > 0 ? new Invoice(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding invoice by month:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A user's statements, newest period first (line items left out of the list)
+     */
+    static async findByUserId(userId, page = 1, limit = 24) {
+        try {
+            const limitInt = parseInt(limit);
+            const offset = (parseInt(page) - 1) * limitInt;
+
+            const rows = await db.query(
+                `SELECT * FROM invoices WHERE user_id = ?
+                ORDER BY period_month DESC LIMIT ${limitInt} OFFSET ${offset}`,
+                [userId]
+            );
+            const countRows = await db.query('SELECT COUNT(*) as total FROM invoices WHERE user_id = ?', [userId]);
+
+            return {
+                invoices: rows.map(row => {
+                    const invoice = new Invoice(row);
+                    delete invoice.line_items;
+                    return invoice;
+                }),
+                total: Number(countRows[0].total)
+            };
+        } catch (error) {
+            console.error('Error finding invoices:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Users with ledger activity in the period who have no statement for it yet
+     */
+    static async findUserIdsMissingInvoice(month, start, end) {
+        try {
+            const rows = await db.query(
+                `SELECT DISTINCT bt.user_id FROM balance_transactions bt
+                LEFT JOIN invoices i ON i.user_id = bt.user_id AND i.period_month = ?
+                WHERE bt.created_at >= ? AND bt.created_at < ? AND i.id IS NULL
+                ORDER BY bt.user_id ASC`,
+                [month, start, end]
+            );
+            return rows.map(row => row.user_id);
+        } catch (error) {
+            console.error('Error finding users without invoices:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Invoice;
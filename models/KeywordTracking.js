@@ -1,5 +1,17 @@
 const db = require('../config/database');
 
+// Active keywords whose check_frequency has elapsed since last_checked and that are not backing off
+const DUE_CONDITION = `
+  kt.is_active = TRUE
+  AND (kt.retry_at IS NULL OR kt.retry_at <= NOW())
+  AND (
+    kt.last_checked IS NULL
+    OR (kt.check_frequency = 'daily' AND kt.last_checked < DATE_SUB(NOW(), INTERVAL 1 DAY))
+    OR (kt.check_frequency = 'weekly' AND kt.last_checked < DATE_SUB(NOW(), INTERVAL 1 WEEK))
+    OR (kt.check_frequency = 'monthly' AND kt.last_checked < DATE_SUB(NOW(), INTERVAL 1 MONTH))
+  )
+`;
+
 class KeywordTracking {
   constructor(data = {}) {
     this.id = data.id;
@@ -16,6 +28,9 @@ class KeywordTracking {
     this.last_checked = data.last_checked;
     this.check_frequency = data.check_frequency || 'weekly';
     this.is_active = data.is_active !== undefined ? data.is_active : true;
+    this.retry_at = data.retry_at;
+    this.check_failures = data.check_failures || 0;
+    this.last_check_error = data.last_check_error;
     this.notes = data.notes;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
@@ -354,31 +369,65 @@ class KeywordTracking {
   }
 
   /**
-   * Get keywords that need to be checked based on frequency
+   * Whether the keyword has ever been recorded at or above the given position
    */
-  static async getKeywordsToCheck() {
+  static async hasReachedRank(keywordTrackingId, position) {
+    const query = `
+      SELECT 1 FROM keyword_rank_history
+      WHERE keyword_tracking_id = ? AND rank_position IS NOT NULL AND rank_position <= ?
+      LIMIT 1
+    `;
+
+    try {
+      const rows = await db.query(query, [keywordTrackingId, position]);
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking keyword rank history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's active keywords with their rank as of periodStart (last history entry before it)
+   */
+  static async getRankMovement(userId, periodStart) {
+    const query = `
+      SELECT kt.id, kt.keyword, kt.client_id, c.name as client_name, kt.current_rank, kt.last_checked,
+        (
+          SELECT h.rank_position FROM keyword_rank_history h
+          WHERE h.keyword_tracking_id = kt.id AND h.check_date < ?
+          ORDER BY h.check_date DESC LIMIT 1
+        ) as start_rank
+      FROM keyword_tracking kt
+      LEFT JOIN clients c ON kt.client_id = c.id
+      WHERE kt.user_id = ? AND kt.is_active = TRUE
+    `;
+
+    try {
+      return await db.query(query, [periodStart, userId]);
+    } catch (error) {
+      console.error('Error getting keyword rank movement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get keywords that need to be checked based on frequency, longest-unchecked first
+   */
+  static async getKeywordsToCheck({ userId = null, limit = 50 } = {}) {
+    const safeLimit = Number.isFinite(Number(limit)) && Number(limit) > 0 ? Math.trunc(Number(limit)) : 50;
     const query = `
       SELECT kt.*, c.website
       FROM keyword_tracking kt
       JOIN clients c ON kt.client_id = c.id
-      WHERE kt.is_active = TRUE
-      AND (
-        kt.last_checked IS NULL 
-        OR (
-          kt.check_frequency = 'daily' AND kt.last_checked < DATE_SUB(NOW(), INTERVAL 1 DAY)
-        )
-        OR (
-          kt.check_frequency = 'weekly' AND kt.last_checked < DATE_SUB(NOW(), INTERVAL 1 WEEK)
-        )
-        OR (
-          kt.check_frequency = 'monthly' AND kt.last_checked < DATE_SUB(NOW(), INTERVAL 1 MONTH)
-        )
-      )
-      ORDER BY kt.last_checked ASC
+      WHERE ${DUE_CONDITION}
+      ${userId ? 'AND kt.user_id = ?' : ''}
+      ORDER BY kt.last_checked IS NOT NULL, kt.last_checked ASC
+      LIMIT ${safeLimit}
     `;
     
     try {
-      const rows = await db.query(query);
+      const rows = await db.query(query, userId ? [userId] : []);
       return rows.map(row => new KeywordTracking(row));
     } catch (error) {
       console.error('Error getting keywords to check:', error);
@@ -386,6 +435,100 @@ class KeywordTracking {
     }
   }
 
+  /**
+   * Count due and failing keywords, overall or for one user
+   */
+  static async getCheckCounts(userId = null) {
+    const query = `
+      SELECT
+        SUM(${DUE_CONDITION}) as due,
+        SUM(kt.is_active = TRUE AND kt.check_failures > 0) as failing,
+        SUM(kt.is_active = TRUE) as active
+      FROM keyword_tracking kt
+      ${userId ? 'WHERE kt.user_id = ?' : ''}
+    `;
+
+    try {
+      const rows = await db.query(query, userId ? [userId] : []);
+      return {
+        due: Number(rows[0].due || 0),
+        failing: Number(rows[0].failing || 0),
+        active: Number(rows[0].active || 0)
+      };
+    } catch (error) {
+      console.error('Error counting keyword checks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lease a keyword for a scheduled check so overlapping runs skip it. False if already leased or backing off.
+   */
+  static async claimForCheck(id, leaseMinutes) {
+    const minutes = Math.max(1, Math.trunc(Number(leaseMinutes)) || 30);
+    const query = `
+      UPDATE keyword_tracking
+      SET retry_at = DATE_ADD(NOW(), INTERVAL ${minutes} MINUTE)
+      WHERE id = ? AND (retry_at IS NULL OR retry_at <= NOW())
+    `;
+
+    try {
+      const result = await db.query(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error claiming keyword for check:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the lease and failure count after a successful check
+   */
+  static async recordCheckSuccess(id) {
+    const query = `
+      UPDATE keyword_tracking
+      SET retry_at = NULL, check_failures = 0, last_check_error = NULL
+      WHERE id = ?
+    `;
+
+    try {
+      await db.query(query, [id]);
+    } catch (error) {
+      console.error('Error recording keyword check success:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed check and hold the keyword back until retryAt (null just drops the lease)
+   */
+  static async recordCheckFailure(id, message, retryAt) {
+    const query = `
+      UPDATE keyword_tracking
+      SET retry_at = ?, check_failures = check_failures + 1, last_check_error = ?
+      WHERE id = ?
+    `;
+
+    try {
+      await db.query(query, [retryAt, String(message || 'Unknown error').slice(0, 500), id]);
+    } catch (error) {
+      console.error('Error recording keyword check failure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the lease without counting a failure, e.g. when a run stops early
+   */
+  static async releaseCheck(id) {
+    try {
+      await db.query('UPDATE keyword_tracking SET retry_at = NULL WHERE id = ?', [id]);
+    } catch (error) {
+      console.error('Error releasing keyword check:', error);
+      throw error;
+    }
+  }
+
   /**
    * Save the model instance
    */
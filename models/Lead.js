@@ -13,9 +13,13 @@ class Lead {
     this.website = data.website;
     this.contacted = data.contacted || false;
     this.city = data.city;
+    this.timezone = data.timezone; // IANA zone used for calling windows
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
     this.user_id = data.user_id;
+    this.source = data.source;
+    this.source_phone_number_id = data.source_phone_number_id;
+    this.source_number = data.source_number;
   }
 
   static async findAll(filters = {}, userId) {
@@ -51,6 +55,50 @@ class Lead {
     const results = await db.query(sql, [id, userId]);
     return results.length ? new Lead(results[0]) : null;
   }
+  /**
+   * Find a lead by phone number, ignoring formatting and a leading country code
+   */
+  static async findByPhone(phone, userId) {
+    const digits = String(phone || "").replace(/\D/g, "").slice(-10);
+    if (digits.length < 7) return null;
+
+    const sql = `
+      SELECT * FROM leads
+      WHERE user_id = ?
+        AND RIGHT(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(phone, '+', ''), ' ', ''), '-', ''), '(', ''), ')', ''), '.', ''), ?) = ?
+      ORDER BY created_at ASC
+      LIMIT 1
+    `;
+    const results = await db.query(sql, [userId, digits.length, digits]);
+    return results.length ? new Lead(results[0]) : null;
+  }
+
+  /**
+   * Match an inbound caller to an existing lead or create one tagged with the tracking number.
+   * Returns { lead, created }.
+   */
+  static async findOrCreateFromCall({ userId, caller, phoneNumberId, sourceNumber }) {
+    const existing = await Lead.findByPhone(caller, userId);
+    if (existing) return { lead: existing, created: false };
+
+    const lead = await Lead.create({
+      name: caller,
+      email: null,
+      phone: caller,
+      company: null,
+      status: "New",
+      reviews: null,
+      website: null,
+      city: null,
+      notes: `Created automatically from an inbound call to ${sourceNumber}`,
+      user_id: userId,
+      source: "inbound_call",
+      source_phone_number_id: phoneNumberId,
+      source_number: sourceNumber,
+    });
+    return { lead, created: true };
+  }
+
   sanitize(value) {
     return value === undefined ? null : value;
   }
@@ -68,11 +116,11 @@ class Lead {
   UPDATE leads SET 
     name = ?, email = ?, phone = ?, company = ?, status = ?, 
     notes = ?, reviews = ?, website = ?, contacted = ?, city = ?, 
-    updated_at = ?
+    timezone = ?, updated_at = ?
   WHERE id = ?
 `;
 
-        const params = [this.name, this.email, this.phone, this.company, this.status, this.notes, this.reviews, this.website, this.contacted, this.city, this.updated_at ? new Date(this.updated_at).toISOString().slice(0, 19).replace("T", " ") : null, this.id];
+        const params = [this.name, this.email, this.phone, this.company, this.status, this.notes, this.reviews, this.website, this.contacted, this.city, this.sanitize(this.timezone), this.updated_at ? new Date(this.updated_at).toISOString().slice(0, 19).replace("T", " ") : null, this.id];
 
         await db.query(sql, params);
         return this;
@@ -85,11 +133,12 @@ class Lead {
     const sql = `
      INSERT INTO leads (
     name, email, phone, company, status, notes, reviews,
-    website, contacted, city, created_at, updated_at, user_id
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    website, contacted, city, timezone, created_at, updated_at, user_id,
+    source, source_phone_number_id, source_number
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `;
 
-    const params = [this.name, this.email, this.phone, this.company, this.status, this.notes, this.reviews, this.website, this.contacted, this.city, this.created_at, this.updated_at, this.user_id];
+    const params = [this.name, this.email, this.phone, this.company, this.status, this.notes, this.reviews, this.website, this.contacted, this.city, this.sanitize(this.timezone), this.created_at, this.updated_at, this.user_id, this.sanitize(this.source) || "manual", this.sanitize(this.source_phone_number_id), this.sanitize(this.source_number)];
 
     const result = await db.query(sql, params);
     this.id = result.insertId;
@@ -0,0 +1,74 @@
+const db = require('../config/database');
+
+class PhoneNumberRenewalEvent {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.phone_number_id = data.phone_number_id;
+        this.phone_number = data.phone_number;
+        this.event_type = data.event_type; // 'renewed', 'payment_failed', 'suspended', 'reactivated', 'reactivation_failed', 'released'
+        this.amount = data.amount !== undefined && data.amount !== null ? parseFloat(data.amount) : 0;
+        this.balance_before = data.balance_before !== undefined && data.balance_before !== null ? parseFloat(data.balance_before) : null;
+        this.balance_after = data.balance_after !== undefined && data.balance_after !== null ? parseFloat(data.balance_after) : null;
+        this.renewal_due_at = data.renewal_due_at;
+        this.next_renewal_at = data.next_renewal_at;
+        this.notes = data.notes;
+        this.created_at = data.created_at;
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Record a renewal step; pass a transaction connection to write it with the balance change
+     */
+    static async create(eventData, connection = null) {
+        const sql = `INSERT INTO phone_number_renewal_events
+            (user_id, phone_number_id, phone_number, event_type, amount, balance_before, balance_after,
+             renewal_due_at, next_renewal_at, notes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        const params = [
+            eventData.user_id,
+            this._sanitizeValue(eventData.phone_number_id),
+            eventData.phone_number,
+            eventData.event_type,
+            eventData.amount || 0,
+            this._sanitizeValue(eventData.balance_before),
+            this._sanitizeValue(eventData.balance_after),
+            this._sanitizeValue(eventData.renewal_due_at),
+            this._sanitizeValue(eventData.next_renewal_at),
+            this._sanitizeValue(eventData.notes)
+        ];
+
+        try {
+            if (connection) {
+                const [result] = await connection.execute(sql, params);
+                return result.insertId;
+            }
+            const result = await db.query(sql, params);
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating phone number renewal event:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, limit = 20) {
+        try {
+            const limitInt = parseInt(limit) || 20;
+            const rows = await db.query(
+                `SELECT * FROM phone_number_renewal_events WHERE user_id = ?
+                ORDER BY created_at DESC, id DESC LIMIT ${limitInt}`,
+                [userId]
+            );
+            return rows.map(row => new PhoneNumberRenewalEvent(row));
+        } catch (error) {
+            console.error('Error finding phone number renewal events:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PhoneNumberRenewalEvent;
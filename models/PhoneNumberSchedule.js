@@ -0,0 +1,263 @@
+const db = require('../config/database');
+
+class PhoneNumberSchedule {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.phone_number_id = data.phone_number_id;
+        this.name = data.name;
+        this.timezone = data.timezone || 'America/New_York';
+        this.weekly_hours = PhoneNumberSchedule._parseJson(data.weekly_hours);
+        this.after_hours_action = data.after_hours_action || 'voicemail'; // 'voicemail', 'message', 'forward'
+        this.after_hours_message = data.after_hours_message;
+        this.after_hours_forward_to = data.after_hours_forward_to;
+        this.is_active = data.is_active !== undefined ? !!data.is_active : true;
+        this.closures = data.closures || [];
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return {};
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // DATE columns come back as JS Dates at local midnight
+    static _formatDate(value) {
+        if (!(value instanceof Date)) return value;
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    static async create(scheduleData) {
+        try {
+            const result = await db.query(
+                `INSERT INTO phone_number_schedules
+                (user_id, phone_number_id, name, timezone, weekly_hours, after_hours_action,
+                after_hours_message, after_hours_forward_to, is_active)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    scheduleData.user_id,
+                    scheduleData.phone_number_id,
+                    this._sanitizeValue(scheduleData.name),
+                    scheduleData.timezone || 'America/New_York',
+                    JSON.stringify(scheduleData.weekly_hours || {}),
+                    scheduleData.after_hours_action || 'voicemail',
+                    this._sanitizeValue(scheduleData.after_hours_message),
+                    this._sanitizeValue(scheduleData.after_hours_forward_to),
+                    scheduleData.is_active !== undefined ? scheduleData.is_active : true
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating phone number schedule:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM phone_number_schedules WHERE id = ?',
+                [id]
+            );
+            if (rows.length === 0) return null;
+
+            const schedule = new PhoneNumberSchedule(rows[0]);
+            schedule.closures = await this.findClosures(schedule.id);
+            return schedule;
+        } catch (error) {
+            console.error('Error finding phone number schedule by ID:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId) {
+        try {
+            const rows = await db.query(
+                `SELECT pns.*, upn.phone_number as source_number, upn.friendly_name
+                FROM phone_number_schedules pns
+                JOIN user_phone_numbers upn ON pns.phone_number_id = upn.id
+                WHERE pns.user_id = ?
+                ORDER BY pns.created_at DESC`,
+                [userId]
+            );
+            return rows.map(row => {
+                const schedule = new PhoneNumberSchedule(row);
+                schedule.source_number = row.source_number;
+                schedule.friendly_name = row.friendly_name;
+                return schedule;
+            });
+        } catch (error) {
+            console.error('Error finding phone number schedules by user ID:', error);
+            throw error;
+        }
+    }
+
+    static async findByPhoneNumberId(phoneNumberId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM phone_number_schedules WHERE phone_number_id = ?',
+                [phoneNumberId]
+            );
+            return rows.length > 0 ? new PhoneNumberSchedule(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding phone number schedule by phone number ID:', error);
+            throw error;
+        }
+    }
+
+    static async findActiveByPhoneNumberId(phoneNumberId) {
+        try {
+            if (!phoneNumberId) return null;
+
+            const rows = await db.query(
+                'SELECT * FROM phone_number_schedules WHERE phone_number_id = ? AND is_active = true',
+                [phoneNumberId]
+            );
+            if (rows.length === 0) return null;
+
+            const schedule = new PhoneNumberSchedule(rows[0]);
+            schedule.closures = await this.findClosures(schedule.id);
+            return schedule;
+        } catch (error) {
+            console.error('Error finding active phone number schedule:', error);
+            throw error;
+        }
+    }
+
+    static async update(id, updateData) {
+        try {
+            const fields = [];
+            const values = [];
+
+            Object.keys(updateData).forEach(key => {
+                fields.push(`${key} = ?`);
+                if (key === 'weekly_hours') {
+                    values.push(JSON.stringify(updateData[key] || {}));
+                } else {
+                    values.push(this._sanitizeValue(updateData[key]));
+                }
+            });
+
+            fields.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(id);
+
+            const result = await db.query(
+                `UPDATE phone_number_schedules SET ${fields.join(', ')} WHERE id = ?`,
+                values
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating phone number schedule:', error);
+            throw error;
+        }
+    }
+
+    static async delete(id) {
+        try {
+            const result = await db.query(
+                'DELETE FROM phone_number_schedules WHERE id = ?',
+                [id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting phone number schedule:', error);
+            throw error;
+        }
+    }
+
+    static async findClosures(scheduleId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM phone_number_schedule_closures WHERE schedule_id = ? ORDER BY closure_date ASC',
+                [scheduleId]
+            );
+            return rows.map(row => ({
+                id: row.id,
+                schedule_id: row.schedule_id,
+                closure_date: this._formatDate(row.closure_date),
+                name: row.name,
+                recurs_annually: !!row.recurs_annually,
+                created_at: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error finding schedule closures:', error);
+            throw error;
+        }
+    }
+
+    static async addClosure(scheduleId, closureData) {
+        try {
+            const result = await db.query(
+                `INSERT INTO phone_number_schedule_closures
+                (schedule_id, closure_date, name, recurs_annually)
+                VALUES (?, ?, ?, ?)`,
+                [
+                    scheduleId,
+                    closureData.closure_date,
+                    this._sanitizeValue(closureData.name),
+                    !!closureData.recurs_annually
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error adding schedule closure:', error);
+            throw error;
+        }
+    }
+
+    static async deleteClosure(scheduleId, closureId) {
+        try {
+            const result = await db.query(
+                'DELETE FROM phone_number_schedule_closures WHERE id = ? AND schedule_id = ?',
+                [closureId, scheduleId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting schedule closure:', error);
+            throw error;
+        }
+    }
+
+    // Express the after-hours behavior as a routing rule for CallRoutingService
+    toAfterHoursRule() {
+        const rule = {
+            id: `schedule-${this.id}`,
+            user_id: this.user_id,
+            phone_number_id: this.phone_number_id,
+            name: 'After hours',
+            conditions: {},
+            action_config: {}
+        };
+
+        if (this.after_hours_action === 'forward' && this.after_hours_forward_to) {
+            rule.action_type = 'forward';
+            rule.action_config = { targets: [this.after_hours_forward_to] };
+        } else if (this.after_hours_action === 'message') {
+            rule.action_type = 'hangup';
+            rule.action_config = {
+                message: this.after_hours_message || 'Thank you for calling. We are currently closed. Please call back during business hours.'
+            };
+        } else {
+            rule.action_type = 'voicemail';
+            rule.action_config = {
+                message: this.after_hours_message || 'Thank you for calling. We are currently closed. Please leave a message after the beep.'
+            };
+        }
+
+        return rule;
+    }
+}
+
+module.exports = PhoneNumberSchedule;
@@ -0,0 +1,129 @@
+const db = require('../config/database');
+
+// Area codes the NANP reserves for toll-free numbers
+const TOLL_FREE_PREFIXES = ['+1800', '+1833', '+1844', '+1855', '+1866', '+1877', '+1888'];
+
+class PricingPlan {
+    constructor(data) {
+        this.id = data.id;
+        this.slug = data.slug;
+        this.name = data.name;
+        this.description = data.description;
+        this.monthly_free_minutes = parseInt(data.monthly_free_minutes || 0, 10);
+        this.inbound_rate_per_minute = parseFloat(data.inbound_rate_per_minute);
+        this.outbound_rate_per_minute = parseFloat(data.outbound_rate_per_minute);
+        this.toll_free_rate_per_minute = parseFloat(data.toll_free_rate_per_minute);
+        this.phone_number_monthly_price = parseFloat(data.phone_number_monthly_price);
+        this.sms_rate_per_segment = parseFloat(data.sms_rate_per_segment);
+        this.max_phone_numbers = data.max_phone_numbers === null || data.max_phone_numbers === undefined
+            ? null
+            : parseInt(data.max_phone_numbers, 10);
+        this.min_required_balance = parseFloat(data.min_required_balance);
+        this.stripe_price_id = data.stripe_price_id || null;
+        this.is_default = !!data.is_default;
+        this.is_active = !!data.is_active;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static isTollFree(phoneNumber) {
+        return !!phoneNumber && TOLL_FREE_PREFIXES.some(prefix => phoneNumber.startsWith(prefix));
+    }
+
+    /**
+     * Per-minute rate for a call log row: toll-free numbers first, then by direction
+     */
+    rateForCall(callLog) {
+        if (PricingPlan.isTollFree(callLog.to_number)) return this.toll_free_rate_per_minute;
+        return callLog.direction === 'inbound' ? this.inbound_rate_per_minute : this.outbound_rate_per_minute;
+    }
+
+    /**
+     * Public shape for API responses (no Stripe IDs)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            slug: this.slug,
+            name: this.name,
+            description: this.description,
+            monthlyFreeMinutes: this.monthly_free_minutes,
+            inboundRatePerMinute: this.inbound_rate_per_minute,
+            outboundRatePerMinute: this.outbound_rate_per_minute,
+            tollFreeRatePerMinute: this.toll_free_rate_per_minute,
+            phoneNumberMonthlyPrice: this.phone_number_monthly_price,
+            smsRatePerSegment: this.sms_rate_per_segment,
+            maxPhoneNumbers: this.max_phone_numbers,
+            minRequiredBalance: this.min_required_balance,
+            requiresSubscription: !!this.stripe_price_id
+        };
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query('SELECT * FROM pricing_plans WHERE id = ?', [id]);
+            return rows.length > 0 ? new PricingPlan(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding pricing plan by ID:', error);
+            throw error;
+        }
+    }
+
+    static async findBySlug(slug) {
+        try {
+            const rows = await db.query('SELECT * FROM pricing_plans WHERE slug = ?', [slug]);
+            return rows.length > 0 ? new PricingPlan(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding pricing plan by slug:', error);
+            throw error;
+        }
+    }
+
+    static async findDefault() {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM pricing_plans WHERE is_default = 1 AND is_active = 1 ORDER BY id ASC LIMIT 1',
+                []
+            );
+            if (rows.length === 0) throw new Error('No default pricing plan configured');
+            return new PricingPlan(rows[0]);
+        } catch (error) {
+            console.error('Error finding default pricing plan:', error);
+            throw error;
+        }
+    }
+
+    static async findActive() {
+        try {
+            const rows = await db.query('SELECT * FROM pricing_plans WHERE is_active = 1 ORDER BY id ASC', []);
+            return rows.map(row => new PricingPlan(row));
+        } catch (error) {
+            console.error('Error finding active pricing plans:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The plan a user is billed on (users without one are on the default plan).
+     * Reads on a transaction connection when one is given.
+     */
+    static async findForUserId(userId, connection = null) {
+        try {
+            const sql = `SELECT p.* FROM users u
+                JOIN pricing_plans p ON p.id = COALESCE(u.pricing_plan_id, (
+                    SELECT id FROM pricing_plans WHERE is_default = 1 AND is_active = 1 ORDER BY id ASC LIMIT 1
+                ))
+                WHERE u.id = ?`;
+            const rows = connection
+                ? (await connection.execute(sql, [userId]))[0]
+                : await db.query(sql, [userId]);
+            if (!rows || rows.length === 0) throw new Error(`No pricing plan for user ${userId}`);
+            return new PricingPlan(rows[0]);
+        } catch (error) {
+            console.error('Error finding pricing plan for user:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PricingPlan;
@@ -0,0 +1,124 @@
+const db = require('../config/database');
+
+class RankAlert {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.rule_id = data.rule_id;
+        this.keyword_tracking_id = data.keyword_tracking_id;
+        this.alert_type = data.alert_type;
+        this.previous_rank = data.previous_rank;
+        this.current_rank = data.current_rank;
+        this.message = data.message;
+        this.email_status = data.email_status;
+        this.webhook_status = data.webhook_status;
+        this.webhook_error = data.webhook_error;
+        this.read_at = data.read_at;
+        this.created_at = data.created_at;
+        // Joined from keyword_tracking / clients
+        this.keyword = data.keyword;
+        this.client_id = data.client_id;
+        this.client_name = data.client_name;
+    }
+
+    static async create(data) {
+        try {
+            const result = await db.query(
+                `INSERT INTO rank_alerts
+                (user_id, rule_id, keyword_tracking_id, alert_type, previous_rank, current_rank, message)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    data.user_id,
+                    data.rule_id || null,
+                    data.keyword_tracking_id,
+                    data.alert_type,
+                    data.previous_rank === undefined ? null : data.previous_rank,
+                    data.current_rank === undefined ? null : data.current_rank,
+                    String(data.message).slice(0, 500)
+                ]
+            );
+            return new RankAlert({ ...data, id: result.insertId, email_status: 'skipped', webhook_status: 'skipped', created_at: new Date() });
+        } catch (error) {
+            console.error('Error creating rank alert:', error);
+            throw error;
+        }
+    }
+
+    static async recordDelivery(id, { email_status, webhook_status, webhook_error = null }) {
+        try {
+            await db.query(
+                'UPDATE rank_alerts SET email_status = ?, webhook_status = ?, webhook_error = ? WHERE id = ?',
+                [email_status, webhook_status, webhook_error ? String(webhook_error).slice(0, 500) : null, id]
+            );
+        } catch (error) {
+            console.error('Error recording rank alert delivery:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, { page = 1, limit = 50, unreadOnly = false, keywordTrackingId = null } = {}) {
+        try {
+            const safeLimit = Math.max(1, Math.trunc(limit) || 50);
+            const offset = (Math.max(1, Math.trunc(page) || 1) - 1) * safeLimit;
+            let where = 'ra.user_id = ?';
+            const params = [userId];
+            if (unreadOnly) {
+                where += ' AND ra.read_at IS NULL';
+            }
+            if (keywordTrackingId) {
+                where += ' AND ra.keyword_tracking_id = ?';
+                params.push(keywordTrackingId);
+            }
+
+            const rows = await db.query(
+                `SELECT ra.*, kt.keyword, kt.client_id, c.name as client_name
+                FROM rank_alerts ra
+                JOIN keyword_tracking kt ON ra.keyword_tracking_id = kt.id
+                LEFT JOIN clients c ON kt.client_id = c.id
+                WHERE ${where}
+                ORDER BY ra.created_at DESC, ra.id DESC
+                LIMIT ${safeLimit} OFFSET ${offset}`,
+                params
+            );
+            const countRows = await db.query(`SELECT COUNT(*) as total FROM rank_alerts ra WHERE ${where}`, params);
+            return { alerts: rows.map(row => new RankAlert(row)), total: countRows[0].total };
+        } catch (error) {
+            console.error('Error finding rank alerts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark alerts read: the given ids, or all of the user's unread alerts when ids is empty
+     */
+    static async markRead(userId, ids = []) {
+        try {
+            let sql = 'UPDATE rank_alerts SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL';
+            const params = [userId];
+            if (ids.length > 0) {
+                sql += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+                params.push(...ids);
+            }
+            const result = await db.query(sql, params);
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error marking rank alerts read:', error);
+            throw error;
+        }
+    }
+
+    static async countByUserSince(userId, since, until) {
+        try {
+            const rows = await db.query(
+                'SELECT COUNT(*) as total FROM rank_alerts WHERE user_id = ? AND created_at >= ? AND created_at < ?',
+                [userId, since, until]
+            );
+            return rows[0].total;
+        } catch (error) {
+            console.error('Error counting rank alerts:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RankAlert;
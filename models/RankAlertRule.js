@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const RULE_TYPES = ['dropped_out_top_10', 'moved_positions', 'entered_top_3', 'lost_ranking'];
+
+class RankAlertRule {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.client_id = data.client_id;
+        this.keyword_tracking_id = data.keyword_tracking_id;
+        this.rule_type = data.rule_type;
+        this.threshold = data.threshold;
+        this.notify_email = !!data.notify_email;
+        this.webhook_url = data.webhook_url;
+        this.webhook_secret = data.webhook_secret;
+        this.is_active = !!data.is_active;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static async create(data) {
+        try {
+            const result = await db.query(
+                `INSERT INTO rank_alert_rules
+                (user_id, client_id, keyword_tracking_id, rule_type, threshold, notify_email, webhook_url, webhook_secret, is_active)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    data.user_id,
+                    data.keyword_tracking_id ? null : data.client_id,
+                    data.keyword_tracking_id || null,
+                    data.rule_type,
+                    data.threshold === undefined ? null : data.threshold,
+                    data.notify_email === undefined ? true : !!data.notify_email,
+                    data.webhook_url || null,
+                    data.webhook_url ? crypto.randomBytes(24).toString('hex') : null,
+                    data.is_active === undefined ? true : !!data.is_active
+                ]
+            );
+            return this.findById(result.insertId, data.user_id);
+        } catch (error) {
+            console.error('Error creating rank alert rule:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id, userId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM rank_alert_rules WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return rows.length > 0 ? new RankAlertRule(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding rank alert rule:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, { clientId = null, keywordTrackingId = null } = {}) {
+        try {
+            let sql = 'SELECT * FROM rank_alert_rules WHERE user_id = ?';
+            const params = [userId];
+            if (clientId) {
+                sql += ' AND client_id = ?';
+                params.push(clientId);
+            }
+            if (keywordTrackingId) {
+                sql += ' AND keyword_tracking_id = ?';
+                params.push(keywordTrackingId);
+            }
+            sql += ' ORDER BY created_at DESC';
+            const rows = await db.query(sql, params);
+            return rows.map(row => new RankAlertRule(row));
+        } catch (error) {
+            console.error('Error finding rank alert rules:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Active rules covering a tracked keyword: its own rules plus its client's
+     */
+    static async findForKeyword(keywordTracking) {
+        try {
+            const rows = await db.query(
+                `SELECT * FROM rank_alert_rules
+                WHERE user_id = ? AND is_active = 1
+                AND (keyword_tracking_id = ? OR (keyword_tracking_id IS NULL AND client_id = ?))`,
+                [keywordTracking.user_id, keywordTracking.id, keywordTracking.client_id]
+            );
+            return rows.map(row => new RankAlertRule(row));
+        } catch (error) {
+            console.error('Error finding rank alert rules for keyword:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update delivery and threshold settings. The target and type are fixed once created.
+     * A secret is generated the first time a webhook URL is set.
+     */
+    static async update(id, userId, data) {
+        try {
+            const allowed = ['threshold', 'notify_email', 'webhook_url', 'is_active'];
+            const fields = [];
+            const values = [];
+            allowed.forEach(key => {
+                if (data[key] !== undefined) {
+                    fields.push(`${key} = ?`);
+                    if (key === 'notify_email' || key === 'is_active') values.push(!!data[key]);
+                    else values.push(key === 'webhook_url' ? data[key] || null : data[key]);
+                }
+            });
+            if (data.webhook_url) {
+                fields.push('webhook_secret = COALESCE(webhook_secret, ?)');
+                values.push(crypto.randomBytes(24).toString('hex'));
+            }
+            if (fields.length === 0) return this.findById(id, userId);
+
+            values.push(id, userId);
+            await db.query(
+                `UPDATE rank_alert_rules SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
+                values
+            );
+            return this.findById(id, userId);
+        } catch (error) {
+            console.error('Error updating rank alert rule:', error);
+            throw error;
+        }
+    }
+
+    static async delete(id, userId) {
+        try {
+            const result = await db.query(
+                'DELETE FROM rank_alert_rules WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting rank alert rule:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RankAlertRule;
+module.exports.RULE_TYPES = RULE_TYPES;
@@ -0,0 +1,68 @@
+const db = require('../config/database');
+
+const DEFAULT_SETTINGS = {
+    weekly_digest_enabled: true
+};
+
+class RankAlertSetting {
+    constructor(data) {
+        this.id = data.id || null;
+        this.user_id = data.user_id;
+        this.weekly_digest_enabled = !!data.weekly_digest_enabled;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    /**
+     * A user's settings; the weekly digest is on until they turn it off
+     */
+    static async findByUserId(userId) {
+        try {
+            const rows = await db.query('SELECT * FROM rank_alert_settings WHERE user_id = ?', [userId]);
+            return new RankAlertSetting(rows.length > 0 ? rows[0] : { user_id: userId, ...DEFAULT_SETTINGS });
+        } catch (error) {
+            console.error('Error finding rank alert settings:', error);
+            throw error;
+        }
+    }
+
+    static async upsert(userId, data) {
+        try {
+            const current = await this.findByUserId(userId);
+            const merged = { ...current, ...data };
+            await db.query(
+                `INSERT INTO rank_alert_settings (user_id, weekly_digest_enabled)
+                VALUES (?, ?)
+                ON DUPLICATE KEY UPDATE
+                    weekly_digest_enabled = VALUES(weekly_digest_enabled),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [userId, !!merged.weekly_digest_enabled]
+            );
+            return this.findByUserId(userId);
+        } catch (error) {
+            console.error('Error saving rank alert settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Users with active tracked keywords who have not turned the weekly digest off
+     */
+    static async findDigestRecipients() {
+        try {
+            const rows = await db.query(
+                `SELECT DISTINCT kt.user_id
+                FROM keyword_tracking kt
+                LEFT JOIN rank_alert_settings s ON s.user_id = kt.user_id
+                WHERE kt.is_active = TRUE AND (s.weekly_digest_enabled IS NULL OR s.weekly_digest_enabled = 1)`
+            );
+            return rows.map(row => row.user_id);
+        } catch (error) {
+            console.error('Error finding rank digest recipients:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RankAlertSetting;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
@@ -0,0 +1,80 @@
+const db = require('../config/database');
+
+class RankDigest {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.period_start = data.period_start;
+        this.period_end = data.period_end;
+        this.summary = RankDigest._parseJson(data.summary);
+        this.email_status = data.email_status;
+        this.created_at = data.created_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Reserve the digest for a user and week. Returns the new row id, or null if it was already sent.
+     */
+    static async claim(userId, periodStart, periodEnd) {
+        try {
+            const result = await db.query(
+                'INSERT IGNORE INTO rank_digests (user_id, period_start, period_end) VALUES (?, ?, ?)',
+                [userId, periodStart, periodEnd]
+            );
+            return result.affectedRows > 0 ? result.insertId : null;
+        } catch (error) {
+            console.error('Error claiming rank digest:', error);
+            throw error;
+        }
+    }
+
+    static async complete(id, summary, emailStatus) {
+        try {
+            await db.query(
+                'UPDATE rank_digests SET summary = ?, email_status = ? WHERE id = ?',
+                [JSON.stringify(summary), emailStatus, id]
+            );
+        } catch (error) {
+            console.error('Error saving rank digest:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Drop a claim whose digest could not be built, so the next run tries again
+     */
+    static async release(id) {
+        try {
+            await db.query('DELETE FROM rank_digests WHERE id = ? AND email_status = ?', [id, 'pending']);
+        } catch (error) {
+            console.error('Error releasing rank digest:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, limit = 12) {
+        try {
+            const safeLimit = Math.max(1, Math.trunc(limit) || 12);
+            const rows = await db.query(
+                `SELECT * FROM rank_digests WHERE user_id = ? AND email_status <> 'pending'
+                ORDER BY period_start DESC LIMIT ${safeLimit}`,
+                [userId]
+            );
+            return rows.map(row => new RankDigest(row));
+        } catch (error) {
+            console.error('Error finding rank digests:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RankDigest;
@@ -0,0 +1,209 @@
+const db = require('../config/database');
+
+class SmsMessage {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.phone_number_id = data.phone_number_id;
+        this.message_sid = data.message_sid;
+        this.direction = data.direction; // 'inbound' or 'outbound'
+        this.from_number = data.from_number;
+        this.to_number = data.to_number;
+        this.counterpart_number = data.counterpart_number;
+        this.body = data.body;
+        this.num_segments = data.num_segments;
+        this.num_media = data.num_media;
+        this.media = SmsMessage._parseJson(data.media);
+        this.status = data.status;
+        this.error_code = data.error_code;
+        this.error_message = data.error_message;
+        this.is_read = !!data.is_read;
+        this.forwarded_to = data.forwarded_to;
+        this.forwarded_message_sid = data.forwarded_message_sid;
+        this.forwarded_segments = data.forwarded_segments;
+        this.is_billed = !!data.is_billed;
+        this.billed_segments = data.billed_segments;
+        this.billed_amount = data.billed_amount;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return [];
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    static async create(messageData) {
+        try {
+            const media = messageData.media || [];
+            const result = await db.query(
+                `INSERT INTO sms_messages
+                (user_id, phone_number_id, message_sid, direction, from_number, to_number, counterpart_number,
+                body, num_segments, num_media, media, status, is_read)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    messageData.user_id,
+                    this._sanitizeValue(messageData.phone_number_id),
+                    messageData.message_sid,
+                    messageData.direction,
+                    messageData.from_number,
+                    messageData.to_number,
+                    messageData.direction === 'inbound' ? messageData.from_number : messageData.to_number,
+                    this._sanitizeValue(messageData.body),
+                    parseInt(messageData.num_segments || 1, 10),
+                    media.length,
+                    JSON.stringify(media),
+                    this._sanitizeValue(messageData.status),
+                    // Messages we send ourselves start out read
+                    messageData.direction === 'outbound' ? 1 : 0
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating SMS message:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM sms_messages WHERE id = ?',
+                [id]
+            );
+            return rows.length > 0 ? new SmsMessage(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding SMS message by ID:', error);
+            throw error;
+        }
+    }
+
+    static async findByMessageSid(messageSid) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM sms_messages WHERE message_sid = ?',
+                [messageSid]
+            );
+            return rows.length > 0 ? new SmsMessage(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding SMS message by SID:', error);
+            throw error;
+        }
+    }
+
+    static async updateByMessageSid(messageSid, updateData) {
+        try {
+            const fields = [];
+            const values = [];
+
+            Object.keys(updateData).forEach(key => {
+                if (updateData[key] !== undefined) {
+                    fields.push(`${key} = ?`);
+                    values.push(this._sanitizeValue(updateData[key]));
+                }
+            });
+
+            if (fields.length === 0) return false;
+
+            fields.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(messageSid);
+
+            const result = await db.query(
+                `UPDATE sms_messages SET ${fields.join(', ')} WHERE message_sid = ?`,
+                values
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating SMS message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * One row per conversation (tracking number + counterpart) with its latest message
+     */
+    static async findThreadsByUserId(userId, phoneNumberId = null) {
+        try {
+            let where = 'WHERE m.user_id = ?';
+            const params = [userId];
+
+            if (phoneNumberId) {
+                where += ' AND m.phone_number_id = ?';
+                params.push(phoneNumberId);
+            }
+
+            const rows = await db.query(
+                `SELECT m.*, t.message_count, t.unread_count, upn.phone_number as tracking_number, upn.friendly_name
+                FROM sms_messages m
+                JOIN (
+                    SELECT phone_number_id, counterpart_number, MAX(id) as last_id,
+                        COUNT(*) as message_count, SUM(is_read = 0) as unread_count
+                    FROM sms_messages m
+                    ${where}
+                    GROUP BY phone_number_id, counterpart_number
+                ) t ON m.id = t.last_id
+                LEFT JOIN user_phone_numbers upn ON m.phone_number_id = upn.id
+                ORDER BY m.created_at DESC, m.id DESC`,
+                params
+            );
+
+            return rows.map(row => ({
+                phone_number_id: row.phone_number_id,
+                tracking_number: row.tracking_number,
+                friendly_name: row.friendly_name,
+                counterpart_number: row.counterpart_number,
+                message_count: Number(row.message_count) || 0,
+                unread_count: Number(row.unread_count) || 0,
+                last_message: new SmsMessage(row)
+            }));
+        } catch (error) {
+            console.error('Error finding SMS threads:', error);
+            throw error;
+        }
+    }
+
+    static async findThread(userId, phoneNumberId, counterpartNumber, page = 1, limit = 50) {
+        try {
+            const limitInt = parseInt(limit);
+            const offset = (parseInt(page) - 1) * limitInt;
+
+            // Newest page first, returned oldest-to-newest for display
+            const rows = await db.query(
+                `SELECT * FROM sms_messages
+                WHERE user_id = ? AND phone_number_id = ? AND counterpart_number = ?
+                ORDER BY created_at DESC, id DESC LIMIT ${limitInt} OFFSET ${offset}`,
+                [userId, phoneNumberId, counterpartNumber]
+            );
+            return rows.reverse().map(row => new SmsMessage(row));
+        } catch (error) {
+            console.error('Error finding SMS thread:', error);
+            throw error;
+        }
+    }
+
+    static async markThreadRead(userId, phoneNumberId, counterpartNumber) {
+        try {
+            const result = await db.query(
+                `UPDATE sms_messages SET is_read = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = ? AND phone_number_id = ? AND counterpart_number = ? AND is_read = 0`,
+                [userId, phoneNumberId, counterpartNumber]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error marking SMS thread read:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SmsMessage;
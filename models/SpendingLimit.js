@@ -0,0 +1,67 @@
+const db = require('../config/database');
+
+const DEFAULT_LIMITS = {
+    daily_cap: null,
+    monthly_cap: null,
+    low_balance_threshold: 10.0,
+    email_alerts_enabled: true
+};
+
+const toAmount = (value) => (value === undefined || value === null ? null : parseFloat(value));
+
+class SpendingLimit {
+    constructor(data) {
+        this.id = data.id || null;
+        this.user_id = data.user_id;
+        this.daily_cap = toAmount(data.daily_cap);
+        this.monthly_cap = toAmount(data.monthly_cap);
+        this.low_balance_threshold = toAmount(data.low_balance_threshold);
+        this.email_alerts_enabled = !!data.email_alerts_enabled;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    /**
+     * A user's limits; defaults (no caps, $10 low-balance alert) until they save their own
+     */
+    static async findByUserId(userId) {
+        try {
+            const rows = await db.query('SELECT * FROM spending_limits WHERE user_id = ?', [userId]);
+            return new SpendingLimit(rows.length > 0 ? rows[0] : { user_id: userId, ...DEFAULT_LIMITS });
+        } catch (error) {
+            console.error('Error finding spending limits:', error);
+            throw error;
+        }
+    }
+
+    static async upsert(userId, data) {
+        try {
+            const current = await this.findByUserId(userId);
+            const merged = { ...current, ...data };
+            await db.query(
+                `INSERT INTO spending_limits (user_id, daily_cap, monthly_cap, low_balance_threshold, email_alerts_enabled)
+                VALUES (?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    daily_cap = VALUES(daily_cap),
+                    monthly_cap = VALUES(monthly_cap),
+                    low_balance_threshold = VALUES(low_balance_threshold),
+                    email_alerts_enabled = VALUES(email_alerts_enabled),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    userId,
+                    toAmount(merged.daily_cap),
+                    toAmount(merged.monthly_cap),
+                    toAmount(merged.low_balance_threshold),
+                    !!merged.email_alerts_enabled
+                ]
+            );
+            return this.findByUserId(userId);
+        } catch (error) {
+            console.error('Error saving spending limits:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SpendingLimit;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
@@ -0,0 +1,139 @@
+const db = require('../config/database');
+
+// A 'processing' claim older than this is assumed to belong to a crashed worker
+const STALE_PROCESSING_MINUTES = 10;
+// Metadata keys that carry credentials (signup checkouts put the new account's password there)
+const CREDENTIAL_KEY = /pass(word)?|secret|token|api[_-]?key/i;
+
+class StripeWebhookEvent {
+    constructor(data) {
+        this.id = data.id;
+        this.event_id = data.event_id;
+        this.type = data.type;
+        this.status = data.status; // 'received', 'processing', 'processed', 'ignored', 'failed'
+        this.attempts = data.attempts;
+        this.payload = StripeWebhookEvent._parseJson(data.payload);
+        this.error_message = data.error_message;
+        this.processed_at = data.processed_at;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    static _parseJson(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * A copy of the event safe to persist: credential keys are dropped from every metadata object
+     */
+    static redact(event) {
+        const scrub = (value, inMetadata = false) => {
+            if (Array.isArray(value)) return value.map(item => scrub(item));
+            if (!value || typeof value !== 'object') return value;
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (inMetadata && CREDENTIAL_KEY.test(key)) continue;
+                copy[key] = scrub(item, key === 'metadata');
+            }
+            return copy;
+        };
+        return scrub(event);
+    }
+
+    /**
+     * Store an incoming event (redacted); a redelivery of a known event ID leaves the existing row alone
+     */
+    static async record(event) {
+        try {
+            await db.query(
+                `INSERT IGNORE INTO stripe_webhook_events (event_id, type, status, payload)
+                VALUES (?, ?, 'received', ?)`,
+                [event.id, event.type, JSON.stringify(StripeWebhookEvent.redact(event))]
+            );
+            return this.findByEventId(event.id);
+        } catch (error) {
+            console.error('Error recording Stripe webhook event:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Atomically take an event for processing. Only new, failed or stale in-flight events
+     * can be claimed, so concurrent deliveries of the same event never both run.
+     */
+    static async claim(eventId) {
+        try {
+            const result = await db.query(
+                `UPDATE stripe_webhook_events
+                SET status = 'processing', attempts = attempts + 1, error_message = NULL
+                WHERE event_id = ?
+                  AND (status IN ('received', 'failed')
+                       OR (status = 'processing' AND updated_at < NOW() - INTERVAL ${STALE_PROCESSING_MINUTES} MINUTE))`,
+                [eventId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error claiming Stripe webhook event:', error);
+            throw error;
+        }
+    }
+
+    static async markProcessed(eventId, status = 'processed') {
+        try {
+            await db.query(
+                `UPDATE stripe_webhook_events SET status = ?, processed_at = CURRENT_TIMESTAMP WHERE event_id = ?`,
+                [status, eventId]
+            );
+        } catch (error) {
+            console.error('Error marking Stripe webhook event processed:', error);
+            throw error;
+        }
+    }
+
+    static async markFailed(eventId, errorMessage) {
+        try {
+            await db.query(
+                `UPDATE stripe_webhook_events SET status = 'failed', error_message = ? WHERE event_id = ?`,
+                [String(errorMessage || 'Unknown error').slice(0, 2000), eventId]
+            );
+        } catch (error) {
+            console.error('Error marking Stripe webhook event failed:', error);
+            throw error;
+        }
+    }
+
+    static async findByEventId(eventId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM stripe_webhook_events WHERE event_id = ?',
+                [eventId]
+            );
+            return rows.length > 0 ? new StripeWebhookEvent(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding Stripe webhook event:', error);
+            throw error;
+        }
+    }
+
+    static async findFailed(limit = 50) {
+        try {
+            const limitInt = parseInt(limit) || 50;
+            const rows = await db.query(
+                `SELECT * FROM stripe_webhook_events WHERE status = 'failed'
+                ORDER BY created_at ASC LIMIT ${limitInt}`
+            );
+            return rows.map(row => new StripeWebhookEvent(row));
+        } catch (error) {
+            console.error('Error finding failed Stripe webhook events:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = StripeWebhookEvent;
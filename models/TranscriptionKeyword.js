@@ -0,0 +1,49 @@
+const db = require('../config/database');
+
+const DEFAULT_KEYWORDS = ['quote', 'price', 'estimate', 'emergency', 'appointment'];
+
+class TranscriptionKeyword {
+    /**
+     * Keywords a user flags in transcripts; defaults apply until they save their own list
+     */
+    static async findByUserId(userId) {
+        try {
+            const rows = await db.query(
+                'SELECT keyword FROM transcription_keywords WHERE user_id = ? ORDER BY keyword ASC',
+                [userId]
+            );
+            return rows.length > 0 ? rows.map(row => row.keyword) : [...DEFAULT_KEYWORDS];
+        } catch (error) {
+            console.error('Error finding transcription keywords:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the user's keyword list
+     */
+    static async replaceForUser(userId, keywords) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            await connection.execute('DELETE FROM transcription_keywords WHERE user_id = ?', [userId]);
+            for (const keyword of keywords) {
+                await connection.execute(
+                    'INSERT IGNORE INTO transcription_keywords (user_id, keyword) VALUES (?, ?)',
+                    [userId, keyword]
+                );
+            }
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch (_) {}
+            console.error('Error saving transcription keywords:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+        return this.findByUserId(userId);
+    }
+}
+
+module.exports = TranscriptionKeyword;
+module.exports.DEFAULT_KEYWORDS = DEFAULT_KEYWORDS;
@@ -5,6 +5,7 @@ class TwilioCallLog {
         this.id = data.id;
         this.user_id = data.user_id;
         this.phone_number_id = data.phone_number_id;
+        this.lead_id = data.lead_id;
         this.call_sid = data.call_sid;
         this.from_number = data.from_number;
         this.to_number = data.to_number;
@@ -21,12 +22,25 @@ class TwilioCallLog {
         this.recording_channels = data.recording_channels;
         this.recording_status = data.recording_status;
         this.duration = data.duration;
+        this.screening_status = data.screening_status;
+        this.is_screened_out = !!data.is_screened_out;
+        this.ivr_path = TwilioCallLog._parseJson(data.ivr_path);
         this.start_time = data.start_time;
         this.end_time = data.end_time;
         this.created_at = data.created_at;
         this.updated_at = data.updated_at;
     }
 
+    static _parseJson(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
     // Helper function to convert undefined to null for MySQL
     static _sanitizeValue(value) {
         return value === undefined ? null : value;
@@ -101,6 +115,25 @@ class TwilioCallLog {
         }
     }
 
+    /**
+     * Append an IVR menu selection to the call's ivr_path
+     */
+    static async appendIvrStep(callSid, step) {
+        try {
+            const result = await db.query(
+                `UPDATE twilio_call_logs
+                SET ivr_path = JSON_ARRAY_APPEND(COALESCE(ivr_path, JSON_ARRAY()), '$', CAST(? AS JSON)),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE call_sid = ?`,
+                [JSON.stringify(step), callSid]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error appending IVR step to call log:', error);
+            throw error;
+        }
+    }
+
     static async findByUserId(userId, page = 1, limit = 20, status = null) {
         try {
             let query = `SELECT * FROM twilio_call_logs WHERE user_id = ?`;
@@ -139,6 +172,31 @@ class TwilioCallLog {
         }
     }
 
+    /**
+     * The user's calls with the given SIDs, keyed by SID
+     */
+    static async findByCallSids(callSids, userId) {
+        try {
+            const sids = [...new Set((callSids || []).filter(Boolean))];
+            if (sids.length === 0) return new Map();
+            const rows = await db.query(
+                `SELECT tcl.*, upn.phone_number as tracking_number
+                FROM twilio_call_logs tcl
+                LEFT JOIN user_phone_numbers upn ON tcl.phone_number_id = upn.id
+                WHERE tcl.user_id = ? AND tcl.call_sid IN (${sids.map(() => '?').join(', ')})`,
+                [userId, ...sids]
+            );
+            return new Map(rows.map(row => {
+                const callLog = new TwilioCallLog(row);
+                callLog.tracking_number = row.tracking_number;
+                return [callLog.call_sid, callLog];
+            }));
+        } catch (error) {
+            console.error('Error finding Twilio call logs by call SIDs:', error);
+            throw error;
+        }
+    }
+
     static async getCallStats(userId) {
         try {
             const rows = await db.query(
@@ -179,6 +237,143 @@ class TwilioCallLog {
         }
     }
 
+    static async countPreviousCallsFromCaller(phoneNumberId, fromNumber, excludeCallSid = null) {
+        try {
+            if (!phoneNumberId || !fromNumber) return 0;
+
+            let query = `SELECT COUNT(*) AS total FROM twilio_call_logs
+                 WHERE phone_number_id = ? AND from_number = ? AND direction = 'inbound'`;
+            const params = [phoneNumberId, fromNumber];
+
+            if (excludeCallSid) {
+                query += ' AND call_sid <> ?';
+                params.push(excludeCallSid);
+            }
+
+            const rows = await db.query(query, params);
+            return Number(rows && rows.length ? rows[0].total : 0);
+        } catch (error) {
+            console.error('Error counting previous calls from caller:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inbound calls from a caller to a number since a date that lasted at most maxSeconds
+     */
+    static async countShortInboundCalls(phoneNumberId, fromNumber, maxSeconds, since) {
+        try {
+            const rows = await db.query(
+                `SELECT COUNT(*) AS total FROM twilio_call_logs
+                 WHERE phone_number_id = ? AND from_number = ? AND direction = 'inbound'
+                   AND status = 'completed' AND COALESCE(duration, 0) <= ? AND created_at >= ?`,
+                [phoneNumberId, fromNumber, maxSeconds, since]
+            );
+            return Number(rows && rows.length ? rows[0].total : 0);
+        } catch (error) {
+            console.error('Error counting short inbound calls:', error);
+            throw error;
+        }
+    }
+
+    static async findByLeadId(leadId, userId) {
+        try {
+            const rows = await db.query(
+                `SELECT tcl.*, upn.phone_number as tracking_number, upn.friendly_name
+                FROM twilio_call_logs tcl
+                LEFT JOIN user_phone_numbers upn ON tcl.phone_number_id = upn.id
+                WHERE tcl.lead_id = ? AND tcl.user_id = ?
+                ORDER BY tcl.created_at DESC`,
+                [leadId, userId]
+            );
+            return rows.map(row => {
+                const callLog = new TwilioCallLog(row);
+                callLog.tracking_number = row.tracking_number;
+                callLog.friendly_name = row.friendly_name;
+                return callLog;
+            });
+        } catch (error) {
+            console.error('Error finding Twilio call logs by lead ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inbound calls to any of the given numbers in [start, end), each with the time
+     * that caller first reached any of those numbers (for first-time caller checks)
+     */
+    static async findInboundForNumbers(phoneNumberIds, start, end) {
+        try {
+            if (!phoneNumberIds || phoneNumberIds.length === 0) return [];
+
+            const placeholders = phoneNumberIds.map(() => '?').join(', ');
+            const rows = await db.query(
+                `SELECT tcl.*, upn.phone_number as tracking_number, upn.friendly_name,
+                    (SELECT MIN(prev.created_at) FROM twilio_call_logs prev
+                     WHERE prev.direction = 'inbound' AND prev.from_number = tcl.from_number
+                       AND COALESCE(prev.is_screened_out, 0) = 0
+                       AND prev.phone_number_id IN (${placeholders})) as first_call_at
+                FROM twilio_call_logs tcl
+                LEFT JOIN user_phone_numbers upn ON tcl.phone_number_id = upn.id
+                WHERE tcl.direction = 'inbound'
+                  AND tcl.phone_number_id IN (${placeholders})
+                  AND tcl.created_at >= ? AND tcl.created_at < ?
+                  AND COALESCE(tcl.is_screened_out, 0) = 0
+                ORDER BY tcl.created_at ASC`,
+                [...phoneNumberIds, ...phoneNumberIds, start, end]
+            );
+            return rows.map(row => {
+                const callLog = new TwilioCallLog(row);
+                callLog.tracking_number = row.tracking_number;
+                callLog.friendly_name = row.friendly_name;
+                callLog.first_call_at = row.first_call_at;
+                return callLog;
+            });
+        } catch (error) {
+            console.error('Error finding inbound calls for numbers:', error);
+            throw error;
+        }
+    }
+
+    static async countOutboundSince(phoneNumberId, since) {
+        try {
+            const rows = await db.query(
+                `SELECT COUNT(*) AS total FROM twilio_call_logs
+                 WHERE phone_number_id = ? AND direction = 'outbound' AND created_at >= ?`,
+                [phoneNumberId, since]
+            );
+            return Number(rows[0].total || 0);
+        } catch (error) {
+            console.error('Error counting outbound calls:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Billed calls in [start, end): how many, billable minutes and what was charged
+     */
+    static async summarizeBilledCalls(userId, start, end) {
+        try {
+            const rows = await db.query(
+                `SELECT COUNT(*) AS call_count,
+                    COALESCE(SUM(billed_minutes), 0) AS billable_minutes,
+                    COALESCE(SUM(billed_amount), 0) AS billed_amount
+                 FROM twilio_call_logs
+                 WHERE user_id = ? AND is_billed = 1 AND created_at >= ? AND created_at < ?`,
+                [userId, start, end]
+            );
+            const row = rows[0] || {};
+            return {
+                call_count: Number(row.call_count || 0),
+                billable_minutes: Number(row.billable_minutes || 0),
+                billed_amount: parseFloat(row.billed_amount || 0)
+            };
+        } catch (error) {
+            console.error('Error summarizing billed calls:', error);
+            throw error;
+        }
+    }
+
     static async sumRecordingDurationSince(userId, sinceDate) {
         try {
             const rows = await db.query(
@@ -0,0 +1,46 @@
+const db = require('../config/database');
+
+class TwilioWebhookRequest {
+    /**
+     * Record a webhook request as handled. Returns false when the key was already seen, i.e. a replay.
+     */
+    static async claim(requestKey, path) {
+        try {
+            const result = await db.query(
+                'INSERT IGNORE INTO twilio_webhook_requests (request_key, path) VALUES (?, ?)',
+                [requestKey, String(path || '').slice(0, 255)]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error claiming Twilio webhook request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Forget a claimed request so Twilio's retry of a request we failed to handle is accepted
+     */
+    static async release(requestKey) {
+        try {
+            await db.query('DELETE FROM twilio_webhook_requests WHERE request_key = ?', [requestKey]);
+        } catch (error) {
+            console.error('Error releasing Twilio webhook request:', error);
+            throw error;
+        }
+    }
+
+    static async purgeOlderThan(hours) {
+        try {
+            const hoursInt = parseInt(hours) || 24;
+            const result = await db.query(
+                `DELETE FROM twilio_webhook_requests WHERE created_at < NOW() - INTERVAL ${hoursInt} HOUR`
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error purging Twilio webhook requests:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TwilioWebhookRequest;
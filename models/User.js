@@ -1,6 +1,8 @@
 const db = require("../config/database");
 const bcrypt = require("bcryptjs");
 const { v4: uuidv4 } = require("uuid");
+const BalanceTransaction = require("./BalanceTransaction");
+const PricingPlan = require("./PricingPlan");
 
 class User {
   constructor(data = {}) {
@@ -14,6 +16,9 @@ class User {
     this.has_claimed_free_number = data.has_claimed_free_number; // boolean/tinyint
     this.is_paid = data.is_paid;
     this.stripe_customer_id = data.stripe_customer_id;
+    this.subscription_status = data.subscription_status;
+    this.pricing_plan_id = data.pricing_plan_id;
+    this.pending_pricing_plan_id = data.pending_pricing_plan_id; // applied at the next monthly reset
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -33,24 +38,43 @@ class User {
   static async create(data) {
     const hashedPassword = await bcrypt.hash(data.password, 12);
     const now = new Date();
+    const plan = (data.pricing_plan_id && await PricingPlan.findById(data.pricing_plan_id))
+      || await PricingPlan.findDefault();
+    const freeMinutes = plan.monthly_free_minutes;
 
     const sql = `
     INSERT INTO users (
       name, email, password,
       balance, free_minutes_remaining, free_minutes_last_reset, has_claimed_free_number,
-      created_at, updated_at
+      pricing_plan_id, created_at, updated_at
     )
-    VALUES (?, ?, ?, 0.00, 200, NULL, 0, ?, ?)
+    VALUES (?, ?, ?, 0.00, ?, NULL, 0, ?, ?, ?)
   `;
 
     const result = await db.query(sql, [
       data.name,
       data.email,
       hashedPassword,
+      freeMinutes,
+      plan.id,
       now,
       now,
     ]);
 
+    // Opening ledger entry for the signup free minutes so the account reconciles
+    await BalanceTransaction.create(db.pool, {
+      user_id: result.insertId,
+      type: "opening_balance",
+      counter_account: "free_minutes",
+      amount: 0,
+      balance_before: 0,
+      balance_after: 0,
+      free_minutes_delta: freeMinutes,
+      free_minutes_before: 0,
+      free_minutes_after: freeMinutes,
+      description: `Signup free minutes (${plan.name} plan)`,
+    });
+
     // Optionally update Stripe fields if provided
     if (data.is_paid !== undefined || data.stripe_customer_id !== undefined) {
       try {
@@ -83,25 +107,41 @@ class User {
     return await User.findById(id);
   }
   static async downgradeByCustomerId(stripeCustomerId) {
-    const sql = "UPDATE users SET is_paid = false, updated_at = ? WHERE stripe_customer_id = ?";
+    const sql = "UPDATE users SET is_paid = false, subscription_status = 'canceled', updated_at = ? WHERE stripe_customer_id = ?";
     const now = new Date();
     await db.query(sql, [now, stripeCustomerId]);
   }
+  static async findByStripeCustomerId(stripeCustomerId) {
+    const sql = "SELECT * FROM users WHERE stripe_customer_id = ?";
+    const results = await db.query(sql, [stripeCustomerId]);
+    return results.length ? new User(results[0]) : null;
+  }
+  static async updateSubscriptionByCustomerId(stripeCustomerId, { subscription_status, is_paid }) {
+    const sql = "UPDATE users SET subscription_status = ?, is_paid = ?, updated_at = ? WHERE stripe_customer_id = ?";
+    const now = new Date();
+    const result = await db.query(sql, [subscription_status, is_paid, now, stripeCustomerId]);
+    return result.affectedRows > 0;
+  }
 
-  static async updateFreeMinutes(id, newFreeMinutes) {
+  // Switch plans at the next monthly reset; passing the current plan cancels a pending change
+  static async schedulePlanChange(id, planId) {
+    const sql = `UPDATE users SET pending_pricing_plan_id = IF(pricing_plan_id = ?, NULL, ?), updated_at = ? WHERE id = ?`;
     const now = new Date();
-    const sql = "UPDATE users SET free_minutes_remaining = ?, free_minutes_last_reset = ?, updated_at = ? WHERE id = ?";
-    await db.query(sql, [newFreeMinutes, now, now, id]);
+    await db.query(sql, [planId, planId, now, id]);
     return await User.findById(id);
   }
 
-  static async updateBalance(id, newBalance) {
+  // Switch plans right away (support/admin use); free minutes follow at the next reset
+  static async setPricingPlan(id, planId) {
+    const sql = "UPDATE users SET pricing_plan_id = ?, pending_pricing_plan_id = NULL, updated_at = ? WHERE id = ?";
     const now = new Date();
-    const sql = "UPDATE users SET balance = ?, updated_at = ? WHERE id = ?";
-    await db.query(sql, [newBalance, now, id]);
+    await db.query(sql, [planId, now, id]);
     return await User.findById(id);
   }
 
+  // Balance and free minutes only change through BillingService.postTransaction,
+  // which writes the matching balance_transactions ledger entry.
+
   static async updatePassword(id, newPassword) {
     const hashedPassword = await bcrypt.hash(newPassword, 12);
     const now = new Date();
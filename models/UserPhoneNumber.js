@@ -15,6 +15,13 @@ class UserPhoneNumber {
         this.purchase_price_unit = data.purchase_price_unit;
         this.monthly_cost = data.monthly_cost;
         this.capabilities = data.capabilities;
+        // Renewal billing
+        this.is_free = !!data.is_free;
+        this.next_renewal_at = data.next_renewal_at;
+        this.renewal_status = data.renewal_status || 'active';
+        this.renewal_failed_at = data.renewal_failed_at;
+        this.suspended_at = data.suspended_at;
+        this.reactivation_pending = !!data.reactivation_pending;
         // Whisper configuration fields
         this.whisper_enabled = data.whisper_enabled !== undefined ? !!data.whisper_enabled : false;
         this.whisper_type = data.whisper_type || 'say';
@@ -23,10 +30,41 @@ class UserPhoneNumber {
         this.whisper_language = data.whisper_language || 'en-US';
         this.whisper_media_url = data.whisper_media_url;
         this.active_whisper_id = data.active_whisper_id;
+        // Voicemail configuration fields
+        this.voicemail_enabled = data.voicemail_enabled !== undefined ? !!data.voicemail_enabled : true;
+        this.voicemail_greeting_type = data.voicemail_greeting_type || 'say';
+        this.voicemail_greeting_text = data.voicemail_greeting_text;
+        this.voicemail_greeting_id = data.voicemail_greeting_id;
+        this.voicemail_max_length = data.voicemail_max_length || 120;
+        this.voicemail_transcribe = data.voicemail_transcribe !== undefined ? !!data.voicemail_transcribe : true;
+        this.sms_forwarding_enabled = !!data.sms_forwarding_enabled;
+        // Client attribution
+        this.client_id = data.client_id;
+        this.website_id = data.website_id;
+        // Call screening
+        this.screening_gate_enabled = !!data.screening_gate_enabled;
+        this.screening_gate_message = data.screening_gate_message;
+        this.auto_block_enabled = data.auto_block_enabled !== undefined ? !!data.auto_block_enabled : true;
+        // Outbound call caps (NULL means no cap)
+        this.daily_call_cap = data.daily_call_cap !== undefined && data.daily_call_cap !== null ? parseInt(data.daily_call_cap, 10) : null;
+        this.monthly_call_cap = data.monthly_call_cap !== undefined && data.monthly_call_cap !== null ? parseInt(data.monthly_call_cap, 10) : null;
+        // IVR menu
+        this.ivr_enabled = !!data.ivr_enabled;
+        this.ivr_config = UserPhoneNumber._parseJson(data.ivr_config);
         this.created_at = data.created_at;
         this.updated_at = data.updated_at;
     }
 
+    static _parseJson(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
     // Helper function to convert undefined to null for MySQL
     static _sanitizeValue(value) {
         return value === undefined ? null : value;
@@ -186,13 +224,62 @@ class UserPhoneNumber {
         }
     }
 
+    /**
+     * Paid, active numbers whose renewal is due (including ones in grace or suspended)
+     */
+    static async findDueForRenewal(now = new Date()) {
+        try {
+            const rows = await db.query(
+                `SELECT * FROM user_phone_numbers
+                WHERE is_active = true AND is_free = 0 AND next_renewal_at IS NOT NULL AND next_renewal_at <= ?
+                  AND renewal_status <> 'released'
+                ORDER BY next_renewal_at ASC`,
+                [now]
+            );
+            return rows.map(row => new UserPhoneNumber(row));
+        } catch (error) {
+            console.error('Error finding phone numbers due for renewal:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Numbers whose renewal was paid while suspended but whose Twilio URLs were not restored yet
+     */
+    static async findPendingReactivation() {
+        try {
+            const rows = await db.query(
+                `SELECT * FROM user_phone_numbers
+                WHERE is_active = true AND reactivation_pending = 1
+                ORDER BY updated_at ASC`
+            );
+            return rows.map(row => new UserPhoneNumber(row));
+        } catch (error) {
+            console.error('Error finding phone numbers pending reactivation:', error);
+            throw error;
+        }
+    }
+
+    static async findByClientId(clientId, userId) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM user_phone_numbers WHERE client_id = ? AND user_id = ? ORDER BY created_at ASC',
+                [clientId, userId]
+            );
+            return rows.map(row => new UserPhoneNumber(row));
+        } catch (error) {
+            console.error('Error finding phone numbers by client ID:', error);
+            throw error;
+        }
+    }
+
     static async update(id, updateData) {
         try {
             const fields = [];
             const values = [];
             
             Object.keys(updateData).forEach(key => {
-                if (key === 'capabilities') {
+                if (key === 'capabilities' || key === 'ivr_config') {
                     fields.push(`${key} = ?`);
                     values.push(updateData[key] ? JSON.stringify(updateData[key]) : null);
                 } else {
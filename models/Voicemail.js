@@ -0,0 +1,158 @@
+const db = require('../config/database');
+
+class Voicemail {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.phone_number_id = data.phone_number_id;
+        this.call_log_id = data.call_log_id;
+        this.call_sid = data.call_sid;
+        this.from_number = data.from_number;
+        this.to_number = data.to_number;
+        this.recording_sid = data.recording_sid;
+        this.recording_url = data.recording_url;
+        this.duration = data.duration;
+        this.transcription_sid = data.transcription_sid;
+        this.transcription_text = data.transcription_text;
+        this.transcription_status = data.transcription_status;
+        this.is_heard = !!data.is_heard;
+        this.heard_at = data.heard_at;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    // Helper function to convert undefined to null for MySQL
+    static _sanitizeValue(value) {
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Insert a voicemail, or fill in missing details when the recording is already known.
+     * Twilio's recording and transcription callbacks can arrive in either order.
+     */
+    static async upsert(voicemailData) {
+        try {
+            const result = await db.query(
+                `INSERT INTO voicemails
+                (user_id, phone_number_id, call_log_id, call_sid, from_number, to_number,
+                recording_sid, recording_url, duration, transcription_sid, transcription_text, transcription_status)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    call_log_id = COALESCE(call_log_id, VALUES(call_log_id)),
+                    recording_url = COALESCE(VALUES(recording_url), recording_url),
+                    duration = COALESCE(VALUES(duration), duration),
+                    transcription_sid = COALESCE(VALUES(transcription_sid), transcription_sid),
+                    transcription_text = COALESCE(VALUES(transcription_text), transcription_text),
+                    transcription_status = COALESCE(VALUES(transcription_status), transcription_status),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    voicemailData.user_id,
+                    this._sanitizeValue(voicemailData.phone_number_id),
+                    this._sanitizeValue(voicemailData.call_log_id),
+                    voicemailData.call_sid,
+                    this._sanitizeValue(voicemailData.from_number),
+                    this._sanitizeValue(voicemailData.to_number),
+                    voicemailData.recording_sid,
+                    this._sanitizeValue(voicemailData.recording_url),
+                    this._sanitizeValue(voicemailData.duration),
+                    this._sanitizeValue(voicemailData.transcription_sid),
+                    this._sanitizeValue(voicemailData.transcription_text),
+                    this._sanitizeValue(voicemailData.transcription_status)
+                ]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error saving voicemail:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const rows = await db.query(
+                'SELECT * FROM voicemails WHERE id = ?',
+                [id]
+            );
+            return rows.length > 0 ? new Voicemail(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding voicemail by ID:', error);
+            throw error;
+        }
+    }
+
+    static async findByUserId(userId, { page = 1, limit = 20, isHeard = null, phoneNumberId = null } = {}) {
+        try {
+            let where = 'WHERE v.user_id = ?';
+            const params = [userId];
+
+            if (isHeard !== null) {
+                where += ' AND v.is_heard = ?';
+                params.push(isHeard ? 1 : 0);
+            }
+            if (phoneNumberId) {
+                where += ' AND v.phone_number_id = ?';
+                params.push(phoneNumberId);
+            }
+
+            const limitInt = parseInt(limit);
+            const offset = (parseInt(page) - 1) * limitInt;
+
+            const rows = await db.query(
+                `SELECT v.*, upn.friendly_name
+                FROM voicemails v
+                LEFT JOIN user_phone_numbers upn ON v.phone_number_id = upn.id
+                ${where}
+                ORDER BY v.created_at DESC LIMIT ${limitInt} OFFSET ${offset}`,
+                params
+            );
+            const countRows = await db.query(
+                `SELECT COUNT(*) as total, COALESCE(SUM(v.is_heard = 0), 0) as unheard
+                FROM voicemails v ${where}`,
+                params
+            );
+
+            return {
+                voicemails: rows.map(row => {
+                    const voicemail = new Voicemail(row);
+                    voicemail.friendly_name = row.friendly_name;
+                    return voicemail;
+                }),
+                total: Number(countRows[0].total) || 0,
+                unheard: Number(countRows[0].unheard) || 0
+            };
+        } catch (error) {
+            console.error('Error finding voicemails by user ID:', error);
+            throw error;
+        }
+    }
+
+    static async markHeard(id, heard = true) {
+        try {
+            const result = await db.query(
+                `UPDATE voicemails
+                SET is_heard = ?, heard_at = ${heard ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?`,
+                [heard ? 1 : 0, id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error marking voicemail heard:', error);
+            throw error;
+        }
+    }
+
+    static async delete(id) {
+        try {
+            const result = await db.query(
+                'DELETE FROM voicemails WHERE id = ?',
+                [id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting voicemail:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Voicemail;
@@ -2,23 +2,59 @@ const express = require('express');
 const router = express.Router();
 const { authenticate: auth } = require('../middleware/auth');
 const User = require('../models/User');
-const { MIN_REQUIRED_BALANCE, CALL_RATE_PER_MINUTE, MONTHLY_FREE_MINUTES, PHONE_NUMBER_MONTHLY_PRICE } = require('../services/BillingService');
+const UserPhoneNumber = require('../models/UserPhoneNumber');
+const PhoneNumberRenewalEvent = require('../models/PhoneNumberRenewalEvent');
+const BalanceTransaction = require('../models/BalanceTransaction');
+const AutoRechargeSetting = require('../models/AutoRechargeSetting');
+const AutoRechargeAttempt = require('../models/AutoRechargeAttempt');
+const PricingPlan = require('../models/PricingPlan');
+const Invoice = require('../models/Invoice');
+const SpendingLimit = require('../models/SpendingLimit');
+const { BillingService } = require('../services/BillingService');
+const { NumberRenewalService, GRACE_PERIOD_DAYS, SUSPENSION_DAYS } = require('../services/NumberRenewalService');
+const { InvoiceService } = require('../services/InvoiceService');
+const { SpendingLimitService } = require('../services/SpendingLimitService');
+const { AutoRechargeService, MIN_RECHARGE_AMOUNT, MAX_RECHARGE_AMOUNT } = require('../services/AutoRechargeService');
 
 router.get('/me', auth, async (req, res) => {
   try {
+    await BillingService.ensureMonthlyMinutesReset(req.user.id);
     const user = await User.findById(req.user.id);
+    const plan = await PricingPlan.findForUserId(user.id);
+    const pendingPlan = user.pending_pricing_plan_id ? await PricingPlan.findById(user.pending_pricing_plan_id) : null;
+    const phoneNumbers = await UserPhoneNumber.findActiveByUserId(user.id);
+    const renewalEvents = await PhoneNumberRenewalEvent.findByUserId(user.id, 20);
     res.json({
       success: true,
       userId: user.id,
       balance: parseFloat(user.balance || 0),
       freeMinutesRemaining: parseInt(user.free_minutes_remaining || 0, 10),
       hasClaimedFreeNumber: !!user.has_claimed_free_number,
+      plan,
+      // Takes effect when free minutes next reset (start of the next calendar month, UTC)
+      pendingPlan,
       pricing: {
-        minRequiredBalance: MIN_REQUIRED_BALANCE,
-        callRatePerMinute: CALL_RATE_PER_MINUTE,
-        monthlyFreeMinutes: MONTHLY_FREE_MINUTES,
-        phoneNumberMonthlyPrice: PHONE_NUMBER_MONTHLY_PRICE,
+        minRequiredBalance: plan.min_required_balance,
+        callRatePerMinute: plan.outbound_rate_per_minute,
+        inboundRatePerMinute: plan.inbound_rate_per_minute,
+        outboundRatePerMinute: plan.outbound_rate_per_minute,
+        tollFreeRatePerMinute: plan.toll_free_rate_per_minute,
+        monthlyFreeMinutes: plan.monthly_free_minutes,
+        phoneNumberMonthlyPrice: plan.phone_number_monthly_price,
+        smsRatePerSegment: plan.sms_rate_per_segment,
+        maxPhoneNumbers: plan.max_phone_numbers,
+        renewalGracePeriodDays: GRACE_PERIOD_DAYS,
+        renewalSuspensionDays: SUSPENSION_DAYS,
       },
+      numberRenewals: phoneNumbers.filter(n => !n.is_free).map(n => ({
+        phoneNumberId: n.id,
+        phoneNumber: n.phone_number,
+        status: n.renewal_status,
+        reactivationPending: n.reactivation_pending,
+        nextRenewalAt: n.next_renewal_at,
+        ...NumberRenewalService.getDeadlines(n),
+      })),
+      renewalEvents,
     });
   } catch (e) {
     console.error('Error fetching billing state:', e);
@@ -26,6 +62,395 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Plans a user can switch to
+router.get('/plans', auth, async (req, res) => {
+  try {
+    const plans = await PricingPlan.findActive();
+    res.json({ success: true, plans });
+  } catch (e) {
+    console.error('Error fetching pricing plans:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch pricing plans' });
+  }
+});
+
+// Schedule a plan change for the next monthly cycle; choosing the current plan cancels a pending change
+router.put('/plan', auth, async (req, res) => {
+  try {
+    const { planId } = req.body;
+    const plan = planId ? await PricingPlan.findById(planId) : null;
+    if (!plan || !plan.is_active) {
+      return res.status(400).json({ success: false, error: 'Unknown or unavailable plan' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (plan.stripe_price_id && !user.is_paid) {
+      return res.status(402).json({ success: false, error: 'This plan requires an active subscription' });
+    }
+
+    const updated = await User.schedulePlanChange(user.id, plan.id);
+    const current = await PricingPlan.findForUserId(user.id);
+    res.json({
+      success: true,
+      plan: current,
+      pendingPlan: updated.pending_pricing_plan_id ? plan : null
+    });
+  } catch (e) {
+    console.error('Error changing pricing plan:', e);
+    res.status(500).json({ success: false, error: 'Failed to change pricing plan' });
+  }
+});
+
+// Helper: quote a CSV cell when needed
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Balance ledger, newest first. ?type=, ?start=YYYY-MM-DD, ?end=YYYY-MM-DD (exclusive), ?format=csv
+router.get('/transactions', auth, async (req, res) => {
+  try {
+    const { type, start, end, format = 'json' } = req.query;
+    const page = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+
+    if (type && !BalanceTransaction.TRANSACTION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${BalanceTransaction.TRANSACTION_TYPES.join(', ')}` });
+    }
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((start && !datePattern.test(start)) || (end && !datePattern.test(end))) {
+      return res.status(400).json({ success: false, error: 'start and end must be in YYYY-MM-DD format' });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json or csv' });
+    }
+
+    const filters = { type: type || null, startDate: start || null, endDate: end || null };
+
+    if (format === 'csv') {
+      const transactions = await BalanceTransaction.findAllByUserId(req.user.id, filters);
+      const header = ['ID', 'Date', 'Type', 'Amount', 'Balance Before', 'Balance After', 'Free Minutes Change',
+        'Free Minutes After', 'Counter Account', 'Reference Type', 'Reference', 'Description'];
+      const lines = [header, ...transactions.map(t => [
+        t.id, t.created_at, t.type, t.amount.toFixed(2), t.balance_before.toFixed(2), t.balance_after.toFixed(2),
+        t.free_minutes_delta, t.free_minutes_after, t.counter_account, t.reference_type, t.reference_id, t.description
+      ])];
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="balance-transactions.csv"');
+      return res.send(lines.map(row => row.map(csvCell).join(',')).join('\n') + '\n');
+    }
+
+    const { transactions, total } = await BalanceTransaction.findByUserId(req.user.id, { page, limit, ...filters });
+    res.json({
+      success: true,
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (e) {
+    console.error('Error fetching balance transactions:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch balance transactions' });
+  }
+});
+
+// Recompute the user's balance and free minutes from the ledger and report any mismatch
+router.get('/transactions/reconcile', auth, async (req, res) => {
+  try {
+    const reconciliation = await BillingService.reconcile(req.user.id);
+    res.json({ success: true, reconciliation });
+  } catch (e) {
+    console.error('Error reconciling balance:', e);
+    res.status(500).json({ success: false, error: 'Failed to reconcile balance' });
+  }
+});
+
+// Monthly statements, newest first
+router.get('/invoices', auth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '24', 10) || 24));
+    const { invoices, total } = await Invoice.findByUserId(req.user.id, page, limit);
+    res.json({
+      success: true,
+      invoices,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (e) {
+    console.error('Error fetching invoices:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch invoices' });
+  }
+});
+
+// Issue (or return) the statement for a closed month: { month: 'YYYY-MM' }, defaults to last month
+router.post('/invoices', auth, async (req, res) => {
+  try {
+    const invoice = await InvoiceService.generateForUser(req.user.id, req.body.month || null);
+    res.json({ success: true, invoice });
+  } catch (e) {
+    if (e.code === 'INVALID_PERIOD' || e.code === 'PERIOD_OPEN') {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    console.error('Error generating invoice:', e);
+    res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+  }
+});
+
+router.get('/invoices/:id', auth, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id, req.user.id);
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+    res.json({ success: true, invoice });
+  } catch (e) {
+    console.error('Error fetching invoice:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch invoice' });
+  }
+});
+
+router.get('/invoices/:id/pdf', auth, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id, req.user.id);
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+    const user = await User.findById(req.user.id);
+    const pdf = await InvoiceService.toPdf(invoice, user);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error('Error rendering invoice PDF:', e);
+    res.status(500).json({ success: false, error: 'Failed to render invoice' });
+  }
+});
+
+router.get('/invoices/:id/csv', auth, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id, req.user.id);
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.csv"`);
+    res.send(InvoiceService.toCsv(invoice));
+  } catch (e) {
+    console.error('Error rendering invoice CSV:', e);
+    res.status(500).json({ success: false, error: 'Failed to render invoice' });
+  }
+});
+
+const spendingLimitsResponse = async (userId) => {
+  const [limits, usage, phoneNumbers] = await Promise.all([
+    SpendingLimit.findByUserId(userId),
+    SpendingLimitService.getUsage(userId),
+    UserPhoneNumber.findActiveByUserId(userId)
+  ]);
+  const numbers = await Promise.all(phoneNumbers.map(async (n) => ({
+    phoneNumberId: n.id,
+    phoneNumber: n.phone_number,
+    dailyCallCap: n.daily_call_cap,
+    monthlyCallCap: n.monthly_call_cap,
+    ...(await SpendingLimitService.getNumberUsage(n))
+  })));
+
+  return {
+    success: true,
+    limits: {
+      dailyCap: limits.daily_cap,
+      monthlyCap: limits.monthly_cap,
+      lowBalanceThreshold: limits.low_balance_threshold,
+      emailAlertsEnabled: limits.email_alerts_enabled
+    },
+    usage,
+    numbers
+  };
+};
+
+// Spending caps, low-balance alert level, what has been spent against them, and per-number call caps
+router.get('/limits', auth, async (req, res) => {
+  try {
+    res.json(await spendingLimitsResponse(req.user.id));
+  } catch (e) {
+    console.error('Error fetching spending limits:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch spending limits' });
+  }
+});
+
+// { daily_cap, monthly_cap, low_balance_threshold, email_alerts_enabled }; null removes a cap
+router.put('/limits', auth, async (req, res) => {
+  try {
+    const { daily_cap, monthly_cap, low_balance_threshold, email_alerts_enabled } = req.body;
+
+    const current = await SpendingLimit.findByUserId(req.user.id);
+    const validationError = SpendingLimitService.validateLimits({
+      daily_cap: daily_cap !== undefined ? daily_cap : current.daily_cap,
+      monthly_cap: monthly_cap !== undefined ? monthly_cap : current.monthly_cap,
+      low_balance_threshold
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updates = {};
+    if (daily_cap !== undefined) updates.daily_cap = daily_cap;
+    if (monthly_cap !== undefined) updates.monthly_cap = monthly_cap;
+    if (low_balance_threshold !== undefined) updates.low_balance_threshold = low_balance_threshold;
+    if (email_alerts_enabled !== undefined) updates.email_alerts_enabled = !!email_alerts_enabled;
+    if (Object.keys(updates).length > 0) {
+      await SpendingLimit.upsert(req.user.id, updates);
+    }
+
+    res.json(await spendingLimitsResponse(req.user.id));
+  } catch (e) {
+    console.error('Error updating spending limits:', e);
+    res.status(500).json({ success: false, error: 'Failed to update spending limits' });
+  }
+});
+
+// { daily_call_cap, monthly_call_cap } for outbound calls from one number; null removes a cap
+router.put('/limits/numbers/:phoneNumberId', auth, async (req, res) => {
+  try {
+    const { daily_call_cap, monthly_call_cap } = req.body;
+
+    const userNumber = await UserPhoneNumber.findById(req.params.phoneNumberId);
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, error: 'Phone number not found or does not belong to you' });
+    }
+
+    const validationError = SpendingLimitService.validateLimits({ daily_call_cap, monthly_call_cap });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updates = {};
+    if (daily_call_cap !== undefined) updates.daily_call_cap = daily_call_cap === null ? null : parseInt(daily_call_cap, 10);
+    if (monthly_call_cap !== undefined) updates.monthly_call_cap = monthly_call_cap === null ? null : parseInt(monthly_call_cap, 10);
+    if (Object.keys(updates).length > 0) {
+      await UserPhoneNumber.update(userNumber.id, updates);
+    }
+
+    res.json(await spendingLimitsResponse(req.user.id));
+  } catch (e) {
+    console.error('Error updating number call caps:', e);
+    res.status(500).json({ success: false, error: 'Failed to update number call caps' });
+  }
+});
+
+const autoRechargeResponse = async (userId) => {
+  const now = new Date();
+  const [settings, attempts, chargedThisMonth] = await Promise.all([
+    AutoRechargeSetting.findByUserId(userId),
+    AutoRechargeAttempt.findByUserId(userId, 20),
+    AutoRechargeAttempt.sumForMonth(userId, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)))
+  ]);
+  return {
+    success: true,
+    settings: {
+      enabled: settings.is_enabled,
+      threshold: settings.threshold,
+      recharge_amount: settings.recharge_amount,
+      monthly_cap: settings.monthly_cap,
+      card: settings.stripe_payment_method_id
+        ? { brand: settings.card_brand, last4: settings.card_last4 }
+        : null,
+      consecutive_failures: settings.consecutive_failures,
+      last_failure_message: settings.last_failure_message,
+      disabled_reason: settings.disabled_reason
+    },
+    chargedThisMonth,
+    attempts,
+    limits: { minRechargeAmount: MIN_RECHARGE_AMOUNT, maxRechargeAmount: MAX_RECHARGE_AMOUNT }
+  };
+};
+
+// Auto-recharge settings, saved card and recent charges
+router.get('/auto-recharge', auth, async (req, res) => {
+  try {
+    res.json(await autoRechargeResponse(req.user.id));
+  } catch (e) {
+    console.error('Error fetching auto-recharge settings:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch auto-recharge settings' });
+  }
+});
+
+// SetupIntent for saving a card with Stripe.js; send the resulting payment_method_id to PUT /auto-recharge
+router.post('/auto-recharge/setup-intent', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const setupIntent = await AutoRechargeService.createSetupIntent(user);
+    res.json({ success: true, clientSecret: setupIntent.client_secret });
+  } catch (e) {
+    console.error('Error creating auto-recharge setup intent:', e);
+    res.status(500).json({ success: false, error: 'Failed to start card setup' });
+  }
+});
+
+router.put('/auto-recharge', auth, async (req, res) => {
+  try {
+    const { enabled, threshold, recharge_amount, monthly_cap, payment_method_id } = req.body;
+
+    const current = await AutoRechargeSetting.findByUserId(req.user.id);
+    // Validate against the saved values so a partial update can't break the cap/amount relationship
+    const validationError = AutoRechargeService.validateSettings({
+      threshold,
+      recharge_amount: recharge_amount !== undefined ? recharge_amount : current.recharge_amount,
+      monthly_cap: monthly_cap !== undefined ? monthly_cap : current.monthly_cap
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    if (payment_method_id) {
+      const user = await User.findById(req.user.id);
+      try {
+        await AutoRechargeService.savePaymentMethod(user, payment_method_id);
+      } catch (err) {
+        if (err.code === 'PAYMENT_METHOD_MISMATCH' || err.type === 'StripeInvalidRequestError') {
+          return res.status(400).json({ success: false, error: 'Invalid payment method' });
+        }
+        throw err;
+      }
+    }
+
+    const updates = {};
+    if (threshold !== undefined) updates.threshold = parseFloat(threshold);
+    if (recharge_amount !== undefined) updates.recharge_amount = parseFloat(recharge_amount);
+    if (monthly_cap !== undefined) updates.monthly_cap = parseFloat(monthly_cap);
+    if (enabled !== undefined) {
+      updates.is_enabled = !!enabled;
+      if (enabled) {
+        const saved = await AutoRechargeSetting.findByUserId(req.user.id);
+        if (!saved.stripe_payment_method_id) {
+          return res.status(400).json({ success: false, error: 'Save a card before enabling auto-recharge' });
+        }
+        // Turning it back on clears the failure streak that disabled it
+        updates.consecutive_failures = 0;
+        updates.disabled_reason = null;
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await AutoRechargeSetting.upsert(req.user.id, updates);
+    }
+
+    // Enabling while already under the threshold charges right away
+    if (updates.is_enabled) {
+      await AutoRechargeService.checkAndRecharge(req.user.id);
+    }
+
+    res.json(await autoRechargeResponse(req.user.id));
+  } catch (e) {
+    console.error('Error updating auto-recharge settings:', e);
+    res.status(500).json({ success: false, error: 'Failed to update auto-recharge settings' });
+  }
+});
+
 module.exports = router;
 
 
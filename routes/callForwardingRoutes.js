@@ -3,6 +3,11 @@ const router = express.Router();
 const { authenticate: auth } = require('../middleware/auth');
 const CallForwarding = require('../models/CallForwarding');
 const UserPhoneNumber = require('../models/UserPhoneNumber');
+const CallRoutingRule = require('../models/CallRoutingRule');
+const PhoneNumberSchedule = require('../models/PhoneNumberSchedule');
+const { CallRoutingService } = require('../services/CallRoutingService');
+const CallScreeningEntry = require('../models/CallScreeningEntry');
+const { CallScreeningService, LIST_TYPES } = require('../services/CallScreeningService');
 
 // Get all call forwarding settings for the authenticated user
 router.get('/', auth, async (req, res) => {
@@ -24,7 +29,7 @@ router.get('/', auth, async (req, res) => {
 // Create a new call forwarding setting
 router.post('/', auth, async (req, res) => {
     try {
-        const { phone_number_id, forward_to_number, forwarding_type, ring_timeout } = req.body;
+        const { phone_number_id, forward_to_number, forwarding_type, ring_timeout, priority } = req.body;
 
         // Validate required fields
         if (!phone_number_id || !forward_to_number) {
@@ -59,7 +64,8 @@ router.post('/', auth, async (req, res) => {
             phone_number_id,
             forward_to_number,
             forwarding_type: forwarding_type || 'always',
-            ring_timeout: ring_timeout || 20
+            ring_timeout: ring_timeout || 20,
+            priority: priority !== undefined ? parseInt(priority, 10) : undefined
         });
 
         // Get the created forwarding setting
@@ -84,7 +90,7 @@ router.post('/', auth, async (req, res) => {
 router.put('/:id', auth, async (req, res) => {
     try {
         const { id } = req.params;
-        const { forward_to_number, forwarding_type, ring_timeout, is_active } = req.body;
+        const { forward_to_number, forwarding_type, ring_timeout, is_active, priority } = req.body;
 
         // Get user's forwarding settings to verify ownership
         const userForwarding = await CallForwarding.findByUserId(req.user.id);
@@ -103,6 +109,7 @@ router.put('/:id', auth, async (req, res) => {
         if (forwarding_type !== undefined) updateData.forwarding_type = forwarding_type;
         if (ring_timeout !== undefined) updateData.ring_timeout = ring_timeout;
         if (is_active !== undefined) updateData.is_active = is_active;
+        if (priority !== undefined) updateData.priority = parseInt(priority, 10);
 
         if (Object.keys(updateData).length === 0) {
             return res.status(400).json({
@@ -256,4 +263,720 @@ router.get('/phone-number/:phoneNumberId', auth, async (req, res) => {
     }
 });
 
+// ===== CALL ROUTING RULES =====
+
+// Get routing rules for the authenticated user (optionally for one phone number)
+router.get('/rules', auth, async (req, res) => {
+    try {
+        const rules = await CallRoutingRule.findByUserId(req.user.id, req.query.phone_number_id || null);
+        res.json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        console.error('Error fetching call routing rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch call routing rules'
+        });
+    }
+});
+
+// Create a routing rule for a phone number
+router.post('/rules', auth, async (req, res) => {
+    try {
+        const { phone_number_id, name, priority, is_active, conditions, action_type, action_config } = req.body;
+
+        if (!phone_number_id || !action_type) {
+            return res.status(400).json({
+                success: false,
+                error: 'Phone number ID and action type are required'
+            });
+        }
+
+        // Verify the phone number belongs to the user
+        const userNumber = await UserPhoneNumber.findById(phone_number_id);
+
+        if (!userNumber || userNumber.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Phone number not found or does not belong to you'
+            });
+        }
+
+        const validationError = CallRoutingService.validateRule({ action_type, action_config, conditions });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const ruleId = await CallRoutingRule.create({
+            user_id: req.user.id,
+            phone_number_id,
+            name,
+            priority: priority !== undefined ? parseInt(priority, 10) : undefined,
+            is_active,
+            conditions,
+            action_type,
+            action_config
+        });
+
+        const rule = await CallRoutingRule.findById(ruleId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Call routing rule created successfully',
+            data: rule
+        });
+    } catch (error) {
+        console.error('Error creating call routing rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create call routing rule'
+        });
+    }
+});
+
+// Update a routing rule
+router.put('/rules/:id', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, priority, is_active, conditions, action_type, action_config } = req.body;
+
+        const rule = await CallRoutingRule.findById(id);
+        if (!rule || rule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call routing rule not found'
+            });
+        }
+
+        const updateData = {};
+        if (name !== undefined) updateData.name = name;
+        if (priority !== undefined) updateData.priority = parseInt(priority, 10);
+        if (is_active !== undefined) updateData.is_active = is_active;
+        if (conditions !== undefined) updateData.conditions = conditions;
+        if (action_type !== undefined) updateData.action_type = action_type;
+        if (action_config !== undefined) updateData.action_config = action_config;
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No fields to update'
+            });
+        }
+
+        // Validate the rule as it will look after the update
+        const validationError = CallRoutingService.validateRule({
+            action_type: updateData.action_type || rule.action_type,
+            action_config: updateData.action_config !== undefined ? updateData.action_config : rule.action_config,
+            conditions: updateData.conditions !== undefined ? updateData.conditions : rule.conditions
+        });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        await CallRoutingRule.update(id, updateData);
+        const updatedRule = await CallRoutingRule.findById(id);
+
+        res.json({
+            success: true,
+            message: 'Call routing rule updated successfully',
+            data: updatedRule
+        });
+    } catch (error) {
+        console.error('Error updating call routing rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update call routing rule'
+        });
+    }
+});
+
+// Delete a routing rule
+router.delete('/rules/:id', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const rule = await CallRoutingRule.findById(id);
+        if (!rule || rule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call routing rule not found'
+            });
+        }
+
+        await CallRoutingRule.delete(id);
+
+        res.json({
+            success: true,
+            message: 'Call routing rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting call routing rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete call routing rule'
+        });
+    }
+});
+
+// Get the effective routing order for a phone number (rules plus call forwarding)
+router.get('/phone-number/:phoneNumberId/routing', auth, async (req, res) => {
+    try {
+        const { phoneNumberId } = req.params;
+
+        const userNumber = await UserPhoneNumber.findById(phoneNumberId);
+
+        if (!userNumber || userNumber.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Phone number not found or does not belong to you'
+            });
+        }
+
+        const rules = await CallRoutingService.getRulesForNumber(userNumber.id);
+
+        res.json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        console.error('Error fetching routing order for phone number:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch routing order'
+        });
+    }
+});
+
+// ===== BUSINESS HOURS SCHEDULES =====
+
+// Get all business-hours schedules for the authenticated user
+router.get('/schedules', auth, async (req, res) => {
+    try {
+        const schedules = await PhoneNumberSchedule.findByUserId(req.user.id);
+        res.json({
+            success: true,
+            data: schedules
+        });
+    } catch (error) {
+        console.error('Error fetching schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch schedules'
+        });
+    }
+});
+
+// Create a business-hours schedule for a phone number
+router.post('/schedules', auth, async (req, res) => {
+    try {
+        const {
+            phone_number_id,
+            name,
+            timezone,
+            weekly_hours,
+            after_hours_action,
+            after_hours_message,
+            after_hours_forward_to,
+            is_active
+        } = req.body;
+
+        if (!phone_number_id || !weekly_hours) {
+            return res.status(400).json({
+                success: false,
+                error: 'Phone number ID and weekly hours are required'
+            });
+        }
+
+        // Verify the phone number belongs to the user
+        const userNumber = await UserPhoneNumber.findById(phone_number_id);
+
+        if (!userNumber || userNumber.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Phone number not found or does not belong to you'
+            });
+        }
+
+        const validationError = CallRoutingService.validateSchedule({
+            timezone,
+            weekly_hours,
+            after_hours_action,
+            after_hours_forward_to
+        });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        // One schedule per phone number
+        const existingSchedule = await PhoneNumberSchedule.findByPhoneNumberId(phone_number_id);
+        if (existingSchedule) {
+            return res.status(400).json({
+                success: false,
+                error: 'A schedule already exists for this phone number. Please update the existing schedule instead.'
+            });
+        }
+
+        const scheduleId = await PhoneNumberSchedule.create({
+            user_id: req.user.id,
+            phone_number_id,
+            name,
+            timezone,
+            weekly_hours,
+            after_hours_action,
+            after_hours_message,
+            after_hours_forward_to,
+            is_active
+        });
+
+        const schedule = await PhoneNumberSchedule.findById(scheduleId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Schedule created successfully',
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create schedule'
+        });
+    }
+});
+
+// Get a schedule with its closures
+router.get('/schedules/:id', auth, async (req, res) => {
+    try {
+        const schedule = await PhoneNumberSchedule.findById(req.params.id);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch schedule'
+        });
+    }
+});
+
+// Check whether a schedule is open right now
+router.get('/schedules/:id/status', auth, async (req, res) => {
+    try {
+        const schedule = await PhoneNumberSchedule.findById(req.params.id);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        const now = new Date();
+        const local = CallRoutingService.getLocalTime(schedule.timezone, now);
+
+        res.json({
+            success: true,
+            data: {
+                schedule_id: schedule.id,
+                is_active: schedule.is_active,
+                is_open: CallRoutingService.isScheduleOpen(schedule, now),
+                timezone: schedule.timezone,
+                local_date: local.date,
+                checked_at: now.toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Error checking schedule status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check schedule status'
+        });
+    }
+});
+
+// Update a schedule
+router.put('/schedules/:id', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            name,
+            timezone,
+            weekly_hours,
+            after_hours_action,
+            after_hours_message,
+            after_hours_forward_to,
+            is_active
+        } = req.body;
+
+        const schedule = await PhoneNumberSchedule.findById(id);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        const updateData = {};
+        if (name !== undefined) updateData.name = name;
+        if (timezone !== undefined) updateData.timezone = timezone;
+        if (weekly_hours !== undefined) updateData.weekly_hours = weekly_hours;
+        if (after_hours_action !== undefined) updateData.after_hours_action = after_hours_action;
+        if (after_hours_message !== undefined) updateData.after_hours_message = after_hours_message;
+        if (after_hours_forward_to !== undefined) updateData.after_hours_forward_to = after_hours_forward_to;
+        if (is_active !== undefined) updateData.is_active = is_active;
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No fields to update'
+            });
+        }
+
+        const validationError = CallRoutingService.validateSchedule({
+            timezone: updateData.timezone,
+            weekly_hours: updateData.weekly_hours,
+            after_hours_action: updateData.after_hours_action || schedule.after_hours_action,
+            after_hours_forward_to: updateData.after_hours_forward_to !== undefined
+                ? updateData.after_hours_forward_to
+                : schedule.after_hours_forward_to
+        });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        await PhoneNumberSchedule.update(id, updateData);
+        const updatedSchedule = await PhoneNumberSchedule.findById(id);
+
+        res.json({
+            success: true,
+            message: 'Schedule updated successfully',
+            data: updatedSchedule
+        });
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update schedule'
+        });
+    }
+});
+
+// Delete a schedule
+router.delete('/schedules/:id', auth, async (req, res) => {
+    try {
+        const schedule = await PhoneNumberSchedule.findById(req.params.id);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        await PhoneNumberSchedule.delete(schedule.id);
+
+        res.json({
+            success: true,
+            message: 'Schedule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete schedule'
+        });
+    }
+});
+
+// Add a holiday/closure date to a schedule
+router.post('/schedules/:id/closures', auth, async (req, res) => {
+    try {
+        const { closure_date, name, recurs_annually } = req.body;
+
+        if (!closure_date || !/^\d{4}-\d{2}-\d{2}$/.test(closure_date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'closure_date is required in YYYY-MM-DD format'
+            });
+        }
+
+        const schedule = await PhoneNumberSchedule.findById(req.params.id);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        await PhoneNumberSchedule.addClosure(schedule.id, { closure_date, name, recurs_annually });
+        const updatedSchedule = await PhoneNumberSchedule.findById(schedule.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Closure added successfully',
+            data: updatedSchedule
+        });
+    } catch (error) {
+        console.error('Error adding schedule closure:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add closure'
+        });
+    }
+});
+
+// Remove a holiday/closure date from a schedule
+router.delete('/schedules/:id/closures/:closureId', auth, async (req, res) => {
+    try {
+        const schedule = await PhoneNumberSchedule.findById(req.params.id);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        const deleted = await PhoneNumberSchedule.deleteClosure(schedule.id, req.params.closureId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Closure not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Closure removed successfully'
+        });
+    } catch (error) {
+        console.error('Error removing schedule closure:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove closure'
+        });
+    }
+});
+
+// ===== CALL SCREENING =====
+
+// Get the user's block/allow list entries (optionally filtered by phone_number_id and list_type)
+router.get('/screening/lists', auth, async (req, res) => {
+    try {
+        const { phone_number_id, list_type } = req.query;
+        if (list_type && !LIST_TYPES.includes(list_type)) {
+            return res.status(400).json({
+                success: false,
+                error: `list_type must be one of: ${LIST_TYPES.join(', ')}`
+            });
+        }
+
+        const entries = await CallScreeningEntry.findByUserId(req.user.id, {
+            phoneNumberId: phone_number_id || null,
+            listType: list_type || null
+        });
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        console.error('Error fetching screening lists:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch screening lists'
+        });
+    }
+});
+
+// Block or allow a caller, on one phone number or (without phone_number_id) on all of them
+router.post('/screening/lists', auth, async (req, res) => {
+    try {
+        const { number, list_type, phone_number_id, reason } = req.body;
+
+        if (!number || !list_type) {
+            return res.status(400).json({
+                success: false,
+                error: 'Number and list type are required'
+            });
+        }
+        if (!LIST_TYPES.includes(list_type)) {
+            return res.status(400).json({
+                success: false,
+                error: `list_type must be one of: ${LIST_TYPES.join(', ')}`
+            });
+        }
+
+        const normalized = CallScreeningService.normalizeNumber(number);
+        if (!normalized) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid phone number'
+            });
+        }
+
+        if (phone_number_id) {
+            const userNumber = await UserPhoneNumber.findById(phone_number_id);
+            if (!userNumber || userNumber.user_id !== req.user.id) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Phone number not found or does not belong to you'
+                });
+            }
+        }
+
+        const existing = await CallScreeningEntry.findMatching(req.user.id, phone_number_id || null, normalized);
+        const duplicate = existing.find(e => (e.phone_number_id || null) === (phone_number_id ? parseInt(phone_number_id, 10) : null));
+        if (duplicate) {
+            return res.status(400).json({
+                success: false,
+                error: `This number is already on the ${duplicate.list_type} list. Remove that entry first.`
+            });
+        }
+
+        const entryId = await CallScreeningEntry.create({
+            user_id: req.user.id,
+            phone_number_id: phone_number_id || null,
+            number: normalized,
+            list_type,
+            source: 'manual',
+            reason
+        });
+
+        const entry = await CallScreeningEntry.findById(entryId);
+
+        res.status(201).json({
+            success: true,
+            message: list_type === 'block' ? 'Number blocked successfully' : 'Number allowed successfully',
+            data: entry
+        });
+    } catch (error) {
+        console.error('Error creating screening entry:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save screening entry'
+        });
+    }
+});
+
+// Remove a block/allow list entry
+router.delete('/screening/lists/:id', auth, async (req, res) => {
+    try {
+        const entry = await CallScreeningEntry.findById(req.params.id);
+        if (!entry || entry.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Screening entry not found'
+            });
+        }
+
+        await CallScreeningEntry.delete(entry.id);
+
+        res.json({
+            success: true,
+            message: 'Screening entry removed successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting screening entry:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove screening entry'
+        });
+    }
+});
+
+// Get screening settings (press-1 gate, auto-blocking) for a phone number
+router.get('/screening/settings/:phoneNumberId', auth, async (req, res) => {
+    try {
+        const userNumber = await UserPhoneNumber.findById(req.params.phoneNumberId);
+        if (!userNumber || userNumber.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Phone number not found or does not belong to you'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                phone_number_id: userNumber.id,
+                screening_gate_enabled: userNumber.screening_gate_enabled,
+                screening_gate_message: userNumber.screening_gate_message,
+                auto_block_enabled: userNumber.auto_block_enabled
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching screening settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch screening settings'
+        });
+    }
+});
+
+// Update screening settings for a phone number
+router.put('/screening/settings/:phoneNumberId', auth, async (req, res) => {
+    try {
+        const userNumber = await UserPhoneNumber.findById(req.params.phoneNumberId);
+        if (!userNumber || userNumber.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Phone number not found or does not belong to you'
+            });
+        }
+
+        const { screening_gate_enabled, screening_gate_message, auto_block_enabled } = req.body;
+        const updateData = {};
+        if (screening_gate_enabled !== undefined) updateData.screening_gate_enabled = !!screening_gate_enabled;
+        if (screening_gate_message !== undefined) updateData.screening_gate_message = screening_gate_message || null;
+        if (auto_block_enabled !== undefined) updateData.auto_block_enabled = !!auto_block_enabled;
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No screening settings provided'
+            });
+        }
+
+        await UserPhoneNumber.update(userNumber.id, updateData);
+        const updated = await UserPhoneNumber.findById(userNumber.id);
+
+        res.json({
+            success: true,
+            message: 'Screening settings updated successfully',
+            data: {
+                phone_number_id: updated.id,
+                screening_gate_enabled: updated.screening_gate_enabled,
+                screening_gate_message: updated.screening_gate_message,
+                auto_block_enabled: updated.auto_block_enabled
+            }
+        });
+    } catch (error) {
+        console.error('Error updating screening settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update screening settings'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate: auth } = require('../middleware/auth');
+const CallCampaign = require('../models/CallCampaign');
+const CallCampaignLead = require('../models/CallCampaignLead');
+const DoNotCallNumber = require('../models/DoNotCallNumber');
+const UserPhoneNumber = require('../models/UserPhoneNumber');
+const { CampaignService } = require('../services/CampaignService');
+
+// Caller ID must be one of the user's own numbers
+const checkPhoneNumber = async (phoneNumberId, userId) => {
+  if (!phoneNumberId) return null;
+  const userPhoneNumber = await UserPhoneNumber.findById(phoneNumberId);
+  if (!userPhoneNumber || userPhoneNumber.user_id !== userId) {
+    return 'phone_number_id must be one of your phone numbers';
+  }
+  return null;
+};
+
+const loadCampaign = async (req, res) => {
+  const campaign = await CallCampaign.findById(req.params.id, req.user.id);
+  if (!campaign) {
+    res.status(404).json({ success: false, error: 'Campaign not found' });
+    return null;
+  }
+  return campaign;
+};
+
+// ===== DO NOT CALL LIST =====
+
+router.get('/do-not-call', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { entries, total } = await DoNotCallNumber.findByUserId(req.user.id, page, limit);
+    res.json({ success: true, data: entries, pagination: { page, limit, total } });
+  } catch (e) {
+    console.error('Error fetching do-not-call list:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch do-not-call list' });
+  }
+});
+
+router.post('/do-not-call', auth, async (req, res) => {
+  try {
+    const { phone_number, reason } = req.body;
+    if (!DoNotCallNumber.toDigits(phone_number)) {
+      return res.status(400).json({ success: false, error: 'A valid phone_number is required' });
+    }
+    const entry = await DoNotCallNumber.add(req.user.id, phone_number, { reason: reason || null });
+    res.status(201).json({ success: true, data: entry });
+  } catch (e) {
+    console.error('Error adding do-not-call number:', e);
+    res.status(500).json({ success: false, error: 'Failed to add do-not-call number' });
+  }
+});
+
+router.delete('/do-not-call/:entryId', auth, async (req, res) => {
+  try {
+    const removed = await DoNotCallNumber.remove(req.params.entryId, req.user.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Do-not-call entry not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Error removing do-not-call number:', e);
+    res.status(500).json({ success: false, error: 'Failed to remove do-not-call number' });
+  }
+});
+
+// ===== CAMPAIGNS =====
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const campaigns = await CallCampaign.findByUserId(req.user.id, req.query.status || null);
+    const data = await Promise.all(campaigns.map(async campaign => ({
+      ...campaign,
+      stats: await CampaignService.getStats(campaign)
+    })));
+    res.json({ success: true, data });
+  } catch (e) {
+    console.error('Error fetching campaigns:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaigns' });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const error = CampaignService.validateCampaign(req.body, { isNew: true }) ||
+      await checkPhoneNumber(req.body.phone_number_id, req.user.id);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const { campaign, queued } = await CampaignService.createCampaign(req.user.id, req.body);
+    res.status(201).json({ success: true, data: { ...campaign, queued } });
+  } catch (e) {
+    console.error('Error creating campaign:', e);
+    res.status(500).json({ success: false, error: 'Failed to create campaign' });
+  }
+});
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+    res.json({ success: true, data: { ...campaign, stats: await CampaignService.getStats(campaign) } });
+  } catch (e) {
+    console.error('Error fetching campaign:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaign' });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const { lead_filter, ...settings } = req.body;
+    if (lead_filter !== undefined) {
+      return res.status(400).json({ success: false, error: 'lead_filter cannot be changed; create a new campaign instead' });
+    }
+    const error = CampaignService.validateCampaign(settings) ||
+      await checkPhoneNumber(settings.phone_number_id, req.user.id);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const updated = await CallCampaign.update(campaign.id, req.user.id, CampaignService.normalizeSettings(settings));
+    res.json({ success: true, data: updated });
+  } catch (e) {
+    console.error('Error updating campaign:', e);
+    res.status(500).json({ success: false, error: 'Failed to update campaign' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const deleted = await CallCampaign.delete(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Error deleting campaign:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete campaign' });
+  }
+});
+
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+    if (campaign.status !== 'active') {
+      return res.status(409).json({ success: false, error: `Campaign is ${campaign.status}` });
+    }
+    res.json({ success: true, data: await CampaignService.setStatus(campaign, 'paused') });
+  } catch (e) {
+    console.error('Error pausing campaign:', e);
+    res.status(500).json({ success: false, error: 'Failed to pause campaign' });
+  }
+});
+
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+    if (campaign.status !== 'paused') {
+      return res.status(409).json({ success: false, error: `Campaign is ${campaign.status}` });
+    }
+    res.json({ success: true, data: await CampaignService.setStatus(campaign, 'active') });
+  } catch (e) {
+    console.error('Error resuming campaign:', e);
+    res.status(500).json({ success: false, error: 'Failed to resume campaign' });
+  }
+});
+
+router.get('/:id/leads', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { entries, total } = await CallCampaignLead.findByCampaignId(campaign.id, {
+      status: req.query.status || null,
+      page,
+      limit
+    });
+    res.json({ success: true, data: entries, pagination: { page, limit, total } });
+  } catch (e) {
+    console.error('Error fetching campaign leads:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaign leads' });
+  }
+});
+
+// Next lead for the browser dialer. Pass data.callParams to the Voice SDK's connect().
+router.post('/:id/next', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const next = await CampaignService.nextLead(campaign);
+    if (!next.entry) {
+      return res.json({ success: true, data: null, reason: next.reason, nextRetryAt: next.nextRetryAt || null });
+    }
+
+    const callerId = campaign.phone_number_id ? await UserPhoneNumber.findById(campaign.phone_number_id) : null;
+    res.json({
+      success: true,
+      data: {
+        ...next.entry,
+        callParams: {
+          ...next.callParams,
+          ...(callerId ? { From: callerId.phone_number } : {})
+        }
+      }
+    });
+  } catch (e) {
+    console.error('Error getting next campaign lead:', e);
+    res.status(500).json({ success: false, error: 'Failed to get next lead' });
+  }
+});
+
+router.post('/:id/leads/:leadId/disposition', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const result = await CampaignService.recordDisposition(campaign, req.params.leadId, req.body);
+    res.json({ success: true, data: result });
+  } catch (e) {
+    if (e.code === 'INVALID_OUTCOME') {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    if (e.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: e.message });
+    }
+    if (e.code === 'NOT_DIALING') {
+      return res.status(409).json({ success: false, error: e.message });
+    }
+    console.error('Error recording campaign disposition:', e);
+    res.status(500).json({ success: false, error: 'Failed to record disposition' });
+  }
+});
+
+router.get('/:id/stats', auth, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+    res.json({ success: true, data: await CampaignService.getStats(campaign) });
+  } catch (e) {
+    console.error('Error fetching campaign stats:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaign stats' });
+  }
+});
+
+module.exports = router;
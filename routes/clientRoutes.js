@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const ClientController = require("../controllers/ClientController");
 const WebsiteController = require("../controllers/WebsiteController");
+const ClientReportController = require("../controllers/ClientReportController");
 const { authenticate } = require("../middleware/auth");
 const { validateClient } = require("../middleware/validation");
 
@@ -12,6 +13,11 @@ router.post("/clients", authenticate, validateClient("store"), ClientController.
 router.put("/clients/:id", authenticate, validateClient("update"), ClientController.update);
 router.delete("/clients/:id", authenticate, ClientController.destroy);
 
+// Call attribution and monthly lead reports
+router.get("/clients/:id/billing-rules", authenticate, ClientReportController.showBillingRules);
+router.put("/clients/:id/billing-rules", authenticate, ClientReportController.updateBillingRules);
+router.get("/clients/:id/reports/monthly", authenticate, ClientReportController.monthlyReport);
+
 // Website routes (same format as clients)
 router.get("/clients/websites", authenticate, WebsiteController.index);
 router.get("/clients/websites/:id", authenticate, WebsiteController.show);
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate: auth, authenticateStream, generateStreamToken, STREAM_TOKEN_TTL_SECONDS } = require('../middleware/auth');
+const { validateAnalysis } = require('../middleware/seoValidation');
+const GridScanRun = require('../models/GridScanRun');
+const GridScanPoint = require('../models/GridScanPoint');
+const { GridScanService } = require('../services/GridScanService');
+const { GridJobService } = require('../services/GridJobService');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // keeps proxies from closing idle streams
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const loadJob = async (req, res) => {
+  const job = await GridScanRun.findById(req.params.id, req.user.id);
+  if (!job) {
+    res.status(404).json({ success: false, error: 'Job not found' });
+    return null;
+  }
+  return job;
+};
+
+const withProgress = (job) => ({
+  ...job,
+  progress: {
+    completed_points: job.completed_points,
+    total_points: job.total_points,
+    percent: job.total_points > 0 ? Math.round(job.completed_points / job.total_points * 100) : 0
+  }
+});
+
+// Submit a grid analysis (same body as POST /api/analyze). Returns the job at once; poll
+// GET /:id or stream GET /:id/stream for points as they are searched.
+router.post('/', auth, validateAnalysis, async (req, res) => {
+  try {
+    const job = await GridJobService.enqueueAnalysis(req.user.id, req.body);
+    res.status(202).json({ success: true, data: withProgress(job) });
+  } catch (e) {
+    console.error('Error queueing grid analysis:', e);
+    res.status(500).json({ success: false, error: 'Failed to queue analysis' });
+  }
+});
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { runs, total } = await GridScanRun.findByUserId(req.user.id, { status: req.query.status || null, page, limit });
+    res.json({ success: true, data: runs.map(withProgress), pagination: { page, limit, total } });
+  } catch (e) {
+    console.error('Error fetching grid jobs:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch jobs' });
+  }
+});
+
+// Job status with its points so far; pass ?after=<highest point id seen> to get only newer points while polling
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    const points = await GridScanPoint.findByRunId(job.id, { afterId: parseInt(req.query.after) || 0 });
+    res.json({ success: true, data: { ...withProgress(job), points } });
+  } catch (e) {
+    console.error('Error fetching grid job:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch job' });
+  }
+});
+
+// Every business seen across the job's points so far, by coverage then average rank
+router.get('/:id/competitors', auth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    const leaderboard = await GridScanService.runLeaderboard(job);
+    res.json({ success: true, data: { job_id: job.id, status: job.status, ...leaderboard } });
+  } catch (e) {
+    console.error('Error building grid job competitor leaderboard:', e);
+    res.status(500).json({ success: false, error: 'Failed to build competitor leaderboard' });
+  }
+});
+
+// Short-lived token for opening this job's stream with EventSource (?token=)
+router.post('/:id/stream/token', auth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    res.json({
+      success: true,
+      data: { token: generateStreamToken(req.user.id, `grid-job:${job.id}`), expires_in: STREAM_TOKEN_TTL_SECONDS }
+    });
+  } catch (e) {
+    console.error('Error issuing grid job stream token:', e);
+    res.status(500).json({ success: false, error: 'Failed to issue stream token' });
+  }
+});
+
+// Server-Sent Events: a snapshot of the job and its points, then a 'point' event per searched point
+// and a 'status' event on each state change. The stream ends when the job finishes.
+// EventSource can't set headers, so pass a token from POST /:id/stream/token as ?token=
+router.get('/:id/stream', authenticateStream(req => `grid-job:${req.params.id}`), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Subscribe before reading the points so none fall between the snapshot and the live events
+    const pending = [];
+    let live = false;
+    const unsubscribe = GridJobService.subscribe(job.id, (event) => {
+      if (!live) {
+        pending.push(event);
+        return;
+      }
+      const { type, ...data } = event;
+      send(type, data);
+      if (type === 'status' && FINISHED_STATUSES.includes(data.status)) close();
+    });
+    const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+    req.on('close', close);
+
+    const [current, points] = await Promise.all([
+      GridScanRun.findById(job.id, req.user.id),
+      GridScanPoint.findByRunId(job.id)
+    ]);
+    send('snapshot', { ...withProgress(current), points });
+    const lastId = points.reduce((max, point) => Math.max(max, point.id), 0);
+    live = true;
+
+    for (const { type, ...data } of pending) {
+      if (type === 'point' && data.point.id <= lastId) continue;
+      send(type, data);
+      if (type === 'status' && FINISHED_STATUSES.includes(data.status)) return close();
+    }
+    if (FINISHED_STATUSES.includes(current.status)) close();
+  } catch (e) {
+    console.error('Error streaming grid job:', e);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Failed to stream job' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Queued jobs are cancelled at once; running jobs stop after the point they are on
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    const updated = await GridJobService.cancel(job);
+    if (!updated) {
+      return res.status(409).json({ success: false, error: `Job is ${job.status}` });
+    }
+    res.json({ success: true, data: withProgress(updated) });
+  } catch (e) {
+    console.error('Error cancelling grid job:', e);
+    res.status(500).json({ success: false, error: 'Failed to cancel job' });
+  }
+});
+
+// Re-queue a failed or cancelled job; it keeps the points already searched and does the rest
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    const resumed = await GridJobService.resume(job);
+    if (!resumed) {
+      return res.status(409).json({ success: false, error: `Job is ${job.status}` });
+    }
+    res.status(202).json({ success: true, data: withProgress(resumed) });
+  } catch (e) {
+    if (e.code === 'RUN_IN_PROGRESS') {
+      return res.status(409).json({ success: false, error: e.message });
+    }
+    console.error('Error resuming grid job:', e);
+    res.status(500).json({ success: false, error: 'Failed to resume job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate: auth } = require('../middleware/auth');
+const { validateGridScan } = require('../middleware/seoValidation');
+const Client = require('../models/Client');
+const GridScan = require('../models/GridScan');
+const GridScanRun = require('../models/GridScanRun');
+const GridScanPoint = require('../models/GridScanPoint');
+const { GridScanService } = require('../services/GridScanService');
+const { GridJobService } = require('../services/GridJobService');
+
+const { SCHEDULES } = GridScan;
+
+const checkClient = async (clientId, userId) => {
+  if (!clientId) return null;
+  const client = await Client.findById(clientId, userId);
+  return client ? null : 'client_id must be one of your clients';
+};
+
+const loadScan = async (req, res) => {
+  const scan = await GridScan.findById(req.params.id, req.user.id);
+  if (!scan) {
+    res.status(404).json({ success: false, error: 'Grid scan not found' });
+    return null;
+  }
+  return scan;
+};
+
+const loadRun = async (scan, runId, userId) => {
+  const run = await GridScanRun.findById(runId, userId);
+  return run && run.scan_id === scan.id ? run : null;
+};
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const scans = await GridScan.findByUserId(req.user.id, { clientId: req.query.client_id || null });
+    const data = await Promise.all(scans.map(async scan => ({
+      ...scan,
+      latest_run: (await GridScanRun.findByScanId(scan.id, { status: 'completed', limit: 1 }))[0] || null
+    })));
+    res.json({ success: true, data });
+  } catch (e) {
+    console.error('Error fetching grid scans:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch grid scans' });
+  }
+});
+
+router.post('/', auth, validateGridScan, async (req, res) => {
+  try {
+    const error = await checkClient(req.body.client_id, req.user.id);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const scan = await GridScanService.createScan(req.user.id, req.body);
+    res.status(201).json({ success: true, data: scan });
+  } catch (e) {
+    if (e.code === 'GEOCODER_UNAVAILABLE') {
+      return res.status(500).json({ success: false, error: e.message });
+    }
+    console.error('Error creating grid scan:', e);
+    res.status(500).json({ success: false, error: 'Failed to create grid scan' });
+  }
+});
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+    const runs = await GridScanRun.findByScanId(scan.id, { limit: 10 });
+    res.json({ success: true, data: { ...scan, runs } });
+  } catch (e) {
+    console.error('Error fetching grid scan:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch grid scan' });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    const { name, client_id, schedule, is_active } = req.body;
+    const fixed = ['business_name', 'business_address', 'keyword', 'center_lat', 'center_lng', 'grid_size'];
+    if (fixed.some(key => req.body[key] !== undefined)) {
+      return res.status(400).json({ success: false, error: `${fixed.join(', ')} cannot be changed; create a new scan instead` });
+    }
+    if (schedule !== undefined && !SCHEDULES.includes(schedule)) {
+      return res.status(400).json({ success: false, error: `schedule must be one of: ${SCHEDULES.join(', ')}` });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ success: false, error: 'name cannot be empty' });
+    }
+    const error = await checkClient(client_id, req.user.id);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const updates = { name, client_id, schedule, is_active };
+    // Newly scheduled scans run on the next pass; manual scans leave the schedule
+    if (schedule !== undefined && schedule !== scan.schedule) {
+      updates.next_run_at = schedule === 'manual' ? null : new Date();
+    }
+
+    const updated = await GridScan.update(scan.id, req.user.id, updates);
+    res.json({ success: true, data: updated });
+  } catch (e) {
+    console.error('Error updating grid scan:', e);
+    res.status(500).json({ success: false, error: 'Failed to update grid scan' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const deleted = await GridScan.delete(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Grid scan not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Error deleting grid scan:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete grid scan' });
+  }
+});
+
+// Queue a run now. Follow it like any grid job: GET /api/grid-jobs/:runId or its /stream.
+router.post('/:id/run', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    const run = await GridJobService.enqueueScan(scan, 'manual');
+    res.status(202).json({ success: true, data: run });
+  } catch (e) {
+    if (e.code === 'RUN_IN_PROGRESS') {
+      return res.status(409).json({ success: false, error: e.message });
+    }
+    console.error('Error starting grid scan run:', e);
+    res.status(500).json({ success: false, error: 'Failed to start grid scan' });
+  }
+});
+
+router.get('/:id/runs', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+    const runs = await GridScanRun.findByScanId(scan.id, {
+      status: req.query.status || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    res.json({ success: true, data: runs });
+  } catch (e) {
+    console.error('Error fetching grid scan runs:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch grid scan runs' });
+  }
+});
+
+router.get('/:id/runs/:runId', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+    const run = await loadRun(scan, req.params.runId, req.user.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    const points = await GridScanPoint.findByRunId(run.id);
+    res.json({ success: true, data: { ...run, points } });
+  } catch (e) {
+    console.error('Error fetching grid scan run:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch grid scan run' });
+  }
+});
+
+// Competitor leaderboard for a completed run: ?run_id=, else the latest completed run
+router.get('/:id/competitors', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    let run;
+    if (req.query.run_id) {
+      run = await loadRun(scan, req.query.run_id, req.user.id);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'Run not found' });
+      }
+    } else {
+      run = (await GridScanRun.findByScanId(scan.id, { status: 'completed', limit: 1 }))[0];
+      if (!run) {
+        return res.status(409).json({ success: false, error: 'The scan has no completed runs yet' });
+      }
+    }
+
+    const leaderboard = await GridScanService.runLeaderboard(run);
+    res.json({ success: true, data: { run_id: run.id, status: run.status, ...leaderboard } });
+  } catch (e) {
+    console.error('Error building grid scan competitor leaderboard:', e);
+    res.status(500).json({ success: false, error: 'Failed to build competitor leaderboard' });
+  }
+});
+
+// Average rank and top-3 share over the scan's completed runs, oldest first
+router.get('/:id/trend', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+    const runs = await GridScanRun.findByScanId(scan.id, {
+      status: 'completed',
+      limit: Math.min(parseInt(req.query.limit) || 30, 200),
+      ascending: true
+    });
+    res.json({ success: true, data: GridScanService.buildTrend(runs) });
+  } catch (e) {
+    console.error('Error building grid scan trend:', e);
+    res.status(500).json({ success: false, error: 'Failed to build trend' });
+  }
+});
+
+// Point-by-point comparison of two completed runs; defaults to the latest two
+router.get('/:id/diff', auth, async (req, res) => {
+  try {
+    const scan = await loadScan(req, res);
+    if (!scan) return;
+
+    let fromRun;
+    let toRun;
+    if (req.query.from || req.query.to) {
+      if (!req.query.from || !req.query.to) {
+        return res.status(400).json({ success: false, error: 'Provide both from and to run ids' });
+      }
+      [fromRun, toRun] = await Promise.all([
+        loadRun(scan, req.query.from, req.user.id),
+        loadRun(scan, req.query.to, req.user.id)
+      ]);
+      if (!fromRun || !toRun) {
+        return res.status(404).json({ success: false, error: 'Run not found' });
+      }
+      if (fromRun.status !== 'completed' || toRun.status !== 'completed') {
+        return res.status(409).json({ success: false, error: 'Both runs must be completed' });
+      }
+    } else {
+      const latest = await GridScanRun.findByScanId(scan.id, { status: 'completed', limit: 2 });
+      if (latest.length < 2) {
+        return res.status(409).json({ success: false, error: 'The scan needs two completed runs to compare' });
+      }
+      [toRun, fromRun] = latest;
+    }
+
+    const [fromPoints, toPoints] = await Promise.all([
+      GridScanPoint.findByRunId(fromRun.id),
+      GridScanPoint.findByRunId(toRun.id)
+    ]);
+    const diff = GridScanService.diffPoints(fromPoints, toPoints);
+    const trend = GridScanService.buildTrend([fromRun, toRun]);
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRun,
+        to: toRun,
+        change: trend.overall,
+        summary: diff.summary,
+        points: diff.points
+      }
+    });
+  } catch (e) {
+    console.error('Error diffing grid scan runs:', e);
+    res.status(500).json({ success: false, error: 'Failed to compare runs' });
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,10 @@ router.post('/', KeywordTrackingController.createKeywordTracking);
 // Get all keyword tracking entries for the authenticated user
 router.get('/', KeywordTrackingController.getKeywordTracking);
 
+// Scheduled rank-check worker status and manual run
+router.get('/jobs/rank-check', KeywordTrackingController.getRankCheckStatus);
+router.post('/jobs/rank-check/run', KeywordTrackingController.runRankChecks);
+
 // Get a specific keyword tracking entry by ID
 router.get('/:id', KeywordTrackingController.getKeywordTrackingById);
 
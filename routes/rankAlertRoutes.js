@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate: auth } = require('../middleware/auth');
+const RankAlert = require('../models/RankAlert');
+const RankAlertRule = require('../models/RankAlertRule');
+const RankAlertSetting = require('../models/RankAlertSetting');
+const RankDigest = require('../models/RankDigest');
+const { RankAlertService } = require('../services/RankAlertService');
+
+// ===== ALERT RULES =====
+
+router.get('/rules', auth, async (req, res) => {
+  try {
+    const rules = await RankAlertRule.findByUserId(req.user.id, {
+      clientId: req.query.client_id || null,
+      keywordTrackingId: req.query.keyword_tracking_id || null
+    });
+    res.json({ success: true, data: rules });
+  } catch (e) {
+    console.error('Error fetching rank alert rules:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch alert rules' });
+  }
+});
+
+router.post('/rules', auth, async (req, res) => {
+  try {
+    const error = RankAlertService.validateRule(req.body, { isNew: true }) ||
+      await RankAlertService.checkWebhookUrl(req.body.webhook_url) ||
+      await RankAlertService.checkTarget(req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const rule = await RankAlertRule.create({ ...req.body, user_id: req.user.id });
+    res.status(201).json({ success: true, data: rule });
+  } catch (e) {
+    console.error('Error creating rank alert rule:', e);
+    res.status(500).json({ success: false, error: 'Failed to create alert rule' });
+  }
+});
+
+router.put('/rules/:id', auth, async (req, res) => {
+  try {
+    const rule = await RankAlertRule.findById(req.params.id, req.user.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    const { rule_type, client_id, keyword_tracking_id, ...settings } = req.body;
+    if (rule_type !== undefined || client_id !== undefined || keyword_tracking_id !== undefined) {
+      return res.status(400).json({ success: false, error: 'rule_type and target cannot be changed; create a new rule instead' });
+    }
+    const error = RankAlertService.validateRule(settings) ||
+      await RankAlertService.checkWebhookUrl(settings.webhook_url);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (rule.rule_type === 'moved_positions' && settings.threshold === null) {
+      return res.status(400).json({ success: false, error: 'threshold is required for moved_positions rules' });
+    }
+
+    const updated = await RankAlertRule.update(rule.id, req.user.id, settings);
+    res.json({ success: true, data: updated });
+  } catch (e) {
+    console.error('Error updating rank alert rule:', e);
+    res.status(500).json({ success: false, error: 'Failed to update alert rule' });
+  }
+});
+
+router.delete('/rules/:id', auth, async (req, res) => {
+  try {
+    const deleted = await RankAlertRule.delete(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Error deleting rank alert rule:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete alert rule' });
+  }
+});
+
+// ===== WEEKLY DIGEST =====
+
+router.get('/digests', auth, async (req, res) => {
+  try {
+    const digests = await RankDigest.findByUserId(req.user.id, Math.min(parseInt(req.query.limit) || 12, 52));
+    res.json({ success: true, data: digests });
+  } catch (e) {
+    console.error('Error fetching rank digests:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch digests' });
+  }
+});
+
+// Winners and losers over the past 7 days, without sending anything
+router.get('/digests/preview', auth, async (req, res) => {
+  try {
+    const periodEnd = new Date();
+    const periodStart = new Date(periodEnd.getTime() - 7 * 24 * 60 * 60 * 1000);
+    res.json({ success: true, data: await RankAlertService.buildDigest(req.user.id, periodStart, periodEnd) });
+  } catch (e) {
+    console.error('Error building rank digest preview:', e);
+    res.status(500).json({ success: false, error: 'Failed to build digest' });
+  }
+});
+
+router.get('/settings', auth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await RankAlertSetting.findByUserId(req.user.id) });
+  } catch (e) {
+    console.error('Error fetching rank alert settings:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+  }
+});
+
+router.put('/settings', auth, async (req, res) => {
+  try {
+    const { weekly_digest_enabled } = req.body;
+    if (typeof weekly_digest_enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'weekly_digest_enabled must be true or false' });
+    }
+    res.json({ success: true, data: await RankAlertSetting.upsert(req.user.id, { weekly_digest_enabled }) });
+  } catch (e) {
+    console.error('Error saving rank alert settings:', e);
+    res.status(500).json({ success: false, error: 'Failed to save settings' });
+  }
+});
+
+// ===== TRIGGERED ALERTS =====
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { alerts, total } = await RankAlert.findByUserId(req.user.id, {
+      page,
+      limit,
+      unreadOnly: req.query.unread === 'true',
+      keywordTrackingId: req.query.keyword_tracking_id || null
+    });
+    res.json({ success: true, data: alerts, pagination: { page, limit, total } });
+  } catch (e) {
+    console.error('Error fetching rank alerts:', e);
+    res.status(500).json({ success: false, error: 'Failed to fetch alerts' });
+  }
+});
+
+// Mark the given alert ids read, or every unread alert when ids is omitted
+router.post('/read', auth, async (req, res) => {
+  try {
+    const ids = req.body.ids === undefined ? [] : req.body.ids;
+    if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({ success: false, error: 'ids must be an array of alert ids' });
+    }
+    const updated = await RankAlert.markRead(req.user.id, ids.map(Number));
+    res.json({ success: true, data: { updated } });
+  } catch (e) {
+    console.error('Error marking rank alerts read:', e);
+    res.status(500).json({ success: false, error: 'Failed to mark alerts read' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+const express = require('express');
+const router = express.Router();
+const client = require('../config/twilioClient');
+const { authenticate: auth } = require('../middleware/auth');
+const { validateTwilioWebhook } = require('../middleware/twilioWebhook');
+const SmsMessage = require('../models/SmsMessage');
+const UserPhoneNumber = require('../models/UserPhoneNumber');
+const CallForwarding = require('../models/CallForwarding');
+const { BillingService } = require('../services/BillingService');
+
+const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+const MAX_MEDIA_PER_MESSAGE = 10;
+
+const statusCallbackUrl = () => `${process.env.SERVER_URL}/api/sms/status-callback`;
+
+// Helper: media attachments from an inbound Twilio webhook (MediaUrl0..N)
+const extractMedia = (body) => {
+  const count = parseInt(body.NumMedia || '0', 10);
+  const media = [];
+  for (let i = 0; i < count; i++) {
+    if (body[`MediaUrl${i}`]) {
+      media.push({ url: body[`MediaUrl${i}`], content_type: body[`MediaContentType${i}`] || null });
+    }
+  }
+  return media;
+};
+
+// Helper: bill a message without failing the request that triggered it
+const billMessage = async (messageSid) => {
+  try {
+    const { charged, segments } = await BillingService.chargeForMessage(messageSid);
+    if (charged) console.log(`💵 Billed $${charged} for ${segments} segment(s) on message ${messageSid}`);
+  } catch (billingErr) {
+    console.error('SMS billing error:', billingErr);
+  }
+};
+
+// Helper: send a copy of an inbound text to the number's call forwarding destination
+const forwardInboundMessage = async (userPhoneNumber, inbound, media) => {
+  const forwarding = await CallForwarding.getActiveForwardingForNumber(userPhoneNumber.id);
+  if (!forwarding || !forwarding.is_active || !forwarding.forward_to_number) return;
+
+  const label = userPhoneNumber.friendly_name || userPhoneNumber.phone_number;
+  const forwarded = await client.messages.create({
+    from: userPhoneNumber.phone_number,
+    to: forwarding.forward_to_number,
+    body: `Text from ${inbound.From} to ${label}: ${inbound.Body || ''}`.trim(),
+    ...(media.length > 0 ? { mediaUrl: media.map(m => m.url) } : {})
+  });
+
+  await SmsMessage.updateByMessageSid(inbound.MessageSid, {
+    forwarded_to: forwarding.forward_to_number,
+    forwarded_message_sid: forwarded.sid,
+    forwarded_segments: parseInt(forwarded.numSegments || '1', 10)
+  });
+
+  console.log(`📨 Forwarded text ${inbound.MessageSid} to ${forwarding.forward_to_number}`);
+};
+
+// ===== TWILIO WEBHOOKS =====
+
+// Inbound SMS/MMS webhook (configured as the number's smsUrl)
+// Always answers with empty TwiML so Twilio never auto-replies to the sender
+router.post('/incoming', validateTwilioWebhook, async (req, res) => {
+  const MessagingResponse = require('twilio').twiml.MessagingResponse;
+  const twiml = new MessagingResponse();
+
+  try {
+    const { MessageSid, From, To, Body, NumSegments, SmsStatus } = req.body;
+    console.log(`💬 Inbound message ${MessageSid} from ${From} to ${To}`);
+
+    const userPhoneNumber = To ? await UserPhoneNumber.findByPhoneNumber(To) : null;
+    if (!userPhoneNumber) {
+      console.warn(`⚠️ Inbound message for unknown number: ${To}`);
+    } else if (await SmsMessage.findByMessageSid(MessageSid)) {
+      console.log(`⚠️ Duplicate delivery of message ${MessageSid}, ignoring`);
+    } else {
+      const media = extractMedia(req.body);
+
+      await SmsMessage.create({
+        user_id: userPhoneNumber.user_id,
+        phone_number_id: userPhoneNumber.id,
+        message_sid: MessageSid,
+        direction: 'inbound',
+        from_number: From,
+        to_number: To,
+        body: Body,
+        num_segments: NumSegments,
+        media,
+        status: SmsStatus || 'received'
+      });
+
+      if (userPhoneNumber.sms_forwarding_enabled) {
+        try {
+          await forwardInboundMessage(userPhoneNumber, req.body, media);
+        } catch (forwardErr) {
+          console.error('Error forwarding inbound message:', forwardErr);
+          // Message is stored; don't fail the webhook
+        }
+      }
+
+      await billMessage(MessageSid);
+    }
+  } catch (err) {
+    console.error('❌ Error processing inbound message:', err);
+  }
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
+// Delivery status callback for outbound messages
+router.post('/status-callback', validateTwilioWebhook, async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus, SmsStatus, ErrorCode, ErrorMessage } = req.body;
+
+    await SmsMessage.updateByMessageSid(MessageSid, {
+      status: MessageStatus || SmsStatus,
+      error_code: ErrorCode,
+      error_message: ErrorMessage
+    });
+
+    console.log(`Message ${MessageSid} status updated to: ${MessageStatus || SmsStatus}`);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error updating message status:', err);
+    res.sendStatus(500);
+  }
+});
+
+// ===== INBOX =====
+
+// Conversations grouped by tracking number and counterpart
+router.get('/threads', auth, async (req, res) => {
+  try {
+    const threads = await SmsMessage.findThreadsByUserId(req.user.id, req.query.phone_number_id || null);
+
+    res.json({
+      success: true,
+      data: threads,
+      unread: threads.reduce((sum, t) => sum + t.unread_count, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching SMS threads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+// Messages in one conversation; marks inbound messages read unless mark_read=false
+router.get('/threads/:phoneNumberId/:counterpart', auth, async (req, res) => {
+  try {
+    const { phoneNumberId, counterpart } = req.params;
+    const { page = 1, limit = 50, mark_read } = req.query;
+
+    const userNumber = await UserPhoneNumber.findById(phoneNumberId);
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found or does not belong to you'
+      });
+    }
+
+    const messages = await SmsMessage.findThread(req.user.id, userNumber.id, counterpart, page, limit);
+
+    if (mark_read !== 'false') {
+      await SmsMessage.markThreadRead(req.user.id, userNumber.id, counterpart);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        phone_number_id: userNumber.id,
+        tracking_number: userNumber.phone_number,
+        counterpart_number: counterpart,
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching SMS thread:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation'
+    });
+  }
+});
+
+// Send a text (or MMS with media_urls) from one of the user's numbers
+router.post('/send', auth, async (req, res) => {
+  try {
+    const { phone_number_id, to, body, media_urls = [] } = req.body;
+
+    if (!phone_number_id || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number ID and recipient are required'
+      });
+    }
+
+    if (!E164_REGEX.test(String(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recipient number. Use E.164 format, e.g. +15551234567'
+      });
+    }
+
+    if (!Array.isArray(media_urls) || media_urls.length > MAX_MEDIA_PER_MESSAGE) {
+      return res.status(400).json({
+        success: false,
+        error: `media_urls must be an array of at most ${MAX_MEDIA_PER_MESSAGE} URLs`
+      });
+    }
+
+    if (!body && media_urls.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A message body or at least one media URL is required'
+      });
+    }
+
+    const userNumber = await UserPhoneNumber.findById(phone_number_id);
+    if (!userNumber || userNumber.user_id !== req.user.id || !userNumber.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found or does not belong to you'
+      });
+    }
+
+    try {
+      await BillingService.assertMinBalance(req.user.id);
+    } catch (e) {
+      return res.status(402).json({
+        success: false,
+        error: 'Insufficient balance to send messages',
+        minRequired: e.minRequired
+      });
+    }
+
+    const sent = await client.messages.create({
+      from: userNumber.phone_number,
+      to,
+      body: body || '',
+      statusCallback: statusCallbackUrl(),
+      ...(media_urls.length > 0 ? { mediaUrl: media_urls } : {})
+    });
+
+    const messageId = await SmsMessage.create({
+      user_id: req.user.id,
+      phone_number_id: userNumber.id,
+      message_sid: sent.sid,
+      direction: 'outbound',
+      from_number: userNumber.phone_number,
+      to_number: to,
+      body,
+      num_segments: sent.numSegments,
+      media: media_urls.map(url => ({ url, content_type: null })),
+      status: sent.status
+    });
+
+    await billMessage(sent.sid);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: await SmsMessage.findById(messageId)
+    });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send message',
+      details: error.message
+    });
+  }
+});
+
+// ===== NUMBER SETTINGS =====
+
+// Get SMS settings for a phone number
+router.get('/numbers/:id/settings', auth, async (req, res) => {
+  try {
+    const userNumber = await UserPhoneNumber.findById(req.params.id);
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found or does not belong to you'
+      });
+    }
+
+    const forwarding = await CallForwarding.getActiveForwardingForNumber(userNumber.id);
+
+    res.json({
+      success: true,
+      data: {
+        phone_number_id: userNumber.id,
+        forwarding_enabled: userNumber.sms_forwarding_enabled,
+        forward_to_number: forwarding ? forwarding.forward_to_number : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching SMS settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SMS settings'
+    });
+  }
+});
+
+// Update SMS settings and make sure Twilio delivers this number's texts to us
+router.put('/numbers/:id/settings', auth, async (req, res) => {
+  try {
+    const { forwarding_enabled } = req.body;
+
+    const userNumber = await UserPhoneNumber.findById(req.params.id);
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found or does not belong to you'
+      });
+    }
+
+    // Numbers bought before SMS support have no smsUrl configured
+    if (userNumber.twilio_sid) {
+      await client.incomingPhoneNumbers(userNumber.twilio_sid).update({
+        smsUrl: `${process.env.SERVER_URL}/api/sms/incoming`,
+        smsMethod: 'POST'
+      });
+    }
+
+    if (forwarding_enabled !== undefined) {
+      await UserPhoneNumber.update(userNumber.id, { sms_forwarding_enabled: !!forwarding_enabled });
+    }
+
+    const updatedNumber = await UserPhoneNumber.findById(userNumber.id);
+    const forwarding = await CallForwarding.getActiveForwardingForNumber(userNumber.id);
+
+    res.json({
+      success: true,
+      message: 'SMS settings updated successfully',
+      data: {
+        phone_number_id: updatedNumber.id,
+        forwarding_enabled: updatedNumber.sms_forwarding_enabled,
+        forward_to_number: forwarding ? forwarding.forward_to_number : null
+      }
+    });
+  } catch (error) {
+    console.error('Error updating SMS settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update SMS settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,26 +2,40 @@
 const express = require("express");
 const router = express.Router();
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
-const User = require("../models/User"); // Adjust the path if needed
 const { authenticate: auth } = require("../middleware/auth");
-
-// Create Checkout Session
+const PricingPlan = require("../models/PricingPlan");
+const { StripeWebhookService } = require("../services/StripeWebhookService");
+
+// One-time top-up prices live in Stripe; configure their IDs per environment
+// (the defaults are the live prices these routes always used)
+const TOP_UP_PRICE_ID = process.env.STRIPE_TOP_UP_PRICE_ID || "price_1RwNgNKggcV9qDyrId8dMMqM";
+const TOP_UP_PRODUCT_PRICE_IDS = (process.env.STRIPE_TOP_UP_PRODUCT_PRICE_IDS || "price_1RwNhYKggcV9qDyr9qMxPNjD")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+// Create Checkout Session (subscription price comes from the chosen plan, default plan otherwise)
 router.post("/create-checkout-session", async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, email, password, plan: planSlug } = req.body;
 
   try {
+    const plan = planSlug ? await PricingPlan.findBySlug(planSlug) : await PricingPlan.findDefault();
+    if (!plan || !plan.is_active || !plan.stripe_price_id) {
+      return res.status(400).json({ error: "Plan is not available for subscription" });
+    }
+
     const session = await stripe.checkout.sessions.create({
       mode: "subscription",
       payment_method_types: ["card"],
       line_items: [
         {
-          price: "price_1RrKZIKggcV9qDyr8WkJu04U", // Replace with your actual Price ID
+          price: plan.stripe_price_id,
           quantity: 1,
         },
       ],
       success_url: `https://www.rankandrenttool.com/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `https://www.rankandrenttool.com/`,
-      metadata: { name, email, password },
+      metadata: { name, email, password, plan_id: String(plan.id) },
     });
 
     res.json({ url: session.url });
@@ -38,13 +52,16 @@ router.post('/top-up', auth, async (req, res) => {
     if (!amount || amount < 5) {
       return res.status(400).json({ error: 'Minimum top-up is $5' });
     }
+    if (!TOP_UP_PRICE_ID) {
+      return res.status(503).json({ error: 'Top-ups are not configured' });
+    }
 
     const session = await stripe.checkout.sessions.create({
       mode: 'payment',
       payment_method_types: ['card'],
       line_items: [
         {
-          price: "price_1RwNgNKggcV9qDyrId8dMMqM",
+          price: TOP_UP_PRICE_ID,
           quantity: 1,
         },
       ],
@@ -67,13 +84,16 @@ router.post('/top-up-product', auth, async (req, res) => {
     if (!priceId) {
       return res.status(400).json({ error: 'priceId is required' });
     }
+    if (!TOP_UP_PRODUCT_PRICE_IDS.includes(priceId)) {
+      return res.status(400).json({ error: 'Unknown top-up product' });
+    }
 
     const session = await stripe.checkout.sessions.create({
       mode: 'payment',
       payment_method_types: ['card'],
       line_items: [
         {
-          price: "price_1RwNhYKggcV9qDyr9qMxPNjD",
+          price: priceId,
           quantity: 1,
         },
       ],
@@ -102,64 +122,18 @@ router.post("/webhook", express.raw({ type: "application/json" }), async (req, r
     return res.status(400).send(`Webhook error: ${err.message}`);
   }
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    if (session.mode === 'subscription') {
-      const { name, email, password } = session.metadata || {};
-      const customerId = session.customer;
-      try {
-        if (email) {
-          const existingUser = await User.findByEmail(email);
-          if (!existingUser) {
-            await User.create({
-              name,
-              email,
-              password, // will be hashed inside your User.create
-              stripe_customer_id: customerId,
-              is_paid: true,
-            });
-          }
-          console.log(`✅ Created paid user: ${email}`);
-        }
-      } catch (err) {
-        console.error('❌ Error in user creation:', err.message);
-      }
-    } else if (
-      session.mode === 'payment' &&
-      (session.metadata?.type === 'top_up' || session.metadata?.type === 'top_up_product')
-    ) {
-      const userId = parseInt(session.metadata.user_id, 10);
-      // Prefer Stripe-calculated amounts; fallback to metadata.amount
-      const cents = typeof session.amount_subtotal === 'number'
-        ? session.amount_subtotal
-        : (typeof session.amount_total === 'number' ? session.amount_total : null);
-      const amount = cents !== null ? cents / 100 : parseFloat(session.metadata.amount || '0');
-      if (userId && amount > 0) {
-        try {
-          const user = await User.findById(userId);
-          if (user) {
-            const newBalance = parseFloat((parseFloat(user.balance || 0) + amount).toFixed(2));
-            await User.updateBalance(userId, newBalance);
-          }
-        } catch (e) {
-          console.error('Error applying top-up to user:', e);
-        }
-      }
-    }
-  }
-  if (event.type === "customer.subscription.deleted") {
-    const subscription = event.data.object;
-    const customerId = subscription.customer;
-
-    try {
-      await User.downgradeByCustomerId(customerId);
-      console.log(`⚠️ User with Stripe ID ${customerId} downgraded`);
-    } catch (err) {
-      console.error("❌ DB error downgrading user:", err);
+  // Stored by event ID, so Stripe retries and concurrent deliveries are applied once
+  try {
+    const { status } = await StripeWebhookService.processEvent(event);
+    if (status === 'in_progress') {
+      // Another delivery of this event is mid-flight; ask Stripe to try again later
+      return res.status(409).json({ received: true, status });
     }
+    res.json({ received: true, status });
+  } catch (err) {
+    console.error(`❌ Error processing Stripe event ${event.id}:`, err.message);
+    res.status(500).json({ received: true, status: 'failed' });
   }
-
-  res.json({ received: true });
 });
 
 module.exports = router;
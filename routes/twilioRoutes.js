@@ -1,10 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const client = require('../config/twilioClient');
-const { authenticate: auth } = require('../middleware/auth');
+const { authenticate: auth, authenticateStream, generateStreamToken, STREAM_TOKEN_TTL_SECONDS } = require('../middleware/auth');
+const { validateTwilioWebhook } = require('../middleware/twilioWebhook');
 const TwilioCallLog = require('../models/TwilioCallLog');
 const UserPhoneNumber = require('../models/UserPhoneNumber');
-const { BillingService, MIN_REQUIRED_BALANCE, PHONE_NUMBER_MONTHLY_PRICE, CALL_RATE_PER_MINUTE } = require('../services/BillingService');
+const Voicemail = require('../models/Voicemail');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const Client = require('../models/Client');
+const Website = require('../models/Website');
+const PricingPlan = require('../models/PricingPlan');
+const { BillingService } = require('../services/BillingService');
+const { SpendingLimitService } = require('../services/SpendingLimitService');
+const { CallRoutingService } = require('../services/CallRoutingService');
+const { TranscriptionService } = require('../services/TranscriptionService');
+const { CallScreeningService, SCREENING_STATUS } = require('../services/CallScreeningService');
+const { IvrService } = require('../services/IvrService');
+const { CampaignService } = require('../services/CampaignService');
+const { CallEventService, CALL_EVENTS } = require('../services/CallEventService');
+const CallTranscript = require('../models/CallTranscript');
+const TranscriptionKeyword = require('../models/TranscriptionKeyword');
 const multer = require('multer');
 const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
@@ -147,7 +163,8 @@ router.get('/time-remaining', auth, async (req, res) => {
 
     // If free seconds are exhausted, compute paid seconds from balance and rate
     let paidSecondsAvailable = 0;
-    let perMinuteRate = CALL_RATE_PER_MINUTE; // USD per minute
+    const plan = await PricingPlan.findForUserId(userId);
+    let perMinuteRate = plan.outbound_rate_per_minute; // USD per minute
     let perSecondRate = perMinuteRate / 60.0; // USD per second
 
     const userBalance = parseFloat(user.balance || 0);
@@ -227,7 +244,7 @@ router.get('/access-token', auth, async (req, res) => {
       return res.status(402).json({
         error: 'Insufficient balance',
         details: e.message,
-        minRequired: MIN_REQUIRED_BALANCE
+        minRequired: e.minRequired
       });
     }
     
@@ -280,6 +297,19 @@ router.post('/buy-number', auth, async (req, res) => {
     await BillingService.ensureMonthlyMinutesReset(userId);
     const user = await require('../models/User').findById(userId);
     const isEligibleForFree = !user.has_claimed_free_number; // one-time free number
+
+    const plan = await PricingPlan.findForUserId(userId);
+    if (plan.max_phone_numbers !== null) {
+      const activeNumbers = await UserPhoneNumber.findActiveByUserId(userId);
+      if (activeNumbers.length >= plan.max_phone_numbers) {
+        return res.status(403).json({
+          error: 'Phone number limit reached',
+          details: `The ${plan.name} plan allows up to ${plan.max_phone_numbers} phone number${plan.max_phone_numbers === 1 ? '' : 's'}`,
+          maxPhoneNumbers: plan.max_phone_numbers
+        });
+      }
+    }
+
     if (!isEligibleForFree) {
       // Enforce minimum balance before purchasing a paid number
       try {
@@ -288,8 +318,8 @@ router.post('/buy-number', auth, async (req, res) => {
         return res.status(402).json({
           error: 'Insufficient balance to purchase number',
           details: e.message,
-          price: PHONE_NUMBER_MONTHLY_PRICE,
-          minRequired: MIN_REQUIRED_BALANCE
+          price: plan.phone_number_monthly_price,
+          minRequired: e.minRequired
         });
       }
     }
@@ -326,6 +356,8 @@ router.post('/buy-number', auth, async (req, res) => {
             phoneNumber: phoneNumber,
             voiceApplicationSid: process.env.TWILIO_APP_SID,
             voiceUrl: `${process.env.SERVER_URL}/api/twilio/twiml`,
+            smsUrl: `${process.env.SERVER_URL}/api/sms/incoming`,
+            smsMethod: 'POST',
             statusCallback: `${process.env.SERVER_URL}/api/twilio/status-callback`,
             statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
             statusCallbackMethod: 'POST'
@@ -336,7 +368,7 @@ router.post('/buy-number', auth, async (req, res) => {
           phoneNumber: phoneNumber,
           locality: 'Unknown',
           region: 'Unknown',
-          capabilities: { voice: true, sms: false, mms: false }
+          capabilities: purchasedNumber.capabilities || { voice: true, sms: false, mms: false }
         };
         
         console.log(`✅ Successfully purchased specific number: ${phoneNumber}`);
@@ -364,6 +396,8 @@ router.post('/buy-number', auth, async (req, res) => {
             phoneNumber: numberToBuy.phoneNumber,
             voiceApplicationSid: process.env.TWILIO_APP_SID,
             voiceUrl: `${process.env.SERVER_URL}/api/twilio/twiml`,
+            smsUrl: `${process.env.SERVER_URL}/api/sms/incoming`,
+            smsMethod: 'POST',
             statusCallback: `${process.env.SERVER_URL}/api/twilio/status-callback`,
             statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
             statusCallbackMethod: 'POST'
@@ -393,6 +427,8 @@ router.post('/buy-number', auth, async (req, res) => {
           phoneNumber: numberToBuy.phoneNumber,
           voiceApplicationSid: process.env.TWILIO_APP_SID,
           voiceUrl: `${process.env.SERVER_URL}/api/twilio/twiml`,
+          smsUrl: `${process.env.SERVER_URL}/api/sms/incoming`,
+          smsMethod: 'POST',
           statusCallback: `${process.env.SERVER_URL}/api/twilio/status-callback`,
           statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
           statusCallbackMethod: 'POST'
@@ -505,8 +541,71 @@ router.get('/available-numbers', auth, async (req, res) => {
 // Browser calling only - server-side call endpoint removed
 // All calls now go through Twilio Voice SDK in the browser
 
+// Helper: match an inbound caller to a lead (or create one) and link the call to it
+const linkInboundCallToLead = async (userPhoneNumber, caller, callSid, sourceNumber) => {
+  if (!callSid || !/^\+?\d{7,15}$/.test(caller)) return;
+
+  try {
+    const { lead, created } = await Lead.findOrCreateFromCall({
+      userId: userPhoneNumber.user_id,
+      caller,
+      phoneNumberId: userPhoneNumber.id,
+      sourceNumber
+    });
+    await TwilioCallLog.update(callSid, { lead_id: lead.id });
+
+    if (created) {
+      await Activity.logActivity(
+        'lead_created',
+        'New lead from inbound call',
+        `Lead "${lead.name}" was created from a call to ${userPhoneNumber.friendly_name || sourceNumber}`,
+        null,
+        userPhoneNumber.user_id
+      );
+    }
+    console.log(`👤 Call ${callSid} linked to ${created ? 'new' : 'existing'} lead ${lead.id}`);
+  } catch (leadError) {
+    console.error('❌ Error linking inbound call to lead:', leadError);
+  }
+};
+
+// Helper: answer with the number's IVR menu, or route through its rules, or play the default greeting
+const routeAnsweredInboundCall = async (twiml, userPhoneNumber, { caller, called, callSid }) => {
+  CallEventService.publish(userPhoneNumber.user_id, CALL_EVENTS.INCOMING, {
+    callSid,
+    from: caller,
+    to: called,
+    phoneNumberId: userPhoneNumber.id,
+    friendlyName: userPhoneNumber.friendly_name
+  });
+
+  if (IvrService.isActive(userPhoneNumber)) {
+    console.log(`☎️ Answering ${called} with IVR menu`);
+    IvrService.renderMenu(twiml, userPhoneNumber, '', { greet: true });
+    return;
+  }
+
+  try {
+    const context = await CallRoutingService.buildContext({ userPhoneNumber, caller, called, callSid });
+
+    const rule = await CallRoutingService.routeInboundCall(twiml, context);
+    if (rule) {
+      console.log(`🔀 Routing rule ${rule.id} (${rule.action_type}) matched for ${called}`);
+      return;
+    }
+    // No routing rule matched, play default message
+    console.log(`📞 No routing rule matched for: ${called}`);
+  } catch (routingError) {
+    console.error('❌ Error routing inbound call:', routingError);
+  }
+
+  twiml.say('Hello! Thank you for calling.');
+  twiml.pause({ length: 1 });
+  twiml.say('This is a Twilio phone system. Goodbye!');
+};
+
 // TwiML endpoint for call handling
-router.post('/twiml', async (req, res) => {
+router.post('/twiml', validateTwilioWebhook, async (req, res) => {
   try {
     const VoiceResponse = require('twilio').twiml.VoiceResponse;
     const twiml = new VoiceResponse();
@@ -533,6 +632,9 @@ router.post('/twiml', async (req, res) => {
     if (to && to.startsWith('+') && (direction !== 'inbound' || (caller && caller.startsWith('client:')))) {
       console.log(`🎙️ Browser calling phone number: ${to}`);
       
+      // Longest the call may run before it would pass the user's spending caps
+      let maxCallSeconds = null;
+
       // Create call log entry for browser calls
       if (callSid && from && to) {
         try {
@@ -556,6 +658,38 @@ router.post('/twiml', async (req, res) => {
               return res.send(twimlResponseBlocked);
             }
 
+            // Enforce the user's daily/monthly spend caps and the number's call caps
+            const limitCheck = await SpendingLimitService.checkOutboundCall(userPhoneNumber);
+            if (!limitCheck.allowed) {
+              console.warn(`Blocking outbound call from ${from}: ${limitCheck.reason}`);
+              twiml.say(`${limitCheck.message} Please update your limits to place more calls.`);
+              twiml.hangup();
+              res.type('text/xml');
+              return res.send(twiml.toString());
+            }
+            maxCallSeconds = limitCheck.maxCallSeconds || null;
+
+            // Power dialer calls carry their queue entry; re-check do-not-call and calling hours
+            let campaignLeadId = null;
+            const campaignLeadParam = (req.body.CampaignLeadId || '').toString().trim();
+            if (campaignLeadParam) {
+              let campaignCheck;
+              try {
+                campaignCheck = await CampaignService.authorizeCampaignCall(userPhoneNumber.user_id, campaignLeadParam, to, callSid);
+              } catch (e) {
+                console.error('Error checking campaign call:', e);
+                campaignCheck = { allowed: false, message: 'This campaign call could not be verified.' };
+              }
+              if (!campaignCheck.allowed) {
+                console.warn(`Blocking campaign call from ${from} to ${to}: ${campaignCheck.message}`);
+                twiml.say(campaignCheck.message);
+                twiml.hangup();
+                res.type('text/xml');
+                return res.send(twiml.toString());
+              }
+              campaignLeadId = campaignCheck.leadId;
+            }
+
             await TwilioCallLog.create({
               call_sid: callSid,
               user_id: userPhoneNumber.user_id,
@@ -567,6 +701,9 @@ router.post('/twiml', async (req, res) => {
               record: true
             });
             console.log(`✅ Call log created for browser call: ${callSid}`);
+            if (campaignLeadId) {
+              await TwilioCallLog.update(callSid, { lead_id: campaignLeadId });
+            }
           }
         } catch (logError) {
           console.error('❌ Error creating call log:', logError);
@@ -581,7 +718,8 @@ router.post('/twiml', async (req, res) => {
         recordingStatusCallbackEvent: ['completed'],
         statusCallback: `${process.env.SERVER_URL}/api/twilio/status-callback`,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-        statusCallbackMethod: 'POST'
+        statusCallbackMethod: 'POST',
+        ...(maxCallSeconds ? { timeLimit: maxCallSeconds } : {})
       });
       dial.number(to);
       
@@ -606,7 +744,7 @@ router.post('/twiml', async (req, res) => {
       // Handle inbound calls to your Twilio number (PSTN to your number or Client)
       console.log(`📞 Inbound call received to: ${called}`);
       
-      // Check for call forwarding settings
+      // Route the call through the number's routing rules (including call forwarding)
       try {
         // Use 'Called' if present, otherwise fall back to 'To'
         const phoneNumberToCheck = called || req.body.To;
@@ -624,109 +762,55 @@ router.post('/twiml', async (req, res) => {
         
         const userPhoneNumber = await UserPhoneNumber.findByPhoneNumber(phoneNumberToCheck);
         if (userPhoneNumber) {
-          try {
-            const CallForwarding = require('../models/CallForwarding');
-            const forwarding = await CallForwarding.getActiveForwardingForNumber(userPhoneNumber.id);
-           
-            if (forwarding && forwarding.is_active) {
-              console.log(`🔄 Call forwarding active: ${phoneNumberToCheck} -> ${forwarding.forward_to_number}`);
-              console.log(`📋 Forwarding details:`, {
-                phone_number_id: forwarding.phone_number_id,
-                forward_to_number: forwarding.forward_to_number,
-                forwarding_type: forwarding.forwarding_type,
-                ring_timeout: forwarding.ring_timeout,
-                is_active: forwarding.is_active
+          // Create call log entry for inbound call
+          if (callSid) {
+            try {
+              await TwilioCallLog.create({
+                call_sid: callSid,
+                user_id: userPhoneNumber.user_id,
+                phone_number_id: userPhoneNumber.id,
+                from_number: caller,
+                to_number: phoneNumberToCheck,
+                direction: 'inbound',
+                status: 'initiated',
+                record: true
               });
-              
-              // Create call log entry for inbound call
-              if (callSid) {
-                try {
-                  await TwilioCallLog.create({
-                    call_sid: callSid,
-                    user_id: userPhoneNumber.user_id,
-                    phone_number_id: userPhoneNumber.id,
-                    from_number: caller,
-                    to_number: phoneNumberToCheck,
-                    direction: 'inbound',
-                    status: 'initiated',
-                    record: true
-                  });
-                  console.log(`✅ Call log created for inbound call: ${callSid}`);
-                } catch (logError) {
-                  console.error('❌ Error creating call log:', logError);
-                }
-              }
-              
-              // Forward the call based on forwarding type
-              // Extract original caller information for whisper and caller ID
-              const originalCaller = (req.body.Caller || req.body.From || req.query.Caller || req.query.From || caller || from || '').trim();
-              const calledTwilioNumber = (req.body.Called || req.body.To || phoneNumberToCheck || '').trim();
-              
-              // Show original caller number - you want to see who's calling regardless of spam labeling
-              if (forwarding.forwarding_type === 'always') {
-                // Forward immediately with whisper
-                const dial = twiml.dial({
-                  callerId: originalCaller,      // Show original caller number
-                  answerOnBridge: true,            // caller hears ringing during whisper
-                  record: 'record-from-answer-dual',
-                  recordingStatusCallback: `${process.env.SERVER_URL}/api/twilio/recording-callback`,
-                  recordingStatusCallbackEvent: ['completed'],
-                  statusCallback: `${process.env.SERVER_URL}/api/twilio/status-callback`,
-                  statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-                  statusCallbackMethod: 'POST',
-                  timeout: Math.max(15, forwarding.ring_timeout || 20)   // guarantee enough time for whisper
-                });
-                console.log(`📞 Dialing forward-to number: ${forwarding.forward_to_number} with whisper`);
-                console.log(`📞 Original caller: ${originalCaller}, Called number: ${calledTwilioNumber}, CallerId: ${originalCaller}`);
-                // Run a private whisper just for the callee leg, then connect
-                dial.number(
-                  {
-                    url: `${process.env.SERVER_URL}/api/twilio/whisper` +
-                         `?pn=${encodeURIComponent(calledTwilioNumber)}` +      // which Twilio line was called
-                         `&from=${encodeURIComponent(originalCaller)}`,         // who is calling (for whisper announcement)
-                    method: 'GET'  // match whisper route
-                  },
-                  forwarding.forward_to_number
-                );
-              } else {
-                // For other forwarding types, forward immediately with whisper (placeholder for future logic)
-                const dial = twiml.dial({
-                  callerId: originalCaller,      // Show original caller number
-                  answerOnBridge: true,            // caller hears ringing during whisper
-                  record: 'record-from-answer-dual',
-                  recordingStatusCallback: `${process.env.SERVER_URL}/api/twilio/recording-callback`,
-                  recordingStatusCallbackEvent: ['completed'],
-                  statusCallback: `${process.env.SERVER_URL}/api/twilio/status-callback`,
-                  statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-                  statusCallbackMethod: 'POST',
-                  timeout: Math.max(15, forwarding.ring_timeout || 20)   // guarantee enough time for whisper
-                });
-                console.log(`📞 Dialing forward-to number: ${forwarding.forward_to_number} with whisper`);
-                console.log(`📞 Original caller: ${originalCaller}, Called number: ${calledTwilioNumber}, CallerId: ${originalCaller}`);
-                // Run a private whisper just for the callee leg, then connect
-                dial.number(
-                  {
-                    url: `${process.env.SERVER_URL}/api/twilio/whisper` +
-                         `?pn=${encodeURIComponent(calledTwilioNumber)}` +      // which Twilio line was called
-                         `&from=${encodeURIComponent(originalCaller)}`,         // who is calling (for whisper announcement)
-                    method: 'GET'  // match whisper route
-                  },
-                  forwarding.forward_to_number
-                );
-              }
-            } else {
-              // No forwarding active, play default message
-              console.log(`📞 No call forwarding active for: ${phoneNumberToCheck}`);
-              twiml.say('Hello! Thank you for calling.');
-              twiml.pause({ length: 1 });
-              twiml.say('This is a Twilio phone system. Goodbye!');
+              console.log(`✅ Call log created for inbound call: ${callSid}`);
+            } catch (logError) {
+              console.error('❌ Error creating call log:', logError);
             }
-          } catch (forwardingError) {
-            console.error('❌ Error checking call forwarding:', forwardingError);
-            // Fallback to default message
-            twiml.say('Hello! Thank you for calling.');
-            twiml.pause({ length: 1 });
-            twiml.say('This is a Twilio phone system. Goodbye!');
+          }
+
+          // Extract original caller information for whisper and caller ID
+          // Show original caller number - you want to see who's calling regardless of spam labeling
+          const originalCaller = (req.body.Caller || req.body.From || req.query.Caller || req.query.From || caller || from || '').trim();
+          const calledTwilioNumber = (req.body.Called || req.body.To || phoneNumberToCheck || '').trim();
+
+          // Blocklists, allowlists and the optional press-1 gate come before routing
+          let screening = { decision: 'route' };
+          try {
+            screening = await CallScreeningService.screen(userPhoneNumber, originalCaller);
+          } catch (screeningError) {
+            console.error('❌ Error screening inbound call:', screeningError);
+          }
+
+          if (screening.decision === 'block') {
+            console.log(`⛔ Blocked call from ${originalCaller} to ${phoneNumberToCheck}`);
+            await CallScreeningService.markCall(callSid, SCREENING_STATUS.BLOCKED);
+            twiml.reject();
+          } else if (screening.decision === 'gate') {
+            await CallScreeningService.markCall(callSid, SCREENING_STATUS.GATED);
+            CallScreeningService.renderGate(twiml, userPhoneNumber);
+          } else {
+            if (screening.decision === 'allow') {
+              await CallScreeningService.markCall(callSid, SCREENING_STATUS.ALLOWED);
+            }
+            await linkInboundCallToLead(userPhoneNumber, originalCaller, callSid, phoneNumberToCheck);
+            await routeAnsweredInboundCall(twiml, userPhoneNumber, {
+              caller: originalCaller,
+              called: calledTwilioNumber,
+              callSid
+            });
           }
         } else {
           // Phone number not found in our system
@@ -770,10 +854,121 @@ router.post('/twiml', async (req, res) => {
   }
 });
 
+// Dial action callback for routed inbound calls
+// Twilio posts DialCallStatus here when a routed <Dial> ends; we either hang up,
+// try the next sequential target, or fall through to the next matching rule.
+router.post('/routing-callback', validateTwilioWebhook, async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const twiml = new VoiceResponse();
+
+  try {
+    const phoneNumberId = req.query.phone_number_id;
+    const ruleKey = req.query.rule;
+    const targetIndex = parseInt(req.query.target || '0', 10);
+    const dialStatus = (req.body.DialCallStatus || '').toLowerCase();
+
+    console.log(`🔀 Routing callback: rule=${ruleKey}, target=${targetIndex}, DialCallStatus=${dialStatus}`);
+
+    const userPhoneNumber = phoneNumberId ? await UserPhoneNumber.findById(phoneNumberId) : null;
+    if (!userPhoneNumber) {
+      twiml.hangup();
+    } else {
+      const context = await CallRoutingService.buildContext({
+        userPhoneNumber,
+        caller: (req.body.From || req.body.Caller || '').trim(),
+        called: (req.body.To || req.body.Called || userPhoneNumber.phone_number || '').trim(),
+        callSid: (req.body.CallSid || '').trim()
+      });
+
+      await CallRoutingService.handleDialResult(twiml, context, { ruleKey, targetIndex, dialStatus });
+    }
+  } catch (error) {
+    console.error('❌ Error in routing callback:', error);
+    twiml.hangup();
+  }
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
+// IVR <Gather> callback
+// Twilio posts the key pressed in the menu at ?path=; we open a submenu, forward,
+// take a voicemail or hang up, and record the choice on the call log.
+router.post('/ivr-callback', validateTwilioWebhook, async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const twiml = new VoiceResponse();
+
+  try {
+    const phoneNumberId = req.query.phone_number_id;
+    const path = req.query.path || '';
+    const attempt = parseInt(req.query.attempt || '0', 10) || 0;
+    const digits = (req.body.Digits || '').trim();
+
+    console.log(`☎️ IVR callback: menu="${path}", attempt=${attempt}, Digits=${digits}`);
+
+    const userPhoneNumber = phoneNumberId ? await UserPhoneNumber.findById(phoneNumberId) : null;
+    if (!userPhoneNumber || !IvrService.isActive(userPhoneNumber)) {
+      twiml.hangup();
+    } else {
+      const context = await CallRoutingService.buildContext({
+        userPhoneNumber,
+        caller: (req.body.From || req.body.Caller || '').trim(),
+        called: (req.body.To || req.body.Called || userPhoneNumber.phone_number || '').trim(),
+        callSid: (req.body.CallSid || '').trim()
+      });
+
+      await IvrService.handleSelection(twiml, userPhoneNumber, context, { path, digits, attempt });
+    }
+  } catch (error) {
+    console.error('❌ Error in IVR callback:', error);
+    twiml.hangup();
+  }
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
+// Press-1 screening gate callback
+// Callers who press 1 are routed as usual; anyone else is screened out and excluded from billing and leads.
+router.post('/screening-gate', validateTwilioWebhook, async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const twiml = new VoiceResponse();
+
+  try {
+    const phoneNumberId = req.query.phone_number_id;
+    const digits = (req.body.Digits || '').trim();
+    const callSid = (req.body.CallSid || '').trim();
+    const caller = (req.body.Caller || req.body.From || '').trim();
+
+    const userPhoneNumber = phoneNumberId ? await UserPhoneNumber.findById(phoneNumberId) : null;
+    if (!userPhoneNumber) {
+      twiml.hangup();
+    } else if (digits === '1') {
+      console.log(`✅ Caller ${caller} passed the screening gate`);
+      await CallScreeningService.markCall(callSid, SCREENING_STATUS.PASSED);
+
+      const called = (req.body.Called || req.body.To || userPhoneNumber.phone_number || '').trim();
+      await linkInboundCallToLead(userPhoneNumber, caller, callSid, called);
+      await routeAnsweredInboundCall(twiml, userPhoneNumber, { caller, called, callSid });
+    } else {
+      console.log(`⛔ Caller ${caller} did not pass the screening gate (digits: "${digits}")`);
+      await CallScreeningService.markCall(callSid, SCREENING_STATUS.SCREENED_OUT);
+      twiml.say('Goodbye.');
+      twiml.hangup();
+    }
+  } catch (error) {
+    console.error('❌ Error in screening gate:', error);
+    twiml.hangup();
+  }
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
 // Whisper endpoint - plays private message to callee before connecting the call
 // BATTLE-HARDENED: Must be unbreakable, always return valid TwiML
 // IMPORTANT: Must be GET because Twilio's <Number url="..."> uses GET by default
-router.get('/whisper', async (req, res) => {
+router.get('/whisper', validateTwilioWebhook, async (req, res) => {
   const { VoiceResponse } = require('twilio').twiml;
   const twiml = new VoiceResponse();
   
@@ -867,7 +1062,7 @@ router.get('/whisper', async (req, res) => {
 });
 
 // Call status callback
-router.post('/status-callback', async (req, res) => {
+router.post('/status-callback', validateTwilioWebhook, async (req, res) => {
   try {
     const { CallSid, CallStatus, CallDuration, CallPrice, CallPriceUnit } = req.body;
     
@@ -879,6 +1074,19 @@ router.post('/status-callback', async (req, res) => {
       price_unit: CallPriceUnit
     });
 
+    const callLog = await TwilioCallLog.findByCallSid(CallSid);
+    if (callLog) {
+      CallEventService.publish(callLog.user_id, CALL_EVENTS.STATUS, {
+        callSid: CallSid,
+        status: CallStatus,
+        direction: callLog.direction,
+        from: callLog.from_number,
+        to: callLog.to_number,
+        phoneNumberId: callLog.phone_number_id,
+        duration: CallDuration ? parseInt(CallDuration, 10) : null
+      });
+    }
+
     // Bill on completion
     try {
       await BillingService.handleCallStatusUpdate(CallSid, CallStatus, CallDuration);
@@ -887,6 +1095,15 @@ router.post('/status-callback', async (req, res) => {
       // Don't fail webhook
     }
 
+    // Block callers who keep hanging up within seconds
+    if (CallStatus === 'completed') {
+      try {
+        await CallScreeningService.checkAutoBlock(CallSid);
+      } catch (screeningErr) {
+        console.error('Auto-block check error:', screeningErr);
+      }
+    }
+
     console.log(`Call ${CallSid} status updated to: ${CallStatus}`);
     res.sendStatus(200);
 
@@ -897,7 +1114,7 @@ router.post('/status-callback', async (req, res) => {
 });
 
 // Recording callback
-router.post('/recording-callback', async (req, res) => {
+router.post('/recording-callback', validateTwilioWebhook, async (req, res) => {
   try {
     console.log('🎙️ Recording callback received:', req.body);
     
@@ -934,6 +1151,23 @@ router.post('/recording-callback', async (req, res) => {
 
     if (updated) {
       console.log(`✅ Recording saved for call ${CallSid}: ${RecordingUrl}`);
+
+      const callLog = await TwilioCallLog.findByCallSid(CallSid);
+      if (callLog) {
+        CallEventService.publish(callLog.user_id, CALL_EVENTS.RECORDING, {
+          callSid: CallSid,
+          recordingSid: RecordingSid,
+          status: RecordingStatus,
+          duration: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+          url: RecordingSid ? `${process.env.SERVER_URL}/api/twilio/recording/${RecordingSid}` : null
+        });
+      }
+
+      // Transcribe in the background; Twilio only needs the 200
+      if (RecordingStatus === 'completed' && TranscriptionService.isEnabled()) {
+        TranscriptionService.transcribeCall(CallSid, RecordingSid)
+          .catch(err => console.error('❌ Background transcription error:', err));
+      }
     } else {
       console.warn(`⚠️ No call log found to update for CallSid: ${CallSid}`);
     }
@@ -946,6 +1180,89 @@ router.post('/recording-callback', async (req, res) => {
   }
 });
 
+// Helper: store voicemail details from a Twilio recording or transcription callback
+const saveVoicemailFromCallback = async (req, fields) => {
+  const phoneNumberId = req.query.phone_number_id;
+  const { CallSid, RecordingSid, From, To } = req.body;
+
+  const userPhoneNumber = phoneNumberId ? await UserPhoneNumber.findById(phoneNumberId) : null;
+  if (!userPhoneNumber) {
+    console.warn(`⚠️ Voicemail callback for unknown phone number ID: ${phoneNumberId}`);
+    return null;
+  }
+
+  const callLog = await TwilioCallLog.findByCallSid(CallSid);
+
+  return Voicemail.upsert({
+    user_id: userPhoneNumber.user_id,
+    phone_number_id: userPhoneNumber.id,
+    call_log_id: callLog ? callLog.id : null,
+    call_sid: CallSid,
+    from_number: From || (callLog ? callLog.from_number : null),
+    to_number: To || userPhoneNumber.phone_number,
+    recording_sid: RecordingSid,
+    ...fields
+  });
+};
+
+// Voicemail recording callback - the <Record> step of the voicemail action finished
+router.post('/voicemail-callback', validateTwilioWebhook, async (req, res) => {
+  try {
+    console.log('📼 Voicemail recording callback received:', req.body);
+
+    const { CallSid, RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus } = req.body;
+
+    if (!CallSid || !RecordingSid) {
+      console.error('❌ Voicemail callback missing CallSid or RecordingSid');
+      return res.sendStatus(400);
+    }
+
+    if (RecordingStatus && RecordingStatus !== 'completed') {
+      console.log(`⚠️ Skipping voicemail ${RecordingSid} with status ${RecordingStatus}`);
+      return res.sendStatus(200);
+    }
+
+    await saveVoicemailFromCallback(req, {
+      recording_url: RecordingUrl,
+      duration: RecordingDuration
+    });
+
+    console.log(`✅ Voicemail saved for call ${CallSid}: ${RecordingSid}`);
+    res.sendStatus(200);
+
+  } catch (err) {
+    console.error('❌ Error processing voicemail callback:', err);
+    res.sendStatus(500);
+  }
+});
+
+// Voicemail transcription callback
+router.post('/voicemail-transcription', validateTwilioWebhook, async (req, res) => {
+  try {
+    const { CallSid, RecordingSid, RecordingUrl, TranscriptionSid, TranscriptionText, TranscriptionStatus } = req.body;
+
+    console.log(`📝 Voicemail transcription for ${RecordingSid}: ${TranscriptionStatus}`);
+
+    if (!CallSid || !RecordingSid) {
+      console.error('❌ Voicemail transcription missing CallSid or RecordingSid');
+      return res.sendStatus(400);
+    }
+
+    await saveVoicemailFromCallback(req, {
+      recording_url: RecordingUrl,
+      transcription_sid: TranscriptionSid,
+      transcription_text: TranscriptionStatus === 'completed' ? TranscriptionText : null,
+      transcription_status: TranscriptionStatus
+    });
+
+    res.sendStatus(200);
+
+  } catch (err) {
+    console.error('❌ Error processing voicemail transcription:', err);
+    res.sendStatus(500);
+  }
+});
+
 // Get call logs with recordings for debugging
 router.get('/call-logs-with-recordings', auth, async (req, res) => {
   try {
@@ -1081,6 +1398,21 @@ router.get('/recordings', auth, async (req, res) => {
   }
 });
 
+// Short-lived token for opening the call event stream with EventSource (?token=)
+router.post('/events/token', auth, (req, res) => {
+  res.json({
+    success: true,
+    token: generateStreamToken(req.user.id, 'call-events'),
+    expiresIn: STREAM_TOKEN_TTL_SECONDS
+  });
+});
+
+// Live call events for the signed-in user as Server-Sent Events (call.incoming, call.status, call.recording).
+// EventSource can't set headers, so pass a token from POST /events/token as ?token=
+router.get('/events', authenticateStream('call-events'), (req, res) => {
+  CallEventService.subscribe(req.user.id, req, res);
+});
+
 // Get call logs for a user
 router.get('/call-logs', auth, async (req, res) => {
   try {
@@ -1147,6 +1479,145 @@ router.get('/call-logs/:callSid', auth, async (req, res) => {
   }
 });
 
+// Get the transcript and flagged keywords for a call
+router.get('/call-logs/:callSid/transcript', auth, async (req, res) => {
+  try {
+    const { callSid } = req.params;
+
+    const callLog = await TwilioCallLog.findByCallSid(callSid);
+    if (!callLog || callLog.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Call log not found' });
+    }
+
+    const transcript = await CallTranscript.findByCallSid(callSid);
+    if (!transcript) {
+      return res.status(404).json({ error: 'No transcript for this call' });
+    }
+
+    res.json({
+      success: true,
+      transcript: transcript
+    });
+
+  } catch (err) {
+    console.error('Error fetching transcript:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch transcript',
+      details: err.message 
+    });
+  }
+});
+
+// (Re)run transcription for a recorded call
+router.post('/call-logs/:callSid/transcribe', auth, async (req, res) => {
+  try {
+    const { callSid } = req.params;
+
+    if (!TranscriptionService.isEnabled()) {
+      return res.status(400).json({ error: 'Transcription is not configured on this server' });
+    }
+
+    const callLog = await TwilioCallLog.findByCallSid(callSid);
+    if (!callLog || callLog.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Call log not found' });
+    }
+    if (!callLog.recording_sid) {
+      return res.status(400).json({ error: 'This call has no recording to transcribe' });
+    }
+
+    TranscriptionService.transcribeCall(callSid, callLog.recording_sid)
+      .catch(err => console.error('❌ Background transcription error:', err));
+
+    res.status(202).json({
+      success: true,
+      message: 'Transcription started'
+    });
+
+  } catch (err) {
+    console.error('Error starting transcription:', err);
+    res.status(500).json({ 
+      error: 'Failed to start transcription',
+      details: err.message 
+    });
+  }
+});
+
+// Search transcripts by text and/or flagged keyword
+router.get('/transcripts/search', auth, async (req, res) => {
+  try {
+    const { q, keyword, page = 1, limit = 20 } = req.query;
+
+    const transcripts = await CallTranscript.search(req.user.id, {
+      q: q || null,
+      keyword: keyword || null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      transcripts: transcripts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (err) {
+    console.error('Error searching transcripts:', err);
+    res.status(500).json({ 
+      error: 'Failed to search transcripts',
+      details: err.message 
+    });
+  }
+});
+
+// Get the keywords flagged in transcripts
+router.get('/transcription-keywords', auth, async (req, res) => {
+  try {
+    const keywords = await TranscriptionKeyword.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      keywords: keywords
+    });
+
+  } catch (err) {
+    console.error('Error fetching transcription keywords:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch transcription keywords',
+      details: err.message 
+    });
+  }
+});
+
+// Replace the keywords flagged in transcripts
+router.put('/transcription-keywords', auth, async (req, res) => {
+  try {
+    const { keywords } = req.body;
+
+    if (!Array.isArray(keywords) || keywords.some(k => typeof k !== 'string' || !k.trim() || k.length > 100)) {
+      return res.status(400).json({ error: 'keywords must be an array of non-empty strings (max 100 characters)' });
+    }
+
+    const normalized = [...new Set(keywords.map(k => k.trim().toLowerCase()))];
+    const saved = await TranscriptionKeyword.replaceForUser(req.user.id, normalized);
+
+    res.json({
+      success: true,
+      message: 'Transcription keywords updated successfully',
+      keywords: saved
+    });
+
+  } catch (err) {
+    console.error('Error updating transcription keywords:', err);
+    res.status(500).json({ 
+      error: 'Failed to update transcription keywords',
+      details: err.message 
+    });
+  }
+});
+
 // Generate Twilio Access Token for browser calling
 router.post('/access-token', auth, async (req, res) => {
   try {
@@ -1420,7 +1891,9 @@ router.put('/my-numbers/:id', auth, async (req, res) => {
       voice_url, 
       status_callback, 
       status_callback_method, 
-      status_callback_event 
+      status_callback_event,
+      client_id,
+      website_id
     } = req.body;
     const userId = req.user.id;
 
@@ -1437,6 +1910,20 @@ router.put('/my-numbers/:id', auth, async (req, res) => {
     if (friendly_name !== undefined) updateData.friendly_name = friendly_name;
     if (is_active !== undefined) updateData.is_active = is_active;
 
+    // Attribute the number's calls to a client/website (null unassigns)
+    if (client_id !== undefined) {
+      if (client_id !== null && !(await Client.findById(client_id, userId))) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+      updateData.client_id = client_id;
+    }
+    if (website_id !== undefined) {
+      if (website_id !== null && !(await Website.findById(website_id, userId))) {
+        return res.status(404).json({ error: 'Website not found' });
+      }
+      updateData.website_id = website_id;
+    }
+
     const updated = await UserPhoneNumber.update(id, updateData);
 
     // Update Twilio phone number configuration if Twilio-specific fields are provided
@@ -1517,6 +2004,192 @@ router.delete('/my-numbers/:id', auth, async (req, res) => {
   }
 });
 
+// List voicemails for the authenticated user
+router.get('/voicemails', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, heard, phone_number_id } = req.query;
+
+    let isHeard = null;
+    if (heard === 'true') isHeard = true;
+    if (heard === 'false') isHeard = false;
+
+    const result = await Voicemail.findByUserId(req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      isHeard,
+      phoneNumberId: phone_number_id
+    });
+
+    res.json({
+      success: true,
+      voicemails: result.voicemails,
+      unheard: result.unheard,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.total,
+        totalPages: Math.ceil(result.total / parseInt(limit))
+      }
+    });
+
+  } catch (err) {
+    console.error('Error fetching voicemails:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch voicemails',
+      details: err.message 
+    });
+  }
+});
+
+// Get a specific voicemail
+router.get('/voicemails/:id', auth, async (req, res) => {
+  try {
+    const voicemail = await Voicemail.findById(req.params.id);
+
+    if (!voicemail || voicemail.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    res.json({
+      success: true,
+      voicemail: voicemail
+    });
+
+  } catch (err) {
+    console.error('Error fetching voicemail:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch voicemail',
+      details: err.message 
+    });
+  }
+});
+
+// Short-lived token for playing one voicemail in an audio element (?token=)
+router.post('/voicemails/:id/audio/token', auth, async (req, res) => {
+  try {
+    const voicemail = await Voicemail.findById(req.params.id);
+    if (!voicemail || voicemail.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    res.json({
+      success: true,
+      token: generateStreamToken(req.user.id, `voicemail:${voicemail.id}`),
+      expiresIn: STREAM_TOKEN_TTL_SECONDS
+    });
+  } catch (err) {
+    console.error('Error issuing voicemail audio token:', err);
+    res.status(500).json({ 
+      error: 'Failed to issue voicemail audio token',
+      details: err.message 
+    });
+  }
+});
+
+// Stream voicemail audio. Audio elements can't send headers, so pass a token from
+// POST /voicemails/:id/audio/token as ?token=
+router.get('/voicemails/:id/audio', authenticateStream(req => `voicemail:${req.params.id}`), async (req, res) => {
+  try {
+    const voicemail = await Voicemail.findById(req.params.id);
+    if (!voicemail || voicemail.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    const recordingUrl = `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Recordings/${voicemail.recording_sid}.mp3`;
+
+    const axios = require('axios');
+    const response = await axios.get(recordingUrl, {
+      auth: {
+        username: process.env.TWILIO_ACCOUNT_SID,
+        password: process.env.TWILIO_AUTH_TOKEN
+      },
+      responseType: 'stream',
+      timeout: 30000 // 30 second timeout
+    });
+
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Content-Disposition', `inline; filename="voicemail-${voicemail.id}.mp3"`);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+    response.data.pipe(res);
+
+  } catch (err) {
+    console.error('Error streaming voicemail:', err);
+
+    if (err.response?.status === 404) {
+      return res.status(404).json({ 
+        error: 'Voicemail recording not found',
+        details: 'The recording does not exist or has been deleted.' 
+      });
+    }
+    return res.status(500).json({ 
+      error: 'Failed to fetch voicemail audio',
+      details: err.message 
+    });
+  }
+});
+
+// Mark a voicemail as heard (or unheard with { heard: false })
+router.put('/voicemails/:id/heard', auth, async (req, res) => {
+  try {
+    const voicemail = await Voicemail.findById(req.params.id);
+
+    if (!voicemail || voicemail.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    const heard = req.body.heard !== undefined ? !!req.body.heard : true;
+    await Voicemail.markHeard(voicemail.id, heard);
+
+    res.json({
+      success: true,
+      message: heard ? 'Voicemail marked as heard' : 'Voicemail marked as unheard',
+      voicemail: await Voicemail.findById(voicemail.id)
+    });
+
+  } catch (err) {
+    console.error('Error updating voicemail:', err);
+    res.status(500).json({ 
+      error: 'Failed to update voicemail',
+      details: err.message 
+    });
+  }
+});
+
+// Delete a voicemail and its Twilio recording
+router.delete('/voicemails/:id', auth, async (req, res) => {
+  try {
+    const voicemail = await Voicemail.findById(req.params.id);
+
+    if (!voicemail || voicemail.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    try {
+      await client.recordings(voicemail.recording_sid).remove();
+    } catch (twilioErr) {
+      // Already gone on Twilio's side - still remove our record
+      console.warn(`Could not delete Twilio recording ${voicemail.recording_sid}:`, twilioErr.message);
+    }
+
+    await Voicemail.delete(voicemail.id);
+
+    res.json({
+      success: true,
+      message: 'Voicemail deleted successfully'
+    });
+
+  } catch (err) {
+    console.error('Error deleting voicemail:', err);
+    res.status(500).json({ 
+      error: 'Failed to delete voicemail',
+      details: err.message 
+    });
+  }
+});
+
 // Get whisper configuration for a phone number
 router.get('/my-numbers/:id/whisper', auth, async (req, res) => {
   try {
@@ -1704,6 +2377,227 @@ router.post('/my-numbers/:id/whisper/upload', auth, audioUpload.single('audio'),
   }
 });
 
+// Helper: voicemail settings as returned by the API
+const formatVoicemailSettings = (phoneNumber) => ({
+  enabled: phoneNumber.voicemail_enabled,
+  greeting_type: phoneNumber.voicemail_greeting_type || 'say',
+  greeting_text: phoneNumber.voicemail_greeting_text || null,
+  greeting_id: phoneNumber.voicemail_greeting_id || null,
+  greeting_url: phoneNumber.voicemail_greeting_id
+    ? `${process.env.SERVER_URL}/api/twilio/whisper-audio/${phoneNumber.voicemail_greeting_id}`
+    : null,
+  max_length: phoneNumber.voicemail_max_length,
+  transcribe: phoneNumber.voicemail_transcribe
+});
+
+// Get voicemail configuration for a phone number
+router.get('/my-numbers/:id/voicemail', auth, async (req, res) => {
+  try {
+    const userNumber = await UserPhoneNumber.findById(req.params.id);
+
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Phone number not found' });
+    }
+
+    res.json({
+      success: true,
+      voicemail: formatVoicemailSettings(userNumber)
+    });
+
+  } catch (err) {
+    console.error('Error fetching voicemail settings:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch voicemail settings',
+      details: err.message 
+    });
+  }
+});
+
+// Update voicemail configuration for a phone number
+router.put('/my-numbers/:id/voicemail', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { enabled, greeting_type, greeting_text, max_length, transcribe } = req.body;
+
+    const userNumber = await UserPhoneNumber.findById(id);
+
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Phone number not found' });
+    }
+
+    const updateData = {};
+    if (enabled !== undefined) updateData.voicemail_enabled = !!enabled;
+    if (greeting_type !== undefined) {
+      if (!['say', 'play'].includes(String(greeting_type).toLowerCase())) {
+        return res.status(400).json({ error: 'greeting_type must be "say" or "play"' });
+      }
+      if (greeting_type.toLowerCase() === 'play' && !userNumber.voicemail_greeting_id) {
+        return res.status(400).json({ error: 'Upload a greeting before switching greeting_type to "play"' });
+      }
+      updateData.voicemail_greeting_type = greeting_type.toLowerCase();
+    }
+    if (greeting_text !== undefined) updateData.voicemail_greeting_text = greeting_text;
+    if (max_length !== undefined) {
+      const seconds = parseInt(max_length, 10);
+      if (!seconds || seconds < 5 || seconds > 600) {
+        return res.status(400).json({ error: 'max_length must be between 5 and 600 seconds' });
+      }
+      updateData.voicemail_max_length = seconds;
+    }
+    if (transcribe !== undefined) updateData.voicemail_transcribe = !!transcribe;
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    await UserPhoneNumber.update(id, updateData);
+    const updatedNumber = await UserPhoneNumber.findById(id);
+
+    res.json({
+      success: true,
+      message: 'Voicemail settings updated successfully',
+      voicemail: formatVoicemailSettings(updatedNumber)
+    });
+
+  } catch (err) {
+    console.error('Error updating voicemail settings:', err);
+    res.status(500).json({ 
+      error: 'Failed to update voicemail settings',
+      details: err.message 
+    });
+  }
+});
+
+// Get the IVR menu for a phone number
+router.get('/my-numbers/:id/ivr', auth, async (req, res) => {
+  try {
+    const userNumber = await UserPhoneNumber.findById(req.params.id);
+
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Phone number not found' });
+    }
+
+    res.json({
+      success: true,
+      ivr: {
+        enabled: userNumber.ivr_enabled,
+        config: userNumber.ivr_config
+      }
+    });
+
+  } catch (err) {
+    console.error('Error fetching IVR menu:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch IVR menu',
+      details: err.message 
+    });
+  }
+});
+
+// Save the IVR menu for a phone number ({ enabled, config }); see services/IvrService.js for the format
+router.put('/my-numbers/:id/ivr', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { enabled, config } = req.body;
+
+    const userNumber = await UserPhoneNumber.findById(id);
+
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Phone number not found' });
+    }
+
+    const updateData = {};
+    if (config !== undefined) {
+      if (config !== null) {
+        const validationError = IvrService.validateConfig(config);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+      }
+      updateData.ivr_config = config;
+    }
+    if (enabled !== undefined) updateData.ivr_enabled = !!enabled;
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const finalConfig = updateData.ivr_config !== undefined ? updateData.ivr_config : userNumber.ivr_config;
+    const finalEnabled = updateData.ivr_enabled !== undefined ? updateData.ivr_enabled : userNumber.ivr_enabled;
+    if (finalEnabled && !finalConfig) {
+      return res.status(400).json({ error: 'Save an IVR config before enabling the menu' });
+    }
+
+    await UserPhoneNumber.update(id, updateData);
+    const updatedNumber = await UserPhoneNumber.findById(id);
+
+    res.json({
+      success: true,
+      message: 'IVR menu updated successfully',
+      ivr: {
+        enabled: updatedNumber.ivr_enabled,
+        config: updatedNumber.ivr_config
+      }
+    });
+
+  } catch (err) {
+    console.error('Error updating IVR menu:', err);
+    res.status(500).json({ 
+      error: 'Failed to update IVR menu',
+      details: err.message 
+    });
+  }
+});
+
+// Upload a voicemail greeting (stored with whisper audio, phone-grade transcoded)
+router.post('/my-numbers/:id/voicemail/greeting/upload', auth, audioUpload.single('audio'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userNumber = await UserPhoneNumber.findById(id);
+
+    if (!userNumber || userNumber.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Phone number not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio file provided' });
+    }
+
+    console.log(`🎵 Uploading voicemail greeting: ${req.file.originalname}, ${req.file.size} bytes, ${req.file.mimetype}`);
+
+    const wavBuffer = await transcodeToPhoneWav(req.file.buffer);
+
+    const db = require('../config/database');
+    const result = await db.query(
+      `INSERT INTO phone_number_whispers 
+       (phone_number_id, mime, bytes, size_bytes, purpose, is_active) 
+       VALUES (?, ?, ?, ?, 'voicemail_greeting', 1)`,
+      [id, 'audio/wav', wavBuffer, wavBuffer.length]
+    );
+
+    await UserPhoneNumber.update(id, {
+      voicemail_greeting_type: 'play',
+      voicemail_greeting_id: result.insertId
+    });
+    const updatedNumber = await UserPhoneNumber.findById(id);
+
+    console.log(`✅ Voicemail greeting stored in database with ID: ${result.insertId}`);
+    res.json({
+      success: true,
+      message: 'Voicemail greeting uploaded and transcoded successfully',
+      voicemail: formatVoicemailSettings(updatedNumber)
+    });
+
+  } catch (err) {
+    console.error('Error uploading/transcoding voicemail greeting:', err);
+    res.status(500).json({ 
+      error: 'Failed to upload/transcode voicemail greeting',
+      details: err.message 
+    });
+  }
+});
+
 // Serve whisper audio file from database
 // IMPORTANT: This endpoint must be publicly accessible (no auth) so Twilio can fetch it
 router.get('/whisper-audio/:id', async (req, res) => {
@@ -0,0 +1,29 @@
+const { BillingService } = require('../services/BillingService');
+const db = require('../config/database');
+require('dotenv').config();
+
+// Manual credit or debit, recorded in the ledger as an adjustment:
+//   node scripts/adjust-balance.js <userId> <amount> "<reason>"     e.g. 42 -3.50 "Duplicate call charge"
+async function adjustBalance(userId, amount, reason) {
+  try {
+    if (!userId || !Number.isFinite(amount) || amount === 0 || !reason) {
+      console.error('Usage: node scripts/adjust-balance.js <userId> <amount> "<reason>"');
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await BillingService.adjustBalance(userId, amount, reason);
+    console.log(`✅ Adjusted user ${userId} by $${amount.toFixed(2)}: $${result.balanceBefore.toFixed(2)} -> $${result.balanceAfter.toFixed(2)} (transaction ${result.transactionId})`);
+  } catch (error) {
+    console.error('❌ Error adjusting balance:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+if (require.main === module) {
+  adjustBalance(parseInt(process.argv[2], 10), parseFloat(process.argv[3]), process.argv[4]);
+}
+
+module.exports = { adjustBalance };
@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const PricingPlan = require('../models/PricingPlan');
+const db = require('../config/database');
+require('dotenv').config();
+
+// Move a user to another pricing plan, at their next monthly cycle unless --now is given:
+//   node scripts/assign-pricing-plan.js <userId> <planSlug> [--now]
+async function assignPricingPlan(userId, planSlug, { immediate = false } = {}) {
+  try {
+    if (!userId || !planSlug) {
+      console.error('Usage: node scripts/assign-pricing-plan.js <userId> <planSlug> [--now]');
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await User.findById(userId);
+    const plan = await PricingPlan.findBySlug(planSlug);
+    if (!user || !plan) {
+      console.error(`❌ ${!user ? `User ${userId}` : `Plan "${planSlug}"`} not found`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (immediate) {
+      await User.setPricingPlan(user.id, plan.id);
+      console.log(`✅ User ${user.id} is now on the ${plan.name} plan`);
+    } else {
+      const updated = await User.schedulePlanChange(user.id, plan.id);
+      console.log(updated.pending_pricing_plan_id
+        ? `✅ User ${user.id} moves to the ${plan.name} plan at the next monthly reset`
+        : `✅ User ${user.id} is already on the ${plan.name} plan; pending change cleared`);
+    }
+  } catch (error) {
+    console.error('❌ Error assigning pricing plan:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  assignPricingPlan(parseInt(args[0], 10), args[1], { immediate: args.includes('--now') });
+}
+
+module.exports = { assignPricingPlan };
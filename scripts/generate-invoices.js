@@ -0,0 +1,25 @@
+const { InvoiceService } = require('../services/InvoiceService');
+const db = require('../config/database');
+require('dotenv').config();
+
+// Issue monthly statements for every user with activity, for cron or for catching up by hand:
+//   node scripts/generate-invoices.js [YYYY-MM]     (defaults to last month)
+async function generateInvoices(month) {
+  try {
+    const summary = await InvoiceService.generateMonthly(month || null);
+    console.log('\n🧾 Statement summary:');
+    console.table(summary);
+    if (summary.errors > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error generating statements:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+if (require.main === module) {
+  generateInvoices(process.argv[2]);
+}
+
+module.exports = { generateInvoices };
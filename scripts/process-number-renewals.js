@@ -0,0 +1,24 @@
+const { NumberRenewalService } = require('../services/NumberRenewalService');
+const db = require('../config/database');
+require('dotenv').config();
+
+// One-off renewal run, for cron or for catching up by hand:
+//   node scripts/process-number-renewals.js
+async function processNumberRenewals() {
+  try {
+    const summary = await NumberRenewalService.processDueRenewals();
+    console.log('\n🔁 Number renewal summary:');
+    console.table(summary);
+  } catch (error) {
+    console.error('❌ Error processing number renewals:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+if (require.main === module) {
+  processNumberRenewals();
+}
+
+module.exports = { processNumberRenewals };
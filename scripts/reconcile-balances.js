@@ -0,0 +1,34 @@
+const { BillingService } = require('../services/BillingService');
+const db = require('../config/database');
+require('dotenv').config();
+
+// Compare every user's stored balance and free minutes with the balance_transactions ledger:
+//   node scripts/reconcile-balances.js            (all users)
+//   node scripts/reconcile-balances.js <userId>   (one user, including before/after chain checks)
+async function reconcileBalances(userId = null) {
+  try {
+    const result = await BillingService.reconcile(userId);
+    const results = Array.isArray(result) ? result : (result ? [result] : []);
+    const mismatched = results.filter(r => !r.isBalanced);
+
+    console.log(`\n📒 Reconciled ${results.length} user(s), ${mismatched.length} mismatched`);
+    if (mismatched.length > 0) {
+      console.table(mismatched.map(({ chainBreaks, ...row }) => ({
+        ...row,
+        chainBreaks: chainBreaks ? chainBreaks.length : undefined
+      })));
+      process.exitCode = 2;
+    }
+  } catch (error) {
+    console.error('❌ Error reconciling balances:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+if (require.main === module) {
+  reconcileBalances(process.argv[2] ? parseInt(process.argv[2], 10) : null);
+}
+
+module.exports = { reconcileBalances };
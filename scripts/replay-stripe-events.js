@@ -0,0 +1,26 @@
+const { StripeWebhookService } = require('../services/StripeWebhookService');
+const db = require('../config/database');
+require('dotenv').config();
+
+// Re-run Stripe webhook events that failed, from their stored payloads:
+//   node scripts/replay-stripe-events.js             (oldest 50 failed events)
+//   node scripts/replay-stripe-events.js evt_123     (one event)
+async function replayStripeEvents(eventId = null) {
+  try {
+    const results = await StripeWebhookService.replayFailed({ eventId });
+    console.log(`\n🔁 Replayed ${results.length} Stripe event(s)`);
+    if (results.length > 0) console.table(results);
+    if (results.some(r => r.status === 'failed')) process.exitCode = 2;
+  } catch (error) {
+    console.error('❌ Error replaying Stripe events:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+if (require.main === module) {
+  replayStripeEvents(process.argv[2] || null);
+}
+
+module.exports = { replayStripeEvents };
@@ -14,15 +14,25 @@ const taskRoutes = require("./routes/taskRoutes");
 const stripeRoutes = require("./routes/stripeRoutes");
 const billingRoutes = require("./routes/billingRoutes");
 const callLogRoutes = require("./routes/callLogRoutes");
+const campaignRoutes = require("./routes/campaignRoutes");
 const twilioRoutes = require("./routes/twilioRoutes");
 const callForwardingRoutes = require("./routes/callForwardingRoutes");
+const smsRoutes = require("./routes/smsRoutes");
 const analyticsSnapshotRoutes = require("./routes/analyticsSnapshotRoutes");
 const analyticsRoutes = require("./routes/analyticsRoutes");
 const videoRoutes = require("./routes/videoRoutes");
 const savedKeywordRoutes = require("./routes/savedKeywordRoutes");
 const keywordTrackingRoutes = require("./routes/keywordTrackingRoutes");
+const rankAlertRoutes = require("./routes/rankAlertRoutes");
+const gridScanRoutes = require("./routes/gridScanRoutes");
+const gridJobRoutes = require("./routes/gridJobRoutes");
 const checklistRoutes = require("./routes/checklist");
 const securityQuestionRoutes = require("./routes/securityQuestionRoutes");
+const { NumberRenewalService } = require("./services/NumberRenewalService");
+const { InvoiceService } = require("./services/InvoiceService");
+const { RankCheckService } = require("./services/RankCheckService");
+const { RankAlertService } = require("./services/RankAlertService");
+const { GridJobService } = require("./services/GridJobService");
 
 
 const app = express();
@@ -112,12 +122,17 @@ app.use("/api", dashboardRoutes);
 app.use("/api", websiteRoutes);
 app.use("/api", taskRoutes);
 app.use("/api", callLogRoutes);
+app.use("/api/campaigns", campaignRoutes);
 app.use("/api/twilio", twilioRoutes);
 app.use("/api/call-forwarding", callForwardingRoutes);
+app.use("/api/sms", smsRoutes);
 app.use("/api/analytics-snapshots", analyticsSnapshotRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/saved-keywords", savedKeywordRoutes);
 app.use("/api/keyword-tracking", keywordTrackingRoutes);
+app.use("/api/rank-alerts", rankAlertRoutes);
+app.use("/api/grid-scans", gridScanRoutes);
+app.use("/api/grid-jobs", gridJobRoutes);
 app.use("/api/checklist", checklistRoutes);
 app.use("/api/security-questions", securityQuestionRoutes);
 
@@ -229,6 +244,26 @@ app.get("/api/endpoints", (req, res) => {
       path: "/api/clients/:id",
       description: "Delete a client",
     },
+    {
+      method: "GET",
+      path: "/api/clients/:id/billing-rules",
+      description: "Get how calls to the client's numbers are counted as billable leads",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/clients/:id/billing-rules",
+      description: "Update the client's lead billing rules",
+      optional_fields: "rate_type, per_lead_rate, flat_rate, min_duration_seconds, blocked_numbers",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/clients/:id/reports/monthly",
+      description: "Monthly report of calls to the client's numbers, qualified leads and amount owed",
+      optional_parameters: "month (YYYY-MM), format (json or csv)",
+      auth_required: true,
+    },
 
     // Website endpoints (same format as clients)
     {
@@ -502,6 +537,513 @@ app.get("/api/endpoints", (req, res) => {
       description: "Delete a recording",
       auth_required: true,
     },
+    {
+      method: "POST",
+      path: "/api/twilio/events/token",
+      description: "Issue a 5-minute token that opens only the call event stream",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/events",
+      description: "Live call events as Server-Sent Events (call.incoming, call.status, call.recording)",
+      optional_parameters: "token (from POST /api/twilio/events/token, for EventSource)",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/call-logs/:callSid/transcript",
+      description: "Get the transcript and keyword hits for a call",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/call-logs/:callSid/transcribe",
+      description: "Transcribe (or re-transcribe) a call recording",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/transcripts/search",
+      description: "Search call transcripts",
+      optional_parameters: "q, keyword, page, limit",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/transcription-keywords",
+      description: "Get the keywords spotted in call transcripts",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/twilio/transcription-keywords",
+      description: "Replace the keywords spotted in call transcripts",
+      required_fields: "keywords (array)",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/voicemails",
+      description: "List voicemails",
+      optional_parameters: "page, limit, heard, phone_number_id",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/voicemails/:id",
+      description: "Get a voicemail",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/voicemails/:id/audio/token",
+      description: "Issue a 5-minute token that plays only this voicemail",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/voicemails/:id/audio",
+      description: "Stream voicemail audio",
+      optional_parameters: "token (from POST /api/twilio/voicemails/:id/audio/token, for audio elements)",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/twilio/voicemails/:id/heard",
+      description: "Mark a voicemail as heard or unheard",
+      optional_fields: "heard (default true)",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/twilio/voicemails/:id",
+      description: "Delete a voicemail",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/my-numbers/:id/voicemail",
+      description: "Get a number's voicemail settings",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/twilio/my-numbers/:id/voicemail",
+      description: "Update a number's voicemail settings",
+      optional_fields: "enabled, greeting_type, greeting_text, max_length, transcribe",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/my-numbers/:id/voicemail/greeting/upload",
+      description: "Upload a recorded voicemail greeting",
+      required_fields: "audio (multipart file)",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/twilio/my-numbers/:id/ivr",
+      description: "Get a number's IVR menu",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/twilio/my-numbers/:id/ivr",
+      description: "Update a number's IVR menu",
+      optional_fields: "enabled, config",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/routing-callback",
+      description: "Call routing step callback webhook (internal)",
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/ivr-callback",
+      description: "IVR menu digit callback webhook (internal)",
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/screening-gate",
+      description: "Call screening press-1 gate webhook (internal)",
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/voicemail-callback",
+      description: "Voicemail recording callback webhook (internal)",
+    },
+    {
+      method: "POST",
+      path: "/api/twilio/voicemail-transcription",
+      description: "Voicemail transcription callback webhook (internal)",
+    },
+
+    // Call routing endpoints
+    {
+      method: "GET",
+      path: "/api/call-forwarding/rules",
+      description: "List routing rules",
+      optional_parameters: "phone_number_id",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/call-forwarding/rules",
+      description: "Create a routing rule for a phone number",
+      required_fields: "phone_number_id, action_type",
+      optional_fields: "name, priority, is_active, conditions, action_config",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/call-forwarding/rules/:id",
+      description: "Update a routing rule",
+      optional_fields: "name, priority, is_active, conditions, action_type, action_config",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/call-forwarding/rules/:id",
+      description: "Delete a routing rule",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/call-forwarding/phone-number/:phoneNumberId/routing",
+      description: "Effective routing order for a phone number (rules plus call forwarding)",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/call-forwarding/schedules",
+      description: "List business-hours schedules",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/call-forwarding/schedules",
+      description: "Create a business-hours schedule for a phone number",
+      required_fields: "phone_number_id, weekly_hours",
+      optional_fields: "name, timezone (default DEFAULT_TIMEZONE), after_hours_action, after_hours_message, after_hours_forward_to, is_active",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/call-forwarding/schedules/:id",
+      description: "Get a schedule with its closures",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/call-forwarding/schedules/:id/status",
+      description: "Whether a schedule is open right now",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/call-forwarding/schedules/:id",
+      description: "Update a schedule",
+      optional_fields: "name, timezone, weekly_hours, after_hours_action, after_hours_message, after_hours_forward_to, is_active",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/call-forwarding/schedules/:id",
+      description: "Delete a schedule",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/call-forwarding/schedules/:id/closures",
+      description: "Add a holiday or closure date",
+      required_fields: "closure_date",
+      optional_fields: "name, recurs_annually",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/call-forwarding/schedules/:id/closures/:closureId",
+      description: "Remove a closure date",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/call-forwarding/screening/lists",
+      description: "List blocked and allowed callers",
+      optional_parameters: "phone_number_id, list_type",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/call-forwarding/screening/lists",
+      description: "Block or allow a caller on one number or all of them",
+      required_fields: "number, list_type",
+      optional_fields: "phone_number_id, reason",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/call-forwarding/screening/lists/:id",
+      description: "Remove a block/allow list entry",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/call-forwarding/screening/settings/:phoneNumberId",
+      description: "Get screening settings for a phone number",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/call-forwarding/screening/settings/:phoneNumberId",
+      description: "Update screening settings for a phone number",
+      optional_fields: "screening_gate_enabled, screening_gate_message, auto_block_enabled",
+      auth_required: true,
+    },
+
+    // SMS endpoints
+    {
+      method: "GET",
+      path: "/api/sms/threads",
+      description: "List SMS conversations",
+      optional_parameters: "phone_number_id",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/sms/threads/:phoneNumberId/:counterpart",
+      description: "Messages in one conversation",
+      optional_parameters: "page, limit, mark_read",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/sms/send",
+      description: "Send an SMS or MMS",
+      required_fields: "phone_number_id, to, body or media_urls",
+      optional_fields: "media_urls",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/sms/numbers/:id/settings",
+      description: "Get a number's SMS settings",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/sms/numbers/:id/settings",
+      description: "Update a number's SMS settings",
+      optional_fields: "forwarding_enabled",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/sms/incoming",
+      description: "Inbound SMS webhook (internal)",
+    },
+    {
+      method: "POST",
+      path: "/api/sms/status-callback",
+      description: "SMS delivery status webhook (internal)",
+    },
+
+    // Call campaign endpoints
+    {
+      method: "GET",
+      path: "/api/campaigns",
+      description: "List call campaigns",
+      optional_parameters: "status",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/campaigns",
+      description: "Create a campaign and queue the leads matching its filter",
+      required_fields: "name",
+      optional_fields: "lead_filter, phone_number_id, timezone, calling_window_start, calling_window_end, calling_days, max_attempts, retry_delay_minutes",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/campaigns/:id",
+      description: "Get a campaign",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/campaigns/:id",
+      description: "Update a campaign's settings",
+      optional_fields: "name, phone_number_id, timezone, calling_window_start, calling_window_end, calling_days, max_attempts, retry_delay_minutes",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/campaigns/:id",
+      description: "Delete a campaign",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/campaigns/:id/pause",
+      description: "Pause a campaign",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/campaigns/:id/resume",
+      description: "Resume a paused campaign",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/campaigns/:id/leads",
+      description: "List the campaign queue",
+      optional_parameters: "status, page, limit",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/campaigns/:id/next",
+      description: "Claim the next lead to dial",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/campaigns/:id/leads/:leadId/disposition",
+      description: "Record the outcome of a campaign call",
+      required_fields: "outcome",
+      optional_fields: "notes, next_follow_up, call_sid",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/campaigns/:id/stats",
+      description: "Campaign progress and outcome counts",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/campaigns/do-not-call",
+      description: "List the do-not-call numbers",
+      optional_parameters: "page, limit",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/campaigns/do-not-call",
+      description: "Add a number to the do-not-call list",
+      required_fields: "phone_number",
+      optional_fields: "reason",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/campaigns/do-not-call/:entryId",
+      description: "Remove a number from the do-not-call list",
+      auth_required: true,
+    },
+
+    // Billing endpoints
+    {
+      method: "GET",
+      path: "/api/billing/plans",
+      description: "List the pricing plans you can choose",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/billing/plan",
+      description: "Switch plan at the next monthly cycle",
+      required_fields: "planId",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/transactions",
+      description: "Balance and free-minute ledger",
+      optional_parameters: "type, start, end, format (json or csv), page, limit",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/transactions/reconcile",
+      description: "Check the balance against the ledger",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/limits",
+      description: "Spending limits and current usage",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/billing/limits",
+      description: "Update spending limits",
+      optional_fields: "daily_cap, monthly_cap, low_balance_threshold, email_alerts_enabled",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/billing/limits/numbers/:phoneNumberId",
+      description: "Update a number's call caps",
+      optional_fields: "daily_call_cap, monthly_call_cap",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/auto-recharge",
+      description: "Get auto-recharge settings",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/billing/auto-recharge/setup-intent",
+      description: "Start saving a card for auto-recharge",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/billing/auto-recharge",
+      description: "Update auto-recharge settings",
+      optional_fields: "enabled, threshold, recharge_amount, monthly_cap, payment_method_id",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/invoices",
+      description: "List your monthly statements, newest first",
+      optional_parameters: "page, limit",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/billing/invoices",
+      description: "Issue (or return) the statement for a closed month",
+      optional_fields: "month (YYYY-MM, defaults to last month)",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/invoices/:id",
+      description: "Get a statement with its line items",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/invoices/:id/pdf",
+      description: "Download a statement as PDF",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/billing/invoices/:id/csv",
+      description: "Download a statement as CSV",
+      auth_required: true,
+    },
 
     // Keyword tracking endpoints
     {
@@ -558,6 +1100,217 @@ app.get("/api/endpoints", (req, res) => {
       required_body: "ids (array of keyword tracking IDs)",
       auth_required: true,
     },
+    {
+      method: "GET",
+      path: "/api/keyword-tracking/jobs/rank-check",
+      description: "Status of the scheduled rank-check worker and due/failing keyword counts",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/keyword-tracking/jobs/rank-check/run",
+      description: "Check your due keywords now (runs in the background)",
+      auth_required: true,
+    },
+
+    // Rank alert endpoints
+    {
+      method: "GET",
+      path: "/api/rank-alerts",
+      description: "Triggered rank alerts, newest first",
+      optional_parameters: "unread, keyword_tracking_id, page, limit",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/rank-alerts/read",
+      description: "Mark alerts read (all unread when ids is omitted)",
+      optional_fields: "ids",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/rank-alerts/rules",
+      description: "List rank alert rules",
+      optional_parameters: "client_id, keyword_tracking_id",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/rank-alerts/rules",
+      description: "Create an alert rule for a tracked keyword or a whole client",
+      required_fields: "rule_type (dropped_out_top_10, moved_positions, entered_top_3, lost_ranking), keyword_tracking_id or client_id",
+      optional_fields: "threshold (required for moved_positions), notify_email, webhook_url, is_active",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/rank-alerts/rules/:id",
+      description: "Update an alert rule's threshold or delivery",
+      optional_fields: "threshold, notify_email, webhook_url, is_active",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/rank-alerts/rules/:id",
+      description: "Delete an alert rule",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/rank-alerts/digests",
+      description: "Past weekly ranking digests",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/rank-alerts/digests/preview",
+      description: "Winners and losers over the past 7 days",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/rank-alerts/settings",
+      description: "Weekly digest setting",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/rank-alerts/settings",
+      description: "Turn the weekly digest on or off",
+      required_fields: "weekly_digest_enabled",
+      auth_required: true,
+    },
+
+    // Saved grid scan endpoints
+    {
+      method: "GET",
+      path: "/api/grid-scans",
+      description: "List saved map-pack grid scans with their latest completed run",
+      optional_parameters: "client_id",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/grid-scans",
+      description: "Save a grid scan (geocodes business_address unless center_lat/center_lng are given)",
+      required_fields: "business_name, keyword, grid_size, business_address or center_lat + center_lng",
+      optional_fields: "name, client_id, schedule (manual, daily, weekly, monthly)",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-scans/:id",
+      description: "Get a grid scan and its recent runs",
+      auth_required: true,
+    },
+    {
+      method: "PUT",
+      path: "/api/grid-scans/:id",
+      description: "Update a grid scan's name, client, schedule or active flag",
+      optional_fields: "name, client_id, schedule, is_active",
+      auth_required: true,
+    },
+    {
+      method: "DELETE",
+      path: "/api/grid-scans/:id",
+      description: "Delete a grid scan and its runs",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/grid-scans/:id/run",
+      description: "Queue a run of a grid scan now; follow it under /api/grid-jobs/:runId",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-scans/:id/runs",
+      description: "List a grid scan's runs with average rank and top-3 share",
+      optional_parameters: "status, limit",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-scans/:id/runs/:runId",
+      description: "Get a run with its rank at every grid point",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-scans/:id/trend",
+      description: "Average rank and top-3 share across completed runs",
+      optional_parameters: "limit",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-scans/:id/competitors",
+      description: "Competitor leaderboard for a run (defaults to the latest completed run)",
+      optional_parameters: "run_id",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-scans/:id/diff",
+      description: "Compare two runs point by point (defaults to the latest two)",
+      optional_parameters: "from, to",
+      auth_required: true,
+    },
+
+    // Grid analysis job endpoints
+    {
+      method: "POST",
+      path: "/api/grid-jobs",
+      description: "Queue a grid analysis and get its job id at once",
+      required_fields: "business_address, keyword, target_business_name, grid_size",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-jobs",
+      description: "List your grid jobs (one-off analyses and scan runs)",
+      optional_parameters: "status, page, limit",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-jobs/:id",
+      description: "Job status, progress and points searched so far",
+      optional_parameters: "after (only points stored after this point id)",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-jobs/:id/competitors",
+      description: "Competitor leaderboard: coverage, average rank, rating, reviews and where each outranks you",
+      auth_required: true,
+    },
+    {
+      method: "GET",
+      path: "/api/grid-jobs/:id/stream",
+      description: "Stream job progress as Server-Sent Events (snapshot, point, status)",
+      optional_parameters: "token (from POST /api/grid-jobs/:id/stream/token, for EventSource)",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/grid-jobs/:id/stream/token",
+      description: "Issue a 5-minute token that opens only this job's stream",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/grid-jobs/:id/cancel",
+      description: "Cancel a queued job or stop a running one after its current point",
+      auth_required: true,
+    },
+    {
+      method: "POST",
+      path: "/api/grid-jobs/:id/resume",
+      description: "Resume a failed or cancelled job from the points it has not searched",
+      auth_required: true,
+    },
   ];
 
   res.json({
@@ -593,6 +1346,19 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 API available at http://localhost:${PORT}/api`);
   console.log(`�� Health check: http://localhost:${PORT}/health`);
+
+  // Charge, suspend or release paid numbers whose renewal is due
+  NumberRenewalService.startScheduler();
+  // Issue last month's statements once the month has closed
+  InvoiceService.startScheduler();
+  // Re-check tracked keywords whose check_frequency has elapsed
+  RankCheckService.startScheduler();
+  // Email last week's ranking winners and losers once the week has closed
+  RankAlertService.startScheduler();
+  // Work through queued grid analyses, resuming any a restart interrupted
+  GridJobService.startWorker();
+  // Queue saved map-pack grid scans whose schedule is due
+  GridJobService.startScheduler();
 });
 
 module.exports = app;
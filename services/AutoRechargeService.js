@@ -0,0 +1,291 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const db = require('../config/database');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const AutoRechargeSetting = require('../models/AutoRechargeSetting');
+const AutoRechargeAttempt = require('../models/AutoRechargeAttempt');
+const { BillingService } = require('./BillingService');
+
+const MIN_RECHARGE_AMOUNT = 5.0; // same minimum as a manual top-up
+const MAX_RECHARGE_AMOUNT = 500.0;
+const MAX_CONSECUTIVE_FAILURES = 3; // then auto-recharge turns itself off
+const PENDING_WINDOW_MINUTES = 15; // one in-flight charge at a time
+
+const monthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+class AutoRechargeService {
+  /**
+   * Validate settings input from the API. Returns an error message or null.
+   */
+  static validateSettings({ threshold, recharge_amount, monthly_cap }) {
+    const isAmount = (value) => Number.isFinite(parseFloat(value)) && parseFloat(value) >= 0;
+
+    if (threshold !== undefined && !isAmount(threshold)) {
+      return 'threshold must be a non-negative amount in USD';
+    }
+    if (recharge_amount !== undefined) {
+      const amount = parseFloat(recharge_amount);
+      if (!Number.isFinite(amount) || amount < MIN_RECHARGE_AMOUNT || amount > MAX_RECHARGE_AMOUNT) {
+        return `recharge_amount must be between $${MIN_RECHARGE_AMOUNT} and $${MAX_RECHARGE_AMOUNT}`;
+      }
+    }
+    if (monthly_cap !== undefined && !isAmount(monthly_cap)) {
+      return 'monthly_cap must be a non-negative amount in USD';
+    }
+    if (recharge_amount !== undefined && monthly_cap !== undefined && parseFloat(monthly_cap) < parseFloat(recharge_amount)) {
+      return 'monthly_cap must be at least the recharge_amount';
+    }
+    return null;
+  }
+
+  /**
+   * The user's Stripe customer, created on first use
+   */
+  static async ensureCustomer(user) {
+    if (user.stripe_customer_id) return user.stripe_customer_id;
+
+    const customer = await stripe.customers.create({
+      email: user.email,
+      name: user.name,
+      metadata: { user_id: String(user.id) }
+    });
+    await User.updateStripeData(user.id, { is_paid: !!user.is_paid, stripe_customer_id: customer.id });
+    return customer.id;
+  }
+
+  /**
+   * SetupIntent the frontend confirms with Stripe.js to save a card for off-session charges
+   */
+  static async createSetupIntent(user) {
+    const customerId = await this.ensureCustomer(user);
+    return stripe.setupIntents.create({
+      customer: customerId,
+      usage: 'off_session',
+      payment_method_types: ['card'],
+      metadata: { user_id: String(user.id), type: 'auto_recharge' }
+    });
+  }
+
+  /**
+   * Attach a confirmed card to the user's customer and remember it for auto-recharge
+   */
+  static async savePaymentMethod(user, paymentMethodId) {
+    const customerId = await this.ensureCustomer(user);
+    let paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+
+    if (paymentMethod.customer && paymentMethod.customer !== customerId) {
+      const err = new Error('Payment method belongs to a different customer');
+      err.code = 'PAYMENT_METHOD_MISMATCH';
+      throw err;
+    }
+    if (!paymentMethod.customer) {
+      paymentMethod = await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+    }
+
+    return AutoRechargeSetting.upsert(user.id, {
+      stripe_payment_method_id: paymentMethod.id,
+      card_brand: paymentMethod.card ? paymentMethod.card.brand : null,
+      card_last4: paymentMethod.card ? paymentMethod.card.last4 : null,
+      consecutive_failures: 0,
+      last_failure_message: null,
+      disabled_reason: null
+    });
+  }
+
+  static async _notify(userId, type, title, description, metadata = null) {
+    try {
+      await Activity.logActivity(type, title, description, null, userId, metadata);
+    } catch (error) {
+      console.error('Error logging auto-recharge notification:', error);
+    }
+  }
+
+  /**
+   * Under the settings row lock, decide whether a charge is due and record it as pending.
+   * Returns { attemptId } or { skip } with the reason.
+   */
+  static async _reserveAttempt(userId) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [settingsRows] = await connection.execute('SELECT * FROM auto_recharge_settings WHERE user_id = ? FOR UPDATE', [userId]);
+      const settings = settingsRows && settingsRows[0] ? new AutoRechargeSetting(settingsRows[0]) : null;
+      if (!settings || !settings.is_enabled || !settings.stripe_payment_method_id) {
+        await connection.rollback();
+        return { skip: 'disabled' };
+      }
+
+      const [userRows] = await connection.execute('SELECT balance FROM users WHERE id = ?', [userId]);
+      const balance = parseFloat(userRows[0].balance || 0);
+      if (balance >= settings.threshold) {
+        await connection.rollback();
+        return { skip: 'above_threshold' };
+      }
+
+      const [pendingRows] = await connection.execute(
+        `SELECT id FROM auto_recharge_attempts
+        WHERE user_id = ? AND status = 'pending' AND created_at >= NOW() - INTERVAL ${PENDING_WINDOW_MINUTES} MINUTE LIMIT 1`,
+        [userId]
+      );
+      if (pendingRows && pendingRows.length > 0) {
+        await connection.rollback();
+        return { skip: 'in_flight' };
+      }
+
+      const [monthRows] = await connection.execute(
+        `SELECT COALESCE(SUM(amount), 0) as total FROM auto_recharge_attempts
+        WHERE user_id = ? AND status IN ('pending', 'succeeded') AND created_at >= ?`,
+        [userId, monthStart()]
+      );
+      const chargedThisMonth = parseFloat(monthRows[0].total || 0);
+      if (chargedThisMonth + settings.recharge_amount > settings.monthly_cap) {
+        await connection.rollback();
+        return { skip: 'monthly_cap', settings, chargedThisMonth };
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO auto_recharge_attempts (user_id, amount, balance_at_trigger, status) VALUES (?, ?, ?, 'pending')`,
+        [userId, settings.recharge_amount, balance]
+      );
+      await connection.commit();
+      return { attemptId: result.insertId, settings, balance };
+    } catch (e) {
+      try { await connection.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      connection.release();
+    }
+  }
+
+  static async _handleCapReached(userId, settings) {
+    const month = new Date().toISOString().slice(0, 7);
+    if (settings.cap_notified_month === month) return;
+
+    await AutoRechargeSetting.update(userId, { cap_notified_month: month });
+    await this._notify(userId, 'auto_recharge_cap_reached', 'Auto-recharge monthly limit reached',
+      `Auto-recharge has reached your $${settings.monthly_cap.toFixed(2)} monthly limit. Top up manually or raise the limit to keep calling.`,
+      { monthly_cap: settings.monthly_cap });
+    console.log(`🧢 Auto-recharge cap reached for user ${userId}`);
+  }
+
+  /**
+   * Credit a succeeded auto-recharge PaymentIntent. Safe to call from both the charge
+   * path and the payment_intent.succeeded webhook; the ledger reference makes it once-only.
+   */
+  static async applySucceededPayment(paymentIntent) {
+    const userId = parseInt(paymentIntent.metadata?.user_id, 10);
+    const attemptId = parseInt(paymentIntent.metadata?.attempt_id, 10);
+    if (!userId) return { duplicate: true };
+
+    const amount = (paymentIntent.amount_received || paymentIntent.amount || 0) / 100;
+    const result = await BillingService.creditTopUp(userId, amount, {
+      referenceType: 'stripe_payment_intent',
+      referenceId: paymentIntent.id,
+      description: `Auto-recharge of $${amount.toFixed(2)}`
+    });
+
+    if (attemptId) {
+      await AutoRechargeAttempt.update(attemptId, {
+        status: 'succeeded',
+        stripe_payment_intent_id: paymentIntent.id,
+        error_code: null,
+        error_message: null
+      });
+    }
+    if (!result.duplicate) {
+      await AutoRechargeSetting.update(userId, { consecutive_failures: 0, last_failure_message: null });
+      await this._notify(userId, 'auto_recharge_succeeded', 'Balance auto-recharged',
+        `$${amount.toFixed(2)} was added to your balance from your saved card.`,
+        { amount, payment_intent_id: paymentIntent.id });
+      console.log(`🔋 Auto-recharged $${amount.toFixed(2)} for user ${userId}`);
+    }
+    return result;
+  }
+
+  static async _handleFailure(userId, attemptId, settings, error) {
+    // authentication_required: the bank wants the cardholder present (3-D Secure)
+    const requiresAction = error.code === 'authentication_required';
+    const paymentIntent = error.raw && error.raw.payment_intent;
+
+    await AutoRechargeAttempt.update(attemptId, {
+      status: requiresAction ? 'requires_action' : 'failed',
+      stripe_payment_intent_id: paymentIntent ? paymentIntent.id : null,
+      error_code: error.code || null,
+      error_message: String(error.message || 'Unknown error').slice(0, 500)
+    });
+
+    const failures = settings.consecutive_failures + 1;
+    const disable = requiresAction || failures >= MAX_CONSECUTIVE_FAILURES;
+    await AutoRechargeSetting.update(userId, {
+      consecutive_failures: failures,
+      last_failure_message: String(error.message || 'Unknown error').slice(0, 500),
+      ...(disable ? {
+        is_enabled: false,
+        disabled_reason: requiresAction ? 'Card requires authentication' : `${failures} consecutive failed charges`
+      } : {})
+    });
+
+    const card = settings.card_last4 ? ` ending in ${settings.card_last4}` : '';
+    await this._notify(userId, disable ? 'auto_recharge_disabled' : 'auto_recharge_failed',
+      disable ? 'Auto-recharge turned off' : 'Auto-recharge failed',
+      disable
+        ? `We couldn't charge your card${card} and have turned auto-recharge off. Update your card to turn it back on.`
+        : `We couldn't charge your card${card} for $${settings.recharge_amount.toFixed(2)}: ${error.message}. We'll try again after your next call.`,
+      { attempt_id: attemptId, error_code: error.code || null });
+    console.warn(`⚠️ Auto-recharge failed for user ${userId}: ${error.message}${disable ? ' (disabled)' : ''}`);
+  }
+
+  /**
+   * Charge the saved card if the balance is below the user's threshold. Never throws;
+   * call it after anything that lowers the balance.
+   */
+  static async checkAndRecharge(userId) {
+    try {
+      const reservation = await this._reserveAttempt(userId);
+      if (reservation.skip === 'monthly_cap') {
+        await this._handleCapReached(userId, reservation.settings);
+        return { status: 'cap_reached' };
+      }
+      if (reservation.skip) return { status: 'skipped', reason: reservation.skip };
+
+      const { attemptId, settings } = reservation;
+      const user = await User.findById(userId);
+
+      try {
+        const paymentIntent = await stripe.paymentIntents.create({
+          amount: Math.round(settings.recharge_amount * 100),
+          currency: 'usd',
+          customer: user.stripe_customer_id,
+          payment_method: settings.stripe_payment_method_id,
+          off_session: true,
+          confirm: true,
+          description: 'Call balance auto-recharge',
+          metadata: { user_id: String(userId), type: 'auto_recharge', attempt_id: String(attemptId) }
+        }, { idempotencyKey: `auto-recharge-${attemptId}` });
+
+        if (paymentIntent.status === 'succeeded') {
+          await this.applySucceededPayment(paymentIntent);
+          return { status: 'succeeded', attemptId };
+        }
+
+        // Processing: the payment_intent.succeeded webhook credits it later
+        await AutoRechargeAttempt.update(attemptId, { stripe_payment_intent_id: paymentIntent.id });
+        return { status: paymentIntent.status, attemptId };
+      } catch (error) {
+        await this._handleFailure(userId, attemptId, settings, error);
+        return { status: 'failed', attemptId };
+      }
+    } catch (error) {
+      console.error(`❌ Auto-recharge check failed for user ${userId}:`, error);
+      return { status: 'error' };
+    }
+  }
+}
+
+module.exports = {
+  AutoRechargeService,
+  MIN_RECHARGE_AMOUNT,
+  MAX_RECHARGE_AMOUNT,
+  MAX_CONSECUTIVE_FAILURES
+};
@@ -1,10 +1,27 @@
 const db = require('../config/database');
 const User = require('../models/User');
+const PhoneNumberRenewalEvent = require('../models/PhoneNumberRenewalEvent');
+const BalanceTransaction = require('../models/BalanceTransaction');
+const PricingPlan = require('../models/PricingPlan');
+const { SpendingLimitService } = require('./SpendingLimitService');
 
-const MIN_REQUIRED_BALANCE = 5.0; // USD
-const CALL_RATE_PER_MINUTE = 0.02; // USD/min
-const MONTHLY_FREE_MINUTES = 200; // minutes per month
-const PHONE_NUMBER_MONTHLY_PRICE = 2.0; // USD/month
+// Call and SMS rates, free minutes, number price and minimum balance come from the user's pricing plan
+const RENEWAL_PERIOD_DAYS = 30;
+
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+const roundCents = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+// Where the other side of each ledger entry type is posted
+const COUNTER_ACCOUNTS = {
+  top_up: 'stripe',
+  refund: 'stripe',
+  call_charge: 'call_revenue',
+  sms_charge: 'sms_revenue',
+  number_fee: 'number_revenue',
+  free_minutes_used: 'free_minutes',
+  free_minutes_grant: 'free_minutes',
+  adjustment: 'adjustments'
+};
 
 class BillingService {
   static async getUserBillingState(userId) {
@@ -13,21 +30,227 @@ class BillingService {
     return user;
   }
 
+  /**
+   * Apply a balance and/or free-minute change and write its ledger entry. Runs on the
+   * caller's transaction connection; locks the user row so before/after values are exact.
+   */
+  static async postTransaction(connection, { userId, type, amount = 0, freeMinutesDelta = 0, referenceType = null, referenceId = null, description = null }) {
+    const [userRows] = await connection.execute('SELECT balance, free_minutes_remaining FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (!userRows || userRows.length === 0) throw new Error('User not found');
+
+    const balanceBefore = roundCents(userRows[0].balance);
+    const balanceAfter = roundCents(balanceBefore + roundCents(amount));
+    const freeBefore = parseInt(userRows[0].free_minutes_remaining || 0, 10);
+    const freeAfter = freeBefore + parseInt(freeMinutesDelta || 0, 10);
+
+    await connection.execute(
+      'UPDATE users SET balance = ?, free_minutes_remaining = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [balanceAfter, freeAfter, userId]
+    );
+    const transactionId = await BalanceTransaction.create(connection, {
+      user_id: userId,
+      type,
+      counter_account: COUNTER_ACCOUNTS[type] || 'adjustments',
+      amount: roundCents(amount),
+      balance_before: balanceBefore,
+      balance_after: balanceAfter,
+      free_minutes_delta: freeAfter - freeBefore,
+      free_minutes_before: freeBefore,
+      free_minutes_after: freeAfter,
+      reference_type: referenceType,
+      reference_id: referenceId,
+      description
+    });
+
+    return { transactionId, balanceBefore, balanceAfter, freeMinutesBefore: freeBefore, freeMinutesAfter: freeAfter };
+  }
+
+  /**
+   * postTransaction in its own database transaction
+   */
+  static async applyTransaction(entry) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await this.postTransaction(connection, entry);
+      await connection.commit();
+      return result;
+    } catch (e) {
+      try { await connection.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Credit a top-up once per reference (e.g. Stripe checkout session). A repeat returns { duplicate: true }.
+   */
+  static async creditTopUp(userId, amount, { referenceType = 'stripe_session', referenceId = null, description = 'Balance top-up' } = {}) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Lock the user first so two deliveries of the same payment serialize on the check below
+      await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+      if (referenceId) {
+        const [existing] = await connection.execute(
+          "SELECT id FROM balance_transactions WHERE user_id = ? AND type = 'top_up' AND reference_type = ? AND reference_id = ? LIMIT 1",
+          [userId, referenceType, String(referenceId)]
+        );
+        if (existing && existing.length > 0) {
+          await connection.rollback();
+          return { duplicate: true, transactionId: existing[0].id };
+        }
+      }
+
+      const result = await this.postTransaction(connection, {
+        userId, type: 'top_up', amount: Math.abs(amount), referenceType, referenceId, description
+      });
+      await connection.commit();
+      return result;
+    } catch (e) {
+      try { await connection.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Debit a Stripe refund. totalRefunded is the charge's cumulative refunded amount, so
+   * partial refunds debit only the new part and redeliveries debit nothing.
+   */
+  static async debitRefund(userId, chargeId, totalRefunded, description = 'Stripe refund') {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+      const [rows] = await connection.execute(
+        "SELECT COALESCE(SUM(-amount), 0) as refunded FROM balance_transactions WHERE user_id = ? AND type = 'refund' AND reference_type = 'stripe_charge' AND reference_id = ?",
+        [userId, String(chargeId)]
+      );
+      const alreadyRefunded = roundCents(rows[0].refunded);
+      const newRefund = roundCents(totalRefunded - alreadyRefunded);
+      if (newRefund <= 0) {
+        await connection.rollback();
+        return { duplicate: true, refunded: 0 };
+      }
+
+      const result = await this.postTransaction(connection, {
+        userId, type: 'refund', amount: -newRefund, referenceType: 'stripe_charge', referenceId: chargeId, description
+      });
+      await connection.commit();
+      return { ...result, refunded: newRefund };
+    } catch (e) {
+      try { await connection.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Manual credit (positive) or debit (negative) by an operator
+   */
+  static async adjustBalance(userId, amount, reason) {
+    if (!reason) throw new Error('A reason is required for manual adjustments');
+    return this.applyTransaction({ userId, type: 'adjustment', amount, referenceType: 'manual', description: reason });
+  }
+
+  /**
+   * Recompute balances and free minutes from the ledger and compare them with the users table.
+   * With a userId, also walks that user's entries to find any whose before/after amounts break the chain.
+   */
+  static async reconcile(userId = null) {
+    const summaries = await BalanceTransaction.summarizeByUser(userId);
+
+    const results = [];
+    for (const summary of summaries) {
+      const balanceDifference = roundCents(summary.balance - summary.ledger_balance);
+      const freeMinutesDifference = summary.free_minutes_remaining - summary.ledger_free_minutes;
+      const result = {
+        userId: summary.user_id,
+        balance: summary.balance,
+        ledgerBalance: roundCents(summary.ledger_balance),
+        balanceDifference,
+        freeMinutesRemaining: summary.free_minutes_remaining,
+        ledgerFreeMinutes: summary.ledger_free_minutes,
+        freeMinutesDifference,
+        entries: summary.entries,
+        isBalanced: balanceDifference === 0 && freeMinutesDifference === 0
+      };
+
+      if (userId) {
+        const entries = await BalanceTransaction.findAllByUserId(summary.user_id);
+        result.chainBreaks = [];
+        for (let i = 1; i < entries.length; i++) {
+          const prev = entries[i - 1];
+          const entry = entries[i];
+          if (roundCents(entry.balance_before) !== roundCents(prev.balance_after) ||
+              (entry.free_minutes_before !== null && prev.free_minutes_after !== null &&
+                parseInt(entry.free_minutes_before, 10) !== parseInt(prev.free_minutes_after, 10))) {
+            result.chainBreaks.push({ transactionId: entry.id, previousTransactionId: prev.id });
+          }
+        }
+        result.isBalanced = result.isBalanced && result.chainBreaks.length === 0;
+      }
+
+      results.push(result);
+    }
+
+    return userId ? results[0] || null : results;
+  }
+
   static async ensureMonthlyMinutesReset(userId) {
+    const needsReset = (lastResetValue, now) => {
+      const lastReset = lastResetValue ? new Date(lastResetValue) : null;
+      return !lastReset ||
+        lastReset.getUTCFullYear() !== now.getUTCFullYear() ||
+        lastReset.getUTCMonth() !== now.getUTCMonth();
+    };
+
     const user = await User.findById(userId);
     if (!user) throw new Error('User not found');
 
-    const lastReset = user.free_minutes_last_reset
-      ? new Date(user.free_minutes_last_reset)
-      : null;
-
     const now = new Date();
-    const needsReset = !lastReset ||
-      lastReset.getUTCFullYear() !== now.getUTCFullYear() ||
-      lastReset.getUTCMonth() !== now.getUTCMonth();
+    if (!needsReset(user.free_minutes_last_reset, now)) return;
 
-    if (needsReset) {
-      await User.updateFreeMinutes(user.id, MONTHLY_FREE_MINUTES);
+    // Re-check under the row lock so concurrent requests grant the month's minutes once
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.execute('SELECT free_minutes_remaining, free_minutes_last_reset, pending_pricing_plan_id FROM users WHERE id = ? FOR UPDATE', [userId]);
+      if (!rows || rows.length === 0 || !needsReset(rows[0].free_minutes_last_reset, now)) {
+        await connection.rollback();
+        return;
+      }
+
+      // A scheduled plan change starts with the new cycle, before its free minutes are granted
+      if (rows[0].pending_pricing_plan_id) {
+        await connection.execute(
+          'UPDATE users SET pricing_plan_id = pending_pricing_plan_id, pending_pricing_plan_id = NULL WHERE id = ?',
+          [userId]
+        );
+      }
+      const plan = await PricingPlan.findForUserId(userId, connection);
+
+      const current = parseInt(rows[0].free_minutes_remaining || 0, 10);
+      await this.postTransaction(connection, {
+        userId,
+        type: 'free_minutes_grant',
+        freeMinutesDelta: plan.monthly_free_minutes - current,
+        description: `Monthly free minutes reset to ${plan.monthly_free_minutes} for ${now.toISOString().slice(0, 7)} (${plan.name} plan)`
+      });
+      await connection.execute('UPDATE users SET free_minutes_last_reset = ? WHERE id = ?', [toSqlDateTime(now), userId]);
+
+      await connection.commit();
+    } catch (e) {
+      try { await connection.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      connection.release();
     }
   }
 
@@ -35,9 +258,11 @@ class BillingService {
     const user = await User.findById(userId);
     if (!user) throw new Error('User not found');
     await this.ensureMonthlyMinutesReset(user.id);
-    if (parseFloat(user.balance || 0) < MIN_REQUIRED_BALANCE) {
-      const err = new Error('Insufficient balance. Minimum $5 required.');
+    const plan = await PricingPlan.findForUserId(user.id);
+    if (parseFloat(user.balance || 0) < plan.min_required_balance) {
+      const err = new Error(`Insufficient balance. Minimum $${plan.min_required_balance.toFixed(2)} required.`);
       err.code = 'INSUFFICIENT_BALANCE';
+      err.minRequired = plan.min_required_balance;
       throw err;
     }
   }
@@ -49,13 +274,14 @@ class BillingService {
   }
 
   static async chargeForCompletedCall(callLog) {
-    // callLog must include: call_sid, user_id, duration, is_billed
+    // callLog must include: call_sid, user_id, duration, is_billed (is_screened_out, direction, to_number optional)
     if (!callLog || !callLog.user_id || !callLog.call_sid) return;
     if (callLog.is_billed) return; // idempotency guard
 
     await this.ensureMonthlyMinutesReset(callLog.user_id);
 
-    const minutes = this.ceilMinutesFromSeconds(callLog.duration);
+    // Blocked or screened-out callers never reached the user, so they are not billed
+    const minutes = callLog.is_screened_out ? 0 : this.ceilMinutesFromSeconds(callLog.duration);
     if (minutes <= 0) {
       // Mark as billed with 0 to avoid reprocessing
       await db.query(
@@ -66,6 +292,7 @@ class BillingService {
     }
 
     // Fetch latest user values within transaction
+    let charge = null;
     const connection = await db.getConnection();
     try {
       await connection.beginTransaction();
@@ -78,19 +305,36 @@ class BillingService {
       const [callRows] = await connection.execute('SELECT is_billed FROM twilio_call_logs WHERE call_sid = ? FOR UPDATE', [callLog.call_sid]);
       if (callRows && callRows.length && callRows[0].is_billed) {
         await connection.rollback();
-        connection.release();
         return;
       }
 
+      const plan = await PricingPlan.findForUserId(callLog.user_id, connection);
+      const ratePerMinute = plan.rateForCall(callLog);
       const freeRemaining = parseInt(userRow.free_minutes_remaining || 0, 10);
       const freeConsumed = Math.min(freeRemaining, minutes);
       const billableMinutes = Math.max(0, minutes - freeConsumed);
-      const amountToCharge = parseFloat((billableMinutes * CALL_RATE_PER_MINUTE).toFixed(2));
+      const amountToCharge = parseFloat((billableMinutes * ratePerMinute).toFixed(2));
 
-      const newFreeRemaining = freeRemaining - freeConsumed;
-      const newBalance = parseFloat((parseFloat(userRow.balance || 0) - amountToCharge).toFixed(2));
-
-      await connection.execute('UPDATE users SET free_minutes_remaining = ?, balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [newFreeRemaining, newBalance, callLog.user_id]);
+      if (freeConsumed > 0) {
+        await this.postTransaction(connection, {
+          userId: callLog.user_id,
+          type: 'free_minutes_used',
+          freeMinutesDelta: -freeConsumed,
+          referenceType: 'call_sid',
+          referenceId: callLog.call_sid,
+          description: `${freeConsumed} free minute${freeConsumed === 1 ? '' : 's'} used`
+        });
+      }
+      if (amountToCharge > 0) {
+        charge = await this.postTransaction(connection, {
+          userId: callLog.user_id,
+          type: 'call_charge',
+          amount: -amountToCharge,
+          referenceType: 'call_sid',
+          referenceId: callLog.call_sid,
+          description: `${billableMinutes} billable minute${billableMinutes === 1 ? '' : 's'} at $${ratePerMinute.toFixed(4).replace(/0{1,2}$/, '')}/min`
+        });
+      }
       await connection.execute('UPDATE twilio_call_logs SET is_billed = 1, billed_minutes = ?, billed_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE call_sid = ?', [billableMinutes, amountToCharge, callLog.call_sid]);
 
       await connection.commit();
@@ -100,12 +344,21 @@ class BillingService {
     } finally {
       connection.release();
     }
+
+    if (charge) {
+      // Required here to avoid a circular import; both run after the response path and never throw
+      const { AutoRechargeService } = require('./AutoRechargeService');
+      setImmediate(() => {
+        SpendingLimitService.afterCharge(callLog.user_id, charge);
+        AutoRechargeService.checkAndRecharge(callLog.user_id);
+      });
+    }
   }
 
   static async handleCallStatusUpdate(callSid, status, durationSeconds) {
     if (status !== 'completed') return; // Only bill on completion
 
-    const rows = await db.query('SELECT call_sid, user_id, duration, is_billed FROM twilio_call_logs WHERE call_sid = ?', [callSid]);
+    const rows = await db.query('SELECT call_sid, user_id, direction, to_number, duration, is_billed, is_screened_out FROM twilio_call_logs WHERE call_sid = ?', [callSid]);
     if (!rows || rows.length === 0) return;
     const callLog = rows[0];
     // Prefer the provided duration if present
@@ -113,6 +366,50 @@ class BillingService {
     await this.chargeForCompletedCall(callLog);
   }
 
+  static async chargeForMessage(messageSid) {
+    // Bills the message's own segments plus any copy forwarded to the call forwarding destination
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [messageRows] = await connection.execute(
+        'SELECT user_id, num_segments, forwarded_segments, is_billed FROM sms_messages WHERE message_sid = ? FOR UPDATE',
+        [messageSid]
+      );
+      if (!messageRows || messageRows.length === 0 || messageRows[0].is_billed) {
+        await connection.rollback();
+        return { charged: 0 };
+      }
+      const message = messageRows[0];
+
+      const segments = parseInt(message.num_segments || 0, 10) + parseInt(message.forwarded_segments || 0, 10);
+      const { sms_rate_per_segment: ratePerSegment } = await PricingPlan.findForUserId(message.user_id, connection);
+      const amountToCharge = parseFloat((segments * ratePerSegment).toFixed(2));
+
+      let charge = null;
+      if (amountToCharge > 0) {
+        charge = await this.postTransaction(connection, {
+          userId: message.user_id,
+          type: 'sms_charge',
+          amount: -amountToCharge,
+          referenceType: 'message_sid',
+          referenceId: messageSid,
+          description: `${segments} SMS segment${segments === 1 ? '' : 's'}`
+        });
+      }
+      await connection.execute('UPDATE sms_messages SET is_billed = 1, billed_segments = ?, billed_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE message_sid = ?', [segments, amountToCharge, messageSid]);
+
+      await connection.commit();
+      if (charge) setImmediate(() => SpendingLimitService.afterCharge(message.user_id, charge));
+      return { charged: amountToCharge, segments };
+    } catch (e) {
+      try { await connection.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      connection.release();
+    }
+  }
+
   static async chargeForNumberPurchase(userId, phoneNumberId, isFree) {
     await this.ensureMonthlyMinutesReset(userId);
 
@@ -128,16 +425,21 @@ class BillingService {
     nextRenewal.setUTCDate(nextRenewal.getUTCDate() + 30);
     const nextRenewalStr = nextRenewal.toISOString().slice(0, 19).replace('T', ' ');
 
+    const plan = await PricingPlan.findForUserId(userId);
     const connection = await db.getConnection();
     try {
       await connection.beginTransaction();
-      const [userRows] = await connection.execute('SELECT balance FROM users WHERE id = ? FOR UPDATE', [userId]);
-      if (!userRows || userRows.length === 0) throw new Error('User not found');
-      const balance = parseFloat(userRows[0].balance || 0);
-      const newBalance = parseFloat((balance - PHONE_NUMBER_MONTHLY_PRICE).toFixed(2));
-      await connection.execute('UPDATE users SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [newBalance, userId]);
+      const charge = await this.postTransaction(connection, {
+        userId,
+        type: 'number_fee',
+        amount: -plan.phone_number_monthly_price,
+        referenceType: 'phone_number_id',
+        referenceId: phoneNumberId,
+        description: 'Phone number purchase (first month)'
+      });
       await connection.execute('UPDATE user_phone_numbers SET is_free = 0, next_renewal_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [nextRenewalStr, phoneNumberId]);
       await connection.commit();
+      setImmediate(() => SpendingLimitService.afterCharge(userId, charge));
     } catch (e) {
       try { await connection.rollback(); } catch (_) {}
       throw e;
@@ -145,16 +447,87 @@ class BillingService {
       connection.release();
     }
 
-    return { charged: PHONE_NUMBER_MONTHLY_PRICE };
+    return { charged: plan.phone_number_monthly_price };
+  }
+
+  static async chargeForNumberRenewal(phoneNumberId, now = new Date()) {
+    // Charges one renewal period if the number is still due and the balance covers it.
+    // A lapsed (suspended) number starts a fresh period from now rather than from its old due date,
+    // and is flagged reactivation_pending until its Twilio URLs are restored.
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [numberRows] = await connection.execute(
+        'SELECT id, user_id, phone_number, is_active, is_free, next_renewal_at, renewal_status FROM user_phone_numbers WHERE id = ? FOR UPDATE',
+        [phoneNumberId]
+      );
+      const number = numberRows && numberRows[0];
+      if (!number || !number.is_active || number.is_free || !number.next_renewal_at || new Date(number.next_renewal_at) > now) {
+        await connection.rollback();
+        return { charged: false, skipped: true };
+      }
+
+      const [userRows] = await connection.execute('SELECT balance FROM users WHERE id = ? FOR UPDATE', [number.user_id]);
+      if (!userRows || userRows.length === 0) throw new Error('User not found');
+      const balance = parseFloat(userRows[0].balance || 0);
+      const { phone_number_monthly_price: price } = await PricingPlan.findForUserId(number.user_id, connection);
+
+      if (balance < price) {
+        await connection.rollback();
+        return { charged: false, amount: price, balance, renewalDueAt: new Date(number.next_renewal_at) };
+      }
+
+      const dueAt = new Date(number.next_renewal_at);
+      const nextRenewal = new Date(number.renewal_status === 'suspended' ? now : dueAt);
+      nextRenewal.setUTCDate(nextRenewal.getUTCDate() + RENEWAL_PERIOD_DAYS);
+
+      const charge = await this.postTransaction(connection, {
+        userId: number.user_id,
+        type: 'number_fee',
+        amount: -price,
+        referenceType: 'phone_number_id',
+        referenceId: number.id,
+        description: `Renewal of ${number.phone_number} until ${toSqlDateTime(nextRenewal).slice(0, 10)}`
+      });
+      await connection.execute(
+        `UPDATE user_phone_numbers SET next_renewal_at = ?, renewal_status = 'active', renewal_failed_at = NULL,
+          suspended_at = NULL, reactivation_pending = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [toSqlDateTime(nextRenewal), number.renewal_status === 'suspended', phoneNumberId]
+      );
+      await PhoneNumberRenewalEvent.create({
+        user_id: number.user_id,
+        phone_number_id: number.id,
+        phone_number: number.phone_number,
+        event_type: 'renewed',
+        amount: price,
+        balance_before: balance,
+        balance_after: charge.balanceAfter,
+        renewal_due_at: toSqlDateTime(dueAt),
+        next_renewal_at: toSqlDateTime(nextRenewal)
+      }, connection);
+
+      await connection.commit();
+      setImmediate(() => SpendingLimitService.afterCharge(number.user_id, charge));
+      return {
+        charged: true,
+        amount: price,
+        balance: charge.balanceAfter,
+        nextRenewalAt: nextRenewal,
+        wasSuspended: number.renewal_status === 'suspended'
+      };
+    } catch (e) {
+      try { await connection.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      connection.release();
+    }
   }
 }
 
 module.exports = {
   BillingService,
-  MIN_REQUIRED_BALANCE,
-  CALL_RATE_PER_MINUTE,
-  MONTHLY_FREE_MINUTES,
-  PHONE_NUMBER_MONTHLY_PRICE,
+  RENEWAL_PERIOD_DAYS,
 };
 
 
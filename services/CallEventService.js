@@ -0,0 +1,93 @@
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // keeps proxies from closing idle streams
+const MAX_STREAMS_PER_USER = 10;
+
+// Open Server-Sent Events responses per user. In-process only: with several server
+// instances, a user only hears events handled by the instance their stream is on.
+const streams = new Map();
+let heartbeatTimer = null;
+let nextEventId = 1;
+
+const write = (res, chunk) => {
+  try {
+    res.write(chunk);
+  } catch (error) {
+    console.error('Error writing call event:', error.message);
+  }
+};
+
+class CallEventService {
+  /**
+   * Turn a response into an event stream for the user; it stays registered until the client disconnects
+   */
+  static subscribe(userId, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    write(res, `retry: 5000\n\n`);
+
+    const userStreams = streams.get(userId) || new Set();
+    // Oldest tabs make way once a user has too many open
+    if (userStreams.size >= MAX_STREAMS_PER_USER) {
+      const oldest = userStreams.values().next().value;
+      userStreams.delete(oldest);
+      oldest.end();
+    }
+    userStreams.add(res);
+    streams.set(userId, userStreams);
+    this._ensureHeartbeat();
+
+    req.on('close', () => {
+      userStreams.delete(res);
+      if (userStreams.size === 0) streams.delete(userId);
+    });
+
+    write(res, `event: ready\ndata: ${JSON.stringify({ userId })}\n\n`);
+  }
+
+  /**
+   * Push an event to every open stream of the user. Never throws, so webhooks can call it inline.
+   */
+  static publish(userId, type, data = {}) {
+    const userStreams = userId ? streams.get(userId) : null;
+    if (!userStreams || userStreams.size === 0) return 0;
+
+    const payload = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+    userStreams.forEach(res => write(res, payload));
+    return userStreams.size;
+  }
+
+  static connectionCount(userId = null) {
+    if (userId) return streams.has(userId) ? streams.get(userId).size : 0;
+    let total = 0;
+    streams.forEach(set => { total += set.size; });
+    return total;
+  }
+
+  static _ensureHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+      if (streams.size === 0) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+        return;
+      }
+      streams.forEach(set => set.forEach(res => write(res, `: heartbeat\n\n`)));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+  }
+}
+
+// Event names sent on the stream
+const CALL_EVENTS = {
+  INCOMING: 'call.incoming',
+  STATUS: 'call.status',
+  RECORDING: 'call.recording'
+};
+
+module.exports = {
+  CallEventService,
+  CALL_EVENTS
+};
@@ -0,0 +1,491 @@
+const CallRoutingRule = require('../models/CallRoutingRule');
+const CallForwarding = require('../models/CallForwarding');
+const TwilioCallLog = require('../models/TwilioCallLog');
+const PhoneNumberSchedule = require('../models/PhoneNumberSchedule');
+
+const ROUTING_ACTIONS = ['forward', 'simultaneous', 'sequential', 'voicemail', 'hangup'];
+const DIAL_ACTIONS = ['forward', 'simultaneous', 'sequential'];
+const DEFAULT_CONTINUE_ON = ['busy', 'no-answer', 'failed'];
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+const CLOCK_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const VOICEMAIL_FALLBACK_RULE_ID = 'voicemail';
+const DEFAULT_VOICEMAIL_GREETING = 'Sorry, no one is available to take your call. Please leave a message after the beep.';
+
+class CallRoutingService {
+  /**
+   * Current weekday (0 = Sunday), minutes since midnight and YYYY-MM-DD date in a time zone
+   */
+  static getLocalTime(timeZone = DEFAULT_TIMEZONE, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => (parts.find(p => p.type === type) || {}).value;
+    const hour = parseInt(get('hour'), 10) % 24;
+    const minute = parseInt(get('minute'), 10);
+    const day = WEEKDAYS.indexOf(String(get('weekday')).toLowerCase().slice(0, 3));
+
+    return { day, minutes: hour * 60 + minute, date: `${get('year')}-${get('month')}-${get('day')}` };
+  }
+
+  static parseClock(value) {
+    const match = CLOCK_REGEX.exec(String(value || ''));
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+
+  static normalizeDay(day) {
+    if (typeof day === 'number') return day;
+    return WEEKDAYS.indexOf(String(day).toLowerCase().slice(0, 3));
+  }
+
+  /**
+   * True when minutes falls in [start, end); ranges where end < start wrap past midnight
+   */
+  static isWithinClockRange(minutes, start, end) {
+    if (start === null || end === null) return false;
+    if (start === end) return true;
+    if (start < end) return minutes >= start && minutes < end;
+    return minutes >= start || minutes < end;
+  }
+
+  /**
+   * Whether a business-hours schedule is open at the given moment.
+   * Closures win over weekly hours; recurring closures match on month and day.
+   */
+  static isScheduleOpen(schedule, date = new Date()) {
+    const local = this.getLocalTime(schedule.timezone || DEFAULT_TIMEZONE, date);
+
+    const closed = (schedule.closures || []).some(closure => {
+      const closureDate = String(closure.closure_date || '');
+      return closure.recurs_annually
+        ? closureDate.slice(5) === local.date.slice(5)
+        : closureDate === local.date;
+    });
+    if (closed) return false;
+
+    const ranges = (schedule.weekly_hours || {})[WEEKDAYS[local.day]] || [];
+    return ranges.some(range =>
+      this.isWithinClockRange(local.minutes, this.parseClock(range.start), this.parseClock(range.end))
+    );
+  }
+
+  /**
+   * Evaluate a rule's conditions against the inbound call context.
+   * Every condition that is present must match; an empty set always matches.
+   */
+  static matchesConditions(conditions = {}, context) {
+    const cond = conditions || {};
+
+    if (Array.isArray(cond.caller_prefixes) && cond.caller_prefixes.length > 0) {
+      const caller = context.caller || '';
+      if (!cond.caller_prefixes.some(prefix => caller.startsWith(String(prefix)))) {
+        return false;
+      }
+    }
+
+    const needsClock = (Array.isArray(cond.days_of_week) && cond.days_of_week.length > 0) || cond.time_of_day;
+    if (needsClock) {
+      const local = this.getLocalTime(cond.timezone || DEFAULT_TIMEZONE, context.now || new Date());
+
+      if (Array.isArray(cond.days_of_week) && cond.days_of_week.length > 0) {
+        const days = cond.days_of_week.map(d => this.normalizeDay(d));
+        if (!days.includes(local.day)) return false;
+      }
+
+      if (cond.time_of_day) {
+        const start = this.parseClock(cond.time_of_day.start);
+        const end = this.parseClock(cond.time_of_day.end);
+        if (!this.isWithinClockRange(local.minutes, start, end)) return false;
+      }
+    }
+
+    // Numbers without a schedule are treated as always open
+    if (cond.business_hours === 'open' && context.businessHours === 'closed') return false;
+    if (cond.business_hours === 'closed' && context.businessHours !== 'closed') return false;
+
+    if (cond.caller_type === 'new' && context.isRepeatCaller) return false;
+    if (cond.caller_type === 'returning' && !context.isRepeatCaller) return false;
+
+    return true;
+  }
+
+  /**
+   * Voicemail greeting and recording options configured on a tracking number
+   */
+  static getVoicemailSettings(userPhoneNumber) {
+    const greetingUrl = userPhoneNumber.voicemail_greeting_type === 'play' && userPhoneNumber.voicemail_greeting_id
+      ? `${process.env.SERVER_URL}/api/twilio/whisper-audio/${userPhoneNumber.voicemail_greeting_id}`
+      : null;
+
+    return {
+      enabled: userPhoneNumber.voicemail_enabled !== false,
+      greetingUrl,
+      greetingText: userPhoneNumber.voicemail_greeting_text || null,
+      maxLength: userPhoneNumber.voicemail_max_length || 120,
+      transcribe: userPhoneNumber.voicemail_transcribe !== false
+    };
+  }
+
+  /**
+   * Gather what the rule conditions need to know about an inbound call
+   */
+  static async buildContext({ userPhoneNumber, caller, called, callSid }) {
+    let previousCalls = 0;
+    try {
+      previousCalls = await TwilioCallLog.countPreviousCallsFromCaller(userPhoneNumber.id, caller, callSid);
+    } catch (error) {
+      console.warn('Could not count previous calls for routing context:', error.message);
+    }
+
+    const now = new Date();
+    let schedule = null;
+    try {
+      schedule = await PhoneNumberSchedule.findActiveByPhoneNumberId(userPhoneNumber.id);
+    } catch (error) {
+      console.warn('Could not load business hours for routing context:', error.message);
+    }
+
+    return {
+      userId: userPhoneNumber.user_id,
+      phoneNumberId: userPhoneNumber.id,
+      called: called || userPhoneNumber.phone_number,
+      caller: caller || '',
+      callSid: callSid || '',
+      isRepeatCaller: previousCalls > 0,
+      schedule,
+      businessHours: schedule ? (this.isScheduleOpen(schedule, now) ? 'open' : 'closed') : null,
+      voicemail: this.getVoicemailSettings(userPhoneNumber),
+      now
+    };
+  }
+
+  /**
+   * Active rules for a number in evaluation order, including the legacy forwarding setting
+   */
+  static async getRulesForNumber(phoneNumberId) {
+    const rules = await CallRoutingRule.findActiveByPhoneNumberId(phoneNumberId);
+
+    const forwarding = await CallForwarding.getActiveForwardingForNumber(phoneNumberId);
+    if (forwarding && forwarding.is_active) {
+      rules.push(forwarding.toRoutingRule());
+    }
+
+    // Stable sort keeps custom rules ahead of the forwarding rule on equal priority
+    return rules
+      .map((rule, position) => ({ rule, position }))
+      .sort((a, b) => (a.rule.priority - b.rule.priority) || (a.position - b.position))
+      .map(entry => entry.rule);
+  }
+
+  /**
+   * First rule whose conditions match, optionally starting after a given rule.
+   * After hours only rules that explicitly target closed hours are eligible.
+   */
+  static selectRule(rules, context, afterRuleKey = null) {
+    let startIndex = 0;
+    if (afterRuleKey !== null && afterRuleKey !== undefined) {
+      const currentIndex = rules.findIndex(r => String(r.id) === String(afterRuleKey));
+      startIndex = currentIndex === -1 ? rules.length : currentIndex + 1;
+    }
+
+    for (let i = startIndex; i < rules.length; i++) {
+      const conditions = rules[i].conditions || {};
+      if (context.businessHours === 'closed' && conditions.business_hours !== 'closed') continue;
+      if (this.matchesConditions(conditions, context)) {
+        return rules[i];
+      }
+    }
+    return null;
+  }
+
+  static _whisperUrl(context) {
+    return `${process.env.SERVER_URL}/api/twilio/whisper` +
+      `?pn=${encodeURIComponent(context.called)}` +      // which Twilio line was called
+      `&from=${encodeURIComponent(context.caller)}`;     // who is calling (for whisper announcement)
+  }
+
+  static _dialActionUrl(context, rule, targetIndex) {
+    return `${process.env.SERVER_URL}/api/twilio/routing-callback` +
+      `?phone_number_id=${encodeURIComponent(context.phoneNumberId)}` +
+      `&rule=${encodeURIComponent(rule.id)}` +
+      `&target=${targetIndex}`;
+  }
+
+  static _voicemailCallbackUrl(context, endpoint) {
+    return `${process.env.SERVER_URL}/api/twilio/${endpoint}` +
+      `?phone_number_id=${encodeURIComponent(context.phoneNumberId)}`;
+  }
+
+  static _record(twiml, rule, context) {
+    const config = rule.action_config || {};
+    const settings = context.voicemail || {};
+
+    // A rule's own message wins over the number's greeting
+    if (config.message) {
+      twiml.say({ voice: 'alice', language: 'en-US' }, config.message);
+    } else if (settings.greetingUrl) {
+      twiml.play(settings.greetingUrl);
+    } else {
+      twiml.say({ voice: 'alice', language: 'en-US' }, settings.greetingText || DEFAULT_VOICEMAIL_GREETING);
+    }
+
+    const recordOptions = {
+      maxLength: config.max_length || settings.maxLength || 120,
+      playBeep: true,
+      // Without an action Twilio would re-request /twiml after recording; the
+      // routing callback sees no DialCallStatus and simply hangs up.
+      action: this._dialActionUrl(context, rule, 0),
+      method: 'POST',
+      recordingStatusCallback: this._voicemailCallbackUrl(context, 'voicemail-callback'),
+      recordingStatusCallbackEvent: ['completed']
+    };
+    if (settings.transcribe !== false) {
+      recordOptions.transcribe = true;
+      recordOptions.transcribeCallback = this._voicemailCallbackUrl(context, 'voicemail-transcription');
+    }
+
+    twiml.record(recordOptions);
+    console.log(`📼 Routing rule ${rule.id} sending caller to voicemail`);
+  }
+
+  static _dial(twiml, context, rule, targets, targetIndex) {
+    const config = rule.action_config || {};
+    const dial = twiml.dial({
+      callerId: context.caller,        // Show original caller number
+      answerOnBridge: true,            // caller hears ringing during whisper
+      record: 'record-from-answer-dual',
+      recordingStatusCallback: `${process.env.SERVER_URL}/api/twilio/recording-callback`,
+      recordingStatusCallbackEvent: ['completed'],
+      statusCallback: `${process.env.SERVER_URL}/api/twilio/status-callback`,
+      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+      statusCallbackMethod: 'POST',
+      timeout: Math.max(15, config.ring_timeout || 20),   // guarantee enough time for whisper
+      action: this._dialActionUrl(context, rule, targetIndex),
+      method: 'POST'
+    });
+
+    targets.forEach(target => {
+      // Run a private whisper just for the callee leg, then connect
+      dial.number({ url: this._whisperUrl(context), method: 'GET' }, target);
+    });
+
+    console.log(`📞 Routing rule ${rule.id} (${rule.action_type}) dialing: ${targets.join(', ')}`);
+  }
+
+  /**
+   * Render the TwiML for a single rule's action
+   */
+  static renderRule(twiml, rule, context, targetIndex = 0) {
+    const config = rule.action_config || {};
+    const targets = Array.isArray(config.targets) ? config.targets : [];
+
+    switch (rule.action_type) {
+      case 'forward':
+        this._dial(twiml, context, rule, targets.slice(0, 1), 0);
+        break;
+      case 'simultaneous':
+        this._dial(twiml, context, rule, targets, 0);
+        break;
+      case 'sequential':
+        this._dial(twiml, context, rule, [targets[targetIndex]], targetIndex);
+        break;
+      case 'voicemail':
+        this._record(twiml, rule, context);
+        break;
+      case 'hangup':
+      default:
+        if (config.message) {
+          twiml.say({ voice: 'alice', language: 'en-US' }, config.message);
+        }
+        twiml.hangup();
+        break;
+    }
+  }
+
+  /**
+   * Route an inbound call. Returns the rule that was rendered, or null when
+   * nothing matched and the caller should fall back to the default greeting.
+   */
+  static async routeInboundCall(twiml, context) {
+    const rules = await this.getRulesForNumber(context.phoneNumberId);
+    let rule = this.selectRule(rules, context);
+
+    if (!rule && context.businessHours === 'closed') {
+      rule = context.schedule.toAfterHoursRule();
+    }
+    if (!rule) return null;
+
+    this.renderRule(twiml, rule, context);
+    return rule;
+  }
+
+  /**
+   * Handle the <Dial action> callback: try the next sequential target or fall
+   * through to the next matching rule when the dial outcome allows it. When
+   * nothing is left the caller goes to the number's voicemail, if enabled.
+   */
+  static async handleDialResult(twiml, context, { ruleKey, targetIndex = 0, dialStatus }) {
+    if (dialStatus === 'completed' || dialStatus === 'answered') {
+      twiml.hangup();
+      return null;
+    }
+
+    const rules = await this.getRulesForNumber(context.phoneNumberId);
+    const current = rules.find(r => String(r.id) === String(ruleKey));
+    const continueOn = (current && current.action_config && current.action_config.continue_on) || DEFAULT_CONTINUE_ON;
+
+    if (!continueOn.includes(dialStatus)) {
+      twiml.hangup();
+      return null;
+    }
+
+    if (current && current.action_type === 'sequential') {
+      const targets = current.action_config.targets || [];
+      const nextIndex = parseInt(targetIndex, 10) + 1;
+      if (nextIndex < targets.length) {
+        this.renderRule(twiml, current, context, nextIndex);
+        return current;
+      }
+    }
+
+    let next = this.selectRule(rules, context, ruleKey);
+
+    const afterHoursRule = context.businessHours === 'closed' ? context.schedule.toAfterHoursRule() : null;
+    if (!next && afterHoursRule && String(afterHoursRule.id) !== String(ruleKey)) {
+      next = afterHoursRule;
+    }
+    if (!next && context.voicemail && context.voicemail.enabled && String(ruleKey) !== VOICEMAIL_FALLBACK_RULE_ID) {
+      next = { id: VOICEMAIL_FALLBACK_RULE_ID, action_type: 'voicemail', action_config: {} };
+    }
+    if (!next) {
+      twiml.say('Sorry, no one is available to take your call. Goodbye!');
+      twiml.hangup();
+      return null;
+    }
+
+    this.renderRule(twiml, next, context);
+    return next;
+  }
+
+  /**
+   * Validate rule input from the API. Returns an error message or null.
+   */
+  static validateRule({ action_type, action_config = {}, conditions = {} }) {
+    if (!ROUTING_ACTIONS.includes(action_type)) {
+      return `action_type must be one of: ${ROUTING_ACTIONS.join(', ')}`;
+    }
+
+    const config = action_config || {};
+    if (DIAL_ACTIONS.includes(action_type)) {
+      if (!Array.isArray(config.targets) || config.targets.length === 0) {
+        return 'action_config.targets must list at least one number to dial';
+      }
+      if (action_type === 'forward' && config.targets.length !== 1) {
+        return 'forward rules dial exactly one target';
+      }
+      const invalid = config.targets.find(t => !E164_REGEX.test(String(t)));
+      if (invalid) {
+        return `Invalid target number: ${invalid}. Use E.164 format, e.g. +15551234567`;
+      }
+      if (config.continue_on !== undefined && !Array.isArray(config.continue_on)) {
+        return 'action_config.continue_on must be an array of dial statuses';
+      }
+    }
+
+    const cond = conditions || {};
+    if (cond.caller_prefixes !== undefined && !Array.isArray(cond.caller_prefixes)) {
+      return 'conditions.caller_prefixes must be an array';
+    }
+    if (cond.days_of_week !== undefined) {
+      if (!Array.isArray(cond.days_of_week) || cond.days_of_week.some(d => this.normalizeDay(d) < 0 || this.normalizeDay(d) > 6)) {
+        return 'conditions.days_of_week must be an array of weekdays (sun-sat or 0-6)';
+      }
+    }
+    if (cond.time_of_day !== undefined) {
+      const range = cond.time_of_day;
+      if (typeof range !== 'object' || range === null || Array.isArray(range)
+        || this.parseClock(range.start) === null || this.parseClock(range.end) === null) {
+        return 'conditions.time_of_day needs start and end in HH:MM (24h) format';
+      }
+    }
+    if (cond.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: cond.timezone });
+      } catch (e) {
+        return `Unknown timezone: ${cond.timezone}`;
+      }
+    }
+    if (cond.caller_type !== undefined && !['new', 'returning'].includes(cond.caller_type)) {
+      return 'conditions.caller_type must be "new" or "returning"';
+    }
+    if (cond.business_hours !== undefined && !['open', 'closed'].includes(cond.business_hours)) {
+      return 'conditions.business_hours must be "open" or "closed"';
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate schedule input from the API. Returns an error message or null.
+   */
+  static validateSchedule({ timezone, weekly_hours, after_hours_action, after_hours_forward_to }) {
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (e) {
+        return `Unknown timezone: ${timezone}`;
+      }
+    }
+
+    if (weekly_hours !== undefined) {
+      if (!weekly_hours || typeof weekly_hours !== 'object' || Array.isArray(weekly_hours)) {
+        return 'weekly_hours must be an object keyed by weekday (sun-sat)';
+      }
+      for (const [day, ranges] of Object.entries(weekly_hours)) {
+        if (!WEEKDAYS.includes(day)) {
+          return `Invalid weekday in weekly_hours: ${day}. Use sun, mon, tue, wed, thu, fri, sat`;
+        }
+        if (!Array.isArray(ranges)) {
+          return `weekly_hours.${day} must be an array of { start, end } ranges`;
+        }
+        for (const range of ranges) {
+          const start = this.parseClock(range && range.start);
+          const end = this.parseClock(range && range.end);
+          if (start === null || end === null) {
+            return `weekly_hours.${day} ranges need start and end in HH:MM (24h) format`;
+          }
+          // 00:00-00:00 means open all day; otherwise a range must not cross midnight
+          if (start >= end && !(start === 0 && end === 0)) {
+            return `weekly_hours.${day} range ${range.start}-${range.end} must end after it starts`;
+          }
+        }
+      }
+    }
+
+    if (after_hours_action !== undefined && !['voicemail', 'message', 'forward'].includes(after_hours_action)) {
+      return 'after_hours_action must be one of: voicemail, message, forward';
+    }
+    if (after_hours_action === 'forward' && !E164_REGEX.test(String(after_hours_forward_to || ''))) {
+      return 'after_hours_forward_to must be an E.164 number when after_hours_action is forward';
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  CallRoutingService,
+  ROUTING_ACTIONS,
+  DEFAULT_TIMEZONE,
+  E164_REGEX,
+};
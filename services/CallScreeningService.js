@@ -0,0 +1,135 @@
+const CallScreeningEntry = require('../models/CallScreeningEntry');
+const TwilioCallLog = require('../models/TwilioCallLog');
+const UserPhoneNumber = require('../models/UserPhoneNumber');
+
+const SCREENING_STATUS = {
+  ALLOWED: 'allowed',
+  BLOCKED: 'blocked',
+  GATED: 'gated',
+  PASSED: 'passed',
+  SCREENED_OUT: 'screened_out'
+};
+// Gated calls stay excluded until the caller presses 1, so hang-ups at the gate are never billed
+const EXCLUDED_STATUSES = [SCREENING_STATUS.BLOCKED, SCREENING_STATUS.GATED, SCREENING_STATUS.SCREENED_OUT];
+const LIST_TYPES = ['block', 'allow'];
+
+// Auto-block: this many calls of at most AUTO_BLOCK_MAX_SECONDS within the window
+const AUTO_BLOCK_MAX_SECONDS = 4;
+const AUTO_BLOCK_MIN_CALLS = 3;
+const AUTO_BLOCK_WINDOW_DAYS = 7;
+
+const DEFAULT_GATE_MESSAGE = 'Thank you for calling. To be connected, please press 1.';
+
+class CallScreeningService {
+  /**
+   * Normalize a caller ID to E.164 (US numbers assumed for 10 digits); null for anonymous callers
+   */
+  static normalizeNumber(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (digits.length < 7) return null;
+    if (digits.length === 10) return `+1${digits}`;
+    return `+${digits}`;
+  }
+
+  /**
+   * Decide what to do with an inbound caller: 'allow' (allowlisted, skips the gate),
+   * 'block', 'gate' (press 1 first) or 'route'. Number-level entries beat user-wide
+   * ones, and allow beats block at the same level.
+   */
+  static async screen(userPhoneNumber, caller) {
+    const number = this.normalizeNumber(caller);
+    const gateOrRoute = userPhoneNumber.screening_gate_enabled ? 'gate' : 'route';
+    if (!number) return { decision: gateOrRoute, entry: null };
+
+    const entries = await CallScreeningEntry.findMatching(userPhoneNumber.user_id, userPhoneNumber.id, number);
+    const pick = (scope, listType) => entries.find(e =>
+      e.list_type === listType && (scope === 'number' ? e.phone_number_id !== null : e.phone_number_id === null));
+
+    for (const scope of ['number', 'user']) {
+      const allowed = pick(scope, 'allow');
+      if (allowed) return { decision: 'allow', entry: allowed };
+      const blocked = pick(scope, 'block');
+      if (blocked) return { decision: 'block', entry: blocked };
+    }
+
+    return { decision: gateOrRoute, entry: null };
+  }
+
+  static _gateActionUrl(userPhoneNumber) {
+    return `${process.env.SERVER_URL}/api/twilio/screening-gate?phone_number_id=${encodeURIComponent(userPhoneNumber.id)}`;
+  }
+
+  /**
+   * Ask the caller to press 1; robocalls rarely do. No input falls through to a goodbye.
+   */
+  static renderGate(twiml, userPhoneNumber) {
+    const gather = twiml.gather({
+      numDigits: 1,
+      timeout: 6,
+      action: this._gateActionUrl(userPhoneNumber),
+      method: 'POST'
+    });
+    gather.say({ voice: 'alice', language: 'en-US' }, userPhoneNumber.screening_gate_message || DEFAULT_GATE_MESSAGE);
+
+    // Reached only when the caller presses nothing
+    twiml.redirect({ method: 'POST' }, this._gateActionUrl(userPhoneNumber));
+  }
+
+  /**
+   * Record the screening outcome on the call log and flag calls excluded from billing and lead reports
+   */
+  static async markCall(callSid, status) {
+    if (!callSid) return false;
+    try {
+      return await TwilioCallLog.update(callSid, {
+        screening_status: status,
+        is_screened_out: EXCLUDED_STATUSES.includes(status) ? 1 : 0
+      });
+    } catch (error) {
+      console.error('Error marking call screening status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * After an inbound call completes, block its caller on that number if they keep hanging up within seconds
+   */
+  static async checkAutoBlock(callSid) {
+    const callLog = await TwilioCallLog.findByCallSid(callSid);
+    if (!callLog || callLog.direction !== 'inbound' || !callLog.phone_number_id) return null;
+    if ((parseInt(callLog.duration, 10) || 0) > AUTO_BLOCK_MAX_SECONDS) return null;
+
+    const userPhoneNumber = await UserPhoneNumber.findById(callLog.phone_number_id);
+    if (!userPhoneNumber || !userPhoneNumber.auto_block_enabled) return null;
+
+    const number = this.normalizeNumber(callLog.from_number);
+    if (!number) return null;
+
+    // Leave numbers the user has already listed either way alone
+    const existing = await CallScreeningEntry.findMatching(userPhoneNumber.user_id, userPhoneNumber.id, number);
+    if (existing.length > 0) return null;
+
+    const since = new Date(Date.now() - AUTO_BLOCK_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const shortCalls = await TwilioCallLog.countShortInboundCalls(
+      userPhoneNumber.id, callLog.from_number, AUTO_BLOCK_MAX_SECONDS, since
+    );
+    if (shortCalls < AUTO_BLOCK_MIN_CALLS) return null;
+
+    const entryId = await CallScreeningEntry.create({
+      user_id: userPhoneNumber.user_id,
+      phone_number_id: userPhoneNumber.id,
+      number,
+      list_type: 'block',
+      source: 'auto',
+      reason: `${shortCalls} calls of ${AUTO_BLOCK_MAX_SECONDS}s or less in ${AUTO_BLOCK_WINDOW_DAYS} days`
+    });
+    console.log(`⛔ Auto-blocked ${number} on ${userPhoneNumber.phone_number} after ${shortCalls} short calls`);
+    return entryId;
+  }
+}
+
+module.exports = {
+  CallScreeningService,
+  SCREENING_STATUS,
+  LIST_TYPES
+};
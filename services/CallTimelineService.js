@@ -0,0 +1,113 @@
+const CallLog = require('../models/CallLog');
+const TwilioCallLog = require('../models/TwilioCallLog');
+
+const toTime = (value) => (value ? new Date(value).getTime() : 0);
+
+class CallTimelineService {
+  /**
+   * The parts of a Twilio call shown next to outcomes. Recordings play through
+   * GET /api/twilio/recording/:recordingSid.
+   */
+  static summarizeCall(call) {
+    return {
+      call_sid: call.call_sid,
+      direction: call.direction,
+      status: call.status,
+      from_number: call.from_number,
+      to_number: call.to_number,
+      tracking_number: call.tracking_number || null,
+      duration: parseInt(call.duration || 0, 10),
+      started_at: call.start_time || call.created_at,
+      recording_sid: call.recording_sid || null,
+      recording_duration: call.recording_duration ? parseInt(call.recording_duration, 10) : null,
+      has_recording: !!call.recording_sid
+    };
+  }
+
+  /**
+   * Merge a lead's Twilio calls and manual outcomes into one list, newest first. Each call carries
+   * the outcomes logged against it; outcomes not tied to a call appear on their own.
+   */
+  static buildTimeline(calls, outcomes) {
+    const callSids = new Set(calls.map(call => call.call_sid));
+    const outcomesByCall = new Map();
+    const standalone = [];
+
+    outcomes.forEach(outcome => {
+      if (outcome.call_sid && callSids.has(outcome.call_sid)) {
+        outcomesByCall.set(outcome.call_sid, [...(outcomesByCall.get(outcome.call_sid) || []), outcome]);
+      } else {
+        standalone.push(outcome);
+      }
+    });
+
+    const items = [
+      ...calls.map(call => ({
+        type: 'call',
+        occurred_at: call.start_time || call.created_at,
+        duration: parseInt(call.duration || 0, 10),
+        call: this.summarizeCall(call),
+        outcomes: outcomesByCall.get(call.call_sid) || []
+      })),
+      ...standalone.map(outcome => ({
+        type: 'outcome',
+        occurred_at: outcome.created_at,
+        duration: parseInt(outcome.duration || 0, 10),
+        call: null,
+        outcomes: [outcome]
+      }))
+    ];
+
+    return items.sort((a, b) => toTime(b.occurred_at) - toTime(a.occurred_at));
+  }
+
+  /**
+   * Timeline for one lead, plus totals for the lead header
+   */
+  static async forLead(leadId, userId) {
+    const [calls, outcomes] = await Promise.all([
+      TwilioCallLog.findByLeadId(leadId, userId),
+      CallLog.findByLeadId(leadId)
+    ]);
+
+    // Outcomes can name a call that was never tied to the lead itself
+    const linkedSids = new Set(calls.map(call => call.call_sid));
+    const missing = outcomes.map(o => o.call_sid).filter(sid => sid && !linkedSids.has(sid));
+    const extraCalls = missing.length > 0 ? [...(await TwilioCallLog.findByCallSids(missing, userId)).values()] : [];
+    const allCalls = [...calls, ...extraCalls];
+
+    const timeline = this.buildTimeline(allCalls, outcomes);
+    const now = Date.now();
+    const upcoming = outcomes
+      .filter(o => o.next_follow_up && toTime(o.next_follow_up) >= now)
+      .sort((a, b) => toTime(a.next_follow_up) - toTime(b.next_follow_up));
+    const latestOutcome = [...outcomes].sort((a, b) => toTime(b.created_at) - toTime(a.created_at))[0];
+
+    return {
+      timeline,
+      summary: {
+        total_calls: allCalls.length,
+        talk_seconds: allCalls.reduce((sum, call) => sum + parseInt(call.duration || 0, 10), 0),
+        recordings: allCalls.filter(call => call.recording_sid).length,
+        last_outcome: latestOutcome ? latestOutcome.outcome : null,
+        next_follow_up: upcoming.length > 0 ? upcoming[0].next_follow_up : null
+      }
+    };
+  }
+
+  /**
+   * Upcoming follow-ups with the call each outcome was logged against
+   */
+  static async upcomingFollowUps(userId, limit = 10) {
+    const followUps = await CallLog.getUpcomingFollowUps(userId, limit);
+    const calls = await TwilioCallLog.findByCallSids(followUps.map(f => f.call_sid), userId);
+    return followUps.map(followUp => {
+      const call = followUp.call_sid ? calls.get(followUp.call_sid) : null;
+      return { ...followUp, call: call ? this.summarizeCall(call) : null };
+    });
+  }
+}
+
+module.exports = {
+  CallTimelineService
+};
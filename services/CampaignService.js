@@ -0,0 +1,348 @@
+const CallCampaign = require('../models/CallCampaign');
+const CallCampaignLead = require('../models/CallCampaignLead');
+const CallLog = require('../models/CallLog');
+const { CALL_OUTCOMES } = require('../models/CallLog');
+const Lead = require('../models/Lead');
+const DoNotCallNumber = require('../models/DoNotCallNumber');
+const TwilioCallLog = require('../models/TwilioCallLog');
+const Activity = require('../models/Activity');
+const { CallRoutingService, DEFAULT_TIMEZONE, E164_REGEX } = require('./CallRoutingService');
+
+// Outcomes where nobody picked up; the lead is retried until max_attempts
+const NO_CONTACT_OUTCOMES = ['no_answer', 'left_voicemail'];
+// A lead handed to the dialer with no disposition after this long goes back in the queue
+const DIALING_TIMEOUT_MINUTES = 30;
+const QUEUE_PAGE_SIZE = 100;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const LEAD_STATUSES = ['New', 'Contacted', 'Qualified', 'Converted', 'Lost'];
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+class CampaignService {
+  /**
+   * Validate campaign input from the API. Returns an error message or null.
+   */
+  static validateCampaign(data, { isNew = false } = {}) {
+    const { name, lead_filter, timezone, calling_window_start, calling_window_end, calling_days, max_attempts, retry_delay_minutes } = data;
+
+    if (isNew || name !== undefined) {
+      if (!name || !String(name).trim()) return 'name is required';
+      if (String(name).length > 255) return 'name must be 255 characters or fewer';
+    }
+    if (lead_filter !== undefined) {
+      if (typeof lead_filter !== 'object' || lead_filter === null || Array.isArray(lead_filter)) {
+        return 'lead_filter must be an object with status, city and/or not_contacted';
+      }
+      if (lead_filter.status && !LEAD_STATUSES.includes(lead_filter.status)) {
+        return `lead_filter.status must be one of: ${LEAD_STATUSES.join(', ')}`;
+      }
+    }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return `Unknown timezone: ${timezone}`;
+    }
+    for (const [field, value] of Object.entries({ calling_window_start, calling_window_end })) {
+      if (value !== undefined && CallRoutingService.parseClock(value) === null) {
+        return `${field} must be in HH:MM (24h) format`;
+      }
+    }
+    if (calling_days !== undefined) {
+      if (!Array.isArray(calling_days) || calling_days.length === 0 ||
+          calling_days.some(d => CallRoutingService.normalizeDay(d) < 0 || CallRoutingService.normalizeDay(d) > 6)) {
+        return 'calling_days must be a non-empty array of weekdays (sun-sat)';
+      }
+    }
+    if (max_attempts !== undefined && !(Number.isInteger(Number(max_attempts)) && max_attempts >= 1 && max_attempts <= 10)) {
+      return 'max_attempts must be a whole number from 1 to 10';
+    }
+    if (retry_delay_minutes !== undefined && !(Number.isInteger(Number(retry_delay_minutes)) && retry_delay_minutes >= 0)) {
+      return 'retry_delay_minutes must be a non-negative whole number';
+    }
+    return null;
+  }
+
+  /**
+   * Campaign settings in the form stored, with defaults filled in
+   */
+  static normalizeSettings(data) {
+    const settings = {};
+    if (data.name !== undefined) settings.name = String(data.name).trim();
+    if (data.phone_number_id !== undefined) settings.phone_number_id = data.phone_number_id || null;
+    if (data.timezone !== undefined) settings.timezone = data.timezone;
+    if (data.calling_window_start !== undefined) settings.calling_window_start = data.calling_window_start;
+    if (data.calling_window_end !== undefined) settings.calling_window_end = data.calling_window_end;
+    if (data.calling_days !== undefined) {
+      settings.calling_days = [...new Set(data.calling_days.map(d => WEEKDAYS[CallRoutingService.normalizeDay(d)]))];
+    }
+    if (data.max_attempts !== undefined) settings.max_attempts = parseInt(data.max_attempts, 10);
+    if (data.retry_delay_minutes !== undefined) settings.retry_delay_minutes = parseInt(data.retry_delay_minutes, 10);
+    return settings;
+  }
+
+  /**
+   * Dialable E.164 form of a lead's phone; bare 10-digit numbers are taken as US/Canada
+   */
+  static toE164(phone) {
+    const raw = String(phone || '').trim();
+    const digits = raw.replace(/\D/g, '');
+    let candidate;
+    if (raw.startsWith('+')) candidate = `+${digits}`;
+    else if (digits.length === 10) candidate = `+1${digits}`;
+    else if (digits.length === 11 && digits.startsWith('1')) candidate = `+${digits}`;
+    else return null;
+    return E164_REGEX.test(candidate) ? candidate : null;
+  }
+
+  /**
+   * Whether the lead may be called now: inside the campaign's window and days, in the lead's own
+   * time zone when known, otherwise the campaign's
+   */
+  static isWithinCallingWindow(campaign, lead, now = new Date()) {
+    const timeZone = lead && lead.timezone && isValidTimezone(lead.timezone)
+      ? lead.timezone
+      : (campaign.timezone || DEFAULT_TIMEZONE);
+    const local = CallRoutingService.getLocalTime(timeZone, now);
+
+    const days = (campaign.calling_days || []).map(d => CallRoutingService.normalizeDay(d));
+    if (!days.includes(local.day)) return false;
+
+    return CallRoutingService.isWithinClockRange(
+      local.minutes,
+      CallRoutingService.parseClock(campaign.calling_window_start),
+      CallRoutingService.parseClock(campaign.calling_window_end)
+    );
+  }
+
+  static async createCampaign(userId, data) {
+    const campaign = await CallCampaign.create({
+      user_id: userId,
+      lead_filter: {
+        ...(data.lead_filter && data.lead_filter.status ? { status: data.lead_filter.status } : {}),
+        ...(data.lead_filter && data.lead_filter.city ? { city: String(data.lead_filter.city).trim() } : {}),
+        ...(data.lead_filter && data.lead_filter.not_contacted ? { not_contacted: true } : {})
+      },
+      timezone: DEFAULT_TIMEZONE,
+      calling_window_start: '09:00',
+      calling_window_end: '20:00',
+      max_attempts: 3,
+      retry_delay_minutes: 240,
+      ...this.normalizeSettings(data)
+    });
+    const queued = await CallCampaignLead.enqueueMatchingLeads(campaign.id, userId, campaign.lead_filter);
+
+    if (queued === 0) {
+      await CallCampaign.setStatus(campaign.id, 'completed');
+    }
+    console.log(`📋 Campaign ${campaign.id} "${campaign.name}" created with ${queued} lead(s) for user ${userId}`);
+    return { campaign: await CallCampaign.findById(campaign.id, userId), queued };
+  }
+
+  static async setStatus(campaign, status) {
+    await CallCampaign.setStatus(campaign.id, status);
+    return CallCampaign.findById(campaign.id, campaign.user_id);
+  }
+
+  /**
+   * Hand the next callable lead to the dialer. Leads on the do-not-call list or without a
+   * dialable number are skipped for good; leads outside their calling window wait for it.
+   * Returns { entry, callParams } or { entry: null, reason, nextRetryAt }.
+   */
+  static async nextLead(campaign, now = new Date()) {
+    if (campaign.status !== 'active') {
+      return { entry: null, reason: campaign.status };
+    }
+
+    await CallCampaignLead.releaseStale(campaign.id, DIALING_TIMEOUT_MINUTES);
+
+    let offset = 0;
+    let waitingForWindow = 0;
+    for (;;) {
+      const page = await CallCampaignLead.findDue(campaign.id, QUEUE_PAGE_SIZE, offset);
+      if (page.length === 0) break;
+
+      for (const entry of page) {
+        const to = this.toE164(entry.lead.phone);
+        if (!to) {
+          await CallCampaignLead.markSkipped(entry.id, 'invalid_phone');
+          continue;
+        }
+        if (await DoNotCallNumber.isBlocked(campaign.user_id, to)) {
+          await CallCampaignLead.markSkipped(entry.id, 'do_not_call');
+          continue;
+        }
+        if (!this.isWithinCallingWindow(campaign, entry.lead, now)) {
+          waitingForWindow++;
+          continue;
+        }
+        if (await CallCampaignLead.claim(entry.id)) {
+          const claimed = await CallCampaignLead.findById(entry.id);
+          return {
+            entry: claimed,
+            // Passed to the Voice SDK's connect(); /twiml links the call to this queue entry
+            callParams: { To: to, CampaignLeadId: String(claimed.id) }
+          };
+        }
+      }
+      // Skipped and claimed rows leave the pending set, so only the waiting ones shift the page
+      offset = waitingForWindow;
+    }
+
+    if (await CallCampaignLead.countOpen(campaign.id) === 0) {
+      await CallCampaign.setStatus(campaign.id, 'completed');
+      return { entry: null, reason: 'completed' };
+    }
+    return {
+      entry: null,
+      reason: waitingForWindow > 0 ? 'outside_calling_window' : 'waiting_for_retry',
+      nextRetryAt: await CallCampaignLead.nextRetryAt(campaign.id)
+    };
+  }
+
+  /**
+   * Check an outbound browser call that carries a CampaignLeadId before it is dialed, and link
+   * the call to the queue entry. The campaign must be active and the entry claimed for dialing.
+   * Returns { allowed, message, leadId }.
+   */
+  static async authorizeCampaignCall(userId, campaignLeadId, to, callSid, now = new Date()) {
+    const entry = await CallCampaignLead.findById(campaignLeadId);
+    const campaign = entry ? await CallCampaign.findById(entry.campaign_id, userId) : null;
+    if (!entry || !campaign) {
+      return { allowed: false, message: 'This campaign call could not be found.' };
+    }
+    if (campaign.status !== 'active') {
+      return { allowed: false, message: `This campaign is ${campaign.status}.` };
+    }
+    // Only the entry the dialer claimed can be called; dispositioned or skipped leads cannot be redialed
+    if (entry.status !== 'dialing') {
+      return { allowed: false, message: 'This lead is not being dialed in the campaign.' };
+    }
+    if (this.toE164(entry.lead.phone) !== to) {
+      return { allowed: false, message: 'This number does not match the campaign lead.' };
+    }
+    if (await DoNotCallNumber.isBlocked(userId, to)) {
+      await CallCampaignLead.markSkipped(entry.id, 'do_not_call');
+      return { allowed: false, message: 'This number is on your do not call list.' };
+    }
+    if (!this.isWithinCallingWindow(campaign, entry.lead, now)) {
+      return { allowed: false, message: 'This lead is outside the campaign calling hours.' };
+    }
+
+    if (callSid) await CallCampaignLead.setCallSid(entry.id, callSid);
+    return { allowed: true, leadId: entry.lead_id };
+  }
+
+  /**
+   * Record how a campaign call went: writes the call log outcome and follow-up, updates the lead,
+   * and requeues no-answers until the campaign's attempt limit
+   */
+  static async recordDisposition(campaign, leadId, { outcome, notes = null, next_follow_up = null, call_sid = null }) {
+    if (!CALL_OUTCOMES.includes(outcome)) {
+      const err = new Error(`outcome must be one of: ${CALL_OUTCOMES.join(', ')}`);
+      err.code = 'INVALID_OUTCOME';
+      throw err;
+    }
+    const entry = await CallCampaignLead.findByCampaignAndLead(campaign.id, leadId);
+    if (!entry) {
+      const err = new Error('Lead is not in this campaign');
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    // Only the attempt being dialed can be dispositioned (or one released as stale, for the call it was
+    // claimed for), so a completed or do-not-call entry cannot be put back in the queue
+    const isClaimedCall = entry.status === 'pending' && call_sid && entry.call_sid === call_sid;
+    if (entry.status !== 'dialing' && !isClaimedCall) {
+      const err = new Error(`This lead is ${entry.status} in the campaign, not being dialed`);
+      err.code = 'NOT_DIALING';
+      throw err;
+    }
+
+    const followUp = next_follow_up ? new Date(next_follow_up) : CallLog.followUpFor(outcome);
+    if (followUp && isNaN(followUp.getTime())) {
+      const err = new Error('next_follow_up must be a valid date');
+      err.code = 'INVALID_OUTCOME';
+      throw err;
+    }
+
+    // Only the user's own calls can be attached to the lead
+    const callSid = call_sid || entry.call_sid;
+    const call = callSid ? await TwilioCallLog.findByCallSid(callSid) : null;
+    const linkedCallSid = call && call.user_id === campaign.user_id ? callSid : null;
+
+    const callLog = await CallLog.create({
+      lead_id: leadId,
+      call_sid: linkedCallSid,
+      outcome,
+      notes: notes || `Campaign "${campaign.name}": ${outcome.replace(/_/g, ' ')}`,
+      next_follow_up: followUp ? followUp.toISOString() : null
+    });
+
+    const retry = NO_CONTACT_OUTCOMES.includes(outcome) && entry.attempts < campaign.max_attempts;
+    await CallCampaignLead.recordDisposition(entry.id, {
+      status: retry ? 'pending' : 'completed',
+      disposition: outcome,
+      nextAttemptAt: retry ? new Date(Date.now() + campaign.retry_delay_minutes * 60 * 1000) : null,
+      callSid: linkedCallSid,
+      callLogId: callLog.id
+    });
+
+    const lead = await Lead.findById(leadId, campaign.user_id);
+    if (lead && !NO_CONTACT_OUTCOMES.includes(outcome)) {
+      await lead.update({ contacted: true, status: lead.status === 'New' ? 'Contacted' : lead.status });
+    }
+    if (outcome === 'do_not_call' && lead) {
+      await DoNotCallNumber.add(campaign.user_id, lead.phone, { reason: `Requested during campaign "${campaign.name}"`, leadId });
+    }
+
+    if (linkedCallSid) {
+      await TwilioCallLog.update(linkedCallSid, { lead_id: leadId });
+    }
+
+    await Activity.logActivity(
+      'campaign_call_disposition',
+      'Campaign call logged',
+      `${lead ? lead.name || lead.phone : `Lead ${leadId}`}: ${outcome.replace(/_/g, ' ')}`,
+      null,
+      campaign.user_id,
+      { campaign_id: campaign.id, lead_id: leadId, outcome }
+    );
+
+    if (!retry && await CallCampaignLead.countOpen(campaign.id) === 0) {
+      await CallCampaign.setStatus(campaign.id, 'completed');
+    }
+
+    return {
+      callLog,
+      entry: await CallCampaignLead.findById(entry.id),
+      willRetry: retry
+    };
+  }
+
+  static async getStats(campaign) {
+    const stats = await CallCampaignLead.getStats(campaign.id);
+    const reached = Object.entries(stats.byDisposition)
+      .filter(([outcome]) => !NO_CONTACT_OUTCOMES.includes(outcome))
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    return {
+      ...stats,
+      remaining: (stats.byStatus.pending || 0) + (stats.byStatus.dialing || 0),
+      completed: stats.byStatus.completed || 0,
+      skipped: stats.byStatus.skipped || 0,
+      reached,
+      // Share of dialed leads that got a conversation (any outcome but no answer / voicemail)
+      contactRate: stats.dialed > 0 ? parseFloat((reached / stats.dialed).toFixed(4)) : 0
+    };
+  }
+}
+
+module.exports = {
+  CampaignService,
+  NO_CONTACT_OUTCOMES,
+  DIALING_TIMEOUT_MINUTES
+};
@@ -0,0 +1,236 @@
+const PDFDocument = require('pdfkit');
+const UserPhoneNumber = require('../models/UserPhoneNumber');
+const TwilioCallLog = require('../models/TwilioCallLog');
+const ClientBillingRule = require('../models/ClientBillingRule');
+
+const RATE_TYPES = ['per_lead', 'flat'];
+const MONTH_REGEX = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+class ClientReportService {
+  /**
+   * Turn 'YYYY-MM' into a [start, end) DATETIME range; defaults to the current month
+   */
+  static parseMonth(month) {
+    let year;
+    let monthIndex;
+    if (month) {
+      const match = MONTH_REGEX.exec(String(month));
+      if (!match) return null;
+      year = parseInt(match[1], 10);
+      monthIndex = parseInt(match[2], 10) - 1;
+    } else {
+      const now = new Date();
+      year = now.getFullYear();
+      monthIndex = now.getMonth();
+    }
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const nextYear = monthIndex === 11 ? year + 1 : year;
+    const nextMonth = (monthIndex + 1) % 12;
+
+    return {
+      month: `${year}-${pad(monthIndex + 1)}`,
+      start: `${year}-${pad(monthIndex + 1)}-01 00:00:00`,
+      end: `${nextYear}-${pad(nextMonth + 1)}-01 00:00:00`
+    };
+  }
+
+  static normalizeNumber(number) {
+    return String(number || '').replace(/\D/g, '').slice(-10);
+  }
+
+  /**
+   * Decide whether a call counts as a billable lead under the client's rules
+   */
+  static qualifyCall(call, rule) {
+    const blocked = (rule.blocked_numbers || []).map(n => this.normalizeNumber(n));
+    if (blocked.includes(this.normalizeNumber(call.from_number))) {
+      return { qualified: false, reason: 'blocked_number' };
+    }
+
+    if ((parseInt(call.duration, 10) || 0) < rule.min_duration_seconds) {
+      return { qualified: false, reason: 'below_min_duration' };
+    }
+
+    if (rule.first_time_callers_only && call.first_call_at &&
+        new Date(call.first_call_at).getTime() < new Date(call.created_at).getTime()) {
+      return { qualified: false, reason: 'repeat_caller' };
+    }
+
+    return { qualified: true, reason: null };
+  }
+
+  /**
+   * Validate billing rule input from the API. Returns an error message or null.
+   */
+  static validateRule({ rate_type, per_lead_rate, flat_rate, min_duration_seconds, blocked_numbers }) {
+    if (rate_type !== undefined && !RATE_TYPES.includes(rate_type)) {
+      return `rate_type must be one of: ${RATE_TYPES.join(', ')}`;
+    }
+    for (const [field, value] of Object.entries({ per_lead_rate, flat_rate })) {
+      if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+        return `${field} must be a non-negative amount`;
+      }
+    }
+    if (min_duration_seconds !== undefined &&
+        (!Number.isInteger(Number(min_duration_seconds)) || Number(min_duration_seconds) < 0)) {
+      return 'min_duration_seconds must be a non-negative whole number';
+    }
+    if (blocked_numbers !== undefined && !Array.isArray(blocked_numbers)) {
+      return 'blocked_numbers must be an array of phone numbers';
+    }
+    return null;
+  }
+
+  /**
+   * Monthly report of calls to a client's numbers, which ones qualified and what is owed
+   */
+  static async buildMonthlyReport(client, userId, month) {
+    const period = this.parseMonth(month);
+    const rule = await ClientBillingRule.findByClientId(client.id, userId);
+    const numbers = await UserPhoneNumber.findByClientId(client.id, userId);
+    const calls = await TwilioCallLog.findInboundForNumbers(numbers.map(n => n.id), period.start, period.end);
+
+    const reportCalls = calls.map(call => {
+      const { qualified, reason } = this.qualifyCall(call, rule);
+      return {
+        call_sid: call.call_sid,
+        created_at: call.created_at,
+        tracking_number: call.tracking_number,
+        from_number: call.from_number,
+        status: call.status,
+        duration: parseInt(call.duration, 10) || 0,
+        qualified,
+        disqualified_reason: reason,
+        recording_sid: call.recording_sid || null,
+        recording_duration: call.recording_duration || null
+      };
+    });
+
+    const qualifiedCalls = reportCalls.filter(c => c.qualified);
+    const amountOwed = rule.rate_type === 'flat'
+      ? rule.flat_rate
+      : parseFloat((qualifiedCalls.length * rule.per_lead_rate).toFixed(2));
+
+    return {
+      client: { id: client.id, name: client.name, website: client.website },
+      month: period.month,
+      numbers: numbers.map(n => ({ id: n.id, phone_number: n.phone_number, friendly_name: n.friendly_name })),
+      rules: rule,
+      summary: {
+        total_calls: reportCalls.length,
+        qualified_calls: qualifiedCalls.length,
+        total_talk_time: reportCalls.reduce((sum, c) => sum + c.duration, 0),
+        qualified_talk_time: qualifiedCalls.reduce((sum, c) => sum + c.duration, 0),
+        rate_type: rule.rate_type,
+        rate: rule.rate_type === 'flat' ? rule.flat_rate : rule.per_lead_rate,
+        amount_owed: amountOwed
+      },
+      recordings: reportCalls
+        .filter(c => c.recording_sid)
+        .map(c => ({
+          call_sid: c.call_sid,
+          created_at: c.created_at,
+          from_number: c.from_number,
+          qualified: c.qualified,
+          recording_sid: c.recording_sid,
+          duration: c.recording_duration,
+          url: `${process.env.SERVER_URL}/api/twilio/recording/${c.recording_sid}`
+        })),
+      calls: reportCalls
+    };
+  }
+
+  static _formatDate(value) {
+    if (!value) return '';
+    return new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  static _formatDuration(seconds) {
+    const secs = parseInt(seconds, 10) || 0;
+    return `${Math.floor(secs / 60)}m ${String(secs % 60).padStart(2, '0')}s`;
+  }
+
+  static _csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static toCsv(report) {
+    const rows = [
+      ['Date', 'Tracking Number', 'Caller', 'Status', 'Duration (s)', 'Qualified', 'Reason', 'Recording']
+    ];
+
+    report.calls.forEach(call => {
+      rows.push([
+        this._formatDate(call.created_at),
+        call.tracking_number,
+        call.from_number,
+        call.status,
+        call.duration,
+        call.qualified ? 'yes' : 'no',
+        call.disqualified_reason || '',
+        call.recording_sid ? `${process.env.SERVER_URL}/api/twilio/recording/${call.recording_sid}` : ''
+      ]);
+    });
+
+    rows.push([]);
+    rows.push(['Client', report.client.name]);
+    rows.push(['Month', report.month]);
+    rows.push(['Total calls', report.summary.total_calls]);
+    rows.push(['Qualified calls', report.summary.qualified_calls]);
+    rows.push(['Total talk time (s)', report.summary.total_talk_time]);
+    rows.push(['Rate type', report.summary.rate_type]);
+    rows.push(['Rate', report.summary.rate.toFixed(2)]);
+    rows.push(['Amount owed', report.summary.amount_owed.toFixed(2)]);
+
+    return rows.map(row => row.map(cell => this._csvCell(cell)).join(',')).join('\n') + '\n';
+  }
+
+  static toPdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(18).text(`Lead Report - ${report.client.name || `Client #${report.client.id}`}`);
+      doc.fontSize(11).fillColor('#555').text(`Month: ${report.month}`);
+      if (report.client.website) doc.text(`Website: ${report.client.website}`);
+      doc.text(`Tracking numbers: ${report.numbers.map(n => n.phone_number).join(', ') || 'none assigned'}`);
+      doc.moveDown();
+
+      const summary = report.summary;
+      doc.fillColor('#000').fontSize(13).text('Summary');
+      doc.fontSize(11)
+        .text(`Total calls: ${summary.total_calls}`)
+        .text(`Qualified calls: ${summary.qualified_calls}`)
+        .text(`Total talk time: ${this._formatDuration(summary.total_talk_time)}`)
+        .text(summary.rate_type === 'flat'
+          ? `Flat monthly rate: $${summary.rate.toFixed(2)}`
+          : `Per-lead rate: $${summary.rate.toFixed(2)}`)
+        .font('Helvetica-Bold').text(`Amount owed: $${summary.amount_owed.toFixed(2)}`).font('Helvetica');
+      doc.moveDown();
+
+      doc.fontSize(13).text('Calls');
+      doc.fontSize(9);
+      if (report.calls.length === 0) {
+        doc.text('No calls this month.');
+      }
+      report.calls.forEach(call => {
+        const line = `${this._formatDate(call.created_at)}  ${call.from_number}  ` +
+          `${this._formatDuration(call.duration)}  ${call.qualified ? 'Qualified' : `Not qualified (${call.disqualified_reason})`}` +
+          `${call.recording_sid ? '  [recorded]' : ''}`;
+        doc.fillColor(call.qualified ? '#000' : '#888').text(line);
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = {
+  ClientReportService,
+  RATE_TYPES
+};
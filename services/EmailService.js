@@ -0,0 +1,70 @@
+const axios = require('axios');
+
+/**
+ * Email providers. Each takes { to, subject, text } and resolves once the message is accepted.
+ * Pick one with EMAIL_PROVIDER (sender address in EMAIL_FROM); register more with EmailService.registerProvider.
+ */
+const providers = {
+  // SendGrid's v3 Mail Send API
+  sendgrid: {
+    async send({ to, subject, text }) {
+      const apiKey = process.env.SENDGRID_API_KEY;
+      if (!apiKey) throw new Error('SENDGRID_API_KEY must be set to send email with SendGrid');
+
+      await axios.post('https://api.sendgrid.com/v3/mail/send', {
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: process.env.EMAIL_FROM },
+        subject,
+        content: [{ type: 'text/plain', value: text }]
+      }, {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: 10000
+      });
+    }
+  },
+
+  // Write the message to the server log, for development
+  log: {
+    async send({ to, subject, text }) {
+      console.log(`📧 [email to ${to}] ${subject}\n${text}`);
+    }
+  }
+};
+
+class EmailService {
+  static registerProvider(name, provider) {
+    providers[name] = provider;
+  }
+
+  /**
+   * Active provider name, or null when email is turned off
+   */
+  static getProviderName() {
+    const name = process.env.EMAIL_PROVIDER;
+    return name && providers[name] ? name : null;
+  }
+
+  static isEnabled() {
+    return this.getProviderName() !== null && (this.getProviderName() === 'log' || !!process.env.EMAIL_FROM);
+  }
+
+  /**
+   * Send a plain-text email. Returns false (without throwing) when email is off or the provider fails,
+   * so callers can treat email as best-effort next to in-app notifications.
+   */
+  static async send({ to, subject, text }) {
+    if (!to || !this.isEnabled()) return false;
+
+    try {
+      await providers[this.getProviderName()].send({ to, subject, text });
+      return true;
+    } catch (error) {
+      console.error(`❌ Error sending "${subject}" email to ${to}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  EmailService
+};
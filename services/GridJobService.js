@@ -0,0 +1,325 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const GridScan = require('../models/GridScan');
+const GridScanRun = require('../models/GridScanRun');
+const GridScanPoint = require('../models/GridScanPoint');
+const GridScanCompetitor = require('../models/GridScanCompetitor');
+const { GridScanService, geocodeWithOpenCage } = require('./GridScanService');
+const seoApiKeyService = require('./seoApiKeyService');
+
+const DEFAULT_POLL_SECONDS = 5;
+const DEFAULT_CONCURRENCY = 1; // grid runs share SerpApi keys, so one at a time by default
+const DEFAULT_SCHEDULE_INTERVAL_MINUTES = 30;
+const SCANS_PER_TICK = 5;
+// A running run's lease is renewed after every point; one that lapses means its process stopped
+const LEASE_MINUTES = 10;
+
+// In-process progress events per run, for streaming. Listeners on another instance hear nothing,
+// but the stored points and progress are always readable by polling.
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let workerTimer = null;
+let schedulerTimer = null;
+let schedulerRunning = false;
+let activeRuns = 0;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+class GridJobService {
+  /**
+   * Queue a run of a saved scan. Throws RUN_IN_PROGRESS if the scan already has one queued or running
+   * (the insert itself enforces this, so concurrent requests cannot both queue one).
+   */
+  static async enqueueScan(scan, trigger = 'manual') {
+    const run = await GridScanRun.create({
+      scan_id: scan.id,
+      user_id: scan.user_id,
+      trigger_type: trigger,
+      keyword: scan.keyword,
+      business_name: scan.business_name,
+      business_address: scan.business_address,
+      center_lat: scan.center_lat,
+      center_lng: scan.center_lng,
+      grid_size: scan.grid_size,
+      total_points: GridScanService.gridPoints(scan).length
+    });
+    this.kick();
+    return run;
+  }
+
+  /**
+   * Queue a one-off analysis (the same input as POST /api/analyze). The address is geocoded when it starts.
+   */
+  static async enqueueAnalysis(userId, { business_address, keyword, target_business_name, grid_size }) {
+    const run = await GridScanRun.create({
+      user_id: userId,
+      trigger_type: 'analysis',
+      keyword,
+      business_name: target_business_name,
+      business_address,
+      grid_size
+    });
+    this.kick();
+    return run;
+  }
+
+  /**
+   * Cancel a queued run, or stop a running one after the point it is on. Returns the updated run,
+   * or null if it had already finished.
+   */
+  static async cancel(run) {
+    const state = await GridScanRun.requestCancel(run.id, run.user_id);
+    if (!state) return null;
+    if (state === 'cancelled') {
+      this._emit(run.id, 'status', { status: 'cancelled' });
+    }
+    return GridScanRun.findById(run.id, run.user_id);
+  }
+
+  /**
+   * Queue a failed or cancelled run again; it keeps its stored points and searches the rest.
+   * Returns null if the run cannot resume (it is active or already completed); throws RUN_IN_PROGRESS
+   * if its scan has another run queued or running.
+   */
+  static async resume(run) {
+    if (!(await GridScanRun.requeue(run.id, run.user_id))) return null;
+    this._emit(run.id, 'status', { status: 'queued' });
+    this.kick();
+    return GridScanRun.findById(run.id, run.user_id);
+  }
+
+  /**
+   * Listen to a run's events: 'point' as each point is stored, 'status' when the run changes state.
+   * Returns a function that stops listening.
+   */
+  static subscribe(runId, listener) {
+    const channel = `run:${runId}`;
+    events.on(channel, listener);
+    return () => events.off(channel, listener);
+  }
+
+  static _emit(runId, type, data) {
+    events.emit(`run:${runId}`, { type, ...data });
+  }
+
+  /**
+   * Search the run's remaining points, storing each one, then store its metrics.
+   * Points whose search failed last time are searched again.
+   */
+  static async execute(run) {
+    this._emit(run.id, 'status', { status: 'running' });
+    let serpapiKey = null;
+    let successfulApiCalls = 0;
+
+    try {
+      let center = run.center_lat !== null && run.center_lng !== null
+        ? { lat: run.center_lat, lng: run.center_lng }
+        : null;
+      if (!center) {
+        if (!config.seo.opencageApiKey) throw new Error('OpenCage API key not configured');
+        const geocoded = await geocodeWithOpenCage(run.business_address, config.seo.opencageApiKey);
+        center = { lat: parseFloat(geocoded.lat.toFixed(7)), lng: parseFloat(geocoded.lng.toFixed(7)) };
+      }
+
+      const points = GridScanService.gridPoints({ grid_size: run.grid_size, center_lat: center.lat, center_lng: center.lng });
+      await GridScanRun.setGrid(run.id, { center_lat: center.lat, center_lng: center.lng, total_points: points.length });
+
+      await GridScanPoint.deleteFailed(run.id);
+      const stored = await GridScanPoint.findByRunId(run.id);
+      const done = new Set(stored.map(p => p.point_index));
+      const remaining = points.filter(p => !done.has(parseInt(p.id, 10)));
+      let completed = stored.length;
+      // Cancel may have been asked for while the address was geocoding
+      let cancelled = await GridScanRun.isCancelRequested(run.id);
+
+      if (remaining.length > 0 && !cancelled) {
+        serpapiKey = await GridScanService.acquireSerpApiKey();
+        const scan = await GridScanService.scanGrid({
+          points: remaining,
+          keyword: run.keyword,
+          businessName: run.business_name,
+          serpapiKey,
+          onPoint: async (point) => {
+            const row = {
+              point_index: parseInt(point.id, 10),
+              row_index: point.row,
+              col_index: point.col,
+              lat: point.lat,
+              lng: point.lng,
+              rank_position: point.rank,
+              search_failed: point.search_failed
+            };
+            row.id = await GridScanPoint.create(run.id, row);
+            await GridScanCompetitor.replaceForPoint(run.id, row.point_index, point.competitors);
+            stored.push(row);
+            completed++;
+            await GridScanRun.recordProgress(run.id, completed, LEASE_MINUTES);
+            this._emit(run.id, 'point', { point: row, completed_points: completed, total_points: points.length });
+
+            if (await GridScanRun.isCancelRequested(run.id)) {
+              cancelled = true;
+              return false;
+            }
+            return true;
+          }
+        });
+        successfulApiCalls = scan.successfulApiCalls;
+      }
+
+      if (cancelled) {
+        await GridScanRun.markCancelled(run.id);
+        this._emit(run.id, 'status', { status: 'cancelled', completed_points: completed });
+        console.log(`🗺️ Grid run ${run.id} cancelled at ${completed}/${points.length} points`);
+        return;
+      }
+
+      const metrics = GridScanService.computeMetrics(stored);
+      if (metrics.searched_points === 0) {
+        throw new Error('Every grid search failed');
+      }
+      await GridScanRun.complete(run.id, metrics);
+      if (run.scan_id) {
+        await GridScan.recordRun(run.scan_id, new Date());
+      }
+      this._emit(run.id, 'status', { status: 'completed', ...metrics });
+      console.log(`🗺️ Grid run ${run.id}: ranked at ${metrics.ranked_points}/${points.length} points, average ${metrics.average_rank ?? '-'}`);
+    } catch (error) {
+      console.error(`❌ Grid run ${run.id} failed:`, error.message);
+      await GridScanRun.fail(run.id, error.message).catch(() => {});
+      this._emit(run.id, 'status', { status: 'failed', error: error.message });
+    } finally {
+      if (serpapiKey && successfulApiCalls > 0) {
+        await seoApiKeyService.incrementApiKeyUsage(serpapiKey, successfulApiCalls).catch(error => {
+          console.error('Error recording SerpApi usage:', error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Start queued runs until the worker is at its concurrency limit
+   */
+  static async processQueue() {
+    const concurrency = Math.max(1, envInt('GRID_JOB_CONCURRENCY', DEFAULT_CONCURRENCY));
+    while (activeRuns < concurrency) {
+      activeRuns++;
+      let run = null;
+      try {
+        run = await GridScanRun.claimNext(LEASE_MINUTES);
+      } catch (error) {
+        console.error('❌ Error reading the grid job queue:', error);
+      }
+      if (!run) {
+        activeRuns--;
+        return;
+      }
+
+      this.execute(run).finally(() => {
+        activeRuns--;
+        this.kick();
+      });
+    }
+  }
+
+  /**
+   * Look at the queue now rather than on the next poll (no-op until the worker is started)
+   */
+  static kick() {
+    if (!workerTimer) return;
+    setImmediate(() => this.processQueue());
+  }
+
+  /**
+   * Queue again the runs whose worker stopped (their lease lapsed); they resume from their stored points
+   */
+  static async requeueInterrupted() {
+    try {
+      const requeued = await GridScanRun.requeueInterrupted();
+      if (requeued > 0) console.log(`🗺️ Resuming ${requeued} interrupted grid run(s)`);
+    } catch (error) {
+      console.error('❌ Error requeueing interrupted grid runs:', error);
+    }
+  }
+
+  /**
+   * Start the job worker: interrupted runs are queued again, then the queue is polled every
+   * GRID_JOB_POLL_SECONDS, picking up runs whose lease lapsed on another instance as it goes.
+   */
+  static async startWorker(pollSeconds = envInt('GRID_JOB_POLL_SECONDS', DEFAULT_POLL_SECONDS)) {
+    if (workerTimer) return null;
+    workerTimer = setInterval(async () => {
+      await this.requeueInterrupted();
+      await this.processQueue();
+    }, Math.max(1, pollSeconds) * 1000);
+    workerTimer.unref();
+
+    await this.requeueInterrupted();
+    this.kick();
+    console.log(`🗺️ Grid job worker polling every ${Math.max(1, pollSeconds)} seconds`);
+    return workerTimer;
+  }
+
+  /**
+   * Queue runs for scheduled scans that are due
+   */
+  static async runDueScans() {
+    const scans = await GridScan.findDue(SCANS_PER_TICK);
+    const results = { queued: 0, skipped: 0, failed: 0 };
+
+    for (const scan of scans) {
+      if (!(await GridScan.claimDue(scan.id, GridScanService.nextRunAt(scan.schedule)))) {
+        results.skipped++;
+        continue;
+      }
+      try {
+        await this.enqueueScan(scan, 'schedule');
+        results.queued++;
+      } catch (error) {
+        if (error.code === 'RUN_IN_PROGRESS') {
+          results.skipped++;
+        } else {
+          console.error(`❌ Error queueing scheduled grid scan ${scan.id}:`, error);
+          results.failed++;
+        }
+      }
+    }
+
+    if (scans.length > 0) {
+      console.log('🗺️ Scheduled grid scans:', results);
+    }
+    return results;
+  }
+
+  /**
+   * Queue due scheduled scans on an interval (GRID_SCAN_INTERVAL_MINUTES, 0 disables it)
+   */
+  static startScheduler(intervalMinutes = parseInt(process.env.GRID_SCAN_INTERVAL_MINUTES || DEFAULT_SCHEDULE_INTERVAL_MINUTES, 10)) {
+    if (schedulerTimer || !intervalMinutes || intervalMinutes <= 0) return null;
+
+    const run = async () => {
+      if (schedulerRunning) return;
+      schedulerRunning = true;
+      try {
+        await this.runDueScans();
+      } catch (error) {
+        console.error('❌ Grid scan job failed:', error);
+      } finally {
+        schedulerRunning = false;
+      }
+    };
+
+    schedulerTimer = setInterval(run, intervalMinutes * 60 * 1000);
+    schedulerTimer.unref();
+    setTimeout(run, 60 * 1000).unref();
+    console.log(`🗺️ Grid scan job scheduled every ${intervalMinutes} minutes`);
+    return schedulerTimer;
+  }
+}
+
+module.exports = {
+  GridJobService
+};
@@ -0,0 +1,420 @@
+const axios = require('axios');
+const config = require('../config/config');
+const GridScan = require('../models/GridScan');
+const GridScanPoint = require('../models/GridScanPoint');
+const GridScanCompetitor = require('../models/GridScanCompetitor');
+const seoApiKeyService = require('./seoApiKeyService');
+
+// Grid size mappings for heatmap functionality
+const GRID_SIZES = {
+  '0.7x0.7': { radius: 0.35, cell: 0.35 },
+  '1.75x1.75': { radius: 0.875, cell: 0.875 },
+  '3.5x3.5': { radius: 1.75, cell: 1.75 },
+  '5.25x5.25': { radius: 2.625, cell: 2.625 },
+  '7x7': { radius: 3.5, cell: 3.5 },
+  '14x14': { radius: 7, cell: 7 },
+  '21x21': { radius: 10.5, cell: 10.5 }
+};
+
+const SEARCH_DELAY_MS = 1000; // between SerpApi calls within a scan
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Geocode an address using OpenCage Data API
+ */
+async function geocodeWithOpenCage(address, apiKey) {
+  try {
+    const url = `https://api.opencagedata.com/geocode/v1/json?q=${encodeURIComponent(address)}&key=${encodeURIComponent(apiKey)}`;
+    const response = await axios.get(url);
+    const data = response.data;
+
+    if (!data.results || data.results.length === 0) {
+      throw new Error('No results from OpenCage API');
+    }
+
+    const result = data.results[0];
+    return {
+      lat: parseFloat(result.geometry.lat),
+      lng: parseFloat(result.geometry.lng),
+      formatted: result.formatted
+    };
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`OpenCage API error: ${error.response.status} - ${error.response.data?.status?.message || error.message}`);
+    }
+    throw new Error(`Geocoding failed: ${error.message}`);
+  }
+}
+
+/**
+ * Search using SerpApi for local business results
+ */
+async function searchWithSerpApi(query, coordinates, apiKey) {
+  try {
+    const ll = `@${coordinates.lat.toFixed(7)},${coordinates.lng.toFixed(7)},14z`;
+    const url = `https://serpapi.com/search.json?engine=google_maps&q=${encodeURIComponent(query)}&ll=${encodeURIComponent(ll)}&google_domain=google.com&hl=en&type=search&api_key=${encodeURIComponent(apiKey)}`;
+
+    const response = await axios.get(url);
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`SerpApi error: ${error.response.status} - ${error.response.data?.error || error.message}`);
+    }
+    throw new Error(`Search failed: ${error.message}`);
+  }
+}
+
+/**
+ * Generate grid points around a center coordinate
+ */
+function generateGrid(center, radiusMiles, cellMiles) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const milesToLatDelta = (mi) => mi / 69;
+  const milesToLngDelta = (mi, latDeg) => mi / (69 * Math.max(0.000001, Math.cos(toRad(latDeg))));
+
+  const stepLat = milesToLatDelta(cellMiles);
+  const stepLng = milesToLngDelta(cellMiles, center.lat);
+
+  const latDelta = milesToLatDelta(radiusMiles);
+  const lngDelta = milesToLngDelta(radiusMiles, center.lat);
+
+  const latMin = center.lat - latDelta;
+  const latMax = center.lat + latDelta;
+  const lngMin = center.lng - lngDelta;
+  const lngMax = center.lng + lngDelta;
+
+  const points = [];
+  let idCounter = 1;
+  let row = 0;
+
+  for (let lat = latMin; lat <= latMax + 1e-12; lat += stepLat, row++) {
+    let col = 0;
+    for (let lng = lngMin; lng <= lngMax + 1e-12; lng += stepLng, col++) {
+      points.push({
+        id: String(idCounter++),
+        lat,
+        lng,
+        row,
+        col
+      });
+    }
+  }
+
+  return points;
+}
+
+class GridScanService {
+  /**
+   * A SerpApi key with calls left this month, switching keys near the limit. Throws NO_API_KEY when none is left.
+   */
+  static async acquireSerpApiKey() {
+    let serpapiKey = await seoApiKeyService.getAvailableApiKey();
+    if (serpapiKey) {
+      serpapiKey = await seoApiKeyService.getNextApiKeyIfNeeded(serpapiKey);
+    }
+    if (!serpapiKey) {
+      const err = new Error('No available SerpApi keys. All keys have reached their monthly limit (249 calls).');
+      err.code = 'NO_API_KEY';
+      throw err;
+    }
+    return serpapiKey;
+  }
+
+  /**
+   * 1-based position of the business in local_results, or null when it is not listed
+   */
+  static findRank(localResults, businessName) {
+    if (!Array.isArray(localResults)) return null;
+    const name = businessName.toLowerCase();
+    const index = localResults.findIndex(result => result.title && result.title.toLowerCase().includes(name));
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Every business in local_results, in order, marked is_target when it is the tracked business.
+   * competitor_key identifies the same business across points: its place_id, else data_id, else its name.
+   */
+  static extractCompetitors(localResults, businessName) {
+    if (!Array.isArray(localResults)) return [];
+    const targetRank = this.findRank(localResults, businessName);
+
+    return localResults
+      .map((result, index) => ({ result, position: index + 1 }))
+      .filter(({ result }) => result.title)
+      .map(({ result, position }) => ({
+        position,
+        competitor_key: String(result.place_id || result.data_id || result.title.trim().toLowerCase()).slice(0, 255),
+        place_id: result.place_id || null,
+        name: result.title.trim().slice(0, 255),
+        address: result.address ? String(result.address).slice(0, 500) : null,
+        category: result.type ? String(result.type).slice(0, 255) : null,
+        rating: typeof result.rating === 'number' ? result.rating : null,
+        reviews: Number.isInteger(result.reviews) ? result.reviews : null,
+        is_target: position === targetRank
+      }));
+  }
+
+  /**
+   * Rank every business seen across a run's points. points need point_index, search_failed and
+   * rank_position; competitors are extractCompetitors() rows with their point_index.
+   * coverage is the share of searched points a business appears at, and outranks_target_at lists
+   * the points where it is listed above the tracked business (or the tracked business is missing).
+   */
+  static buildLeaderboard(points, competitors) {
+    const searched = points.filter(p => !p.search_failed);
+    const targetRanks = new Map(searched.map(p => [p.point_index, p.rank_position ?? null]));
+    const byKey = new Map();
+
+    for (const c of competitors) {
+      if (!targetRanks.has(c.point_index)) continue;
+      let entry = byKey.get(c.competitor_key);
+      if (!entry) {
+        entry = {
+          competitor_key: c.competitor_key,
+          name: c.name,
+          place_id: c.place_id,
+          address: c.address,
+          category: c.category,
+          rating: null,
+          reviews: null,
+          is_target: false,
+          positions: [],
+          outranks_target_at: []
+        };
+        byKey.set(c.competitor_key, entry);
+      }
+      entry.is_target = entry.is_target || c.is_target;
+      if (c.rating !== null && c.rating !== undefined) entry.rating = c.rating;
+      if (c.reviews !== null && c.reviews !== undefined) entry.reviews = Math.max(entry.reviews || 0, c.reviews);
+      entry.positions.push(c.position);
+
+      const targetRank = targetRanks.get(c.point_index);
+      if (!c.is_target && (targetRank === null || c.position < targetRank)) {
+        entry.outranks_target_at.push(c.point_index);
+      }
+    }
+
+    const leaderboard = [...byKey.values()]
+      .map(({ positions, outranks_target_at, ...entry }) => ({
+        ...entry,
+        points_present: positions.length,
+        coverage: searched.length > 0 ? round(positions.length / searched.length, 4) : null,
+        average_rank: round(positions.reduce((sum, p) => sum + p, 0) / positions.length, 2),
+        best_rank: Math.min(...positions),
+        top3_points: positions.filter(p => p <= 3).length,
+        outranks_target_points: entry.is_target ? null : outranks_target_at.length,
+        outranks_target_at: entry.is_target ? null : outranks_target_at
+      }))
+      .sort((a, b) => b.coverage - a.coverage || a.average_rank - b.average_rank || a.name.localeCompare(b.name))
+      .map((entry, i) => ({ leaderboard_position: i + 1, ...entry }));
+
+    return {
+      searched_points: searched.length,
+      total_competitors: leaderboard.filter(entry => !entry.is_target).length,
+      target: leaderboard.find(entry => entry.is_target) || null,
+      competitors: leaderboard
+    };
+  }
+
+  /**
+   * Competitor leaderboard for a stored run, from the points searched so far
+   */
+  static async runLeaderboard(run) {
+    const [points, competitors] = await Promise.all([
+      GridScanPoint.findByRunId(run.id),
+      GridScanCompetitor.findByRunId(run.id)
+    ]);
+    return this.buildLeaderboard(points, competitors);
+  }
+
+  /**
+   * Search every grid point in turn, one second apart. A failed search is kept as a point with
+   * search_failed set, and each point lists every business found there in competitors.
+   * onPoint(point, index, total) is awaited after each point; returning false stops the scan.
+   */
+  static async scanGrid({ points, keyword, businessName, serpapiKey, onPoint = null }) {
+    const results = [];
+    let successfulApiCalls = 0;
+
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      const result = {
+        id: point.id,
+        row: point.row,
+        col: point.col,
+        lat: parseFloat(point.lat.toFixed(7)),
+        lng: parseFloat(point.lng.toFixed(7)),
+        ll: `@${point.lat.toFixed(7)},${point.lng.toFixed(7)},14z`,
+        rank: null,
+        competitors: [],
+        search_failed: false
+      };
+
+      try {
+        const searchResults = await searchWithSerpApi(keyword, point, serpapiKey);
+        successfulApiCalls++;
+        result.rank = this.findRank(searchResults.local_results, businessName);
+        result.competitors = this.extractCompetitors(searchResults.local_results, businessName);
+      } catch (error) {
+        console.error(`Error searching point ${point.id}:`, error.message);
+        result.search_failed = true;
+      }
+
+      results.push(result);
+      if (onPoint && (await onPoint(result, i, points.length)) === false) break;
+
+      // Rate limiting - 1 second between calls
+      if (i < points.length - 1) {
+        await sleep(SEARCH_DELAY_MS);
+      }
+    }
+
+    return { points: results, successfulApiCalls };
+  }
+
+  /**
+   * Summary metrics for a run's points. Failed searches count for nothing.
+   */
+  static computeMetrics(points) {
+    const searched = points.filter(p => !p.search_failed);
+    const ranks = searched.map(p => p.rank_position).filter(rank => rank !== null && rank !== undefined);
+    const top3 = ranks.filter(rank => rank <= 3).length;
+
+    return {
+      searched_points: searched.length,
+      ranked_points: ranks.length,
+      top3_points: top3,
+      average_rank: ranks.length > 0 ? round(ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length, 2) : null,
+      share_top3: searched.length > 0 ? round(top3 / searched.length, 4) : null
+    };
+  }
+
+  /**
+   * Completed runs oldest to newest, each with its change from the run before, plus the change
+   * between the first and latest run
+   */
+  static buildTrend(runs) {
+    const delta = (to, from, key) => (to[key] !== null && from[key] !== null ? round(to[key] - from[key], 4) : null);
+    const change = (to, from) => ({
+      // Negative average_rank change means the business moved up
+      average_rank: delta(to, from, 'average_rank'),
+      share_top3: delta(to, from, 'share_top3'),
+      ranked_points: to.ranked_points - from.ranked_points,
+      top3_points: to.top3_points - from.top3_points
+    });
+
+    const series = runs.map((run, i) => ({
+      run_id: run.id,
+      started_at: run.started_at,
+      average_rank: run.average_rank,
+      share_top3: run.share_top3,
+      ranked_points: run.ranked_points,
+      top3_points: run.top3_points,
+      searched_points: run.searched_points,
+      change: i > 0 ? change(run, runs[i - 1]) : null
+    }));
+
+    return {
+      runs: series,
+      overall: runs.length > 1 ? change(runs[runs.length - 1], runs[0]) : null
+    };
+  }
+
+  /**
+   * Compare two runs point by point. change is positive when the business moved up at that point.
+   */
+  static diffPoints(fromPoints, toPoints) {
+    const before = new Map(fromPoints.map(p => [p.point_index, p]));
+    const summary = { improved: 0, declined: 0, unchanged: 0, entered: 0, dropped: 0, not_ranked: 0, unavailable: 0 };
+
+    const points = toPoints.map(to => {
+      const from = before.get(to.point_index);
+      const fromRank = from ? from.rank_position : null;
+      const toRank = to.rank_position;
+      let status;
+      if (!from || from.search_failed || to.search_failed) status = 'unavailable';
+      else if (fromRank === null && toRank === null) status = 'not_ranked';
+      else if (fromRank === null) status = 'entered';
+      else if (toRank === null) status = 'dropped';
+      else if (toRank < fromRank) status = 'improved';
+      else if (toRank > fromRank) status = 'declined';
+      else status = 'unchanged';
+      summary[status]++;
+
+      return {
+        point_index: to.point_index,
+        row: to.row_index,
+        col: to.col_index,
+        lat: to.lat,
+        lng: to.lng,
+        from_rank: fromRank,
+        to_rank: toRank,
+        change: fromRank !== null && toRank !== null ? fromRank - toRank : null,
+        status
+      };
+    });
+
+    return { summary, points };
+  }
+
+  static nextRunAt(schedule, from = new Date()) {
+    const next = new Date(from);
+    if (schedule === 'daily') next.setUTCDate(next.getUTCDate() + 1);
+    else if (schedule === 'weekly') next.setUTCDate(next.getUTCDate() + 7);
+    else if (schedule === 'monthly') next.setUTCMonth(next.getUTCMonth() + 1);
+    else return null;
+    return next;
+  }
+
+  /**
+   * Save a scan. The center is geocoded from business_address unless center_lat/center_lng are given.
+   * Scheduled scans first run on the scheduler's next pass.
+   */
+  static async createScan(userId, data) {
+    let center = data.center_lat !== undefined && data.center_lng !== undefined
+      ? { lat: data.center_lat, lng: data.center_lng }
+      : null;
+
+    if (!center) {
+      if (!config.seo.opencageApiKey) {
+        const err = new Error('OpenCage API key not configured');
+        err.code = 'GEOCODER_UNAVAILABLE';
+        throw err;
+      }
+      center = await geocodeWithOpenCage(data.business_address, config.seo.opencageApiKey);
+    }
+
+    const schedule = data.schedule || 'manual';
+    return GridScan.create({
+      user_id: userId,
+      client_id: data.client_id,
+      name: data.name || `${data.keyword} – ${data.business_name}`,
+      business_name: data.business_name,
+      business_address: data.business_address,
+      keyword: data.keyword,
+      center_lat: round(center.lat, 7),
+      center_lng: round(center.lng, 7),
+      grid_size: data.grid_size,
+      schedule,
+      next_run_at: schedule === 'manual' ? null : new Date()
+    });
+  }
+
+  /**
+   * Grid points for a scan or run with a known center
+   */
+  static gridPoints({ grid_size, center_lat, center_lng }) {
+    const gridConfig = GRID_SIZES[grid_size];
+    return generateGrid({ lat: center_lat, lng: center_lng }, gridConfig.radius, gridConfig.cell);
+  }
+}
+
+module.exports = {
+  GridScanService,
+  GRID_SIZES,
+  geocodeWithOpenCage,
+  searchWithSerpApi,
+  generateGrid
+};
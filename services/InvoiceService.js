@@ -0,0 +1,280 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const PricingPlan = require('../models/PricingPlan');
+const TwilioCallLog = require('../models/TwilioCallLog');
+const BalanceTransaction = require('../models/BalanceTransaction');
+const { ClientReportService } = require('./ClientReportService');
+
+// Ledger entries listed one by one on a statement; calls, texts and free minutes are summarized
+const ITEMIZED_TYPES = ['number_fee', 'top_up', 'refund', 'adjustment'];
+const DEFAULT_INTERVAL_MINUTES = 360;
+
+const roundCents = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+let schedulerTimer = null;
+let isRunning = false;
+
+class InvoiceService {
+  /**
+   * 'YYYY-MM' as a [start, end) range; defaults to last month, the most recent closed one
+   */
+  static parsePeriod(month) {
+    if (month) return ClientReportService.parseMonth(month);
+    const now = new Date();
+    const lastMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    return ClientReportService.parseMonth(lastMonth.toISOString().slice(0, 7));
+  }
+
+  static isClosed(period, now = new Date()) {
+    return new Date(`${period.end.replace(' ', 'T')}Z`) <= now;
+  }
+
+  /**
+   * Totals for one user and month, in the shape stored on an invoice
+   */
+  static async buildStatement(userId, period) {
+    const [calls, totals, openingBalance, closingBalance, entries, plan] = await Promise.all([
+      TwilioCallLog.summarizeBilledCalls(userId, period.start, period.end),
+      BalanceTransaction.totalsByType(userId, period.start, period.end),
+      BalanceTransaction.balanceAt(userId, period.start),
+      BalanceTransaction.balanceAt(userId, period.end),
+      BalanceTransaction.findAllByUserId(userId, { startDate: period.start, endDate: period.end }),
+      PricingPlan.findForUserId(userId)
+    ]);
+
+    const total = (type, field = 'amount') => (totals[type] ? totals[type][field] : 0);
+    const callCharges = roundCents(calls.billed_amount);
+    const smsCharges = roundCents(-total('sms_charge'));
+    const numberFees = roundCents(-total('number_fee'));
+    const freeMinutesUsed = -total('free_minutes_used', 'free_minutes_delta');
+    const smsCount = total('sms_charge', 'entries');
+
+    const lineItems = [
+      {
+        type: 'calls',
+        description: `Calls: ${calls.call_count} call${calls.call_count === 1 ? '' : 's'}, ` +
+          `${freeMinutesUsed} free minute${freeMinutesUsed === 1 ? '' : 's'}, ` +
+          `${calls.billable_minutes} billable minute${calls.billable_minutes === 1 ? '' : 's'}`,
+        quantity: calls.billable_minutes,
+        amount: callCharges
+      },
+      {
+        type: 'sms',
+        description: `Text messages: ${smsCount} billed message${smsCount === 1 ? '' : 's'}`,
+        quantity: smsCount,
+        amount: smsCharges
+      },
+      ...entries
+        .filter(entry => ITEMIZED_TYPES.includes(entry.type))
+        .map(entry => ({
+          type: entry.type,
+          date: entry.created_at,
+          description: entry.description || entry.type,
+          quantity: 1,
+          // Charges are shown positive, credits negative, as on any bill
+          amount: roundCents(-entry.amount)
+        }))
+    ];
+
+    return {
+      user_id: userId,
+      period_month: period.month,
+      period_start: period.start,
+      period_end: period.end,
+      plan_name: plan.name,
+      call_count: calls.call_count,
+      free_minutes_used: freeMinutesUsed,
+      billable_minutes: calls.billable_minutes,
+      call_charges: callCharges,
+      sms_charges: smsCharges,
+      number_fees: numberFees,
+      top_ups: roundCents(total('top_up')),
+      refunds: roundCents(-total('refund')),
+      adjustments: roundCents(total('adjustment')),
+      total_charges: roundCents(callCharges + smsCharges + numberFees),
+      opening_balance: roundCents(openingBalance),
+      closing_balance: roundCents(closingBalance),
+      line_items: lineItems
+    };
+  }
+
+  /**
+   * The user's statement for a closed month, generated on first request
+   */
+  static async generateForUser(userId, month = null) {
+    const period = this.parsePeriod(month);
+    if (!period) {
+      const err = new Error('month must be in YYYY-MM format');
+      err.code = 'INVALID_PERIOD';
+      throw err;
+    }
+    if (!this.isClosed(period)) {
+      const err = new Error(`Statements for ${period.month} are available once the month has ended`);
+      err.code = 'PERIOD_OPEN';
+      throw err;
+    }
+
+    const existing = await Invoice.findByUserAndMonth(userId, period.month);
+    if (existing) return existing;
+
+    const statement = await this.buildStatement(userId, period);
+    const invoice = await Invoice.create(statement);
+    console.log(`🧾 Issued ${invoice.invoice_number} to user ${userId} for ${period.month}`);
+    return invoice;
+  }
+
+  /**
+   * Issue statements for every user with activity in the month. One failing user does not stop the run.
+   */
+  static async generateMonthly(month = null) {
+    const period = this.parsePeriod(month);
+    if (!period || !this.isClosed(period)) {
+      throw new Error(`Cannot issue statements for ${month || 'an open month'}`);
+    }
+
+    const summary = { month: period.month, issued: 0, errors: 0 };
+    const userIds = await Invoice.findUserIdsMissingInvoice(period.month, period.start, period.end);
+    for (const userId of userIds) {
+      try {
+        await this.generateForUser(userId, period.month);
+        summary.issued++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`❌ Error issuing ${period.month} statement for user ${userId}:`, error);
+      }
+    }
+
+    if (userIds.length > 0) {
+      console.log('🧾 Statement run:', summary);
+    }
+    return summary;
+  }
+
+  static _formatDate(value) {
+    if (!value) return '';
+    return new Date(value).toISOString().slice(0, 10);
+  }
+
+  static _money(value) {
+    const amount = parseFloat(value || 0);
+    return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+  }
+
+  static _csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static toCsv(invoice) {
+    const rows = [
+      ['Invoice', invoice.invoice_number],
+      ['Period', invoice.period_month],
+      ['Plan', invoice.plan_name],
+      [],
+      ['Date', 'Type', 'Description', 'Quantity', 'Amount (USD)']
+    ];
+
+    invoice.line_items.forEach(item => {
+      rows.push([this._formatDate(item.date), item.type, item.description, item.quantity, item.amount.toFixed(2)]);
+    });
+
+    rows.push([]);
+    rows.push(['Calls', invoice.call_count]);
+    rows.push(['Free minutes used', invoice.free_minutes_used]);
+    rows.push(['Billable minutes', invoice.billable_minutes]);
+    rows.push(['Call charges', invoice.call_charges.toFixed(2)]);
+    rows.push(['SMS charges', invoice.sms_charges.toFixed(2)]);
+    rows.push(['Number fees', invoice.number_fees.toFixed(2)]);
+    rows.push(['Total charges', invoice.total_charges.toFixed(2)]);
+    rows.push(['Top-ups', invoice.top_ups.toFixed(2)]);
+    rows.push(['Refunds', invoice.refunds.toFixed(2)]);
+    rows.push(['Adjustments', invoice.adjustments.toFixed(2)]);
+    rows.push(['Opening balance', invoice.opening_balance.toFixed(2)]);
+    rows.push(['Closing balance', invoice.closing_balance.toFixed(2)]);
+
+    return rows.map(row => row.map(cell => this._csvCell(cell)).join(',')).join('\n') + '\n';
+  }
+
+  static toPdf(invoice, user) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(18).text(`Statement ${invoice.invoice_number}`);
+      doc.fontSize(11).fillColor('#555')
+        .text(`Period: ${invoice.period_month} (UTC)`)
+        .text(`Issued: ${this._formatDate(invoice.issued_at)}`)
+        .text(`Billed to: ${user.name || ''} <${user.email}>`)
+        .text(`Plan: ${invoice.plan_name || 'n/a'}`);
+      doc.moveDown();
+
+      doc.fillColor('#000').fontSize(13).text('Charges');
+      doc.fontSize(10);
+      invoice.line_items.forEach(item => {
+        const date = item.date ? `${this._formatDate(item.date)}  ` : '';
+        doc.text(`${date}${item.description}`, { continued: true })
+          .text(`  ${this._money(item.amount)}`, { align: 'right' });
+      });
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').text(`Total charges: ${this._money(invoice.total_charges)}`).font('Helvetica');
+      doc.moveDown();
+
+      doc.fontSize(13).text('Balance');
+      doc.fontSize(10)
+        .text(`Opening balance: ${this._money(invoice.opening_balance)}`)
+        .text(`Top-ups: ${this._money(invoice.top_ups)}`)
+        .text(`Refunds: ${this._money(-invoice.refunds)}`)
+        .text(`Adjustments: ${this._money(invoice.adjustments)}`)
+        .text(`Charges: ${this._money(-invoice.total_charges)}`)
+        .font('Helvetica-Bold').text(`Closing balance: ${this._money(invoice.closing_balance)}`).font('Helvetica');
+      doc.moveDown();
+
+      doc.fontSize(13).text('Usage');
+      doc.fontSize(10)
+        .text(`Calls: ${invoice.call_count}`)
+        .text(`Free minutes used: ${invoice.free_minutes_used}`)
+        .text(`Billable minutes: ${invoice.billable_minutes}`);
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Issue last month's statements on an interval (INVOICE_JOB_INTERVAL_MINUTES, 0 disables it)
+   */
+  static startScheduler(intervalMinutes = parseInt(process.env.INVOICE_JOB_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES, 10)) {
+    if (schedulerTimer || !intervalMinutes || intervalMinutes <= 0) return null;
+
+    const run = async () => {
+      if (isRunning) return;
+      isRunning = true;
+      try {
+        await this.generateMonthly();
+      } catch (error) {
+        console.error('❌ Statement run failed:', error);
+      } finally {
+        isRunning = false;
+      }
+    };
+
+    schedulerTimer = setInterval(run, intervalMinutes * 60 * 1000);
+    schedulerTimer.unref();
+    setTimeout(run, 60 * 1000).unref();
+    console.log(`🧾 Statement job scheduled every ${intervalMinutes} minutes`);
+    return schedulerTimer;
+  }
+
+  static stopScheduler() {
+    if (schedulerTimer) {
+      clearInterval(schedulerTimer);
+      schedulerTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  InvoiceService
+};
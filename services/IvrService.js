@@ -0,0 +1,253 @@
+const TwilioCallLog = require('../models/TwilioCallLog');
+const { CallRoutingService, E164_REGEX } = require('./CallRoutingService');
+
+/**
+ * IVR menus are stored per tracking number in user_phone_numbers.ivr_config:
+ *
+ * {
+ *   "greeting": "Thanks for calling Acme Plumbing.",          // optional, played once
+ *   "menu": {
+ *     "prompt": "For sales press 1. For service press 2.",
+ *     "timeout": 5,                                            // seconds to wait for a key
+ *     "max_retries": 2,                                        // replays after no or invalid input
+ *     "options": {
+ *       "1": { "label": "Sales", "action": "forward", "targets": ["+15551234567"] },
+ *       "2": { "label": "Service", "action": "menu", "menu": { "prompt": "...", "options": { ... } } },
+ *       "3": { "label": "Message", "action": "voicemail", "message": "Leave us a message." },
+ *       "9": { "label": "Goodbye", "action": "hangup", "message": "Thanks for calling." }
+ *     },
+ *     "default": { "action": "voicemail" }                     // optional, used once retries run out
+ *   }
+ * }
+ *
+ * A menu is addressed by the digits pressed to reach it ("" is the top menu, "2" the
+ * service menu above). Forward and voicemail leaves reuse the routing rule renderer,
+ * so unanswered forwards fall back to after-hours handling and voicemail as usual.
+ */
+
+const IVR_ACTIONS = ['menu', 'forward', 'voicemail', 'hangup'];
+const IVR_RULE_ID = 'ivr';
+const OPTION_KEY_REGEX = /^[0-9*#]$/;
+const MAX_MENU_DEPTH = 5;
+const DEFAULT_TIMEOUT = 5;
+const DEFAULT_MAX_RETRIES = 2;
+
+class IvrService {
+  /**
+   * Whether calls to this number should be answered by its IVR menu
+   */
+  static isActive(userPhoneNumber) {
+    const config = userPhoneNumber && userPhoneNumber.ivr_config;
+    return !!(userPhoneNumber && userPhoneNumber.ivr_enabled && config && config.menu);
+  }
+
+  /**
+   * Menu reached by pressing the digits in path from the top menu, or null
+   */
+  static findMenu(config, path = '') {
+    let menu = config && config.menu;
+    for (const digit of String(path)) {
+      const option = menu && menu.options && menu.options[digit];
+      if (!option || option.action !== 'menu') return null;
+      menu = option.menu;
+    }
+    return menu || null;
+  }
+
+  static _gatherUrl(phoneNumberId, path, attempt) {
+    return `${process.env.SERVER_URL}/api/twilio/ivr-callback` +
+      `?phone_number_id=${encodeURIComponent(phoneNumberId)}` +
+      `&path=${encodeURIComponent(path)}` +
+      `&attempt=${attempt}`;
+  }
+
+  /**
+   * Render a menu prompt inside a <Gather>; no input redirects to the callback so retries are counted there
+   */
+  static renderMenu(twiml, userPhoneNumber, path = '', { attempt = 0, greet = false, notice = null } = {}) {
+    const config = userPhoneNumber.ivr_config || {};
+    const menu = this.findMenu(config, path);
+    if (!menu) {
+      twiml.hangup();
+      return;
+    }
+
+    const actionUrl = this._gatherUrl(userPhoneNumber.id, path, attempt);
+    const gather = twiml.gather({
+      numDigits: 1,
+      timeout: menu.timeout || DEFAULT_TIMEOUT,
+      action: actionUrl,
+      method: 'POST'
+    });
+    if (notice) gather.say({ voice: 'alice', language: 'en-US' }, notice);
+    if (greet && config.greeting) gather.say({ voice: 'alice', language: 'en-US' }, config.greeting);
+    gather.say({ voice: 'alice', language: 'en-US' }, menu.prompt);
+
+    twiml.redirect({ method: 'POST' }, actionUrl);
+  }
+
+  /**
+   * Render a selected option: open a submenu, or hand a forward/voicemail/hangup leaf to the routing renderer
+   */
+  static renderOption(twiml, userPhoneNumber, context, option, path) {
+    if (option.action === 'menu') {
+      this.renderMenu(twiml, userPhoneNumber, path);
+      return;
+    }
+
+    const targets = Array.isArray(option.targets) ? option.targets : [];
+    const actionType = option.action === 'forward'
+      ? (targets.length > 1 ? 'simultaneous' : 'forward')
+      : option.action;
+
+    CallRoutingService.renderRule(twiml, {
+      id: IVR_RULE_ID,
+      action_type: actionType,
+      action_config: {
+        targets,
+        message: option.message,
+        max_length: option.max_length,
+        ring_timeout: option.ring_timeout
+      }
+    }, context);
+  }
+
+  /**
+   * Handle a <Gather> result for the menu at path. Valid keys are recorded on the call
+   * log; no or invalid input replays the menu until max_retries, then uses the menu's
+   * default option or hangs up. Returns the option taken, or null.
+   */
+  static async handleSelection(twiml, userPhoneNumber, context, { path = '', digits = '', attempt = 0 }) {
+    const menu = this.findMenu(userPhoneNumber.ivr_config, path);
+    if (!menu) {
+      twiml.hangup();
+      return null;
+    }
+
+    let digit = digits ? String(digits).charAt(0) : '';
+    let option = digit && menu.options ? menu.options[digit] : null;
+
+    if (!option) {
+      const maxRetries = menu.max_retries !== undefined ? menu.max_retries : DEFAULT_MAX_RETRIES;
+      if (attempt < maxRetries) {
+        this.renderMenu(twiml, userPhoneNumber, path, {
+          attempt: attempt + 1,
+          notice: digit ? 'Sorry, that is not a valid option.' : 'Sorry, I didn\'t get that.'
+        });
+        return null;
+      }
+      if (!menu.default) {
+        twiml.say({ voice: 'alice', language: 'en-US' }, 'Sorry, we could not complete your request. Goodbye!');
+        twiml.hangup();
+        return null;
+      }
+      option = menu.default;
+      digit = null;
+    }
+
+    if (context.callSid) {
+      try {
+        await TwilioCallLog.appendIvrStep(context.callSid, {
+          menu: path,
+          digit,
+          label: option.label || null,
+          action: option.action
+        });
+      } catch (error) {
+        console.error('❌ Error recording IVR step:', error);
+      }
+    }
+
+    console.log(`☎️ IVR ${userPhoneNumber.phone_number}: menu "${path}" -> ${digit === null ? 'default' : digit} (${option.action})`);
+    this.renderOption(twiml, userPhoneNumber, context, option, digit === null ? path : `${path}${digit}`);
+    return option;
+  }
+
+  static _validateOption(option, where, depth) {
+    if (!option || typeof option !== 'object' || Array.isArray(option)) {
+      return `${where} must be an object`;
+    }
+    if (!IVR_ACTIONS.includes(option.action)) {
+      return `${where}.action must be one of: ${IVR_ACTIONS.join(', ')}`;
+    }
+    if (option.label !== undefined && typeof option.label !== 'string') {
+      return `${where}.label must be a string`;
+    }
+    if (option.action === 'menu') {
+      return this._validateMenu(option.menu, `${where}.menu`, depth + 1);
+    }
+    if (option.action === 'forward') {
+      if (!Array.isArray(option.targets) || option.targets.length === 0) {
+        return `${where}.targets must list at least one number to dial`;
+      }
+      const invalid = option.targets.find(t => !E164_REGEX.test(String(t)));
+      if (invalid) {
+        return `Invalid target number in ${where}: ${invalid}. Use E.164 format, e.g. +15551234567`;
+      }
+    }
+    if (option.action === 'voicemail' && option.max_length !== undefined) {
+      const seconds = parseInt(option.max_length, 10);
+      if (!seconds || seconds < 5 || seconds > 600) {
+        return `${where}.max_length must be between 5 and 600 seconds`;
+      }
+    }
+    return null;
+  }
+
+  static _validateMenu(menu, where, depth) {
+    if (depth > MAX_MENU_DEPTH) {
+      return `Menus can be nested at most ${MAX_MENU_DEPTH} levels deep`;
+    }
+    if (!menu || typeof menu !== 'object' || Array.isArray(menu)) {
+      return `${where} must be an object`;
+    }
+    if (!menu.prompt || typeof menu.prompt !== 'string') {
+      return `${where}.prompt is required`;
+    }
+    if (menu.timeout !== undefined && !(Number.isInteger(menu.timeout) && menu.timeout >= 1 && menu.timeout <= 30)) {
+      return `${where}.timeout must be between 1 and 30 seconds`;
+    }
+    if (menu.max_retries !== undefined && !(Number.isInteger(menu.max_retries) && menu.max_retries >= 0 && menu.max_retries <= 5)) {
+      return `${where}.max_retries must be between 0 and 5`;
+    }
+    if (!menu.options || typeof menu.options !== 'object' || Array.isArray(menu.options) || Object.keys(menu.options).length === 0) {
+      return `${where}.options must map at least one key to an option`;
+    }
+
+    for (const [key, option] of Object.entries(menu.options)) {
+      if (!OPTION_KEY_REGEX.test(key)) {
+        return `Invalid key "${key}" in ${where}.options. Use a single digit, * or #`;
+      }
+      const error = this._validateOption(option, `${where}.options.${key}`, depth);
+      if (error) return error;
+    }
+
+    if (menu.default !== undefined) {
+      if (menu.default && menu.default.action === 'menu') {
+        return `${where}.default cannot open another menu`;
+      }
+      const error = this._validateOption(menu.default, `${where}.default`, depth);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate an IVR config from the API. Returns an error message or null.
+   */
+  static validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return 'ivr_config must be an object with a menu';
+    }
+    if (config.greeting !== undefined && typeof config.greeting !== 'string') {
+      return 'ivr_config.greeting must be a string';
+    }
+    return this._validateMenu(config.menu, 'ivr_config.menu', 1);
+  }
+}
+
+module.exports = {
+  IvrService,
+  IVR_ACTIONS
+};
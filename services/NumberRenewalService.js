@@ -0,0 +1,232 @@
+const client = require('../config/twilioClient');
+const UserPhoneNumber = require('../models/UserPhoneNumber');
+const PhoneNumberRenewalEvent = require('../models/PhoneNumberRenewalEvent');
+const { BillingService } = require('./BillingService');
+
+// Days a number keeps working after a failed renewal, then days it stays suspended before release
+const GRACE_PERIOD_DAYS = parseInt(process.env.RENEWAL_GRACE_PERIOD_DAYS || '7', 10);
+const SUSPENSION_DAYS = parseInt(process.env.RENEWAL_SUSPENSION_DAYS || '14', 10);
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+let schedulerTimer = null;
+let isRunning = false;
+
+class NumberRenewalService {
+  /**
+   * When a number in grace gets suspended, and when a suspended number gets released
+   */
+  static getDeadlines(userPhoneNumber) {
+    return {
+      graceEndsAt: userPhoneNumber.renewal_failed_at ? addDays(userPhoneNumber.renewal_failed_at, GRACE_PERIOD_DAYS) : null,
+      releaseAt: userPhoneNumber.suspended_at ? addDays(userPhoneNumber.suspended_at, SUSPENSION_DAYS) : null
+    };
+  }
+
+  static async _logEvent(userPhoneNumber, eventType, extra = {}) {
+    try {
+      await PhoneNumberRenewalEvent.create({
+        user_id: userPhoneNumber.user_id,
+        phone_number_id: userPhoneNumber.id,
+        phone_number: userPhoneNumber.phone_number,
+        event_type: eventType,
+        renewal_due_at: userPhoneNumber.next_renewal_at ? toSqlDateTime(new Date(userPhoneNumber.next_renewal_at)) : null,
+        ...extra
+      });
+    } catch (error) {
+      console.error(`Error logging ${eventType} renewal event:`, error);
+    }
+  }
+
+  /**
+   * Stop Twilio sending calls and texts for a number to us, without giving the number up
+   */
+  static async suspend(userPhoneNumber, now = new Date()) {
+    await client.incomingPhoneNumbers(userPhoneNumber.twilio_sid).update({
+      voiceApplicationSid: '',
+      voiceUrl: '',
+      smsUrl: ''
+    });
+    await UserPhoneNumber.update(userPhoneNumber.id, {
+      renewal_status: 'suspended',
+      suspended_at: toSqlDateTime(now)
+    });
+    await this._logEvent(userPhoneNumber, 'suspended', {
+      notes: `Renewal unpaid after ${GRACE_PERIOD_DAYS} day grace period; voice and SMS URLs detached`
+    });
+    console.log(`⏸️ Suspended ${userPhoneNumber.phone_number} for unpaid renewal`);
+  }
+
+  /**
+   * Point a suspended number back at our webhooks (same configuration as buy-number).
+   * The number stays reactivation_pending until Twilio accepts the update, so a failure is retried next run.
+   */
+  static async reactivate(userPhoneNumber) {
+    try {
+      await client.incomingPhoneNumbers(userPhoneNumber.twilio_sid).update({
+        voiceApplicationSid: process.env.TWILIO_APP_SID,
+        voiceUrl: `${process.env.SERVER_URL}/api/twilio/twiml`,
+        smsUrl: `${process.env.SERVER_URL}/api/sms/incoming`,
+        smsMethod: 'POST'
+      });
+    } catch (twilioErr) {
+      await this._logEvent(userPhoneNumber, 'reactivation_failed', {
+        notes: `Renewal paid but restoring voice and SMS URLs failed (${String(twilioErr.message || twilioErr).slice(0, 150)}); retrying next run`
+      });
+      console.error(`❌ Could not reactivate ${userPhoneNumber.phone_number}, will retry:`, twilioErr);
+      return false;
+    }
+    await UserPhoneNumber.update(userPhoneNumber.id, { reactivation_pending: false });
+    await this._logEvent(userPhoneNumber, 'reactivated', { notes: 'Renewal paid; voice and SMS URLs restored' });
+    console.log(`▶️ Reactivated ${userPhoneNumber.phone_number} after renewal payment`);
+    return true;
+  }
+
+  /**
+   * Give the number back to Twilio and deactivate it
+   */
+  static async release(userPhoneNumber) {
+    try {
+      await client.incomingPhoneNumbers(userPhoneNumber.twilio_sid).remove();
+    } catch (twilioErr) {
+      // Already gone on Twilio's side is fine; anything else retries on the next run
+      if (twilioErr.status !== 404) throw twilioErr;
+    }
+    await UserPhoneNumber.update(userPhoneNumber.id, {
+      is_active: false,
+      renewal_status: 'released',
+      next_renewal_at: null
+    });
+    await this._logEvent(userPhoneNumber, 'released', {
+      notes: `Suspended for ${SUSPENSION_DAYS} days without payment; number released`
+    });
+    console.log(`🗑️ Released ${userPhoneNumber.phone_number} for unpaid renewal`);
+  }
+
+  /**
+   * Take the next renewal step for one due number. Returns what happened.
+   */
+  static async processNumber(userPhoneNumber, now = new Date()) {
+    const result = await BillingService.chargeForNumberRenewal(userPhoneNumber.id, now);
+    if (result.skipped) return 'skipped';
+
+    if (result.charged) {
+      console.log(`💳 Renewed ${userPhoneNumber.phone_number} for $${result.amount.toFixed(2)}`);
+      if (result.wasSuspended) {
+        return (await this.reactivate(userPhoneNumber)) ? 'reactivated' : 'reactivation_failed';
+      }
+      return 'renewed';
+    }
+
+    // Insufficient balance: walk the number through grace, suspension and release
+    const { graceEndsAt, releaseAt } = this.getDeadlines(userPhoneNumber);
+    switch (userPhoneNumber.renewal_status) {
+      case 'active':
+        await UserPhoneNumber.update(userPhoneNumber.id, {
+          renewal_status: 'grace',
+          renewal_failed_at: toSqlDateTime(now)
+        });
+        await this._logEvent(userPhoneNumber, 'payment_failed', {
+          amount: result.amount,
+          balance_before: result.balance,
+          balance_after: result.balance,
+          notes: `Insufficient balance; suspends after ${toSqlDateTime(addDays(now, GRACE_PERIOD_DAYS))} UTC unless topped up`
+        });
+        console.log(`⚠️ Renewal failed for ${userPhoneNumber.phone_number}, grace period started`);
+        return 'grace';
+      case 'grace':
+        if (graceEndsAt && now >= graceEndsAt) {
+          await this.suspend(userPhoneNumber, now);
+          return 'suspended';
+        }
+        return 'grace';
+      case 'suspended':
+        if (releaseAt && now >= releaseAt) {
+          await this.release(userPhoneNumber);
+          return 'released';
+        }
+        return 'suspended';
+      default:
+        return 'skipped';
+    }
+  }
+
+  /**
+   * Process every number whose renewal is due, after retrying paid numbers still waiting to be reactivated.
+   * One failing number does not stop the run.
+   */
+  static async processDueRenewals(now = new Date()) {
+    const summary = { processed: 0, renewed: 0, reactivated: 0, reactivation_failed: 0, grace: 0, suspended: 0, released: 0, skipped: 0, errors: 0 };
+
+    const pendingNumbers = await UserPhoneNumber.findPendingReactivation();
+    for (const userPhoneNumber of pendingNumbers) {
+      summary.processed++;
+      try {
+        const restored = await this.reactivate(userPhoneNumber);
+        summary[restored ? 'reactivated' : 'reactivation_failed']++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`❌ Error reactivating ${userPhoneNumber.phone_number}:`, error);
+      }
+    }
+
+    const dueNumbers = await UserPhoneNumber.findDueForRenewal(now);
+
+    for (const userPhoneNumber of dueNumbers) {
+      summary.processed++;
+      try {
+        const outcome = await this.processNumber(userPhoneNumber, now);
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        summary.errors++;
+        console.error(`❌ Error renewing ${userPhoneNumber.phone_number}:`, error);
+      }
+    }
+
+    if (summary.processed > 0) {
+      console.log('🔁 Number renewal run:', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Run the processor on an interval (RENEWAL_JOB_INTERVAL_MINUTES, 0 disables it)
+   */
+  static startScheduler(intervalMinutes = parseInt(process.env.RENEWAL_JOB_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES, 10)) {
+    if (schedulerTimer || !intervalMinutes || intervalMinutes <= 0) return null;
+
+    const run = async () => {
+      if (isRunning) return;
+      isRunning = true;
+      try {
+        await this.processDueRenewals();
+      } catch (error) {
+        console.error('❌ Number renewal run failed:', error);
+      } finally {
+        isRunning = false;
+      }
+    };
+
+    schedulerTimer = setInterval(run, intervalMinutes * 60 * 1000);
+    schedulerTimer.unref();
+    setTimeout(run, 30 * 1000).unref();
+    console.log(`🔁 Number renewal job scheduled every ${intervalMinutes} minutes`);
+    return schedulerTimer;
+  }
+
+  static stopScheduler() {
+    if (schedulerTimer) {
+      clearInterval(schedulerTimer);
+      schedulerTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  NumberRenewalService,
+  GRACE_PERIOD_DAYS,
+  SUSPENSION_DAYS
+};
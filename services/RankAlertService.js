@@ -0,0 +1,432 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const KeywordTracking = require('../models/KeywordTracking');
+const RankAlert = require('../models/RankAlert');
+const RankAlertRule = require('../models/RankAlertRule');
+const RankAlertSetting = require('../models/RankAlertSetting');
+const RankDigest = require('../models/RankDigest');
+const { EmailService } = require('./EmailService');
+
+const { RULE_TYPES } = RankAlertRule;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DIGEST_INTERVAL_MINUTES = 60;
+const DIGEST_LIST_SIZE = 10; // winners/losers shown per digest
+
+const rankLabel = (rank) => (rank === null || rank === undefined ? 'not in top 100' : `#${rank}`);
+
+// Webhooks may only reach the public internet: no loopback, private, link-local or shared ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup that refuses blocked addresses, so the address checked is the one connected to
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EBLOCKEDADDRESS' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+let schedulerTimer = null;
+let isRunning = false;
+
+class RankAlertService {
+  /**
+   * Validate rule input from the API. Returns an error message or null.
+   */
+  static validateRule(data, { isNew = false } = {}) {
+    if (isNew) {
+      if (!RULE_TYPES.includes(data.rule_type)) {
+        return `rule_type must be one of: ${RULE_TYPES.join(', ')}`;
+      }
+      if (!data.keyword_tracking_id === !data.client_id) {
+        return 'Provide either keyword_tracking_id or client_id';
+      }
+    }
+    if (data.threshold !== undefined && data.threshold !== null &&
+      !(Number.isInteger(Number(data.threshold)) && Number(data.threshold) > 0)) {
+      return 'threshold must be a positive whole number of positions';
+    }
+    if (isNew && data.rule_type === 'moved_positions' && !data.threshold) {
+      return 'threshold is required for moved_positions rules';
+    }
+    if (data.webhook_url) {
+      try {
+        const { protocol } = new URL(data.webhook_url);
+        if (protocol !== 'https:' && protocol !== 'http:') throw new Error('bad protocol');
+      } catch (e) {
+        return 'webhook_url must be an http(s) URL';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that a webhook URL resolves only to public addresses. Returns an error message or null.
+   */
+  static async checkWebhookUrl(webhookUrl) {
+    if (!webhookUrl) return null;
+    try {
+      const hostname = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '');
+      const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+      if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        return 'webhook_url must point to a public address';
+      }
+      return null;
+    } catch (e) {
+      return 'webhook_url host could not be resolved';
+    }
+  }
+
+  /**
+   * Check that the rule's keyword or client belongs to the user. Returns an error message or null.
+   */
+  static async checkTarget(data, userId) {
+    if (data.keyword_tracking_id) {
+      const keyword = await KeywordTracking.findById(data.keyword_tracking_id, userId);
+      return keyword ? null : 'Keyword tracking entry not found';
+    }
+    const client = await Client.findById(data.client_id, userId);
+    return client ? null : 'Client not found';
+  }
+
+  /**
+   * The message for a rule that fires on this rank change, or null when it does not fire.
+   * firstTop3 says whether currentRank is the keyword's first ever top-3 position.
+   */
+  static evaluateRule(rule, keyword, previousRank, currentRank, { firstTop3 = false } = {}) {
+    const name = `"${keyword.keyword}"`;
+    switch (rule.rule_type) {
+      case 'dropped_out_top_10':
+        if (previousRank !== null && previousRank <= 10 && (currentRank === null || currentRank > 10)) {
+          return `${name} dropped out of the top 10 (${rankLabel(previousRank)} → ${rankLabel(currentRank)})`;
+        }
+        return null;
+      case 'moved_positions': {
+        if (previousRank === null || currentRank === null) return null;
+        const moved = previousRank - currentRank;
+        if (Math.abs(moved) > rule.threshold) {
+          return `${name} moved ${moved > 0 ? 'up' : 'down'} ${Math.abs(moved)} positions (${rankLabel(previousRank)} → ${rankLabel(currentRank)})`;
+        }
+        return null;
+      }
+      case 'entered_top_3':
+        if (firstTop3 && currentRank !== null && currentRank <= 3) {
+          return `${name} reached the top 3 for the first time (${rankLabel(currentRank)})`;
+        }
+        return null;
+      case 'lost_ranking':
+        if (previousRank !== null && currentRank === null) {
+          return `${name} is no longer ranking in the top 100 (was ${rankLabel(previousRank)})`;
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Look up the rules covering a keyword before its new rank is saved. Keyword rules replace
+   * client rules of the same type. Pass the result to raiseAlerts once the rank is stored.
+   */
+  static async prepare(keyword, currentRank) {
+    try {
+      const rules = await RankAlertRule.findForKeyword(keyword);
+      const keywordTypes = new Set(rules.filter(r => r.keyword_tracking_id).map(r => r.rule_type));
+      const applicable = rules.filter(r => r.keyword_tracking_id || !keywordTypes.has(r.rule_type));
+
+      // Has to be read before the new rank lands in the history
+      const firstTop3 = currentRank !== null && currentRank <= 3 &&
+        applicable.some(r => r.rule_type === 'entered_top_3') &&
+        !(await KeywordTracking.hasReachedRank(keyword.id, 3));
+
+      return { keyword, previousRank: keyword.current_rank ?? null, currentRank, rules: applicable, firstTop3 };
+    } catch (error) {
+      console.error(`Error loading rank alert rules for keyword ${keyword.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store and deliver the alerts whose rules fire. Never throws, so a failed alert
+   * cannot fail the rank check itself.
+   */
+  static async raiseAlerts(context) {
+    if (!context || context.rules.length === 0) return [];
+    const { keyword, previousRank, currentRank, rules, firstTop3 } = context;
+    const alerts = [];
+
+    for (const rule of rules) {
+      const message = this.evaluateRule(rule, keyword, previousRank, currentRank, { firstTop3 });
+      if (!message) continue;
+
+      try {
+        const alert = await RankAlert.create({
+          user_id: keyword.user_id,
+          rule_id: rule.id,
+          keyword_tracking_id: keyword.id,
+          alert_type: rule.rule_type,
+          previous_rank: previousRank,
+          current_rank: currentRank,
+          message
+        });
+        await this.deliver(alert, rule, keyword);
+        alerts.push(alert);
+      } catch (error) {
+        console.error(`❌ Error raising ${rule.rule_type} alert for keyword ${keyword.id}:`, error);
+      }
+    }
+
+    if (alerts.length > 0) {
+      console.log(`🔔 ${alerts.length} rank alert(s) for keyword ${keyword.id}`);
+    }
+    return alerts;
+  }
+
+  /**
+   * Send an alert by email and webhook as the rule asks, and record how each went
+   */
+  static async deliver(alert, rule, keyword) {
+    let email_status = 'skipped';
+    if (rule.notify_email && EmailService.isEnabled()) {
+      const user = await User.findById(keyword.user_id);
+      const sent = user && await EmailService.send({
+        to: user.email,
+        subject: `Ranking alert: ${keyword.keyword}`,
+        text: `Hi ${user.name || 'there'},\n\n${alert.message}.\n\nTarget URL: ${keyword.target_url}\n\nSee the full ranking history in your keyword tracking dashboard.`
+      });
+      email_status = sent ? 'sent' : 'failed';
+    }
+
+    let webhook_status = 'skipped';
+    let webhook_error = null;
+    if (rule.webhook_url) {
+      try {
+        await this.postWebhook(rule, {
+          event: 'rank_alert',
+          alert: {
+            id: alert.id,
+            type: alert.alert_type,
+            message: alert.message,
+            previous_rank: alert.previous_rank,
+            current_rank: alert.current_rank,
+            created_at: alert.created_at
+          },
+          keyword: {
+            id: keyword.id,
+            keyword: keyword.keyword,
+            target_url: keyword.target_url,
+            client_id: keyword.client_id,
+            country: keyword.country
+          },
+          rule_id: rule.id
+        });
+        webhook_status = 'sent';
+      } catch (error) {
+        webhook_status = 'failed';
+        webhook_error = error.response ? `HTTP ${error.response.status}` : error.message;
+        console.warn(`⚠️ Rank alert webhook failed for rule ${rule.id}: ${webhook_error}`);
+      }
+    }
+
+    await RankAlert.recordDelivery(alert.id, { email_status, webhook_status, webhook_error });
+    Object.assign(alert, { email_status, webhook_status, webhook_error });
+  }
+
+  /**
+   * POST a JSON payload to the rule's webhook. The body is signed with the rule's secret:
+   * X-Rank-Alert-Signature is "sha256=" + hex HMAC-SHA256 of the raw body.
+   * Redirects are not followed and private addresses are refused.
+   */
+  static async postWebhook(rule, payload) {
+    const urlError = await this.checkWebhookUrl(rule.webhook_url);
+    if (urlError) throw new Error(urlError);
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', rule.webhook_secret || '').update(body).digest('hex');
+    await axios.post(rule.webhook_url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Rank-Alert-Signature': `sha256=${signature}`
+      },
+      timeout: 10000,
+      maxRedirects: 0,
+      // The connection re-checks what it resolves, so a host re-pointed after the check is refused too
+      ...webhookAgents
+    });
+  }
+
+  /**
+   * The last full week, Monday 00:00 UTC to the following Monday
+   */
+  static weekBounds(now = new Date()) {
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const daysSinceMonday = (today.getUTCDay() + 6) % 7;
+    const periodEnd = new Date(today.getTime() - daysSinceMonday * DAY_MS);
+    return { periodStart: new Date(periodEnd.getTime() - 7 * DAY_MS), periodEnd };
+  }
+
+  /**
+   * Winners and losers across a user's tracked keywords since periodStart. The starting rank is the
+   * last one recorded before the period; the end rank is the keyword's current rank.
+   */
+  static async buildDigest(userId, periodStart, periodEnd) {
+    const rows = await KeywordTracking.getRankMovement(userId, periodStart);
+    const checked = rows.filter(row => row.last_checked && new Date(row.last_checked) >= periodStart);
+
+    const movements = checked.map(row => ({
+      keyword_tracking_id: row.id,
+      keyword: row.keyword,
+      client_id: row.client_id,
+      client_name: row.client_name,
+      start_rank: row.start_rank,
+      end_rank: row.current_rank,
+      change: row.start_rank !== null && row.current_rank !== null ? row.start_rank - row.current_rank : null
+    }));
+
+    const winners = movements.filter(m => m.change > 0).sort((a, b) => b.change - a.change);
+    const losers = movements.filter(m => m.change < 0).sort((a, b) => a.change - b.change);
+    const newRankings = movements.filter(m => m.start_rank === null && m.end_rank !== null);
+    const lost = movements.filter(m => m.start_rank !== null && m.end_rank === null);
+    const ranked = rows.filter(row => row.current_rank !== null);
+
+    return {
+      period_start: periodStart,
+      period_end: periodEnd,
+      totals: {
+        tracked: rows.length,
+        checked: checked.length,
+        improved: winners.length,
+        declined: losers.length,
+        unchanged: movements.filter(m => m.change === 0).length,
+        new_rankings: newRankings.length,
+        lost: lost.length,
+        in_top_3: ranked.filter(row => row.current_rank <= 3).length,
+        in_top_10: ranked.filter(row => row.current_rank <= 10).length,
+        average_rank: ranked.length > 0
+          ? Math.round(ranked.reduce((sum, row) => sum + row.current_rank, 0) / ranked.length * 10) / 10
+          : null
+      },
+      winners: winners.slice(0, DIGEST_LIST_SIZE),
+      losers: losers.slice(0, DIGEST_LIST_SIZE),
+      new_rankings: newRankings.slice(0, DIGEST_LIST_SIZE),
+      lost: lost.slice(0, DIGEST_LIST_SIZE),
+      alerts_triggered: await RankAlert.countByUserSince(userId, periodStart, periodEnd)
+    };
+  }
+
+  static formatDigestEmail(user, digest) {
+    const day = (date) => new Date(date).toISOString().slice(0, 10);
+    const line = (m) => `  ${m.keyword}${m.client_name ? ` (${m.client_name})` : ''}: ${rankLabel(m.start_rank)} → ${rankLabel(m.end_rank)}`;
+    const section = (title, items) => (items.length > 0 ? `\n${title}\n${items.map(line).join('\n')}\n` : '');
+    const { totals } = digest;
+
+    return `Hi ${user.name || 'there'},
+
+Here is how your tracked keywords moved from ${day(digest.period_start)} to ${day(digest.period_end)}.
+
+${totals.checked} of ${totals.tracked} keywords checked: ${totals.improved} up, ${totals.declined} down, ${totals.unchanged} unchanged.
+${totals.in_top_3} in the top 3, ${totals.in_top_10} in the top 10${totals.average_rank !== null ? `, average position ${totals.average_rank}` : ''}.
+${section('Biggest winners', digest.winners)}${section('Biggest losers', digest.losers)}${section('Newly ranking', digest.new_rankings)}${section('No longer ranking', digest.lost)}
+${digest.alerts_triggered} ranking alert(s) fired this week.`;
+  }
+
+  /**
+   * Send last week's digest to every user who has tracked keywords and has not opted out.
+   * Each user and week is claimed first, so overlapping runs and restarts never send twice.
+   */
+  static async sendWeeklyDigests(now = new Date()) {
+    const { periodStart, periodEnd } = this.weekBounds(now);
+    const userIds = await RankAlertSetting.findDigestRecipients();
+    const results = { sent: 0, skipped: 0, failed: 0 };
+
+    for (const userId of userIds) {
+      const digestId = await RankDigest.claim(userId, periodStart, periodEnd);
+      if (!digestId) continue;
+
+      try {
+        const [user, digest] = await Promise.all([
+          User.findById(userId),
+          this.buildDigest(userId, periodStart, periodEnd)
+        ]);
+
+        let status = 'skipped';
+        if (user && digest.totals.checked > 0 && EmailService.isEnabled()) {
+          const sent = await EmailService.send({
+            to: user.email,
+            subject: 'Your weekly ranking digest',
+            text: this.formatDigestEmail(user, digest)
+          });
+          status = sent ? 'sent' : 'failed';
+        }
+        await RankDigest.complete(digestId, digest, status);
+        results[status]++;
+      } catch (error) {
+        console.error(`❌ Error sending rank digest to user ${userId}:`, error);
+        await RankDigest.release(digestId).catch(() => {});
+        results.failed++;
+      }
+    }
+
+    if (results.sent + results.failed > 0) {
+      console.log('📬 Weekly ranking digests:', results);
+    }
+    return results;
+  }
+
+  /**
+   * Look for unsent weekly digests on an interval (RANK_DIGEST_INTERVAL_MINUTES, 0 disables it)
+   */
+  static startScheduler(intervalMinutes = parseInt(process.env.RANK_DIGEST_INTERVAL_MINUTES || DEFAULT_DIGEST_INTERVAL_MINUTES, 10)) {
+    if (schedulerTimer || !intervalMinutes || intervalMinutes <= 0) return null;
+
+    const run = async () => {
+      if (isRunning) return;
+      isRunning = true;
+      try {
+        await this.sendWeeklyDigests();
+      } catch (error) {
+        console.error('❌ Weekly ranking digest run failed:', error);
+      } finally {
+        isRunning = false;
+      }
+    };
+
+    schedulerTimer = setInterval(run, intervalMinutes * 60 * 1000);
+    schedulerTimer.unref();
+    setTimeout(run, 60 * 1000).unref();
+    console.log(`📬 Ranking digest job scheduled every ${intervalMinutes} minutes`);
+    return schedulerTimer;
+  }
+}
+
+module.exports = {
+  RankAlertService
+};
@@ -0,0 +1,319 @@
+const axios = require('axios');
+const KeywordTracking = require('../models/KeywordTracking');
+const seoApiKeyService = require('./seoApiKeyService');
+const { RankAlertService } = require('./RankAlertService');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MIN_INTERVAL_MS = 1000; // spacing between SerpAPI calls across all workers
+const LEASE_MINUTES = 30;
+// Backoff after consecutive failures: 15 min, 30 min, 1 h, ... capped at a day
+const RETRY_BASE_MINUTES = 15;
+const RETRY_MAX_MINUTES = 24 * 60;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run summaries without the id of whoever triggered them
+const describeRun = (run) => {
+  if (!run) return null;
+  const { userId, ...rest } = run;
+  return { ...rest, scope: userId ? 'user' : 'all' };
+};
+
+// Runs are locked per scope: the scheduled run covers everyone, a manual run covers one user.
+// Keyword leases keep overlapping runs from checking the same keyword twice.
+const ALL_USERS = 'all';
+const runKey = (userId) => (userId ? `user:${userId}` : ALL_USERS);
+
+let schedulerTimer = null;
+const activeRuns = new Map();
+const lastRuns = new Map();
+let nextCallAt = 0; // shared by every run, so parallel runs still keep to one SerpAPI rate limit
+const jobState = {
+  intervalMinutes: null,
+  nextRunAt: null
+};
+
+class RankCheckService {
+  /**
+   * Get ranking data from SerpAPI: the position of url in the top 100 results for keyword
+   */
+  static async getRankingFromAPI(keyword, url, country = 'us') {
+    try {
+      // Use the same API key service as SeoControllerMap
+      const serpapiKey = await seoApiKeyService.getAvailableApiKey();
+
+      if (!serpapiKey) {
+        const err = new Error('No available SerpAPI key found');
+        err.code = 'NO_API_KEY';
+        throw err;
+      }
+
+      const params = new URLSearchParams({
+        engine: "google",
+        q: keyword,
+        google_domain: country === 'us' ? 'google.com' : `google.${country}`,
+        hl: "en",
+        num: "100", // fetch top 100 results
+        api_key: serpapiKey
+      });
+
+      const apiUrl = `https://serpapi.com/search.json?${params.toString()}`;
+      const response = await axios.get(apiUrl, { timeout: 30000 });
+      const data = response.data;
+
+      // Track API key usage (same as SeoControllerMap)
+      await seoApiKeyService.incrementApiKeyUsage(serpapiKey, 1);
+
+      if (!data.organic_results) {
+        throw new Error("No organic results found.");
+      }
+
+      // Find the rank where your URL appears
+      const match = data.organic_results.find(
+        (result) =>
+          result.link &&
+          result.link.toLowerCase().includes(url.toLowerCase())
+      );
+
+      if (match) {
+        return {
+          rank: match.position,
+          title: match.title,
+          snippet: match.snippet,
+          url: match.link,
+          search_volume: null, // SerpAPI doesn't provide this
+          competition_level: null, // SerpAPI doesn't provide this
+          cpc: null, // SerpAPI doesn't provide this
+          raw_data: {
+            keyword,
+            target_url: url,
+            position: match.position,
+            title: match.title,
+            snippet: match.snippet,
+            link: match.link
+          }
+        };
+      } else {
+        return {
+          rank: null,
+          title: null,
+          snippet: null,
+          url: null,
+          search_volume: null,
+          competition_level: null,
+          cpc: null,
+          raw_data: {
+            keyword,
+            target_url: url,
+            position: null,
+            message: "URL not found in top 100 results."
+          }
+        };
+      }
+
+    } catch (error) {
+      console.error('Error getting ranking from SerpAPI:', error);
+      const err = new Error(`Failed to get ranking data: ${error.message}`);
+      err.code = error.code;
+      throw err;
+    }
+  }
+
+  /**
+   * Save a check result (tracking row and history) and raise any rank alerts it triggers.
+   * Every rank check goes through here: manual, bulk and scheduled.
+   */
+  static async recordRanking(keyword, rankingData, notes) {
+    const currentRank = rankingData.rank ?? null;
+    const alertContext = await RankAlertService.prepare(keyword, currentRank);
+
+    const updated = await KeywordTracking.updateRanking(keyword.id, keyword.user_id, {
+      current_rank: currentRank,
+      search_volume: rankingData.search_volume,
+      competition_level: rankingData.competition_level,
+      cpc: rankingData.cpc,
+      notes
+    });
+
+    if (updated) {
+      await RankAlertService.raiseAlerts(alertContext);
+    }
+    return updated;
+  }
+
+  /**
+   * When a keyword that has failed `failures` times in a row may be tried again
+   */
+  static retryAt(failures, now = new Date()) {
+    const minutes = Math.min(RETRY_BASE_MINUTES * 2 ** Math.max(0, failures - 1), RETRY_MAX_MINUTES);
+    return new Date(now.getTime() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Check one leased keyword and record the result. Throws only when the run should stop (no API key left).
+   */
+  static async checkKeyword(keyword) {
+    try {
+      const rankingData = await this.getRankingFromAPI(keyword.keyword, keyword.target_url, keyword.country);
+      await this.recordRanking(keyword, rankingData,
+        `Scheduled ${keyword.check_frequency} check on ${new Date().toISOString()}. ${rankingData.rank ? `Found at position ${rankingData.rank}` : 'Not found in top 100 results'}`);
+      await KeywordTracking.recordCheckSuccess(keyword.id);
+      return { id: keyword.id, rank: rankingData.rank };
+    } catch (error) {
+      if (error.code === 'NO_API_KEY') {
+        await KeywordTracking.releaseCheck(keyword.id);
+        throw error;
+      }
+      const failures = (keyword.check_failures || 0) + 1;
+      const retryAt = this.retryAt(failures);
+      await KeywordTracking.recordCheckFailure(keyword.id, error.message, retryAt);
+      console.warn(`⚠️ Rank check failed for keyword ${keyword.id} (attempt ${failures}), retrying after ${retryAt.toISOString()}: ${error.message}`);
+      return { id: keyword.id, error: error.message };
+    }
+  }
+
+  /**
+   * Check a batch of due keywords with a few workers sharing one rate limit.
+   * Pass userId to limit the run to one user's keywords; only one run per scope at a time.
+   */
+  static async runDueChecks({ userId = null, trigger = 'schedule' } = {}) {
+    const key = runKey(userId);
+    if (activeRuns.has(key)) {
+      const err = new Error('A rank check run is already in progress');
+      err.code = 'RUN_IN_PROGRESS';
+      throw err;
+    }
+
+    const batchSize = envInt('RANK_CHECK_BATCH_SIZE', DEFAULT_BATCH_SIZE);
+    const concurrency = Math.max(1, envInt('RANK_CHECK_CONCURRENCY', DEFAULT_CONCURRENCY));
+    const minIntervalMs = envInt('RANK_CHECK_MIN_INTERVAL_MS', DEFAULT_MIN_INTERVAL_MS);
+
+    const summary = {
+      trigger,
+      userId,
+      startedAt: new Date(),
+      finishedAt: null,
+      due: 0,
+      checked: 0,
+      failed: 0,
+      skipped: 0,
+      stoppedEarly: null
+    };
+    activeRuns.set(key, summary);
+
+    try {
+      const keywords = await KeywordTracking.getKeywordsToCheck({ userId, limit: batchSize });
+      summary.due = keywords.length;
+
+      const queue = [...keywords];
+      let stop = false;
+
+      const worker = async () => {
+        while (!stop && queue.length > 0) {
+          const keyword = queue.shift();
+          if (!(await KeywordTracking.claimForCheck(keyword.id, LEASE_MINUTES))) {
+            summary.skipped++;
+            continue;
+          }
+
+          // Reserve the next slot before waiting so workers never call at the same time
+          const waitMs = Math.max(0, nextCallAt - Date.now());
+          nextCallAt = Math.max(nextCallAt, Date.now()) + minIntervalMs;
+          if (waitMs > 0) await sleep(waitMs);
+
+          try {
+            const result = await this.checkKeyword(keyword);
+            if (result.error) summary.failed++;
+            else summary.checked++;
+          } catch (error) {
+            stop = true;
+            summary.stoppedEarly = error.message;
+          }
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(concurrency, Math.max(queue.length, 1)) }, worker));
+    } finally {
+      summary.finishedAt = new Date();
+      lastRuns.set(key, summary);
+      activeRuns.delete(key);
+    }
+
+    if (summary.due > 0) {
+      console.log('📈 Rank check run:', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Whether a run is in progress for the user (or the scheduled run, without userId)
+   */
+  static isRunning(userId = null) {
+    return activeRuns.has(runKey(userId));
+  }
+
+  /**
+   * Worker state plus due/failing counts (for one user when userId is given).
+   * running/currentRun/lastRun describe that user's manual runs; scheduledRun the shared one.
+   */
+  static async getStatus(userId = null) {
+    const counts = await KeywordTracking.getCheckCounts(userId);
+    const key = runKey(userId);
+    return {
+      schedulerEnabled: !!schedulerTimer,
+      intervalMinutes: jobState.intervalMinutes,
+      running: activeRuns.has(key),
+      currentRun: describeRun(activeRuns.get(key)),
+      lastRun: describeRun(lastRuns.get(key)),
+      scheduledRun: describeRun(activeRuns.get(ALL_USERS)),
+      lastScheduledRun: describeRun(lastRuns.get(ALL_USERS)),
+      nextRunAt: jobState.nextRunAt,
+      keywords: counts
+    };
+  }
+
+  /**
+   * Check due keywords on an interval (RANK_CHECK_INTERVAL_MINUTES, 0 disables it)
+   */
+  static startScheduler(intervalMinutes = envInt('RANK_CHECK_INTERVAL_MINUTES', DEFAULT_INTERVAL_MINUTES)) {
+    if (schedulerTimer || !intervalMinutes || intervalMinutes <= 0) return null;
+
+    const intervalMs = intervalMinutes * 60 * 1000;
+    const run = async () => {
+      jobState.nextRunAt = new Date(Date.now() + intervalMs);
+      if (activeRuns.has(ALL_USERS)) return;
+      try {
+        await this.runDueChecks();
+      } catch (error) {
+        console.error('❌ Rank check run failed:', error);
+      }
+    };
+
+    jobState.intervalMinutes = intervalMinutes;
+    jobState.nextRunAt = new Date(Date.now() + 60 * 1000);
+    schedulerTimer = setInterval(run, intervalMs);
+    schedulerTimer.unref();
+    setTimeout(run, 60 * 1000).unref();
+    console.log(`📈 Rank check job scheduled every ${intervalMinutes} minutes`);
+    return schedulerTimer;
+  }
+
+  static stopScheduler() {
+    if (schedulerTimer) {
+      clearInterval(schedulerTimer);
+      schedulerTimer = null;
+      jobState.nextRunAt = null;
+    }
+  }
+}
+
+module.exports = {
+  RankCheckService
+};
@@ -0,0 +1,167 @@
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const SpendingLimit = require('../models/SpendingLimit');
+const PricingPlan = require('../models/PricingPlan');
+const TwilioCallLog = require('../models/TwilioCallLog');
+const BalanceTransaction = require('../models/BalanceTransaction');
+const { EmailService } = require('./EmailService');
+
+const MAX_CALL_SECONDS = 4 * 60 * 60; // Twilio's own <Dial timeLimit> ceiling
+
+const dayStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const monthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const money = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+class SpendingLimitService {
+  /**
+   * Validate limits input from the API. Caps may be null to remove them. Returns an error message or null.
+   */
+  static validateLimits({ daily_cap, monthly_cap, low_balance_threshold, daily_call_cap, monthly_call_cap }) {
+    const isAmountOrNull = (value) => value === null || (Number.isFinite(parseFloat(value)) && parseFloat(value) >= 0);
+    const isCountOrNull = (value) => value === null || (Number.isInteger(Number(value)) && Number(value) >= 0);
+
+    for (const [field, value] of Object.entries({ daily_cap, monthly_cap, low_balance_threshold })) {
+      if (value !== undefined && !isAmountOrNull(value)) {
+        return `${field} must be a non-negative amount in USD, or null`;
+      }
+    }
+    for (const [field, value] of Object.entries({ daily_call_cap, monthly_call_cap })) {
+      if (value !== undefined && !isCountOrNull(value)) {
+        return `${field} must be a non-negative whole number, or null`;
+      }
+    }
+    if (daily_cap !== undefined && monthly_cap !== undefined && daily_cap !== null && monthly_cap !== null &&
+        parseFloat(daily_cap) > parseFloat(monthly_cap)) {
+      return 'daily_cap cannot be more than monthly_cap';
+    }
+    return null;
+  }
+
+  /**
+   * What the user has been charged today and this month (UTC)
+   */
+  static async getUsage(userId, now = new Date()) {
+    const [spentToday, spentThisMonth] = await Promise.all([
+      BalanceTransaction.sumChargesSince(userId, dayStart(now)),
+      BalanceTransaction.sumChargesSince(userId, monthStart(now))
+    ]);
+    return { spentToday, spentThisMonth };
+  }
+
+  static async getNumberUsage(userPhoneNumber, now = new Date()) {
+    const [callsToday, callsThisMonth] = await Promise.all([
+      TwilioCallLog.countOutboundSince(userPhoneNumber.id, dayStart(now)),
+      TwilioCallLog.countOutboundSince(userPhoneNumber.id, monthStart(now))
+    ]);
+    return { callsToday, callsThisMonth };
+  }
+
+  /**
+   * Whether an outbound call from this number may start. Returns { allowed, reason, message }
+   * and, when a spend cap applies, maxCallSeconds so one long call cannot run far past it.
+   */
+  static async checkOutboundCall(userPhoneNumber, now = new Date()) {
+    const userId = userPhoneNumber.user_id;
+
+    if (userPhoneNumber.daily_call_cap !== null || userPhoneNumber.monthly_call_cap !== null) {
+      const { callsToday, callsThisMonth } = await this.getNumberUsage(userPhoneNumber, now);
+      if (userPhoneNumber.daily_call_cap !== null && callsToday >= userPhoneNumber.daily_call_cap) {
+        return { allowed: false, reason: 'number_daily_call_cap', message: 'This number has reached its daily call limit.' };
+      }
+      if (userPhoneNumber.monthly_call_cap !== null && callsThisMonth >= userPhoneNumber.monthly_call_cap) {
+        return { allowed: false, reason: 'number_monthly_call_cap', message: 'This number has reached its monthly call limit.' };
+      }
+    }
+
+    const limits = await SpendingLimit.findByUserId(userId);
+    if (limits.daily_cap === null && limits.monthly_cap === null) return { allowed: true };
+
+    const { spentToday, spentThisMonth } = await this.getUsage(userId, now);
+    if (limits.daily_cap !== null && spentToday >= limits.daily_cap) {
+      return { allowed: false, reason: 'daily_cap', message: 'You have reached your daily spending limit.' };
+    }
+    if (limits.monthly_cap !== null && spentThisMonth >= limits.monthly_cap) {
+      return { allowed: false, reason: 'monthly_cap', message: 'You have reached your monthly spending limit.' };
+    }
+
+    const headroom = Math.min(
+      limits.daily_cap !== null ? limits.daily_cap - spentToday : Infinity,
+      limits.monthly_cap !== null ? limits.monthly_cap - spentThisMonth : Infinity
+    );
+    const [user, plan] = await Promise.all([User.findById(userId), PricingPlan.findForUserId(userId)]);
+    const freeSeconds = parseInt(user.free_minutes_remaining || 0, 10) * 60;
+    const paidSeconds = plan.outbound_rate_per_minute > 0
+      ? Math.floor(headroom / plan.outbound_rate_per_minute) * 60
+      : MAX_CALL_SECONDS;
+
+    if (freeSeconds + paidSeconds < 60) {
+      // Less than a billable minute left under the cap
+      const daily = limits.daily_cap !== null && limits.daily_cap - spentToday === headroom;
+      return {
+        allowed: false,
+        reason: daily ? 'daily_cap' : 'monthly_cap',
+        message: `You have reached your ${daily ? 'daily' : 'monthly'} spending limit.`
+      };
+    }
+
+    return { allowed: true, maxCallSeconds: Math.min(MAX_CALL_SECONDS, freeSeconds + paidSeconds) };
+  }
+
+  static async _alert(user, limits, type, title, description, metadata) {
+    try {
+      await Activity.logActivity(type, title, description, null, user.id, metadata);
+    } catch (error) {
+      console.error('Error logging billing alert:', error);
+    }
+    if (limits.email_alerts_enabled) {
+      await EmailService.send({
+        to: user.email,
+        subject: title,
+        text: `Hi ${user.name || 'there'},\n\n${description}\n\nManage your balance and limits in your billing settings.`
+      });
+    }
+  }
+
+  /**
+   * Send low-balance and cap-reached alerts for a charge that just posted, given the balances
+   * postTransaction returned. Each alert fires on the charge that crosses its line, so it goes
+   * out once per crossing without extra state. Never throws; call it after any charge commits.
+   */
+  static async afterCharge(userId, { balanceBefore, balanceAfter }) {
+    try {
+      const amount = balanceBefore - balanceAfter;
+      if (!(amount > 0)) return;
+      const [user, limits] = await Promise.all([User.findById(userId), SpendingLimit.findByUserId(userId)]);
+      if (!user) return;
+
+      const threshold = limits.low_balance_threshold;
+      if (threshold !== null && balanceBefore >= threshold && balanceAfter < threshold) {
+        await this._alert(user, limits, 'low_balance', 'Your call balance is running low',
+          `Your balance is ${money(balanceAfter)}, below your ${money(threshold)} alert level. Top up to keep calling without interruption.`,
+          { balance: balanceAfter, threshold });
+        console.log(`🪫 Low-balance alert for user ${userId} (${money(balanceAfter)})`);
+      }
+
+      if (limits.daily_cap === null && limits.monthly_cap === null) return;
+      const { spentToday, spentThisMonth } = await this.getUsage(userId);
+      const caps = [
+        { cap: limits.daily_cap, spent: spentToday, period: 'daily' },
+        { cap: limits.monthly_cap, spent: spentThisMonth, period: 'monthly' }
+      ];
+      for (const { cap, spent, period } of caps) {
+        if (cap !== null && spent - amount < cap && spent >= cap) {
+          await this._alert(user, limits, 'spending_cap_reached', `You've reached your ${period} spending limit`,
+            `You've been charged ${money(spent)} against your ${money(cap)} ${period} limit. New outbound calls are paused until the limit resets or you raise it.`,
+            { period, cap, spent });
+          console.log(`🧢 ${period} spending cap reached for user ${userId}`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Spending alert check failed for user ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  SpendingLimitService
+};
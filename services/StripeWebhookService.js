@@ -0,0 +1,220 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const StripeWebhookEvent = require('../models/StripeWebhookEvent');
+const { BillingService } = require('./BillingService');
+const { AutoRechargeService } = require('./AutoRechargeService');
+
+// Subscription statuses that keep a user's paid access (past_due while Stripe retries the card)
+const PAID_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+const TOP_UP_TYPES = ['top_up', 'top_up_product'];
+
+class StripeWebhookService {
+  static async _userForCustomer(customerId) {
+    return customerId ? User.findByStripeCustomerId(customerId) : null;
+  }
+
+  static async _handleCheckoutCompleted(session) {
+    if (session.mode === 'subscription') {
+      const { name, email, password } = session.metadata || {};
+      if (!email) return false;
+      const planId = parseInt(session.metadata.plan_id, 10) || null;
+
+      const existingUser = await User.findByEmail(email);
+      if (existingUser) {
+        await User.updateStripeData(existingUser.id, { is_paid: true, stripe_customer_id: session.customer });
+        // Existing accounts move to the subscribed plan at their next cycle, like any plan change
+        if (planId) await User.schedulePlanChange(existingUser.id, planId);
+        return true;
+      }
+      // Stored payloads have the password redacted, so a replayed signup cannot create the account
+      if (!password) throw new Error(`Checkout ${session.id} has no password for new user ${email}; they need to sign up again`);
+      await User.create({
+        name,
+        email,
+        password, // will be hashed inside your User.create
+        stripe_customer_id: session.customer,
+        is_paid: true,
+        pricing_plan_id: planId,
+      });
+      console.log(`✅ Created paid user: ${email}`);
+      return true;
+    }
+
+    if (session.mode === 'payment' && TOP_UP_TYPES.includes(session.metadata?.type)) {
+      const userId = parseInt(session.metadata.user_id, 10);
+      // Prefer Stripe-calculated amounts; fallback to metadata.amount
+      const cents = typeof session.amount_subtotal === 'number'
+        ? session.amount_subtotal
+        : (typeof session.amount_total === 'number' ? session.amount_total : null);
+      const amount = cents !== null ? cents / 100 : parseFloat(session.metadata.amount || '0');
+      if (!userId || !(amount > 0)) return false;
+
+      const user = await User.findById(userId);
+      if (!user) throw new Error(`Top-up for unknown user ${userId}`);
+
+      const result = await BillingService.creditTopUp(userId, amount, {
+        referenceType: 'stripe_session',
+        referenceId: session.id,
+        description: `Stripe top-up of $${amount.toFixed(2)}`
+      });
+      if (result.duplicate) {
+        console.log(`↩️ Top-up for session ${session.id} already credited`);
+      } else {
+        console.log(`💰 Credited $${amount.toFixed(2)} to user ${userId}`);
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the user a charge belongs to: the checkout session that created it, then the Stripe customer
+   */
+  static async _userForCharge(charge) {
+    if (charge.payment_intent) {
+      const sessions = await stripe.checkout.sessions.list({ payment_intent: charge.payment_intent, limit: 1 });
+      const session = sessions.data && sessions.data[0];
+      const userId = session && parseInt(session.metadata?.user_id, 10);
+      if (userId) return User.findById(userId);
+    }
+    return this._userForCustomer(charge.customer);
+  }
+
+  static async _handleChargeRefunded(charge) {
+    const user = await this._userForCharge(charge);
+    if (!user) {
+      console.warn(`⚠️ Refund for charge ${charge.id} matches no user`);
+      return false;
+    }
+
+    const totalRefunded = (charge.amount_refunded || 0) / 100;
+    const result = await BillingService.debitRefund(user.id, charge.id, totalRefunded,
+      `Stripe refund on charge ${charge.id}`);
+    if (!result.duplicate) {
+      console.log(`↩️ Debited $${result.refunded.toFixed(2)} refund from user ${user.id}`);
+      await Activity.logActivity(
+        'balance_refunded',
+        'Payment refunded',
+        `$${result.refunded.toFixed(2)} was refunded to your card and removed from your call balance`,
+        null,
+        user.id,
+        { charge_id: charge.id, amount: result.refunded }
+      );
+    }
+    return true;
+  }
+
+  static async _handleInvoicePaymentFailed(invoice) {
+    const user = await this._userForCustomer(invoice.customer);
+    if (!user) return false;
+
+    const nextAttempt = invoice.next_payment_attempt
+      ? new Date(invoice.next_payment_attempt * 1000).toISOString().slice(0, 10)
+      : null;
+    await Activity.logActivity(
+      'payment_failed',
+      'Subscription payment failed',
+      nextAttempt
+        ? `We couldn't charge your card for $${((invoice.amount_due || 0) / 100).toFixed(2)}. Stripe will retry on ${nextAttempt}.`
+        : `We couldn't charge your card for $${((invoice.amount_due || 0) / 100).toFixed(2)}. Please update your payment method.`,
+      null,
+      user.id,
+      { invoice_id: invoice.id, attempt_count: invoice.attempt_count }
+    );
+    console.log(`⚠️ Invoice ${invoice.id} payment failed for user ${user.id} (attempt ${invoice.attempt_count})`);
+    return true;
+  }
+
+  static async _handleSubscriptionUpdated(subscription) {
+    const updated = await User.updateSubscriptionByCustomerId(subscription.customer, {
+      subscription_status: subscription.status,
+      is_paid: PAID_SUBSCRIPTION_STATUSES.includes(subscription.status)
+    });
+    console.log(`🔄 Subscription for ${subscription.customer} is now ${subscription.status}`);
+    return updated;
+  }
+
+  /**
+   * Apply one event. Returns false for events we receive but have nothing to do for.
+   */
+  static async handleEvent(event) {
+    const object = event.data.object;
+    switch (event.type) {
+      case 'checkout.session.completed':
+        return this._handleCheckoutCompleted(object);
+      case 'customer.subscription.deleted':
+        await User.downgradeByCustomerId(object.customer);
+        console.log(`⚠️ User with Stripe ID ${object.customer} downgraded`);
+        return true;
+      case 'customer.subscription.updated':
+        return this._handleSubscriptionUpdated(object);
+      case 'invoice.payment_failed':
+        return this._handleInvoicePaymentFailed(object);
+      case 'charge.refunded':
+        return this._handleChargeRefunded(object);
+      case 'payment_intent.succeeded':
+        // Auto-recharge charges that did not succeed synchronously are credited here
+        if (object.metadata?.type !== 'auto_recharge') return false;
+        await AutoRechargeService.applySucceededPayment(object);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Log and process a verified event exactly once. Returns { status } where status is
+   * 'processed', 'ignored', 'duplicate' or 'in_progress'; throws (after marking the
+   * event failed) so the webhook can ask Stripe to retry.
+   */
+  static async processEvent(event) {
+    const stored = await StripeWebhookEvent.record(event);
+    if (stored && ['processed', 'ignored'].includes(stored.status)) {
+      return { status: 'duplicate' };
+    }
+
+    const claimed = await StripeWebhookEvent.claim(event.id);
+    if (!claimed) {
+      const current = await StripeWebhookEvent.findByEventId(event.id);
+      return { status: current && ['processed', 'ignored'].includes(current.status) ? 'duplicate' : 'in_progress' };
+    }
+
+    try {
+      const handled = await this.handleEvent(event);
+      const status = handled ? 'processed' : 'ignored';
+      await StripeWebhookEvent.markProcessed(event.id, status);
+      return { status };
+    } catch (error) {
+      console.error(`❌ Stripe event ${event.id} (${event.type}) failed:`, error.message);
+      await StripeWebhookEvent.markFailed(event.id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-run failed events from their stored payloads (one event ID, or the oldest failures)
+   */
+  static async replayFailed({ eventId = null, limit = 50 } = {}) {
+    const events = eventId
+      ? [await StripeWebhookEvent.findByEventId(eventId)].filter(e => e && e.status === 'failed')
+      : await StripeWebhookEvent.findFailed(limit);
+
+    const results = [];
+    for (const stored of events) {
+      try {
+        const { status } = await this.processEvent(stored.payload);
+        results.push({ eventId: stored.event_id, type: stored.type, status });
+      } catch (error) {
+        results.push({ eventId: stored.event_id, type: stored.type, status: 'failed', error: error.message });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  StripeWebhookService,
+  PAID_SUBSCRIPTION_STATUSES
+};
@@ -0,0 +1,181 @@
+const axios = require('axios');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const stream = require('stream');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const CallTranscript = require('../models/CallTranscript');
+const TranscriptionKeyword = require('../models/TranscriptionKeyword');
+const TwilioCallLog = require('../models/TwilioCallLog');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Twilio dual-channel recordings: channel 1 is the leg that placed the call, channel 2 the leg that answered.
+// Inbound, that is the caller then the agent; on outbound (browser or API) calls the agent placed it.
+const CHANNELS = ['caller', 'agent'];
+const channelsFor = (direction) => (String(direction || '').startsWith('outbound') ? ['agent', 'caller'] : CHANNELS);
+
+/**
+ * Transcription providers. Each takes a 16kHz mono WAV buffer and resolves to plain text.
+ * Pick one with TRANSCRIPTION_PROVIDER; register more with TranscriptionService.registerProvider.
+ */
+const providers = {
+  // whisper.cpp (or any CLI with the same flags) running on this server
+  local: {
+    async transcribe(wavBuffer) {
+      const bin = process.env.WHISPER_CPP_BIN;
+      const model = process.env.WHISPER_CPP_MODEL;
+      if (!bin || !model) throw new Error('WHISPER_CPP_BIN and WHISPER_CPP_MODEL must be set for local transcription');
+
+      const file = path.join(os.tmpdir(), `transcribe-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.wav`);
+      await fs.writeFile(file, wavBuffer);
+      try {
+        const stdout = await new Promise((resolve, reject) => {
+          execFile(bin, ['-m', model, '-f', file, '-nt', '-np'], { timeout: 10 * 60 * 1000, maxBuffer: 10 * 1024 * 1024 },
+            (err, out) => (err ? reject(err) : resolve(out)));
+        });
+        return stdout.replace(/\s+/g, ' ').trim();
+      } finally {
+        await fs.unlink(file).catch(() => {});
+      }
+    }
+  },
+
+  // Fixed text per channel, for development and tests without a speech engine
+  stub: {
+    async transcribe(wavBuffer, { channel }) {
+      return process.env.TRANSCRIPTION_STUB_TEXT || `[stub transcript for ${channel} channel, ${wavBuffer.length} bytes]`;
+    }
+  }
+};
+
+// Helper: extract one channel of a WAV recording as 16kHz mono WAV
+const extractChannel = (inputBuffer, channelIndex) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    const inStream = new stream.PassThrough();
+    inStream.end(inputBuffer);
+
+    ffmpeg(inStream)
+      .inputFormat('wav')
+      .audioFilters(`pan=mono|c0=c${channelIndex}`)
+      .audioFrequency(16000)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .pipe()
+      .on('data', (chunk) => chunks.push(chunk));
+  });
+
+class TranscriptionService {
+  static registerProvider(name, provider) {
+    providers[name] = provider;
+  }
+
+  /**
+   * Active provider name, or null when transcription is turned off
+   */
+  static getProviderName() {
+    const name = process.env.TRANSCRIPTION_PROVIDER;
+    return name && providers[name] ? name : null;
+  }
+
+  static isEnabled() {
+    return this.getProviderName() !== null;
+  }
+
+  /**
+   * Count whole-word, case-insensitive keyword matches in each channel's transcript
+   */
+  static spotKeywords(transcripts, keywords) {
+    const hits = [];
+    keywords.forEach(keyword => {
+      const escaped = String(keyword).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`\\b${escaped}\\b`, 'gi');
+      Object.entries(transcripts).forEach(([channel, text]) => {
+        const count = (String(text || '').match(pattern) || []).length;
+        if (count > 0) hits.push({ keyword: String(keyword).toLowerCase(), channel, count });
+      });
+    });
+
+    return {
+      matched_keywords: [...new Set(hits.map(h => h.keyword))],
+      keyword_hits: hits
+    };
+  }
+
+  static async downloadRecording(recordingSid) {
+    // RequestedChannels=2 keeps the caller and agent legs separate
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Recordings/${recordingSid}.wav?RequestedChannels=2`;
+    const response = await axios.get(url, {
+      auth: {
+        username: process.env.TWILIO_ACCOUNT_SID,
+        password: process.env.TWILIO_AUTH_TOKEN
+      },
+      responseType: 'arraybuffer',
+      timeout: 60000
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Transcribe each channel of a call recording, flag keywords and store the result.
+   * Failures are recorded on the transcript rather than thrown.
+   */
+  static async transcribeCall(callSid, recordingSid) {
+    const providerName = this.getProviderName();
+    if (!providerName) return null;
+
+    const callLog = await TwilioCallLog.findByCallSid(callSid);
+    if (!callLog) {
+      console.warn(`⚠️ No call log for ${callSid}, skipping transcription`);
+      return null;
+    }
+
+    await CallTranscript.start({
+      user_id: callLog.user_id,
+      call_log_id: callLog.id,
+      call_sid: callSid,
+      recording_sid: recordingSid,
+      provider: providerName
+    });
+
+    try {
+      console.log(`📝 Transcribing recording ${recordingSid} for call ${callSid} with ${providerName}`);
+      const recording = await this.downloadRecording(recordingSid);
+
+      const channels = channelsFor(callLog.direction);
+      const transcripts = {};
+      for (let i = 0; i < channels.length; i++) {
+        const channelAudio = await extractChannel(recording, i);
+        transcripts[channels[i]] = await providers[providerName].transcribe(channelAudio, { channel: channels[i] });
+      }
+
+      const keywords = await TranscriptionKeyword.findByUserId(callLog.user_id);
+      const { matched_keywords, keyword_hits } = this.spotKeywords(transcripts, keywords);
+
+      await CallTranscript.complete(callSid, {
+        caller_transcript: transcripts.caller,
+        agent_transcript: transcripts.agent,
+        full_text: `Caller: ${transcripts.caller}\nAgent: ${transcripts.agent}`,
+        matched_keywords,
+        keyword_hits
+      });
+
+      console.log(`✅ Transcript saved for call ${callSid} (keywords: ${matched_keywords.join(', ') || 'none'})`);
+    } catch (error) {
+      console.error(`❌ Transcription failed for call ${callSid}:`, error.message);
+      await CallTranscript.fail(callSid, error.message);
+    }
+
+    return CallTranscript.findByCallSid(callSid);
+  }
+}
+
+module.exports = {
+  TranscriptionService,
+  TRANSCRIPT_CHANNELS: CHANNELS
+};
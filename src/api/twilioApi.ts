@@ -86,6 +86,45 @@ export const twilioApi = {
     return URL.createObjectURL(blob);
   },
 
+  // === LIVE CALL EVENTS ===
+  // Server-Sent Events stream; returns a function that closes it. The URL carries a short-lived stream token
+  // (never the login token). EventSource retries dropped connections itself; once the token has expired and
+  // the server refuses it, a fresh token is fetched and the stream reopened.
+  subscribeToCallEvents: (
+    handlers: Partial<Record<'call.incoming' | 'call.status' | 'call.recording', (data: any) => void>>
+  ) => {
+    let source: EventSource | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | null = null;
+    let closed = false;
+
+    const reconnect = () => {
+      if (!closed) retryTimer = setTimeout(open, 5000);
+    };
+    const open = async () => {
+      try {
+        const { data } = await apiClient.post('/api/twilio/events/token');
+        if (closed) return;
+        source = new EventSource(`${API_BASE_URL}/api/twilio/events?token=${encodeURIComponent(data.token)}`);
+        Object.entries(handlers).forEach(([type, handler]) => {
+          source!.addEventListener(type, (event) => handler && handler(JSON.parse((event as MessageEvent).data)));
+        });
+        source.onerror = () => {
+          if (source && source.readyState === EventSource.CLOSED) reconnect();
+        };
+      } catch (error) {
+        console.error('Failed to open call event stream:', error);
+        reconnect();
+      }
+    };
+
+    open();
+    return () => {
+      closed = true;
+      if (retryTimer) clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  },
+
   // === STATS ===
   getUsageStats: async (): Promise<{
     success: boolean;
@@ -120,6 +159,50 @@ export const twilioApi = {
     (await apiClient.get(`/api/call-forwarding/phone-number/${phoneNumberId}`)).data,
 };
 
+// ===============================
+// Power dialer campaigns
+// ===============================
+export type CampaignOutcome =
+  | 'follow_up_1_day' | 'follow_up_72_hours' | 'follow_up_next_week' | 'follow_up_next_month' | 'follow_up_3_months'
+  | 'no_answer' | 'left_voicemail' | 'interested' | 'not_interested' | 'wrong_number' | 'do_not_call';
+
+export const campaignApi = {
+  getCampaigns: async (params: { status?: 'active' | 'paused' | 'completed' } = {}) =>
+    (await apiClient.get('/api/campaigns', { params })).data,
+  getCampaign: async (id: number) => (await apiClient.get(`/api/campaigns/${id}`)).data,
+  createCampaign: async (data: {
+    name: string;
+    lead_filter?: { status?: string; city?: string; not_contacted?: boolean };
+    phone_number_id?: number;
+    timezone?: string;
+    calling_window_start?: string; // HH:MM
+    calling_window_end?: string;
+    calling_days?: string[];
+    max_attempts?: number;
+    retry_delay_minutes?: number;
+  }) => (await apiClient.post('/api/campaigns', data)).data,
+  pauseCampaign: async (id: number) => (await apiClient.post(`/api/campaigns/${id}/pause`)).data,
+  resumeCampaign: async (id: number) => (await apiClient.post(`/api/campaigns/${id}/resume`)).data,
+  getCampaignStats: async (id: number) => (await apiClient.get(`/api/campaigns/${id}/stats`)).data,
+
+  // data is null when nothing can be dialed right now (see reason); otherwise device.connect(data.callParams)
+  getNextLead: async (id: number) => (await apiClient.post(`/api/campaigns/${id}/next`)).data,
+  submitDisposition: async (id: number, leadId: number, data: {
+    outcome: CampaignOutcome;
+    notes?: string;
+    next_follow_up?: string;
+    call_sid?: string;
+  }) => (await apiClient.post(`/api/campaigns/${id}/leads/${leadId}/disposition`, data)).data,
+
+  // === DO NOT CALL ===
+  getDoNotCallList: async (params: { page?: number; limit?: number } = {}) =>
+    (await apiClient.get('/api/campaigns/do-not-call', { params })).data,
+  addDoNotCall: async (phone_number: string, reason?: string) =>
+    (await apiClient.post('/api/campaigns/do-not-call', { phone_number, reason })).data,
+  removeDoNotCall: async (entryId: number) =>
+    (await apiClient.delete(`/api/campaigns/do-not-call/${entryId}`)).data,
+};
+
 // ===============================
 // BuddyBoss Moderation API (same base, /wp-json prefix)
 // ===============================
@@ -141,4 +224,4 @@ export const moderationApi = {
     (await apiClient.post(`/wp-json/custom/v1/flagged/${activityId}/resolve`)).data,
 };
 
-export default { twilioApi, moderationApi, apiClient };
+export default { twilioApi, campaignApi, moderationApi, apiClient };
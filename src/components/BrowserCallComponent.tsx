@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Device } from '@twilio/voice-sdk';
+import { twilioApi } from '../api/twilioApi';
 
 const BrowserCallComponent = () => {
   const [device, setDevice] = useState(null);
@@ -10,6 +11,48 @@ const BrowserCallComponent = () => {
   const [error, setError] = useState('');
   const [toNumber, setToNumber] = useState('');
   const [callStatus, setCallStatus] = useState('idle');
+  const [incomingCall, setIncomingCall] = useState<{ from: string; to: string; friendlyName?: string } | null>(null);
+  const [callStartedAt, setCallStartedAt] = useState<number | null>(null);
+  const [elapsedSeconds, setElapsedSeconds] = useState(0);
+  const [latestRecording, setLatestRecording] = useState<{ url: string; duration: number | null } | null>(null);
+
+  // Live call events pushed by the server, instead of polling the call logs
+  useEffect(() => {
+    return twilioApi.subscribeToCallEvents({
+      'call.incoming': (data) => setIncomingCall({ from: data.from, to: data.to, friendlyName: data.friendlyName }),
+      'call.status': (data) => {
+        if (data.status === 'in-progress') {
+          setIncomingCall(null);
+          setCallStartedAt(Date.now());
+        } else if (['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(data.status)) {
+          setIncomingCall(null);
+          setCallStartedAt(null);
+        }
+      },
+      'call.recording': async (data) => {
+        if (data.status !== 'completed' || !data.recordingSid) return;
+        try {
+          const url = await twilioApi.getRecordingStreamWithAuth(data.recordingSid);
+          setLatestRecording({ url, duration: data.duration });
+        } catch (error) {
+          console.error('Failed to load new recording:', error);
+        }
+      }
+    });
+  }, []);
+
+  // Call timer, ticking from when the server reports the call answered
+  useEffect(() => {
+    if (!callStartedAt) {
+      setElapsedSeconds(0);
+      return;
+    }
+    const timer = setInterval(() => setElapsedSeconds(Math.floor((Date.now() - callStartedAt) / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [callStartedAt]);
+
+  const formatElapsed = (seconds: number) =>
+    `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
 
   // Initialize Twilio Device
   useEffect(() => {
@@ -168,6 +211,29 @@ const BrowserCallComponent = () => {
   return (
     <div style={{ padding: '20px', maxWidth: '500px' }}>
       <h2>🎙️ Browser Call</h2>
+
+      {incomingCall && (
+        <div style={{ 
+          backgroundColor: '#fff3cd', 
+          padding: '10px', 
+          borderRadius: '5px',
+          marginBottom: '10px'
+        }}>
+          📲 Incoming call on {incomingCall.friendlyName || incomingCall.to} from {incomingCall.from}
+        </div>
+      )}
+
+      {latestRecording && (
+        <div style={{ 
+          backgroundColor: '#e6f0ff', 
+          padding: '10px', 
+          borderRadius: '5px',
+          marginBottom: '10px'
+        }}>
+          🎧 New recording{latestRecording.duration ? ` (${formatElapsed(latestRecording.duration)})` : ''}:{' '}
+          <a href={latestRecording.url} target="_blank" rel="noreferrer">listen</a>
+        </div>
+      )}
       
       {error && (
         <div style={{ 
@@ -188,6 +254,7 @@ const BrowserCallComponent = () => {
         marginBottom: '20px'
       }}>
         <p><strong>Status:</strong> {callStatus}</p>
+        {callStartedAt && <p><strong>Call time:</strong> {formatElapsed(elapsedSeconds)}</p>}
         <p><strong>Device Ready:</strong> {device ? '✅ Yes' : '❌ No'}</p>
         <p><strong>Connected:</strong> {isConnected ? '✅ Yes' : '❌ No'}</p>
         <p><strong>Muted:</strong> {isMuted ? '✅ Yes' : '❌ No'}</p>
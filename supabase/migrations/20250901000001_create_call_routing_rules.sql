@@ -0,0 +1,27 @@
+-- Create call_routing_rules table for ordered, condition-based inbound call routing
+CREATE TABLE IF NOT EXISTS call_routing_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  phone_number_id INT NOT NULL,
+  name VARCHAR(100) NULL,
+  priority INT NOT NULL DEFAULT 100 COMMENT 'Lower numbers are evaluated first',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  conditions JSON NULL COMMENT 'caller_prefixes, time_of_day, days_of_week, timezone, caller_type',
+  action_type ENUM('forward', 'simultaneous', 'sequential', 'voicemail', 'hangup') NOT NULL,
+  action_config JSON NULL COMMENT 'targets, ring_timeout, continue_on, message, max_length',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (phone_number_id) REFERENCES user_phone_numbers(id) ON DELETE CASCADE,
+
+  INDEX idx_call_routing_rules_user_id (user_id),
+  INDEX idx_call_routing_rules_phone_priority (phone_number_id, is_active, priority)
+);
+
+-- Existing call forwarding settings take part in routing as a 'forward' rule
+ALTER TABLE call_forwarding
+  ADD COLUMN priority INT NOT NULL DEFAULT 1000 COMMENT 'Position among call_routing_rules (lower first)';
+
+-- Index for repeat-caller lookups
+CREATE INDEX idx_twilio_call_logs_phone_from ON twilio_call_logs(phone_number_id, from_number);
@@ -0,0 +1,34 @@
+-- Create phone_number_schedules table for business hours per tracking number
+CREATE TABLE IF NOT EXISTS phone_number_schedules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  phone_number_id INT NOT NULL,
+  name VARCHAR(100) NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York',
+  weekly_hours JSON NOT NULL COMMENT '{"mon":[{"start":"09:00","end":"17:00"}], ...}; missing days are closed',
+  after_hours_action ENUM('voicemail', 'message', 'forward') NOT NULL DEFAULT 'voicemail',
+  after_hours_message VARCHAR(500) NULL,
+  after_hours_forward_to VARCHAR(20) NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (phone_number_id) REFERENCES user_phone_numbers(id) ON DELETE CASCADE,
+
+  UNIQUE KEY unique_phone_number_schedule (phone_number_id),
+  INDEX idx_phone_number_schedules_user_id (user_id)
+);
+
+-- Holiday and closure dates for a schedule
+CREATE TABLE IF NOT EXISTS phone_number_schedule_closures (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  schedule_id INT NOT NULL,
+  closure_date DATE NOT NULL,
+  name VARCHAR(100) NULL,
+  recurs_annually BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (schedule_id) REFERENCES phone_number_schedules(id) ON DELETE CASCADE,
+  INDEX idx_schedule_closures_schedule_date (schedule_id, closure_date)
+);
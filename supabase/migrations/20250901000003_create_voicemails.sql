@@ -0,0 +1,42 @@
+-- Voicemail settings per tracking number; the greeting audio reuses phone_number_whispers storage
+ALTER TABLE user_phone_numbers
+  ADD COLUMN voicemail_enabled TINYINT(1) DEFAULT 1 COMMENT 'Send unanswered forwarded calls to voicemail',
+  ADD COLUMN voicemail_greeting_type VARCHAR(10) DEFAULT 'say' COMMENT 'say or play',
+  ADD COLUMN voicemail_greeting_text VARCHAR(500) NULL COMMENT 'TTS greeting text',
+  ADD COLUMN voicemail_greeting_id INT NULL COMMENT 'phone_number_whispers row played as the greeting',
+  ADD COLUMN voicemail_max_length INT DEFAULT 120 COMMENT 'Maximum message length in seconds',
+  ADD COLUMN voicemail_transcribe TINYINT(1) DEFAULT 1,
+  ADD FOREIGN KEY (voicemail_greeting_id) REFERENCES phone_number_whispers(id) ON DELETE SET NULL;
+
+-- Distinguish whisper clips from voicemail greetings
+ALTER TABLE phone_number_whispers
+  ADD COLUMN purpose VARCHAR(32) NOT NULL DEFAULT 'whisper' COMMENT 'whisper or voicemail_greeting';
+
+-- Voicemail messages left by callers
+CREATE TABLE IF NOT EXISTS voicemails (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  phone_number_id INT NULL,
+  call_log_id INT NULL,
+  call_sid VARCHAR(255) NOT NULL,
+  from_number VARCHAR(20) NULL,
+  to_number VARCHAR(20) NULL,
+  recording_sid VARCHAR(255) NOT NULL,
+  recording_url TEXT NULL,
+  duration INT NULL,
+  transcription_sid VARCHAR(255) NULL,
+  transcription_text TEXT NULL,
+  transcription_status VARCHAR(50) NULL,
+  is_heard TINYINT(1) NOT NULL DEFAULT 0,
+  heard_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (phone_number_id) REFERENCES user_phone_numbers(id) ON DELETE SET NULL,
+  FOREIGN KEY (call_log_id) REFERENCES twilio_call_logs(id) ON DELETE SET NULL,
+
+  UNIQUE KEY unique_voicemail_recording_sid (recording_sid),
+  INDEX idx_voicemails_call_sid (call_sid),
+  INDEX idx_voicemails_user_heard (user_id, is_heard, created_at)
+);
@@ -0,0 +1,38 @@
+-- SMS/MMS messages sent and received on tracking numbers
+CREATE TABLE IF NOT EXISTS sms_messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  phone_number_id INT NULL,
+  message_sid VARCHAR(64) NOT NULL,
+  direction ENUM('inbound', 'outbound') NOT NULL,
+  from_number VARCHAR(20) NOT NULL,
+  to_number VARCHAR(20) NOT NULL,
+  counterpart_number VARCHAR(20) NOT NULL COMMENT 'The other party; conversations are grouped on this',
+  body TEXT NULL,
+  num_segments INT NOT NULL DEFAULT 1,
+  num_media INT NOT NULL DEFAULT 0,
+  media JSON NULL COMMENT '[{"url": "...", "content_type": "image/jpeg"}]',
+  status VARCHAR(50) NULL,
+  error_code VARCHAR(20) NULL,
+  error_message VARCHAR(255) NULL,
+  is_read TINYINT(1) NOT NULL DEFAULT 0,
+  forwarded_to VARCHAR(20) NULL,
+  forwarded_message_sid VARCHAR(64) NULL,
+  forwarded_segments INT NOT NULL DEFAULT 0,
+  is_billed TINYINT(1) NOT NULL DEFAULT 0,
+  billed_segments INT NULL,
+  billed_amount DECIMAL(10,2) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (phone_number_id) REFERENCES user_phone_numbers(id) ON DELETE SET NULL,
+
+  UNIQUE KEY unique_sms_message_sid (message_sid),
+  INDEX idx_sms_messages_thread (phone_number_id, counterpart_number, created_at),
+  INDEX idx_sms_messages_user_created (user_id, created_at)
+);
+
+-- Forward inbound texts to the number's call forwarding destination
+ALTER TABLE user_phone_numbers
+  ADD COLUMN sms_forwarding_enabled TINYINT(1) NOT NULL DEFAULT 0;
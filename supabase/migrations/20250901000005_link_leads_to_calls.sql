@@ -0,0 +1,14 @@
+-- Track where a lead came from so inbound calls can create and match leads
+ALTER TABLE leads
+  ADD COLUMN source VARCHAR(50) NULL COMMENT 'manual, inbound_call',
+  ADD COLUMN source_phone_number_id INT NULL COMMENT 'Tracking number that first received the lead',
+  ADD COLUMN source_number VARCHAR(20) NULL;
+
+CREATE INDEX idx_leads_user_phone ON leads(user_id, phone);
+
+-- Link each call to the lead it belongs to
+ALTER TABLE twilio_call_logs
+  ADD COLUMN lead_id INT NULL,
+  ADD FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_twilio_call_logs_lead_id ON twilio_call_logs(lead_id);
@@ -0,0 +1,28 @@
+-- Assign tracking numbers to the client and website they generate leads for
+ALTER TABLE user_phone_numbers
+  ADD COLUMN client_id INT NULL,
+  ADD COLUMN website_id INT NULL,
+  ADD FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL,
+  ADD FOREIGN KEY (website_id) REFERENCES websites(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_user_phone_numbers_client_id ON user_phone_numbers(client_id);
+
+-- What counts as a billable lead for a client, and what it costs
+CREATE TABLE IF NOT EXISTS client_billing_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  client_id INT NOT NULL,
+  rate_type ENUM('per_lead', 'flat') NOT NULL DEFAULT 'per_lead',
+  per_lead_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  flat_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Monthly amount when rate_type is flat',
+  min_duration_seconds INT NOT NULL DEFAULT 30,
+  first_time_callers_only TINYINT(1) NOT NULL DEFAULT 0,
+  blocked_numbers JSON NULL COMMENT 'Caller numbers that never count as leads',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+
+  UNIQUE KEY unique_client_billing_rules_client (client_id)
+);
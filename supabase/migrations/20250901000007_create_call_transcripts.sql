@@ -0,0 +1,36 @@
+-- Transcripts of dual-channel call recordings, one row per call
+CREATE TABLE IF NOT EXISTS call_transcripts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  call_log_id INT NULL,
+  call_sid VARCHAR(255) NOT NULL,
+  recording_sid VARCHAR(255) NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  status ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+  caller_transcript MEDIUMTEXT NULL COMMENT 'Channel 1: the party who placed the call',
+  agent_transcript MEDIUMTEXT NULL COMMENT 'Channel 2: the party who answered',
+  full_text MEDIUMTEXT NULL,
+  matched_keywords JSON NULL COMMENT '["price", "quote"]',
+  keyword_hits JSON NULL COMMENT '[{"keyword": "price", "channel": "caller", "count": 2}]',
+  error_message VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (call_log_id) REFERENCES twilio_call_logs(id) ON DELETE SET NULL,
+
+  UNIQUE KEY unique_call_transcripts_call_sid (call_sid),
+  INDEX idx_call_transcripts_user_created (user_id, created_at),
+  FULLTEXT INDEX ft_call_transcripts_full_text (full_text)
+);
+
+-- Keywords each user wants flagged in transcripts
+CREATE TABLE IF NOT EXISTS transcription_keywords (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  keyword VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_transcription_keyword (user_id, keyword)
+);
@@ -0,0 +1,27 @@
+-- Blocklists and allowlists for inbound callers, per user or per tracking number
+CREATE TABLE IF NOT EXISTS call_screening_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  phone_number_id INT NULL COMMENT 'NULL applies to all of the user''s numbers',
+  number VARCHAR(20) NOT NULL,
+  list_type ENUM('block', 'allow') NOT NULL,
+  source ENUM('manual', 'auto') NOT NULL DEFAULT 'manual',
+  reason VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (phone_number_id) REFERENCES user_phone_numbers(id) ON DELETE CASCADE,
+
+  INDEX idx_call_screening_user_number (user_id, number)
+);
+
+-- Per-number screening options
+ALTER TABLE user_phone_numbers
+  ADD COLUMN screening_gate_enabled TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Callers must press 1 before the call is routed',
+  ADD COLUMN screening_gate_message VARCHAR(255) NULL,
+  ADD COLUMN auto_block_enabled TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Block callers who keep hanging up within seconds';
+
+-- Blocked and screened-out calls are excluded from billing and lead reports
+ALTER TABLE twilio_call_logs
+  ADD COLUMN screening_status VARCHAR(20) NULL COMMENT 'allowed, blocked, gated, passed, screened_out',
+  ADD COLUMN is_screened_out TINYINT(1) NOT NULL DEFAULT 0;
@@ -0,0 +1,8 @@
+-- JSON-defined IVR menu per tracking number (see services/IvrService.js for the format)
+ALTER TABLE user_phone_numbers
+  ADD COLUMN ivr_enabled TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Answer with the IVR menu instead of routing rules',
+  ADD COLUMN ivr_config JSON NULL;
+
+-- Menu options the caller picked, in order: [{ "menu": "", "digit": "1", "label": "Sales", "action": "menu" }, ...]
+ALTER TABLE twilio_call_logs
+  ADD COLUMN ivr_path JSON NULL;
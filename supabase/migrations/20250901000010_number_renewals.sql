@@ -0,0 +1,28 @@
+-- Renewal state for paid tracking numbers: active -> grace (payment failed) -> suspended (voice URL detached) -> released
+ALTER TABLE user_phone_numbers
+  ADD COLUMN renewal_status ENUM('active', 'grace', 'suspended', 'released') NOT NULL DEFAULT 'active',
+  ADD COLUMN renewal_failed_at DATETIME NULL COMMENT 'First failed renewal attempt of the current period',
+  ADD COLUMN suspended_at DATETIME NULL;
+
+CREATE INDEX idx_user_phone_numbers_renewal ON user_phone_numbers (is_active, is_free, next_renewal_at);
+
+-- Every step the renewal processor takes on a number
+CREATE TABLE IF NOT EXISTS phone_number_renewal_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  phone_number_id INT NULL,
+  phone_number VARCHAR(20) NOT NULL,
+  event_type ENUM('renewed', 'payment_failed', 'suspended', 'reactivated', 'released') NOT NULL,
+  amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  balance_before DECIMAL(10,2) NULL,
+  balance_after DECIMAL(10,2) NULL,
+  renewal_due_at DATETIME NULL,
+  next_renewal_at DATETIME NULL,
+  notes VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (phone_number_id) REFERENCES user_phone_numbers(id) ON DELETE SET NULL,
+
+  INDEX idx_renewal_events_user (user_id, created_at)
+);
@@ -0,0 +1,32 @@
+-- Ledger of every change to a user's balance or free minutes. Each row posts amount between the
+-- user's balance and counter_account, so a user's balance is the sum of their rows' amounts.
+CREATE TABLE IF NOT EXISTS balance_transactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type ENUM('opening_balance', 'top_up', 'call_charge', 'sms_charge', 'number_fee', 'refund',
+            'free_minutes_used', 'free_minutes_grant', 'adjustment') NOT NULL,
+  counter_account VARCHAR(50) NOT NULL COMMENT 'stripe, call_revenue, sms_revenue, number_revenue, free_minutes, adjustments',
+  amount DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Signed: credits positive, charges negative',
+  balance_before DECIMAL(10,2) NOT NULL,
+  balance_after DECIMAL(10,2) NOT NULL,
+  free_minutes_delta INT NOT NULL DEFAULT 0,
+  free_minutes_before INT NULL,
+  free_minutes_after INT NULL,
+  reference_type VARCHAR(50) NULL COMMENT 'call_sid, message_sid, phone_number_id, stripe_session, stripe_charge, manual',
+  reference_id VARCHAR(255) NULL,
+  description VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+  INDEX idx_balance_transactions_user (user_id, created_at),
+  INDEX idx_balance_transactions_reference (reference_type, reference_id)
+);
+
+-- Existing balances become each user's opening entry so the ledger reconciles from day one
+INSERT INTO balance_transactions
+  (user_id, type, counter_account, amount, balance_before, balance_after,
+   free_minutes_delta, free_minutes_before, free_minutes_after, reference_type, description)
+SELECT id, 'opening_balance', 'opening_balance', balance, 0.00, balance,
+       free_minutes_remaining, 0, free_minutes_remaining, 'manual', 'Balance before the ledger was introduced'
+FROM users;
@@ -0,0 +1,20 @@
+-- Every Stripe webhook event we receive, keyed by Stripe's event ID so retries are processed once
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  event_id VARCHAR(255) NOT NULL,
+  type VARCHAR(100) NOT NULL,
+  status ENUM('received', 'processing', 'processed', 'ignored', 'failed') NOT NULL DEFAULT 'received',
+  attempts INT NOT NULL DEFAULT 0,
+  payload JSON NOT NULL,
+  error_message TEXT NULL,
+  processed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_stripe_webhook_event (event_id),
+  INDEX idx_stripe_webhook_status (status, created_at)
+);
+
+-- Latest Stripe subscription status (active, trialing, past_due, canceled, ...)
+ALTER TABLE users
+  ADD COLUMN subscription_status VARCHAR(32) NULL;
@@ -0,0 +1,39 @@
+-- Opt-in auto-recharge: charge a saved card off-session when the balance drops below a threshold
+CREATE TABLE IF NOT EXISTS auto_recharge_settings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  is_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  threshold DECIMAL(10,2) NOT NULL DEFAULT 10.00 COMMENT 'Recharge when the balance drops below this',
+  recharge_amount DECIMAL(10,2) NOT NULL DEFAULT 25.00,
+  monthly_cap DECIMAL(10,2) NOT NULL DEFAULT 200.00 COMMENT 'Most that can be auto-charged per calendar month',
+  stripe_payment_method_id VARCHAR(255) NULL,
+  card_brand VARCHAR(32) NULL,
+  card_last4 VARCHAR(4) NULL,
+  consecutive_failures INT NOT NULL DEFAULT 0,
+  last_failure_message VARCHAR(500) NULL,
+  disabled_reason VARCHAR(255) NULL COMMENT 'Set when auto-recharge turned itself off',
+  cap_notified_month CHAR(7) NULL COMMENT 'YYYY-MM the cap-reached notice was last sent',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_auto_recharge_user (user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Each off-session charge attempt
+CREATE TABLE IF NOT EXISTS auto_recharge_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  balance_at_trigger DECIMAL(10,2) NULL,
+  status ENUM('pending', 'succeeded', 'failed', 'requires_action') NOT NULL DEFAULT 'pending',
+  stripe_payment_intent_id VARCHAR(255) NULL,
+  error_code VARCHAR(100) NULL,
+  error_message VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_auto_recharge_payment_intent (stripe_payment_intent_id),
+  INDEX idx_auto_recharge_attempts_user (user_id, created_at)
+);
@@ -0,0 +1,39 @@
+-- Database-backed pricing plans, replacing the rate constants in BillingService
+CREATE TABLE IF NOT EXISTS pricing_plans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug VARCHAR(64) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  monthly_free_minutes INT NOT NULL DEFAULT 200,
+  inbound_rate_per_minute DECIMAL(10,4) NOT NULL DEFAULT 0.0200,
+  outbound_rate_per_minute DECIMAL(10,4) NOT NULL DEFAULT 0.0200,
+  toll_free_rate_per_minute DECIMAL(10,4) NOT NULL DEFAULT 0.0200 COMMENT 'Calls to a toll-free number, either direction',
+  phone_number_monthly_price DECIMAL(10,2) NOT NULL DEFAULT 2.00,
+  max_phone_numbers INT NULL COMMENT 'NULL means unlimited',
+  min_required_balance DECIMAL(10,2) NOT NULL DEFAULT 5.00,
+  stripe_price_id VARCHAR(255) NULL COMMENT 'Stripe subscription price for plans sold through checkout',
+  is_default TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Plan given to new signups',
+  is_active TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Inactive plans keep their users but cannot be chosen',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_pricing_plan_slug (slug)
+);
+
+-- The previous hard-coded pricing becomes the default plan
+INSERT IGNORE INTO pricing_plans
+  (slug, name, description, monthly_free_minutes, inbound_rate_per_minute, outbound_rate_per_minute,
+   toll_free_rate_per_minute, phone_number_monthly_price, max_phone_numbers, min_required_balance, stripe_price_id, is_default)
+VALUES
+  ('standard', 'Standard', '200 free minutes a month, then pay as you go', 200, 0.0200, 0.0200,
+   0.0200, 2.00, NULL, 5.00, 'price_1RrKZIKggcV9qDyr8WkJu04U', 1);
+
+-- Current plan, plus a change that takes effect at the next monthly cycle
+ALTER TABLE users
+  ADD COLUMN pricing_plan_id INT NULL AFTER subscription_status,
+  ADD COLUMN pending_pricing_plan_id INT NULL AFTER pricing_plan_id,
+  ADD CONSTRAINT fk_users_pricing_plan FOREIGN KEY (pricing_plan_id) REFERENCES pricing_plans(id),
+  ADD CONSTRAINT fk_users_pending_pricing_plan FOREIGN KEY (pending_pricing_plan_id) REFERENCES pricing_plans(id);
+
+UPDATE users SET pricing_plan_id = (SELECT id FROM pricing_plans WHERE slug = 'standard')
+WHERE pricing_plan_id IS NULL;
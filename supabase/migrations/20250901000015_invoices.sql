@@ -0,0 +1,30 @@
+-- Numbered monthly statements: usage, charges and payments for one user and one calendar month (UTC)
+CREATE TABLE IF NOT EXISTS invoices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  invoice_number VARCHAR(32) NULL COMMENT 'INV-YYYYMM-<id>, set right after insert',
+  period_month CHAR(7) NOT NULL COMMENT 'YYYY-MM',
+  period_start DATETIME NOT NULL,
+  period_end DATETIME NOT NULL COMMENT 'Exclusive',
+  plan_name VARCHAR(255) NULL,
+  call_count INT NOT NULL DEFAULT 0,
+  free_minutes_used INT NOT NULL DEFAULT 0,
+  billable_minutes INT NOT NULL DEFAULT 0,
+  call_charges DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Sum of twilio_call_logs.billed_amount',
+  sms_charges DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  number_fees DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  top_ups DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  refunds DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Refunded to the card, so removed from the balance',
+  adjustments DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Signed',
+  total_charges DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  opening_balance DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  closing_balance DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  line_items JSON NULL,
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_invoice_number (invoice_number),
+  UNIQUE KEY uniq_invoice_user_month (user_id, period_month),
+  INDEX idx_invoices_month (period_month),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
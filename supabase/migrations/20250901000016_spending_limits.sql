@@ -0,0 +1,21 @@
+-- Per-user spend caps and low-balance alert settings
+CREATE TABLE IF NOT EXISTS spending_limits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  daily_cap DECIMAL(10,2) NULL COMMENT 'Most charged per UTC day; NULL means no cap',
+  monthly_cap DECIMAL(10,2) NULL COMMENT 'Most charged per UTC calendar month; NULL means no cap',
+  low_balance_threshold DECIMAL(10,2) NULL DEFAULT 10.00 COMMENT 'Alert when a charge takes the balance below this; NULL turns the alert off',
+  email_alerts_enabled TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_spending_limits_user (user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Per-number caps on outbound calls placed from the number
+ALTER TABLE user_phone_numbers
+  ADD COLUMN daily_call_cap INT NULL COMMENT 'Outbound calls per UTC day; NULL means no cap',
+  ADD COLUMN monthly_call_cap INT NULL COMMENT 'Outbound calls per UTC calendar month; NULL means no cap';
+
+CREATE INDEX idx_call_logs_number_direction_created ON twilio_call_logs (phone_number_id, direction, created_at);
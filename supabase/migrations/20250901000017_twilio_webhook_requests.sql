@@ -0,0 +1,11 @@
+-- Twilio webhook requests already handled, so a captured request cannot be replayed.
+-- Keyed by Twilio's I-Twilio-Idempotency-Token (or a hash of the signature); old rows are purged.
+CREATE TABLE IF NOT EXISTS twilio_webhook_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  request_key CHAR(64) NOT NULL,
+  path VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_twilio_webhook_request (request_key),
+  INDEX idx_twilio_webhook_request_created (created_at)
+);
@@ -0,0 +1,71 @@
+-- Power dialer: call campaigns built from a lead filter, worked one lead at a time from the browser
+CREATE TABLE IF NOT EXISTS call_campaigns (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  status ENUM('active', 'paused', 'completed') NOT NULL DEFAULT 'active',
+  lead_filter JSON NULL COMMENT 'status, city, not_contacted used to build the queue',
+  phone_number_id INT NULL COMMENT 'Caller ID for campaign calls',
+  timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York' COMMENT 'For leads without their own timezone',
+  calling_window_start CHAR(5) NOT NULL DEFAULT '09:00',
+  calling_window_end CHAR(5) NOT NULL DEFAULT '20:00',
+  calling_days JSON NULL COMMENT 'Weekdays calls may be placed, e.g. ["mon","tue"]',
+  max_attempts INT NOT NULL DEFAULT 3,
+  retry_delay_minutes INT NOT NULL DEFAULT 240,
+  completed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_call_campaigns_user (user_id, status),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (phone_number_id) REFERENCES user_phone_numbers(id) ON DELETE SET NULL
+);
+
+-- The campaign's queue: one row per lead
+CREATE TABLE IF NOT EXISTS call_campaign_leads (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  campaign_id INT NOT NULL,
+  lead_id INT NOT NULL,
+  status ENUM('pending', 'dialing', 'completed', 'skipped') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_attempt_at DATETIME NULL,
+  next_attempt_at DATETIME NULL COMMENT 'Retry no earlier than this',
+  disposition VARCHAR(50) NULL,
+  skip_reason VARCHAR(50) NULL COMMENT 'do_not_call, invalid_phone',
+  call_sid VARCHAR(255) NULL,
+  call_log_id BIGINT UNSIGNED NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_call_campaign_lead (campaign_id, lead_id),
+  INDEX idx_call_campaign_leads_queue (campaign_id, status, next_attempt_at),
+  INDEX idx_call_campaign_leads_call_sid (call_sid),
+  FOREIGN KEY (campaign_id) REFERENCES call_campaigns(id) ON DELETE CASCADE,
+  FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE
+);
+
+-- Numbers the user must not call; matched on the last 10 digits
+CREATE TABLE IF NOT EXISTS do_not_call_numbers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  phone_number VARCHAR(20) NOT NULL,
+  phone_digits VARCHAR(10) NOT NULL,
+  reason VARCHAR(255) NULL,
+  lead_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_do_not_call_number (user_id, phone_digits),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL
+);
+
+-- Lead's own time zone for calling windows (IANA name, e.g. America/Chicago)
+ALTER TABLE leads
+  ADD COLUMN timezone VARCHAR(64) NULL;
+
+-- Dialer dispositions alongside the follow-up outcomes
+ALTER TABLE call_logs
+  MODIFY COLUMN outcome ENUM(
+    'follow_up_1_day', 'follow_up_72_hours', 'follow_up_next_week', 'follow_up_next_month', 'follow_up_3_months',
+    'no_answer', 'left_voicemail', 'interested', 'not_interested', 'wrong_number', 'do_not_call'
+  ) NOT NULL;
@@ -0,0 +1,5 @@
+-- Tie a manual call outcome to the Twilio call it records
+ALTER TABLE call_logs
+  ADD COLUMN call_sid VARCHAR(255) NULL AFTER lead_id;
+
+CREATE INDEX idx_call_logs_call_sid ON call_logs(call_sid);
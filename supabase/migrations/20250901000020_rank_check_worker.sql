@@ -0,0 +1,7 @@
+-- Scheduled rank checks: failures back off via retry_at, which also leases a keyword while it is checked
+ALTER TABLE keyword_tracking
+  ADD COLUMN retry_at DATETIME NULL COMMENT 'Not checked by the scheduler before this (backoff or in-flight lease)',
+  ADD COLUMN check_failures INT NOT NULL DEFAULT 0 COMMENT 'Consecutive failed scheduled checks',
+  ADD COLUMN last_check_error VARCHAR(500) NULL;
+
+CREATE INDEX idx_keyword_tracking_due ON keyword_tracking(is_active, check_frequency, last_checked);
@@ -0,0 +1,71 @@
+-- Rank change alert rules, set on one tracked keyword or on every keyword of a client
+CREATE TABLE IF NOT EXISTS rank_alert_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  client_id INT NULL COMMENT 'Applies to all of this client''s keywords (when keyword_tracking_id is NULL)',
+  keyword_tracking_id INT NULL COMMENT 'Applies to this keyword only; overrides client rules of the same type',
+  rule_type ENUM('dropped_out_top_10', 'moved_positions', 'entered_top_3', 'lost_ranking') NOT NULL,
+  threshold INT NULL COMMENT 'moved_positions: alert when the rank moves by more than this many places',
+  notify_email TINYINT(1) NOT NULL DEFAULT 1,
+  webhook_url VARCHAR(500) NULL,
+  webhook_secret VARCHAR(64) NULL COMMENT 'Signs webhook bodies (X-Rank-Alert-Signature, HMAC-SHA256)',
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_rank_alert_rules_user (user_id),
+  INDEX idx_rank_alert_rules_keyword (keyword_tracking_id),
+  INDEX idx_rank_alert_rules_client (client_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+  FOREIGN KEY (keyword_tracking_id) REFERENCES keyword_tracking(id) ON DELETE CASCADE
+);
+
+-- Alerts raised by those rules and how each was delivered
+CREATE TABLE IF NOT EXISTS rank_alerts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  rule_id INT NULL,
+  keyword_tracking_id INT NOT NULL,
+  alert_type ENUM('dropped_out_top_10', 'moved_positions', 'entered_top_3', 'lost_ranking') NOT NULL,
+  previous_rank INT NULL,
+  current_rank INT NULL,
+  message VARCHAR(500) NOT NULL,
+  email_status ENUM('sent', 'failed', 'skipped') NOT NULL DEFAULT 'skipped',
+  webhook_status ENUM('sent', 'failed', 'skipped') NOT NULL DEFAULT 'skipped',
+  webhook_error VARCHAR(500) NULL,
+  read_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_rank_alerts_user_created (user_id, created_at),
+  INDEX idx_rank_alerts_keyword (keyword_tracking_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (rule_id) REFERENCES rank_alert_rules(id) ON DELETE SET NULL,
+  FOREIGN KEY (keyword_tracking_id) REFERENCES keyword_tracking(id) ON DELETE CASCADE
+);
+
+-- Weekly winners/losers digests; one row per user and week so a digest is only sent once
+CREATE TABLE IF NOT EXISTS rank_digests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  period_start DATETIME NOT NULL,
+  period_end DATETIME NOT NULL,
+  summary JSON NULL,
+  email_status ENUM('pending', 'sent', 'failed', 'skipped') NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_rank_digests_user_period (user_id, period_start),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Per-user opt-out for the weekly digest
+CREATE TABLE IF NOT EXISTS rank_alert_settings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  weekly_digest_enabled TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_rank_alert_settings_user (user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
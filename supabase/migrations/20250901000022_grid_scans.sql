@@ -0,0 +1,62 @@
+-- Saved map-pack grid scans that can be re-run on a schedule
+CREATE TABLE IF NOT EXISTS grid_scans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  client_id INT NULL,
+  name VARCHAR(255) NOT NULL,
+  business_name VARCHAR(200) NOT NULL COMMENT 'Matched against local_results titles',
+  business_address VARCHAR(500) NULL,
+  keyword VARCHAR(100) NOT NULL,
+  center_lat DECIMAL(10,7) NOT NULL,
+  center_lng DECIMAL(10,7) NOT NULL,
+  grid_size VARCHAR(20) NOT NULL,
+  schedule ENUM('manual', 'daily', 'weekly', 'monthly') NOT NULL DEFAULT 'manual',
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  last_run_at DATETIME NULL,
+  next_run_at DATETIME NULL COMMENT 'When the scheduler runs it next; NULL for manual scans',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_grid_scans_user (user_id),
+  INDEX idx_grid_scans_due (is_active, schedule, next_run_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL
+);
+
+-- One execution of a scan, with its summary metrics
+CREATE TABLE IF NOT EXISTS grid_scan_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scan_id INT NOT NULL,
+  user_id INT NOT NULL,
+  status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+  trigger_type ENUM('manual', 'schedule') NOT NULL DEFAULT 'manual',
+  total_points INT NOT NULL DEFAULT 0,
+  searched_points INT NOT NULL DEFAULT 0 COMMENT 'Points whose search succeeded',
+  ranked_points INT NOT NULL DEFAULT 0 COMMENT 'Points where the business appeared',
+  top3_points INT NOT NULL DEFAULT 0,
+  average_rank DECIMAL(5,2) NULL COMMENT 'Average position over points where the business appeared',
+  share_top3 DECIMAL(5,4) NULL COMMENT 'top3_points / searched_points',
+  error VARCHAR(500) NULL,
+  started_at DATETIME NOT NULL,
+  completed_at DATETIME NULL,
+
+  INDEX idx_grid_scan_runs_scan (scan_id, started_at),
+  FOREIGN KEY (scan_id) REFERENCES grid_scans(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- The business's rank at each grid point of a run
+CREATE TABLE IF NOT EXISTS grid_scan_points (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  run_id INT NOT NULL,
+  point_index INT NOT NULL COMMENT 'Grid point id, numbered row by row from 1',
+  row_index INT NOT NULL,
+  col_index INT NOT NULL,
+  lat DECIMAL(10,7) NOT NULL,
+  lng DECIMAL(10,7) NOT NULL,
+  rank_position INT NULL COMMENT 'NULL when the business was not in the results',
+  search_failed TINYINT(1) NOT NULL DEFAULT 0,
+
+  UNIQUE KEY uniq_grid_scan_points_run_point (run_id, point_index),
+  FOREIGN KEY (run_id) REFERENCES grid_scan_runs(id) ON DELETE CASCADE
+);
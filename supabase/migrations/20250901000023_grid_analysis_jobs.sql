@@ -0,0 +1,34 @@
+-- Grid runs become queued jobs: a worker picks them up, stores each point as it is searched,
+-- and can resume a cancelled, failed or interrupted run from the points it has not done yet.
+-- Runs can also be one-off analyses with no saved scan, so each run keeps its own search settings.
+ALTER TABLE grid_scan_runs
+  MODIFY scan_id INT NULL COMMENT 'NULL for one-off analyses',
+  MODIFY status ENUM('queued', 'running', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+  MODIFY trigger_type ENUM('manual', 'schedule', 'analysis') NOT NULL DEFAULT 'manual',
+  MODIFY started_at DATETIME NULL COMMENT 'When a worker first picked the run up',
+  ADD COLUMN keyword VARCHAR(100) NULL AFTER trigger_type,
+  ADD COLUMN business_name VARCHAR(200) NULL AFTER keyword,
+  ADD COLUMN business_address VARCHAR(500) NULL AFTER business_name,
+  ADD COLUMN center_lat DECIMAL(10,7) NULL COMMENT 'Geocoded from business_address when the run starts if NULL' AFTER business_address,
+  ADD COLUMN center_lng DECIMAL(10,7) NULL AFTER center_lat,
+  ADD COLUMN grid_size VARCHAR(20) NULL AFTER center_lng,
+  ADD COLUMN completed_points INT NOT NULL DEFAULT 0 AFTER total_points,
+  ADD COLUMN cancel_requested TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+
+UPDATE grid_scan_runs r
+JOIN grid_scans s ON r.scan_id = s.id
+SET r.keyword = s.keyword,
+    r.business_name = s.business_name,
+    r.business_address = s.business_address,
+    r.center_lat = s.center_lat,
+    r.center_lng = s.center_lng,
+    r.grid_size = s.grid_size,
+    r.created_at = r.started_at;
+
+UPDATE grid_scan_runs r
+SET r.completed_points = (SELECT COUNT(*) FROM grid_scan_points p WHERE p.run_id = r.id);
+
+CREATE INDEX idx_grid_scan_runs_queue ON grid_scan_runs (status, id);
+CREATE INDEX idx_grid_scan_runs_user ON grid_scan_runs (user_id, created_at);
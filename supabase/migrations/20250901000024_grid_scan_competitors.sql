@@ -0,0 +1,19 @@
+-- Every business listed in the map results at each grid point, so runs can rank the competition
+CREATE TABLE IF NOT EXISTS grid_scan_competitors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  run_id INT NOT NULL,
+  point_index INT NOT NULL,
+  position INT NOT NULL COMMENT '1-based position in local_results at this point',
+  competitor_key VARCHAR(255) NOT NULL COMMENT 'place_id, else data_id, else the lowercased name',
+  place_id VARCHAR(255) NULL,
+  name VARCHAR(255) NOT NULL,
+  address VARCHAR(500) NULL,
+  category VARCHAR(255) NULL,
+  rating DECIMAL(2,1) NULL,
+  reviews INT NULL,
+  is_target TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'The business the run is tracking',
+
+  UNIQUE KEY uniq_grid_scan_competitors_point (run_id, point_index, position),
+  INDEX idx_grid_scan_competitors_key (run_id, competitor_key),
+  FOREIGN KEY (run_id) REFERENCES grid_scan_runs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,9 @@
+-- Signup checkouts carried the new account's password in metadata, and the whole event was stored.
+-- New events are redacted before they are saved; this removes it from the rows already written.
+UPDATE stripe_webhook_events
+SET payload = JSON_REMOVE(payload, '$.data.object.metadata.password')
+WHERE JSON_CONTAINS_PATH(payload, 'one', '$.data.object.metadata.password');
+
+UPDATE stripe_webhook_events
+SET payload = JSON_REMOVE(payload, '$.data.previous_attributes.metadata.password')
+WHERE JSON_CONTAINS_PATH(payload, 'one', '$.data.previous_attributes.metadata.password');
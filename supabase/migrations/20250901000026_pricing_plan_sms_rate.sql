@@ -0,0 +1,4 @@
+-- SMS pricing moves into the plans with the other rates (it was 0.01 per segment for everyone)
+ALTER TABLE pricing_plans
+  ADD COLUMN sms_rate_per_segment DECIMAL(10,4) NOT NULL DEFAULT 0.0100 COMMENT 'Per SMS/MMS segment, inbound or outbound'
+  AFTER phone_number_monthly_price;
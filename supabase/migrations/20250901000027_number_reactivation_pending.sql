@@ -0,0 +1,7 @@
+-- A paid renewal of a suspended number stays pending until Twilio points the number back at us,
+-- so the renewal job can retry the restore if that call fails
+ALTER TABLE user_phone_numbers
+  ADD COLUMN reactivation_pending TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Renewal paid but voice and SMS URLs not yet restored';
+
+ALTER TABLE phone_number_renewal_events
+  MODIFY COLUMN event_type ENUM('renewed', 'payment_failed', 'suspended', 'reactivated', 'reactivation_failed', 'released') NOT NULL;
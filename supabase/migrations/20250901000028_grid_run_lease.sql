@@ -0,0 +1,6 @@
+-- Running grid runs hold a lease the worker renews after every point; only runs whose lease ran out
+-- (their process stopped) are queued again, so a run a live instance is executing never runs twice
+ALTER TABLE grid_scan_runs
+  ADD COLUMN locked_until DATETIME NULL COMMENT 'Lease of the worker running this run, renewed as it stores points' AFTER cancel_requested;
+
+UPDATE grid_scan_runs SET locked_until = DATE_ADD(NOW(), INTERVAL 10 MINUTE) WHERE status = 'running';
@@ -0,0 +1,20 @@
+-- At most one queued or running run per saved scan, enforced by a unique key so concurrent
+-- "run now" requests and scheduler ticks cannot both queue one. active_scan_id holds scan_id
+-- while the run is queued or running and is cleared when it finishes.
+UPDATE grid_scan_runs r
+JOIN (
+  SELECT scan_id, MIN(id) AS keep_id
+  FROM grid_scan_runs
+  WHERE scan_id IS NOT NULL AND status IN ('queued', 'running')
+  GROUP BY scan_id
+) active ON r.scan_id = active.scan_id
+SET r.status = 'cancelled', r.cancel_requested = 0, r.completed_at = NOW()
+WHERE r.status IN ('queued', 'running') AND r.id <> active.keep_id;
+
+ALTER TABLE grid_scan_runs
+  ADD COLUMN active_scan_id INT NULL COMMENT 'scan_id while queued or running, else NULL' AFTER scan_id;
+
+UPDATE grid_scan_runs SET active_scan_id = scan_id WHERE status IN ('queued', 'running');
+
+ALTER TABLE grid_scan_runs
+  ADD UNIQUE KEY uniq_grid_scan_runs_active_scan (active_scan_id);
@@ -0,0 +1,246 @@
+// Tests for the Twilio webhook guard (middleware/twilioWebhook.js), using recorded webhook fixtures.
+// Runs offline: replay state is kept in memory instead of MySQL.
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const fixtures = require('./test-fixtures/twilio-webhooks.json');
+const { createTwilioWebhookValidator } = require('./middleware/twilioWebhook');
+
+const byName = (name) => fixtures.requests.find(request => request.name === name);
+
+// Stand-in for the TwilioWebhookRequest model
+const memoryReplayStore = () => {
+  const keys = new Set();
+  return {
+    keys,
+    async claim(key) {
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    },
+    async release(key) {
+      keys.delete(key);
+    },
+    async purgeOlderThan() {
+      return 0;
+    }
+  };
+};
+
+const buildRequest = (fixture, { host = 'api.example.com', protocol = 'https', headers = {}, body = null } = {}) => ({
+  method: fixture.method,
+  originalUrl: fixture.path,
+  protocol,
+  headers: { host, ...fixture.headers, ...headers },
+  body: body || { ...fixture.body }
+});
+
+const buildResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.payload = payload; res.emit('finish'); return res; };
+  return res;
+};
+
+// Run the middleware; resolves with whether it called next() and the response
+const run = async (validator, req, res = buildResponse()) => {
+  let passed = false;
+  await validator(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const enforce = (replayStore = memoryReplayStore()) =>
+  createTwilioWebhookValidator({ mode: 'enforce', authToken: fixtures.authToken, replayStore });
+
+test('accepts every recorded webhook at the configured public URL', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  for (const fixture of fixtures.requests) {
+    // Internal host as seen behind a proxy that adds no forwarding headers
+    const { passed, res } = await run(enforce(), buildRequest(fixture, { host: 'localhost:3000', protocol: 'http' }));
+    assert.ok(passed, `${fixture.name} should pass`);
+    assert.strictEqual(res.statusCode, 200);
+  }
+});
+
+test('rebuilds the public URL from X-Forwarded-Proto/Host when SERVER_URL does not match', async () => {
+  process.env.SERVER_URL = 'http://localhost:3000';
+  const req = buildRequest(byName('call completed status callback'), {
+    host: '10.0.0.12:3000',
+    protocol: 'http',
+    headers: { 'x-forwarded-proto': 'https, http', 'x-forwarded-host': 'api.example.com' }
+  });
+  const { passed } = await run(enforce(), req);
+  assert.ok(passed);
+});
+
+test('rejects a forged call completion', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const fixture = byName('call completed status callback');
+  const req = buildRequest(fixture, { body: { ...fixture.body, CallDuration: '3600' } });
+  const { passed, res } = await run(enforce(), req);
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 403);
+  assert.deepStrictEqual(res.payload, { error: 'Invalid Twilio signature' });
+});
+
+test('rejects a request without a signature', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const req = buildRequest(byName('inbound voice call'), { headers: { 'x-twilio-signature': undefined } });
+  const { passed, res } = await run(enforce(), req);
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('rejects a tampered whisper query string', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const fixture = byName('whisper prompt fetch');
+  const req = buildRequest({ ...fixture, path: fixture.path.replace('%2B15125550199', '%2B19995550000') });
+  const { passed, res } = await run(enforce(), req);
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('rejects signatures made with another auth token', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const validator = createTwilioWebhookValidator({
+    mode: 'enforce',
+    authToken: 'ffffffffffffffffffffffffffffffff',
+    replayStore: memoryReplayStore()
+  });
+  const { passed, res } = await run(validator, buildRequest(byName('inbound text message')));
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('rejects a replayed request', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const validator = enforce();
+  const fixture = byName('call completed status callback');
+
+  const first = await run(validator, buildRequest(fixture));
+  assert.ok(first.passed);
+
+  const replay = await run(validator, buildRequest(fixture));
+  assert.ok(!replay.passed);
+  assert.strictEqual(replay.res.statusCode, 409);
+});
+
+test('detects replays of requests without an idempotency token by signature', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const validator = enforce();
+  const fixture = byName('recording callback');
+
+  assert.ok((await run(validator, buildRequest(fixture))).passed);
+  assert.ok(!(await run(validator, buildRequest(fixture))).passed);
+});
+
+test('lets repeated whisper fetches through', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const validator = enforce();
+  const fixture = byName('whisper prompt fetch');
+
+  assert.ok((await run(validator, buildRequest(fixture))).passed);
+  assert.ok((await run(validator, buildRequest(fixture))).passed);
+});
+
+test("accepts Twilio's retry when the first delivery failed", async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const store = memoryReplayStore();
+  const validator = enforce(store);
+  const fixture = byName('inbound text message');
+
+  const first = await run(validator, buildRequest(fixture));
+  assert.ok(first.passed);
+  first.res.status(500).json({ error: 'Failed to process message' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(store.keys.size, 0);
+
+  const retry = await run(validator, buildRequest(fixture));
+  assert.ok(retry.passed);
+});
+
+test('still handles signed requests when the replay store is down', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const brokenStore = {
+    async claim() { throw new Error('connect ECONNREFUSED'); },
+    async release() {},
+    async purgeOlderThan() { throw new Error('connect ECONNREFUSED'); }
+  };
+  const { passed } = await run(enforce(brokenStore), buildRequest(byName('inbound voice call')));
+  assert.ok(passed);
+});
+
+test('log-only mode lets invalid and replayed requests through', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const validator = createTwilioWebhookValidator({
+    mode: 'log',
+    authToken: fixtures.authToken,
+    replayStore: memoryReplayStore()
+  });
+  const fixture = byName('call completed status callback');
+
+  const forged = await run(validator, buildRequest(fixture, { headers: { 'x-twilio-signature': 'bogus' } }));
+  assert.ok(forged.passed);
+  assert.strictEqual(forged.res.statusCode, 200);
+
+  assert.ok((await run(validator, buildRequest(fixture))).passed);
+  assert.ok((await run(validator, buildRequest(fixture))).passed);
+});
+
+test('off mode skips the checks', async () => {
+  const validator = createTwilioWebhookValidator({ mode: 'off', replayStore: memoryReplayStore() });
+  const { passed } = await run(validator, buildRequest(byName('inbound voice call'), { headers: { 'x-twilio-signature': undefined } }));
+  assert.ok(passed);
+});
+
+test('reads the mode from TWILIO_WEBHOOK_VALIDATION', async () => {
+  process.env.SERVER_URL = fixtures.publicBaseUrl;
+  const validator = createTwilioWebhookValidator({ authToken: fixtures.authToken, replayStore: memoryReplayStore() });
+  const forged = () => buildRequest(byName('inbound voice call'), { headers: { 'x-twilio-signature': 'bogus' } });
+
+  process.env.TWILIO_WEBHOOK_VALIDATION = 'log';
+  assert.ok((await run(validator, forged())).passed);
+
+  process.env.TWILIO_WEBHOOK_VALIDATION = 'enforce';
+  assert.ok(!(await run(validator, forged())).passed);
+});
+
+test('refuses webhooks when no auth token is configured', async () => {
+  const savedToken = process.env.TWILIO_AUTH_TOKEN;
+  delete process.env.TWILIO_AUTH_TOKEN;
+  try {
+    const validator = createTwilioWebhookValidator({ mode: 'enforce', replayStore: memoryReplayStore() });
+    const { passed, res } = await run(validator, buildRequest(byName('inbound voice call')));
+    assert.ok(!passed);
+    assert.strictEqual(res.statusCode, 500);
+  } finally {
+    if (savedToken !== undefined) process.env.TWILIO_AUTH_TOKEN = savedToken;
+  }
+});
+
+(async () => {
+  // Keep the guard's own warnings out of the test output
+  const warn = console.warn;
+  console.warn = () => {};
+  const error = console.error;
+  console.error = () => {};
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`❌ ${name}\n   ${err.message}`);
+    }
+  }
+
+  console.warn = warn;
+  console.error = error;
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+})();